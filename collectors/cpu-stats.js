@@ -0,0 +1,107 @@
+const os = require('os');
+const { counterDelta } = require('./network-stats');
+
+// Per-core CPU usage, computed from the cumulative times returned by getCpuCounters():
+// { index, user, nice, system, idle, iowait, irq, softirq, steal, frequencyMHz }
+// Times are in milliseconds; iowait, softirq and steal are null where the platform does not split them out.
+
+// Previous counter snapshot of the dashboard's sampling, keyed by core index. A caller sampling on its own
+// cadence passes its own state object so the two sets of deltas do not cut into each other.
+const dashboardState = { previousSample: null };
+
+// Time categories reported in the breakdown; nice time counts as user and softirq as irq
+const BREAKDOWN_FIELDS = {
+  user: ['user', 'nice'],
+  system: ['system'],
+  iowait: ['iowait'],
+  irq: ['irq', 'softirq'],
+  steal: ['steal']
+};
+
+// Function to build counters from os.cpus() (Windows and generic platforms)
+function countersFromOsCpus() {
+  return os.cpus().map((cpu, index) => ({
+    index,
+    user: cpu.times.user,
+    nice: cpu.times.nice,
+    system: cpu.times.sys,
+    idle: cpu.times.idle,
+    iowait: null,
+    irq: cpu.times.irq,
+    softirq: null,
+    steal: null,
+    // os.cpus() speed is the nominal clock on these platforms, not the live one
+    frequencyMHz: null
+  }));
+}
+
+// Function to add up the time a counter has spent in each category
+function totalTime(counter) {
+  return ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal']
+    .reduce((sum, key) => sum + (counter[key] || 0), 0);
+}
+
+// Function to split the time between two samples into a busy percentage and a per-category breakdown
+function computeUsage(current, previous) {
+  const delta = key => current[key] === null ? null : counterDelta(current[key], previous[key] || 0);
+  const elapsed = counterDelta(totalTime(current), totalTime(previous));
+  const percent = value => elapsed > 0 ? Math.round(value / elapsed * 1000) / 10 : 0;
+
+  const breakdown = Object.fromEntries(Object.entries(BREAKDOWN_FIELDS).map(([name, keys]) => {
+    const deltas = keys.map(delta).filter(value => value !== null);
+    return [name, deltas.length > 0 ? percent(deltas.reduce((sum, value) => sum + value, 0)) : null];
+  }));
+
+  // Waiting on I/O is idle time for the core itself, so it is reported but not counted as busy
+  const idle = delta('idle') + (delta('iowait') || 0);
+  return {
+    usage: elapsed > 0 ? Math.max(0, Math.min(100, Math.round((1 - idle / elapsed) * 1000) / 10)) : 0,
+    breakdown
+  };
+}
+
+// Function to add up the counters of several cores (null stays null when the platform lacks a category)
+function sumCounters(counters) {
+  return counters.reduce((sum, counter) => {
+    Object.keys(BREAKDOWN_FIELDS).concat('idle').forEach(name => {
+      (BREAKDOWN_FIELDS[name] || [name]).forEach(key => {
+        sum[key] = counter[key] === null || sum[key] === null ? null : (sum[key] || 0) + counter[key];
+      });
+    });
+    return sum;
+  }, {});
+}
+
+// Function to sample usage for every core plus the machine as a whole; values are null until a previous sample exists
+function sampleCpuStats(counters, timestamp = Date.now(), state = dashboardState) {
+  const previous = state.previousSample;
+  state.previousSample = { timestamp, counters: Object.fromEntries(counters.map(counter => [counter.index, counter])) };
+
+  const paired = counters.filter(counter => previous && previous.counters[counter.index]);
+  const cores = counters.map(counter => {
+    const previousCounter = previous && previous.counters[counter.index];
+    const { usage, breakdown } = previousCounter ? computeUsage(counter, previousCounter) : { usage: null, breakdown: null };
+    return {
+      index: counter.index,
+      usage,
+      breakdown,
+      frequencyMHz: counter.frequencyMHz
+    };
+  });
+
+  // Sum the cores present in both samples so the overall figure matches the per-core grid
+  const overall = paired.length > 0 ?
+    computeUsage(sumCounters(paired), sumCounters(paired.map(counter => previous.counters[counter.index]))) :
+    { usage: null, breakdown: null };
+
+  return {
+    usage: overall.usage,
+    breakdown: overall.breakdown,
+    cores
+  };
+}
+
+module.exports = {
+  countersFromOsCpus,
+  sampleCpuStats
+};
@@ -0,0 +1,82 @@
+const { counterDelta } = require('./network-stats');
+
+// Per-device disk activity, computed from the cumulative counters returned by getDiskCounters():
+// { name, readsCompleted, writesCompleted, readBytes, writeBytes,
+//   readTimeMs, writeTimeMs, inProgress, ioTimeMs, weightedIoTimeMs }
+
+// Previous counter snapshot, keyed by device name
+let previousSample = null;
+
+// Function to compute the average latency of the operations completed between two samples
+function averageLatency(timeDelta, operationDelta) {
+  return operationDelta > 0 ? Math.round(timeDelta / operationDelta * 100) / 100 : 0;
+}
+
+// Function to sample disk activity for every device; rates are null until a previous sample exists
+function sampleDiskIO(counters, timestamp = Date.now()) {
+  const elapsedMs = previousSample ? timestamp - previousSample.timestamp : 0;
+
+  const devices = counters.map(counter => {
+    const previous = previousSample && previousSample.counters[counter.name];
+    // Totals since boot, passed through for consumers that want counters rather than rates
+    const totals = {
+      readBytes: counter.readBytes,
+      writeBytes: counter.writeBytes,
+      readsCompleted: counter.readsCompleted,
+      writesCompleted: counter.writesCompleted
+    };
+
+    if (!previous || elapsedMs <= 0) {
+      return {
+        name: counter.name,
+        ...totals,
+        readBytesPerSec: null,
+        writeBytesPerSec: null,
+        readIops: null,
+        writeIops: null,
+        busyPercent: null,
+        queueDepth: null,
+        readLatencyMs: null,
+        writeLatencyMs: null,
+        inProgress: counter.inProgress
+      };
+    }
+
+    const delta = key => counterDelta(counter[key], previous[key]);
+    const perSecond = key => Math.round(delta(key) / elapsedMs * 1000);
+
+    return {
+      name: counter.name,
+      ...totals,
+      readBytesPerSec: perSecond('readBytes'),
+      writeBytesPerSec: perSecond('writeBytes'),
+      readIops: perSecond('readsCompleted'),
+      writeIops: perSecond('writesCompleted'),
+      // Time with at least one request in flight, as a share of wall-clock time
+      busyPercent: Math.min(100, Math.round(delta('ioTimeMs') / elapsedMs * 1000) / 10),
+      // Weighted I/O time grows by the queue length every millisecond, so this is the average queue
+      queueDepth: Math.round(delta('weightedIoTimeMs') / elapsedMs * 100) / 100,
+      readLatencyMs: averageLatency(delta('readTimeMs'), delta('readsCompleted')),
+      writeLatencyMs: averageLatency(delta('writeTimeMs'), delta('writesCompleted')),
+      inProgress: counter.inProgress
+    };
+  });
+
+  previousSample = {
+    timestamp,
+    counters: Object.fromEntries(counters.map(counter => [counter.name, counter]))
+  };
+
+  // The device that has moved the most data since boot is the best default
+  const busiest = counters.reduce((max, counter) =>
+    (!max || counter.readBytes + counter.writeBytes > max.readBytes + max.writeBytes) ? counter : max, null);
+
+  return {
+    devices,
+    primary: busiest ? busiest.name : null
+  };
+}
+
+module.exports = {
+  sampleDiskIO
+};
@@ -0,0 +1,175 @@
+const os = require('os');
+const { createVolume, statVolume, statsToBytes } = require('./storage');
+const { countersFromOsCpus } = require('./cpu-stats');
+const { signalProcess } = require('./processes');
+
+// Collectors for platforms without a dedicated backend; only reports what Node can see
+
+// Function to get detailed CPU hardware information
+async function getDetailedCPUInfo() {
+  const cpus = os.cpus();
+  return {
+    name: cpus[0] ? cpus[0].model.trim() : 'Unknown',
+    manufacturer: 'Unknown',
+    architecture: os.arch(),
+    cores: 'Unknown',
+    logicalProcessors: cpus.length || 'Unknown',
+    maxClockSpeed: cpus[0] && cpus[0].speed ? `${cpus[0].speed} MHz` : 'Unknown',
+    l2Cache: 'Unknown',
+    l3Cache: 'Unknown'
+  };
+}
+
+// Function to get detailed RAM information
+async function getDetailedRAMInfo() {
+  return [{
+    bankLabel: 'System Memory',
+    capacity: `${Math.round(os.totalmem() / (1024 ** 3))} GB`,
+    speed: 'Unknown',
+    memoryType: 'Unknown',
+    manufacturer: null,
+    serialNumber: null,
+    partNumber: null
+  }];
+}
+
+// Function to get motherboard information
+async function getMotherboardInfo() {
+  return {
+    manufacturer: 'Unknown',
+    product: 'Unknown'
+  };
+}
+
+// Function to get network information
+async function getNetworkInfo() {
+  const activeInterfaces = Object.entries(os.networkInterfaces())
+    .filter(([, addresses]) => addresses.some(iface => iface.family === 'IPv4' && !iface.internal));
+
+  return {
+    ssid: activeInterfaces.length > 0 ? activeInterfaces[0][0] : 'Not Connected',
+    signalStrength: activeInterfaces.length > 0 ? 100 : 0,
+    networkType: 'Unknown',
+    adapters: [],
+    isConnected: activeInterfaces.length > 0,
+    downloadSpeed: null,
+    uploadSpeed: null
+  };
+}
+
+// Function to get per-interface traffic counters (not available through Node's os module)
+async function getNetworkCounters() {
+  return [];
+}
+
+// Function to list GPUs (no supported source on this platform)
+async function getGPUDevices() {
+  return [];
+}
+
+// Function to enumerate volumes (only the root filesystem is visible through statfs alone)
+async function getVolumes() {
+  try {
+    const stats = await statVolume('/');
+    return [createVolume({ mountPoint: '/', device: '/', system: true, ...statsToBytes(stats) })];
+  } catch (error) {
+    console.error('Error getting volumes:', error);
+    return [];
+  }
+}
+
+// Function to get disk I/O counters (not available through Node's os module)
+async function getDiskCounters() {
+  return [];
+}
+
+// Function to list processes (no process table source on this platform)
+async function getProcesses() {
+  return [];
+}
+
+// Function to get per-core CPU times from os.cpus()
+async function getCpuCounters() {
+  return countersFromOsCpus();
+}
+
+// Function to pause a process with SIGSTOP (POSIX platforms such as macOS)
+async function suspendProcess(pid) {
+  signalProcess(pid, 'SIGSTOP', 'suspend');
+}
+
+// Function to let a suspended process run again
+async function resumeProcess(pid) {
+  signalProcess(pid, 'SIGCONT', 'resume');
+}
+
+// Function to get temperature sensors (none are reachable without native modules)
+async function getThermalSensors() {
+  return [];
+}
+
+// Function to get disk SMART status (smartctl works here too when it is installed)
+async function getDiskHealth() {
+  return querySmartctl();
+}
+
+// Function to find recent crashes (no supported log on this platform)
+async function getCrashEvents() {
+  return null;
+}
+
+// Function to list failed services (no supported service manager on this platform)
+async function getFailedServices() {
+  return null;
+}
+
+// Function to list pending updates (no supported package manager on this platform)
+async function getPendingUpdates() {
+  return null;
+}
+
+// Function to read the batteries (no supported source on this platform)
+async function getPowerSupplies() {
+  return null;
+}
+
+// Function to read the hardware inventory details: only the network adapters and the OS are visible from Node
+async function getInventoryDetails() {
+  const adapters = Object.entries(os.networkInterfaces())
+    .map(([name, addresses]) => ({ name, address: addresses.find(iface => !iface.internal && iface.mac !== '00:00:00:00:00:00') }))
+    .filter(entry => entry.address);
+
+  return {
+    bios: { vendor: null, version: null, date: null },
+    system: { manufacturer: null, model: null, serialNumber: null },
+    disks: [],
+    networkAdapters: adapters.map(({ name, address }) => ({ name, description: null, macAddress: address.mac, type: null })),
+    os: {
+      name: os.type(),
+      version: os.release(),
+      build: os.version()
+    }
+  };
+}
+
+module.exports = {
+  getDetailedCPUInfo,
+  getDetailedRAMInfo,
+  getMotherboardInfo,
+  getNetworkInfo,
+  getNetworkCounters,
+  getGPUDevices,
+  getThermalSensors,
+  getVolumes,
+  getDiskCounters,
+  getProcesses,
+  getCpuCounters,
+  suspendProcess,
+  resumeProcess,
+  getDiskHealth,
+  getCrashEvents,
+  getFailedServices,
+  getPendingUpdates,
+  getPowerSupplies,
+  getInventoryDetails
+};
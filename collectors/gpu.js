@@ -0,0 +1,167 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+// GPU provider helpers shared by the platform backends.
+// The parsers are pure functions over captured tool output so they can be checked against samples.
+// Every device is reported as:
+// { index, name, vendor, source, utilization, memoryUsedMB, memoryTotalMB,
+//   temperature, coreClockMHz, memoryClockMHz, powerDrawW, fanSpeedPercent }
+
+const execAsync = promisify(exec);
+
+// Fields requested from nvidia-smi, in column order
+const NVIDIA_SMI_FIELDS = [
+  'index',
+  'name',
+  'utilization.gpu',
+  'memory.used',
+  'memory.total',
+  'temperature.gpu',
+  'clocks.gr',
+  'clocks.mem',
+  'power.draw',
+  'fan.speed'
+];
+
+// PCI vendor ids as exposed in sysfs
+const PCI_VENDORS = {
+  '0x10de': 'NVIDIA',
+  '0x1002': 'AMD',
+  '0x8086': 'Intel'
+};
+
+// Function to parse a numeric reading; vendor tools print "[N/A]" or "[Not Supported]" for missing values
+function parseReading(value) {
+  if (value === undefined || value === null) return null;
+
+  const number = parseFloat(String(value).replace(/[()]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+// Function to build a device record with every metric defaulting to unavailable
+function createGPUDevice(fields) {
+  return {
+    index: 0,
+    name: 'Unknown',
+    vendor: 'Unknown',
+    source: 'unknown',
+    utilization: null,
+    memoryUsedMB: null,
+    memoryTotalMB: null,
+    temperature: null,
+    coreClockMHz: null,
+    memoryClockMHz: null,
+    powerDrawW: null,
+    fanSpeedPercent: null,
+    ...fields
+  };
+}
+
+// Function to parse `nvidia-smi --query-gpu=... --format=csv,noheader,nounits` output; lines that are not a
+// full GPU row (warnings, truncated output) are skipped
+function parseNvidiaSmiCsv(output) {
+  return output.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const columns = line.split(',').map(column => column.trim());
+    if (columns.length < NVIDIA_SMI_FIELDS.length || !/^\d+$/.test(columns[0])) return null;
+
+    // GPU names may contain commas, so take the fixed columns from both ends
+    const trailing = columns.slice(-(NVIDIA_SMI_FIELDS.length - 2));
+    const name = columns.slice(1, columns.length - trailing.length).join(', ');
+    const [utilization, memoryUsed, memoryTotal, temperature, coreClock, memoryClock, powerDraw, fanSpeed] = trailing;
+
+    return createGPUDevice({
+      index: parseInt(columns[0], 10),
+      name: name || 'NVIDIA GPU',
+      vendor: 'NVIDIA',
+      source: 'nvidia-smi',
+      utilization: parseReading(utilization),
+      memoryUsedMB: parseReading(memoryUsed),
+      memoryTotalMB: parseReading(memoryTotal),
+      temperature: parseReading(temperature),
+      coreClockMHz: parseReading(coreClock),
+      memoryClockMHz: parseReading(memoryClock),
+      powerDrawW: parseReading(powerDraw),
+      fanSpeedPercent: parseReading(fanSpeed)
+    });
+  }).filter(Boolean);
+}
+
+// Function to find the first rocm-smi value whose key matches a pattern
+function findRocmValue(card, pattern) {
+  const key = Object.keys(card).find(name => pattern.test(name));
+  return key ? card[key] : undefined;
+}
+
+// Function to parse `rocm-smi --showproductname --showuse --showmeminfo vram --showtemp --showclocks --showpower --showfan --json` output
+function parseRocmSmiJson(output) {
+  const parsed = JSON.parse(output);
+  const bytesToMB = value => {
+    const bytes = parseReading(value);
+    return bytes === null ? null : Math.round(bytes / (1024 ** 2));
+  };
+
+  return Object.keys(parsed)
+    .filter(key => /^card\d+$/.test(key))
+    .map(key => {
+      const card = parsed[key];
+      return createGPUDevice({
+        index: parseInt(key.slice(4), 10),
+        name: findRocmValue(card, /^card series$/i) || findRocmValue(card, /^card model$/i) || 'AMD GPU',
+        vendor: 'AMD',
+        source: 'rocm-smi',
+        utilization: parseReading(findRocmValue(card, /^gpu use \(%\)$/i)),
+        memoryUsedMB: bytesToMB(findRocmValue(card, /^vram total used memory \(b\)$/i)),
+        memoryTotalMB: bytesToMB(findRocmValue(card, /^vram total memory \(b\)$/i)),
+        // Some cards report no edge sensor ("N/A"), only the junction one
+        temperature: [/^temperature \(sensor edge\)/i, /^temperature \(sensor junction\)/i]
+          .map(pattern => parseReading(findRocmValue(card, pattern)))
+          .find(value => value !== null) ?? null,
+        coreClockMHz: parseReading(findRocmValue(card, /^sclk clock speed/i)),
+        memoryClockMHz: parseReading(findRocmValue(card, /^mclk clock speed/i)),
+        powerDrawW: parseReading(findRocmValue(card, /graphics package power \(w\)$/i)),
+        fanSpeedPercent: parseReading(findRocmValue(card, /^fan speed \(%\)$/i))
+      });
+    });
+}
+
+// Function to read the active level from an amdgpu pp_dpm_* file ("1: 800Mhz *")
+function parseDpmClock(content) {
+  if (!content) return null;
+
+  const activeLine = content.split('\n').find(line => line.trim().endsWith('*'));
+  const match = activeLine && /(\d+)\s*mhz/i.exec(activeLine);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Function to run nvidia-smi (ships with the NVIDIA driver on both Windows and Linux)
+async function queryNvidiaSmi() {
+  try {
+    const command = `nvidia-smi --query-gpu=${NVIDIA_SMI_FIELDS.join(',')} --format=csv,noheader,nounits`;
+    const { stdout } = await execAsync(command, { encoding: 'utf8', timeout: 3000 });
+    return parseNvidiaSmiCsv(stdout);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Function to run rocm-smi (ROCm installs only)
+async function queryRocmSmi() {
+  try {
+    const command = 'rocm-smi --showproductname --showuse --showmeminfo vram --showtemp --showclocks --showpower --showfan --json';
+    const { stdout } = await execAsync(command, { encoding: 'utf8', timeout: 3000 });
+    return parseRocmSmiJson(stdout);
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  PCI_VENDORS,
+  createGPUDevice,
+  parseReading,
+  parseNvidiaSmiCsv,
+  parseRocmSmiJson,
+  parseDpmClock,
+  queryNvidiaSmi,
+  queryRocmSmi
+};
@@ -0,0 +1,161 @@
+const { exec, execFile } = require('child_process');
+
+// Health probe helpers shared by the platform backends: SMART via smartctl, and parsers for the Linux
+// journal, systemd and package manager output. The parsers are pure functions over captured tool output.
+// Backends report:
+//   getDiskHealth()        null (no tool) or [{ device, model, healthy, warnings, error }]
+//   getCrashEvents(since)  null (no log) or [{ time, severity, source, message }]
+//   getFailedServices()    null (no service manager) or [{ name, description }]
+//   getPendingUpdates()    null (no package manager) or { manager, updates: [{ name, version, security }] }
+
+// Kernel messages that mean something crashed; the first group takes the whole system down
+const KERNEL_CRASH_PATTERNS = [
+  { pattern: /Kernel panic|Oops|BUG: |general protection fault|Machine check|Hardware Error/, severity: 'critical' },
+  { pattern: /Out of memory: Kill|oom-kill|segfault at|blocked for more than \d+ seconds/, severity: 'warning' }
+];
+
+// Function to run a tool and return its stdout; null when it is not installed. Tools such as smartctl and
+// dnf report findings through the exit code, so `okCodes` lists the codes that still mean success.
+// `command` is a shell command line, or [file, ...args] to run the program without a shell, which is how
+// arguments read from the system (device names) must be passed.
+function runTool(command, { timeout = 10000, okCodes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    const options = { encoding: 'utf8', timeout, maxBuffer: 32 * 1024 * 1024 };
+    const done = (error, stdout, stderr) => {
+      if (!error || okCodes.includes(error.code)) {
+        resolve(stdout);
+      } else if (error.code === 127 || error.code === 'ENOENT' || /not found|not recognized/i.test(stderr)) {
+        resolve(null);
+      } else {
+        error.message = (stderr || error.message).trim().split('\n')[0];
+        reject(error);
+      }
+    };
+
+    if (Array.isArray(command)) {
+      execFile(command[0], command.slice(1), options, done);
+    } else {
+      exec(command, options, done);
+    }
+  });
+}
+
+// Function to turn one `smartctl --json -H -A -i` report into a disk record
+function parseSmartctlReport(report, device) {
+  const disk = {
+    device,
+    model: report.model_name || report.scsi_model_name || report.model_family || null,
+    healthy: report.smart_status ? report.smart_status.passed !== false : null,
+    warnings: [],
+    error: null
+  };
+
+  // smartctl puts open/permission failures in its message list rather than the exit status alone
+  const errors = ((report.smartctl && report.smartctl.messages) || []).filter(message => message.severity === 'error');
+  if (!report.smart_status && errors.length > 0) {
+    disk.error = /permission denied|operation not permitted/i.test(errors[0].string) ?
+      'Reading SMART data needs administrator rights' : errors[0].string;
+    return disk;
+  }
+
+  // ATA attributes that predict failure whenever their raw value is not zero
+  const attributes = (report.ata_smart_attributes && report.ata_smart_attributes.table) || [];
+  [[5, 'reallocated sectors'], [197, 'sectors pending reallocation'], [198, 'uncorrectable sectors']].forEach(([id, label]) => {
+    const attribute = attributes.find(entry => entry.id === id);
+    if (attribute && attribute.raw && attribute.raw.value > 0) disk.warnings.push(`${attribute.raw.value} ${label}`);
+  });
+  attributes.filter(entry => entry.when_failed).forEach(entry => {
+    disk.warnings.push(`${entry.name} failed ${entry.when_failed === 'now' ? 'now' : 'in the past'}`);
+  });
+
+  const nvme = report.nvme_smart_health_information_log;
+  if (nvme) {
+    if (nvme.critical_warning) disk.warnings.push(`NVMe critical warning flags 0x${nvme.critical_warning.toString(16)}`);
+    if (nvme.percentage_used >= 90) disk.warnings.push(`${nvme.percentage_used}% of rated endurance used`);
+    if (nvme.media_errors > 0) disk.warnings.push(`${nvme.media_errors} media errors`);
+  }
+  return disk;
+}
+
+// Function to read the SMART status of every disk smartctl can find; null when smartctl is not installed, or is
+// older than 7.0 and ignores --json
+async function querySmartctl() {
+  const scan = await runTool('smartctl --scan --json', { okCodes: [0, 1, 2] });
+  if (scan === null) return null;
+
+  let devices;
+  try {
+    devices = JSON.parse(scan).devices || [];
+  } catch (error) {
+    return null;
+  }
+  return Promise.all(devices.map(async ({ name, type }) => {
+    try {
+      // Bits 0-2 of the exit status are command errors; higher bits report what the disk itself says
+      const output = await runTool(['smartctl', '--json', '-H', '-A', '-i', '-d', type, name], { timeout: 15000, okCodes: [...Array(256).keys()] });
+      return parseSmartctlReport(JSON.parse(output), name);
+    } catch (error) {
+      return { device: name, model: null, healthy: null, warnings: [], error: error.message };
+    }
+  }));
+}
+
+// Function to pick the crashes out of kernel messages printed by `journalctl -o short-unix`
+function parseKernelCrashes(output) {
+  return output.split('\n').map(line => {
+    const match = /^(\d+)(?:\.\d+)? \S+ kernel: (.*)$/.exec(line.trim());
+    if (!match) return null;
+
+    const kind = KERNEL_CRASH_PATTERNS.find(({ pattern }) => pattern.test(match[2]));
+    return kind ? { time: parseInt(match[1], 10) * 1000, severity: kind.severity, source: 'kernel', message: match[2].trim() } : null;
+  }).filter(Boolean);
+}
+
+// Function to turn `coredumpctl list --json=short` output into crash events
+function parseCoredumps(output) {
+  return JSON.parse(output).map(dump => ({
+    time: Math.round(dump.time / 1000),
+    severity: 'warning',
+    source: 'coredump',
+    message: `${dump.exe || 'Unknown program'} (PID ${dump.pid}) crashed with signal ${dump.sig}`
+  }));
+}
+
+// Function to read `systemctl list-units --state=failed --plain --no-legend`
+function parseFailedUnits(output) {
+  return output.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [name, , , , ...description] = line.split(/\s+/);
+    return { name, description: description.join(' ') };
+  });
+}
+
+// Function to read `apt list --upgradable` (packages from a -security suite are security updates)
+function parseAptUpgradable(output) {
+  return output.split('\n').map(line => /^([^/\s]+)\/(\S+) (\S+)/.exec(line)).filter(Boolean)
+    .map(([, name, suites, version]) => ({ name, version, security: /-security/.test(suites) }));
+}
+
+// Function to read `dnf check-update -q` (name.arch version repository)
+function parseDnfCheckUpdate(output) {
+  return output.split('\n').map(line => line.trim().split(/\s+/))
+    .filter(parts => parts.length === 3 && parts[0].includes('.'))
+    .map(([name, version]) => ({ name, version, security: false }));
+}
+
+// Function to read pacman-contrib's `checkupdates` (name old -> new)
+function parseCheckupdates(output) {
+  return output.split('\n').map(line => /^(\S+) \S+ -> (\S+)/.exec(line.trim())).filter(Boolean)
+    .map(([, name, version]) => ({ name, version, security: false }));
+}
+
+module.exports = {
+  runTool,
+  querySmartctl,
+  parseSmartctlReport,
+  parseKernelCrashes,
+  parseCoredumps,
+  parseFailedUnits,
+  parseAptUpgradable,
+  parseDnfCheckUpdate,
+  parseCheckupdates
+};
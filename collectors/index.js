@@ -0,0 +1,17 @@
+const os = require('os');
+
+// Function to pick the collector backend for the current platform
+function loadCollectors(platform = os.platform()) {
+  switch (platform) {
+    case 'win32':
+      return require('./windows');
+    case 'linux':
+      return require('./linux');
+    default:
+      return require('./generic');
+  }
+}
+
+// Every backend exposes the same functions and returns the same shapes,
+// so main.js never needs to know which platform it is running on
+module.exports = loadCollectors();
@@ -0,0 +1,966 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFile, execSync } = require('child_process');
+const { promisify } = require('util');
+const { createVolume, statVolume, statsToBytes } = require('./storage');
+const { signalProcess } = require('./processes');
+const {
+  PCI_VENDORS,
+  createGPUDevice,
+  parseReading,
+  parseDpmClock,
+  queryNvidiaSmi,
+  queryRocmSmi
+} = require('./gpu');
+const {
+  runTool,
+  querySmartctl,
+  parseKernelCrashes,
+  parseCoredumps,
+  parseFailedUnits,
+  parseAptUpgradable,
+  parseDnfCheckUpdate,
+  parseCheckupdates
+} = require('./health-probes');
+const { parsePowerSupplyUevent, batteryFromSysfs } = require('./power');
+
+const execFileAsync = promisify(execFile);
+
+// SMBIOS memory type codes (type 17, offset 0x12)
+const SMBIOS_MEMORY_TYPES = {
+  18: 'DDR',
+  19: 'DDR2',
+  24: 'DDR3',
+  26: 'DDR4',
+  27: 'LPDDR',
+  28: 'LPDDR2',
+  29: 'LPDDR3',
+  30: 'LPDDR4',
+  34: 'DDR5',
+  35: 'LPDDR5'
+};
+
+// Function to read a single value from procfs/sysfs (null when missing or unreadable)
+function readSysFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to list a directory without throwing when it does not exist
+function listDir(dirPath) {
+  try {
+    return fs.readdirSync(dirPath);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Function to parse "key : value" blocks such as the ones in /proc/cpuinfo
+function parseKeyValueBlocks(content) {
+  return content.split(/\n\s*\n/).map(block => {
+    const entry = {};
+    block.split('\n').forEach(line => {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex > 0) {
+        entry[line.slice(0, separatorIndex).trim()] = line.slice(separatorIndex + 1).trim();
+      }
+    });
+    return entry;
+  }).filter(entry => Object.keys(entry).length > 0);
+}
+
+// Function to read /proc/meminfo into a map of kB values
+function readMeminfo() {
+  const content = readSysFile('/proc/meminfo');
+  if (!content) return {};
+
+  const [entry = {}] = parseKeyValueBlocks(content);
+  const meminfo = {};
+  Object.keys(entry).forEach(key => {
+    meminfo[key] = parseInt(entry[key], 10) || 0;
+  });
+  return meminfo;
+}
+
+// Function to convert a sysfs cache size ("32K", "8M") to KB
+function parseCacheSize(size) {
+  const match = /^(\d+)([KMG]?)$/i.exec(size || '');
+  if (!match) return 0;
+
+  const multipliers = { '': 1 / 1024, K: 1, M: 1024, G: 1024 ** 2 };
+  return parseInt(match[1], 10) * multipliers[match[2].toUpperCase()];
+}
+
+// Function to format a cache size in KB the way lscpu does
+function formatCacheSize(sizeKB) {
+  if (!sizeKB) return 'Unknown';
+  return sizeKB >= 1024 ? `${Math.round(sizeKB / 1024 * 10) / 10} MB` : `${sizeKB} KB`;
+}
+
+// Function to total up L2/L3 caches across all CPUs (lscpu-style, shared caches counted once)
+function getCacheSizes() {
+  const cpuRoot = '/sys/devices/system/cpu';
+  const seen = new Set();
+  const totals = {};
+
+  listDir(cpuRoot).filter(name => /^cpu\d+$/.test(name)).forEach(cpuName => {
+    const cacheRoot = path.join(cpuRoot, cpuName, 'cache');
+
+    listDir(cacheRoot).filter(name => /^index\d+$/.test(name)).forEach(indexName => {
+      const indexDir = path.join(cacheRoot, indexName);
+      const level = readSysFile(path.join(indexDir, 'level'));
+      const type = readSysFile(path.join(indexDir, 'type'));
+      const sharedWith = readSysFile(path.join(indexDir, 'shared_cpu_list')) || cpuName;
+      const key = `${level}:${type}:${sharedWith}`;
+
+      if (!level || seen.has(key)) return;
+      seen.add(key);
+      totals[level] = (totals[level] || 0) + parseCacheSize(readSysFile(path.join(indexDir, 'size')));
+    });
+  });
+
+  return totals;
+}
+
+// Function to get detailed CPU hardware information
+async function getDetailedCPUInfo() {
+  try {
+    const processors = parseKeyValueBlocks(fs.readFileSync('/proc/cpuinfo', 'utf8'))
+      .filter(entry => entry.processor !== undefined);
+    const first = processors[0] || {};
+
+    // Count physical cores by unique (package, core) pairs
+    const physicalCores = new Set(processors
+      .filter(entry => entry['core id'] !== undefined)
+      .map(entry => `${entry['physical id'] || 0}:${entry['core id']}`));
+
+    const maxFrequency = parseInt(readSysFile('/sys/devices/system/cpu/cpu0/cpufreq/cpuinfo_max_freq'), 10);
+    const maxClockSpeed = maxFrequency ? Math.round(maxFrequency / 1000) : Math.round(parseFloat(first['cpu MHz']));
+    const caches = getCacheSizes();
+    const cpus = os.cpus();
+
+    return {
+      name: first['model name'] || (cpus[0] && cpus[0].model.trim()) || 'Unknown',
+      manufacturer: first.vendor_id || first['CPU implementer'] || 'Unknown',
+      cores: physicalCores.size || processors.length || 'Unknown',
+      logicalProcessors: processors.length || cpus.length || 'Unknown',
+      maxClockSpeed: maxClockSpeed ? `${maxClockSpeed} MHz` : 'Unknown',
+      architecture: os.arch(),
+      l2Cache: formatCacheSize(caches['2']),
+      l3Cache: formatCacheSize(caches['3'])
+    };
+  } catch (error) {
+    console.error('Error getting detailed CPU info:', error);
+    return {
+      name: 'Unknown',
+      manufacturer: 'Unknown',
+      architecture: 'Unknown',
+      cores: 'Unknown',
+      logicalProcessors: 'Unknown',
+      maxClockSpeed: 'Unknown',
+      l2Cache: 'Unknown',
+      l3Cache: 'Unknown'
+    };
+  }
+}
+
+// Function to decode an SMBIOS type 17 (Memory Device) structure
+function parseMemoryDevice(raw) {
+  const length = raw[1];
+  if (raw[0] !== 17 || length < 0x15) return null;
+
+  // Strings follow the formatted area, referenced by 1-based index
+  const strings = raw.slice(length).toString('latin1').split('\0');
+  const getString = index => (index > 0 && strings[index - 1]) ? strings[index - 1].trim() : '';
+
+  let sizeMB = raw.readUInt16LE(0x0C);
+  if (sizeMB === 0 || sizeMB === 0xFFFF) return null; // Empty slot or unknown size
+  if (sizeMB === 0x7FFF && length >= 0x20) {
+    sizeMB = raw.readUInt32LE(0x1C);
+  } else if (sizeMB & 0x8000) {
+    sizeMB = (sizeMB & 0x7FFF) / 1024; // Size is given in KB
+  }
+
+  const speed = length >= 0x17 ? raw.readUInt16LE(0x15) : 0;
+  const memoryType = raw[0x12];
+  // Manufacturer, serial and part number strings arrived with SMBIOS 2.3; firmware fills unset ones with placeholders
+  const getIdString = offset => {
+    const value = length > offset ? getString(raw[offset]) : '';
+    return value && !/^(not specified|unknown|none|0+)$/i.test(value) ? value : null;
+  };
+
+  return {
+    bankLabel: getString(raw[0x11]) || getString(raw[0x10]) || 'Unknown',
+    capacity: `${Math.round(sizeMB / 1024)} GB`,
+    speed: speed ? `${speed} MHz` : 'Unknown',
+    memoryType: SMBIOS_MEMORY_TYPES[memoryType] || `Type ${memoryType}`,
+    manufacturer: getIdString(0x17),
+    serialNumber: getIdString(0x18),
+    partNumber: getIdString(0x1A)
+  };
+}
+
+// Function to get detailed RAM information
+async function getDetailedRAMInfo() {
+  // Per-module data lives in the DMI tables, which are only readable by root
+  const entriesRoot = '/sys/firmware/dmi/entries';
+  const memorySticks = listDir(entriesRoot)
+    .filter(name => name.startsWith('17-'))
+    .sort((a, b) => parseInt(a.slice(3), 10) - parseInt(b.slice(3), 10))
+    .map(name => {
+      try {
+        return parseMemoryDevice(fs.readFileSync(path.join(entriesRoot, name, 'raw')));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (memorySticks.length > 0) {
+    return memorySticks;
+  }
+
+  // Fall back to a single entry describing total installed memory
+  const meminfo = readMeminfo();
+  if (!meminfo.MemTotal) {
+    return [];
+  }
+
+  return [{
+    bankLabel: 'System Memory',
+    capacity: `${Math.round(meminfo.MemTotal / (1024 ** 2))} GB`,
+    speed: 'Unknown',
+    memoryType: 'Unknown',
+    manufacturer: null,
+    serialNumber: null,
+    partNumber: null
+  }];
+}
+
+// Function to get motherboard information
+async function getMotherboardInfo() {
+  const dmiRoot = '/sys/class/dmi/id';
+  return {
+    manufacturer: readSysFile(path.join(dmiRoot, 'board_vendor')) || 'Unknown',
+    product: readSysFile(path.join(dmiRoot, 'board_name')) || 'Unknown'
+  };
+}
+
+// Function to find the interface that carries the default route
+function getDefaultRouteInterface() {
+  const routes = readSysFile('/proc/net/route');
+  if (!routes) return null;
+
+  const defaultRoute = routes.split('\n').slice(1)
+    .map(line => line.trim().split(/\s+/))
+    .find(fields => fields[1] === '00000000');
+  return defaultRoute ? defaultRoute[0] : null;
+}
+
+// Function to read wireless link quality from /proc/net/wireless as a percentage
+function getWirelessSignal(interfaceName) {
+  const wireless = readSysFile('/proc/net/wireless');
+  if (!wireless) return null;
+
+  const line = wireless.split('\n').find(entry => entry.trim().startsWith(`${interfaceName}:`));
+  if (!line) return null;
+
+  // Link quality is reported out of 70 by most drivers
+  const quality = parseFloat(line.split(':')[1].trim().split(/\s+/)[1]);
+  return isNaN(quality) ? null : Math.max(0, Math.min(100, Math.round(quality / 70 * 100)));
+}
+
+// Function to get the SSID of a wireless interface
+async function getWirelessSSID(interfaceName) {
+  try {
+    const { stdout } = await execFileAsync('iwgetid', ['-r', interfaceName], { encoding: 'utf8', timeout: 2000 });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to get network information
+async function getNetworkInfo() {
+  const netRoot = '/sys/class/net';
+  const adapters = listDir(netRoot).filter(name => name !== 'lo').map(name => {
+    const interfaceDir = path.join(netRoot, name);
+    const speed = parseInt(readSysFile(path.join(interfaceDir, 'speed')), 10);
+
+    return {
+      name,
+      macAddress: readSysFile(path.join(interfaceDir, 'address')) || 'Unknown',
+      state: readSysFile(path.join(interfaceDir, 'operstate')) || 'unknown',
+      wireless: fs.existsSync(path.join(interfaceDir, 'wireless')),
+      physical: fs.existsSync(path.join(interfaceDir, 'device')),
+      speedMbps: speed > 0 ? speed : null
+    };
+  });
+
+  // Prefer the default-route interface, then any physical adapter that is up
+  const defaultInterface = getDefaultRouteInterface();
+  const primary = adapters.find(adapter => adapter.name === defaultInterface) ||
+    adapters.find(adapter => adapter.physical && adapter.state === 'up');
+
+  if (!primary) {
+    return {
+      ssid: 'Not Connected',
+      signalStrength: 0,
+      networkType: 'Unknown',
+      adapters,
+      isConnected: false,
+      downloadSpeed: null,
+      uploadSpeed: null
+    };
+  }
+
+  if (primary.wireless) {
+    const signal = getWirelessSignal(primary.name);
+    return {
+      ssid: (await getWirelessSSID(primary.name)) || primary.name,
+      signalStrength: signal !== null ? signal : 0,
+      networkType: 'Wi-Fi',
+      adapters,
+      isConnected: true,
+      downloadSpeed: null,
+      uploadSpeed: null
+    };
+  }
+
+  return {
+    ssid: primary.name,
+    signalStrength: 100, // Wired links have no signal strength; report a full link
+    networkType: primary.speedMbps ? `Ethernet (${primary.speedMbps} Mbps)` : 'Ethernet',
+    adapters,
+    isConnected: true,
+    downloadSpeed: null,
+    uploadSpeed: null
+  };
+}
+
+// Function to read the kernel byte/packet counters of every interface (loopback excluded)
+async function getNetworkCounters() {
+  const netRoot = '/sys/class/net';
+  const readCounter = (name, counter) =>
+    parseInt(readSysFile(path.join(netRoot, name, 'statistics', counter)), 10) || 0;
+
+  return listDir(netRoot).filter(name => name !== 'lo').map(name => ({
+    name,
+    rxBytes: readCounter(name, 'rx_bytes'),
+    txBytes: readCounter(name, 'tx_bytes'),
+    rxPackets: readCounter(name, 'rx_packets'),
+    txPackets: readCounter(name, 'tx_packets'),
+    rxErrors: readCounter(name, 'rx_errors'),
+    txErrors: readCounter(name, 'tx_errors'),
+    rxDropped: readCounter(name, 'rx_dropped'),
+    txDropped: readCounter(name, 'tx_dropped')
+  }));
+}
+
+// PCI device names by slot; the hardware behind a slot does not change while the app runs
+const pciDeviceNames = new Map();
+
+// Function to resolve a PCI slot to a readable device name via lspci
+async function getPciDeviceName(slot) {
+  if (!slot) return null;
+  if (pciDeviceNames.has(slot)) return pciDeviceNames.get(slot);
+
+  let name = null;
+  try {
+    const { stdout } = await execFileAsync('lspci', ['-mm', '-s', slot], { encoding: 'utf8', timeout: 2000 });
+    const fields = (stdout.match(/"([^"]*)"/g) || []).map(field => field.slice(1, -1));
+    name = fields.length >= 3 ? `${fields[1]} ${fields[2]}` : null;
+  } catch (error) {
+    // lspci missing; fall back to the driver name
+  }
+  pciDeviceNames.set(slot, name);
+  return name;
+}
+
+// Function to find the hwmon directory registered for a device
+function getDeviceHwmonDir(deviceDir) {
+  const hwmonRoot = path.join(deviceDir, 'hwmon');
+  const [hwmon] = listDir(hwmonRoot);
+  return hwmon ? path.join(hwmonRoot, hwmon) : null;
+}
+
+// Function to read amdgpu metrics straight from sysfs (used when rocm-smi is not installed)
+function readAmdgpuSysfs(deviceDir) {
+  const hwmonDir = getDeviceHwmonDir(deviceDir);
+  const readNumber = filePath => filePath ? parseReading(readSysFile(filePath)) : null;
+  const bytesToMB = bytes => bytes === null ? null : Math.round(bytes / (1024 ** 2));
+
+  // Power is reported in microwatts; older kernels only have power1_average
+  const microWatts = hwmonDir ?
+    (readNumber(path.join(hwmonDir, 'power1_average')) ?? readNumber(path.join(hwmonDir, 'power1_input'))) : null;
+  const temperature = hwmonDir ? readNumber(path.join(hwmonDir, 'temp1_input')) : null;
+  const pwm = hwmonDir ? readNumber(path.join(hwmonDir, 'pwm1')) : null;
+
+  return {
+    source: 'amdgpu-sysfs',
+    utilization: readNumber(path.join(deviceDir, 'gpu_busy_percent')),
+    memoryUsedMB: bytesToMB(readNumber(path.join(deviceDir, 'mem_info_vram_used'))),
+    memoryTotalMB: bytesToMB(readNumber(path.join(deviceDir, 'mem_info_vram_total'))),
+    temperature: temperature === null ? null : Math.round(temperature / 1000),
+    coreClockMHz: parseDpmClock(readSysFile(path.join(deviceDir, 'pp_dpm_sclk'))),
+    memoryClockMHz: parseDpmClock(readSysFile(path.join(deviceDir, 'pp_dpm_mclk'))),
+    powerDrawW: microWatts === null ? null : Math.round(microWatts / 1e5) / 10,
+    fanSpeedPercent: pwm === null ? null : Math.round(pwm / 255 * 100)
+  };
+}
+
+// Function to read Intel i915/xe metrics from sysfs; busy percentage needs perf counters, so it stays unavailable
+function readIntelSysfs(cardDir) {
+  const hwmonDir = getDeviceHwmonDir(path.join(cardDir, 'device'));
+  const clock = parseReading(readSysFile(path.join(cardDir, 'gt_act_freq_mhz'))) ??
+    parseReading(readSysFile(path.join(cardDir, 'gt_cur_freq_mhz')));
+  const temperature = hwmonDir ? parseReading(readSysFile(path.join(hwmonDir, 'temp1_input'))) : null;
+
+  return {
+    source: 'i915-sysfs',
+    coreClockMHz: clock,
+    temperature: temperature === null ? null : Math.round(temperature / 1000)
+  };
+}
+
+// Function to list every GPU with the best metrics source available for its vendor
+async function getGPUDevices() {
+  const drmRoot = '/sys/class/drm';
+  const nvidiaDevices = await queryNvidiaSmi();
+  const devices = [...nvidiaDevices];
+  let rocmDevices = null;
+
+  for (const card of listDir(drmRoot).filter(name => /^card\d+$/.test(name))) {
+    const cardDir = path.join(drmRoot, card);
+    const deviceDir = path.join(cardDir, 'device');
+    const vendor = PCI_VENDORS[readSysFile(path.join(deviceDir, 'vendor'))];
+    const uevent = readSysFile(path.join(deviceDir, 'uevent'));
+    if (!uevent) continue;
+
+    // nvidia-smi already reported these cards with full metrics
+    if (vendor === 'NVIDIA' && nvidiaDevices.length > 0) continue;
+
+    const driver = (uevent.match(/^DRIVER=(.+)$/m) || [])[1];
+    const slot = (uevent.match(/^PCI_SLOT_NAME=(.+)$/m) || [])[1];
+    const name = (await getPciDeviceName(slot)) || driver || 'Unknown';
+
+    if (vendor === 'AMD') {
+      if (rocmDevices === null) rocmDevices = await queryRocmSmi();
+      if (rocmDevices.length > 0) continue;
+      devices.push(createGPUDevice({ name, vendor, ...readAmdgpuSysfs(deviceDir) }));
+    } else if (vendor === 'Intel') {
+      devices.push(createGPUDevice({ name, vendor, ...readIntelSysfs(cardDir) }));
+    } else if (slot) {
+      devices.push(createGPUDevice({ name, vendor: vendor || 'Unknown', source: 'drm' }));
+    }
+  }
+
+  return [...devices, ...(rocmDevices || [])].map((device, index) => ({ ...device, index }));
+}
+
+// Function to classify an hwmon chip / thermal zone by what it measures
+function getSensorType(chipName) {
+  if (/^(coretemp|k10temp|zenpower|cpu_thermal|x86_pkg_temp|soc_thermal)/.test(chipName)) return 'cpu';
+  if (/^(amdgpu|radeon|nouveau|i915|xe)$/.test(chipName)) return 'gpu';
+  if (/^(nvme|drivetemp)$/.test(chipName)) return 'disk';
+  if (/^acpitz/.test(chipName)) return 'system';
+  return 'other';
+}
+
+// Function to read a millidegree sysfs value in °C (null when missing)
+function readMilliDegrees(filePath) {
+  const milliDegrees = parseInt(readSysFile(filePath), 10);
+  return isNaN(milliDegrees) ? null : Math.round(milliDegrees / 100) / 10;
+}
+
+// Function to read every hwmon temperature channel
+function getHwmonSensors() {
+  const hwmonRoot = '/sys/class/hwmon';
+  const sensors = [];
+
+  listDir(hwmonRoot).forEach(hwmon => {
+    const hwmonDir = path.join(hwmonRoot, hwmon);
+    const chipName = readSysFile(path.join(hwmonDir, 'name')) || hwmon;
+
+    listDir(hwmonDir).filter(name => /^temp\d+_input$/.test(name)).forEach(input => {
+      const channel = input.replace('_input', '');
+      const current = readMilliDegrees(path.join(hwmonDir, input));
+      if (current === null) return;
+
+      const channelLabel = readSysFile(path.join(hwmonDir, `${channel}_label`)) || channel;
+      sensors.push({
+        id: `${hwmon}/${channel}`,
+        label: `${chipName} ${channelLabel}`,
+        type: getSensorType(chipName),
+        source: 'hwmon',
+        current,
+        critical: readMilliDegrees(path.join(hwmonDir, `${channel}_crit`)),
+        max: readMilliDegrees(path.join(hwmonDir, `${channel}_max`))
+      });
+    });
+  });
+
+  return sensors;
+}
+
+// Function to read thermal zones that are not already exported through hwmon
+function getThermalZoneSensors() {
+  const thermalRoot = '/sys/class/thermal';
+  const sensors = [];
+
+  listDir(thermalRoot).filter(name => name.startsWith('thermal_zone')).forEach(zone => {
+    const zoneDir = path.join(thermalRoot, zone);
+    const entries = listDir(zoneDir);
+    if (entries.some(name => name.startsWith('hwmon'))) return;
+
+    const current = readMilliDegrees(path.join(zoneDir, 'temp'));
+    if (current === null) return;
+
+    // The critical temperature is the trip point whose type is "critical"
+    const criticalTrip = entries
+      .filter(name => /^trip_point_\d+_type$/.test(name))
+      .find(name => readSysFile(path.join(zoneDir, name)) === 'critical');
+    const zoneType = readSysFile(path.join(zoneDir, 'type')) || zone;
+
+    sensors.push({
+      id: zone,
+      label: zoneType,
+      type: getSensorType(zoneType),
+      source: 'thermal_zone',
+      current,
+      critical: criticalTrip ? readMilliDegrees(path.join(zoneDir, criticalTrip.replace('_type', '_temp'))) : null,
+      max: null
+    });
+  });
+
+  return sensors;
+}
+
+// Function to read cumulative I/O counters for every whole disk from /proc/diskstats
+async function getDiskCounters() {
+  const content = readSysFile('/proc/diskstats');
+  if (!content) return [];
+
+  // /sys/block lists whole disks only; skip loop, ram and optical devices
+  const disks = new Set(listDir('/sys/block').filter(name => !/^(loop|ram|zram|sr|fd)\d*/.test(name)));
+  const SECTOR_SIZE = 512; // diskstats always counts 512-byte sectors
+
+  return content.split('\n').map(line => line.trim().split(/\s+/)).filter(fields => disks.has(fields[2])).map(fields => {
+    const value = index => parseInt(fields[index], 10) || 0;
+    return {
+      name: fields[2],
+      readsCompleted: value(3),
+      readBytes: value(5) * SECTOR_SIZE,
+      readTimeMs: value(6),
+      writesCompleted: value(7),
+      writeBytes: value(9) * SECTOR_SIZE,
+      writeTimeMs: value(10),
+      inProgress: value(11),
+      ioTimeMs: value(12),
+      weightedIoTimeMs: value(13)
+    };
+  });
+}
+
+// Cached uid -> user name map from /etc/passwd
+let userNames = null;
+
+// Function to resolve a uid to a user name
+function getUserName(uid) {
+  if (!userNames) {
+    userNames = {};
+    (readSysFile('/etc/passwd') || '').split('\n').forEach(line => {
+      const [name, , id] = line.split(':');
+      if (name && id) userNames[id] = name;
+    });
+  }
+  return userNames[uid] || uid;
+}
+
+// Cached kernel clock tick rate used by /proc/[pid]/stat times
+let clockTicksPerSecond = null;
+
+// Function to get the kernel clock tick rate (USER_HZ)
+function getClockTicks() {
+  if (clockTicksPerSecond === null) {
+    try {
+      clockTicksPerSecond = parseInt(execSync('getconf CLK_TCK', { encoding: 'utf8', timeout: 2000 }), 10) || 100;
+    } catch (error) {
+      clockTicksPerSecond = 100;
+    }
+  }
+  return clockTicksPerSecond;
+}
+
+// Function to read every process from /proc/[pid]/stat, status and cmdline
+async function getProcesses() {
+  const ticks = getClockTicks();
+  const bootTimeLine = (readSysFile('/proc/stat') || '').split('\n').find(line => line.startsWith('btime'));
+  const bootTimeMs = bootTimeLine ? parseInt(bootTimeLine.split(/\s+/)[1], 10) * 1000 : Date.now() - os.uptime() * 1000;
+
+  return listDir('/proc').filter(name => /^\d+$/.test(name)).map(pid => {
+    const stat = readSysFile(`/proc/${pid}/stat`);
+    if (!stat) return null; // Process exited while we were listing
+
+    // The command name may contain spaces and parentheses, so split around the last ')'
+    const nameStart = stat.indexOf('(');
+    const nameEnd = stat.lastIndexOf(')');
+    const name = stat.slice(nameStart + 1, nameEnd);
+    const fields = stat.slice(nameEnd + 2).split(' ');
+    const field = index => parseInt(fields[index], 10) || 0;
+
+    const status = readSysFile(`/proc/${pid}/status`) || '';
+    const statusValue = key => {
+      const match = new RegExp(`^${key}:\\s+(.+)$`, 'm').exec(status);
+      return match ? match[1] : '';
+    };
+    const command = (readSysFile(`/proc/${pid}/cmdline`) || '').split('\0').filter(Boolean).join(' ');
+
+    return {
+      pid: parseInt(pid, 10),
+      ppid: field(1),
+      name,
+      command: command || `[${name}]`, // Kernel threads have no command line
+      user: getUserName(statusValue('Uid').split(/\s+/)[0]),
+      state: fields[0],
+      priority: parseInt(fields[16], 10) || 0, // nice value, may be negative
+      cpuTimeMs: (field(11) + field(12)) / ticks * 1000,
+      rssBytes: (parseInt(statusValue('VmRSS'), 10) || 0) * 1024,
+      threads: field(17),
+      startTime: Math.round(bootTimeMs + field(19) / ticks * 1000)
+    };
+  }).filter(Boolean);
+}
+
+// Function to read per-core CPU times from /proc/stat and the live clock from cpufreq
+async function getCpuCounters() {
+  const toMs = 1000 / getClockTicks();
+  const lines = (readSysFile('/proc/stat') || '').split('\n').filter(line => /^cpu\d+ /.test(line));
+
+  return lines.map(line => {
+    const [name, ...values] = line.trim().split(/\s+/);
+    const index = parseInt(name.slice(3), 10);
+    const time = position => (parseInt(values[position], 10) || 0) * toMs;
+
+    // scaling_cur_freq is in kHz; cores without a cpufreq driver (most VMs) have no live clock
+    const frequencyKHz = parseInt(readSysFile(`/sys/devices/system/cpu/cpu${index}/cpufreq/scaling_cur_freq`), 10);
+
+    return {
+      index,
+      user: time(0),
+      nice: time(1),
+      system: time(2),
+      idle: time(3),
+      iowait: time(4),
+      irq: time(5),
+      softirq: time(6),
+      steal: time(7),
+      frequencyMHz: frequencyKHz ? Math.round(frequencyKHz / 1000) : null
+    };
+  });
+}
+
+// Function to pause a process; it shows up in state T until resumed
+async function suspendProcess(pid) {
+  signalProcess(pid, 'SIGSTOP', 'suspend');
+}
+
+// Function to let a suspended process run again
+async function resumeProcess(pid) {
+  signalProcess(pid, 'SIGCONT', 'resume');
+}
+
+// Function to get every temperature sensor the kernel exposes
+async function getThermalSensors() {
+  return [...getHwmonSensors(), ...getThermalZoneSensors()];
+}
+
+// Function to get the SMART status of every disk (needs smartctl from smartmontools)
+async function getDiskHealth() {
+  return querySmartctl();
+}
+
+// Function to find crashes since a time: kernel panics, oopses and OOM kills in the journal (every boot), plus coredumps
+async function getCrashEvents(sinceMs) {
+  // journalctl happily reports nothing when journald never ran, which would read as "no crashes"
+  if (!['/var/log/journal', '/run/log/journal'].some(directory => fs.existsSync(directory))) return null;
+
+  const since = `@${Math.floor(sinceMs / 1000)}`;
+  const kernelLog = await runTool(`journalctl _TRANSPORT=kernel --since=${since} -o short-unix --no-pager -q -n 20000`, { timeout: 20000 });
+  if (kernelLog === null) return null;
+
+  // coredumpctl exits with 1 when there is nothing to list; without systemd-coredump there is simply nothing to add
+  let coredumps = [];
+  try {
+    const output = await runTool(`coredumpctl list --since=${since} --json=short --no-pager -q`, { timeout: 10000, okCodes: [0, 1] });
+    coredumps = output && output.trim() ? parseCoredumps(output) : [];
+  } catch (error) {
+    console.error('Error listing coredumps:', error.message);
+  }
+
+  return [...parseKernelCrashes(kernelLog), ...coredumps].sort((a, b) => b.time - a.time);
+}
+
+// Function to list the systemd units that failed
+async function getFailedServices() {
+  try {
+    const output = await runTool('systemctl list-units --state=failed --plain --no-legend --no-pager');
+    return output === null ? null : parseFailedUnits(output);
+  } catch (error) {
+    // Containers and other systems without systemd as init have no units to ask about
+    if (/not been booted with systemd|Failed to connect to bus/i.test(error.message)) return null;
+    throw error;
+  }
+}
+
+// Function to list pending package updates from the cached package lists (nothing is downloaded)
+async function getPendingUpdates() {
+  if (fs.existsSync('/usr/bin/apt')) {
+    return { manager: 'apt', updates: parseAptUpgradable(await runTool('apt list --upgradable 2>/dev/null', { timeout: 30000 })) };
+  }
+  if (fs.existsSync('/usr/bin/dnf')) {
+    // dnf exits with 100 when updates are available
+    const output = await runTool('dnf check-update -q --cacheonly', { timeout: 60000, okCodes: [0, 100] });
+    return { manager: 'dnf', updates: parseDnfCheckUpdate(output) };
+  }
+  if (fs.existsSync('/usr/bin/checkupdates')) {
+    // checkupdates exits with 2 when there is nothing to update
+    const output = await runTool('checkupdates', { timeout: 60000, okCodes: [0, 2] });
+    return { manager: 'pacman', updates: parseCheckupdates(output) };
+  }
+  return null;
+}
+
+// Function to read the batteries and AC adapters in /sys/class/power_supply (null when the class is missing)
+async function getPowerSupplies() {
+  const baseDir = '/sys/class/power_supply';
+  if (!fs.existsSync(baseDir)) return null;
+
+  let acOnline = null;
+  const batteries = [];
+  listDir(baseDir).forEach(name => {
+    const uevent = readSysFile(path.join(baseDir, name, 'uevent'));
+    if (!uevent) return;
+    const fields = parsePowerSupplyUevent(uevent);
+
+    if (fields.TYPE === 'Mains' || fields.TYPE === 'USB') {
+      if (fields.ONLINE !== undefined) acOnline = acOnline || fields.ONLINE === '1';
+    } else if (fields.TYPE === 'Battery' && fields.SCOPE !== 'Device' && fields.PRESENT !== '0') {
+      // SCOPE=Device marks the batteries of mice, keyboards and other peripherals
+      batteries.push(batteryFromSysfs(name, fields));
+    }
+  });
+
+  return { acOnline, batteries };
+}
+
+// Function to read a DMI identity field (null when missing, root-only or a firmware placeholder)
+function readDmiField(name) {
+  const value = readSysFile(path.join('/sys/class/dmi/id', name));
+  return value && !/^(to be filled by o\.e\.m\.|default string|not specified|system serial number|none)$/i.test(value) ? value : null;
+}
+
+// Function to read `lsblk -J` output into its device list (null when it is not the JSON lsblk prints)
+function parseLsblkJson(output) {
+  try {
+    const { blockdevices } = JSON.parse(output);
+    return Array.isArray(blockdevices) ? blockdevices : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to list the whole disks with their model and serial number (lsblk, or sysfs without it)
+async function getInventoryDisks() {
+  const output = await runTool('lsblk -J -d -b -o NAME,MODEL,SERIAL,SIZE,TRAN,ROTA,TYPE', { timeout: 5000 }).catch(() => null);
+  const blockDevices = output ? parseLsblkJson(output) : null;
+  if (blockDevices) {
+    return blockDevices
+      .filter(device => device.type === 'disk' && !/^(loop|ram|zram)/.test(device.name))
+      .map(device => ({
+        name: device.name,
+        model: device.model ? device.model.trim() : null,
+        serialNumber: device.serial ? device.serial.trim() : null,
+        sizeGB: device.size ? Math.round(Number(device.size) / 1e9) : null,
+        interface: device.tran ? device.tran.toUpperCase() : null,
+        mediaType: device.rota === true || device.rota === '1' ? 'HDD' : device.tran === 'nvme' || device.rota === false || device.rota === '0' ? 'SSD' : null
+      }));
+  }
+
+  return listDir('/sys/block')
+    .filter(name => !/^(loop|ram|zram|dm-|md|sr)/.test(name))
+    .map(name => {
+      const deviceDir = path.join('/sys/block', name, 'device');
+      const sectors = parseInt(readSysFile(path.join('/sys/block', name, 'size')), 10);
+      const rotational = readSysFile(path.join('/sys/block', name, 'queue/rotational'));
+      return {
+        name,
+        model: readSysFile(path.join(deviceDir, 'model')),
+        serialNumber: readSysFile(path.join(deviceDir, 'serial')),
+        sizeGB: sectors ? Math.round(sectors * 512 / 1e9) : null,
+        interface: name.startsWith('nvme') ? 'NVME' : null,
+        mediaType: rotational === '1' ? 'HDD' : rotational === '0' ? 'SSD' : null
+      };
+    });
+}
+
+// Function to list the physical network adapters (those backed by a device) with their MAC addresses
+function getInventoryAdapters() {
+  return listDir('/sys/class/net')
+    .filter(name => fs.existsSync(path.join('/sys/class/net', name, 'device')))
+    .map(name => {
+      const driver = readSysFile(path.join('/sys/class/net', name, 'device/uevent'));
+      const driverMatch = driver && /^DRIVER=(.+)$/m.exec(driver);
+      return {
+        name,
+        description: driverMatch ? driverMatch[1] : null,
+        macAddress: readSysFile(path.join('/sys/class/net', name, 'address')),
+        type: fs.existsSync(path.join('/sys/class/net', name, 'wireless')) ? 'Wi-Fi' : 'Ethernet'
+      };
+    });
+}
+
+// Function to read the hardware inventory details the live collectors do not need: BIOS, system identity,
+// disks with serials, network adapters with MAC addresses and the OS build
+async function getInventoryDetails() {
+  const osRelease = Object.fromEntries((readSysFile('/etc/os-release') || '').split('\n')
+    .map(line => /^([A-Z_]+)="?(.*?)"?$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(match => [match[1], match[2]]));
+
+  return {
+    bios: {
+      vendor: readDmiField('bios_vendor'),
+      version: readDmiField('bios_version'),
+      date: readDmiField('bios_date')
+    },
+    system: {
+      manufacturer: readDmiField('sys_vendor'),
+      model: readDmiField('product_name'),
+      // Readable by root only
+      serialNumber: readDmiField('product_serial')
+    },
+    disks: await getInventoryDisks(),
+    networkAdapters: getInventoryAdapters(),
+    os: {
+      name: osRelease.PRETTY_NAME || os.type(),
+      version: osRelease.VERSION_ID || null,
+      build: os.release()
+    }
+  };
+}
+
+// Network filesystems are "nodev" in /proc/filesystems but still hold real data
+const NETWORK_FILESYSTEMS = new Set(['nfs', 'nfs4', 'cifs', 'smb3', 'fuse.sshfs']);
+
+// Function to decode the octal escapes /proc/mounts uses for spaces, tabs and backslashes
+function decodeMountField(field) {
+  return field.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+// Function to list the filesystem types that live on a block device
+function getBlockFilesystems() {
+  const content = readSysFile('/proc/filesystems') || '';
+  return new Set(content.split('\n')
+    .filter(line => line.trim() && !line.startsWith('nodev'))
+    .map(line => line.trim()));
+}
+
+// Function to resolve a device path through any symlinks (e.g. /dev/mapper/*)
+function resolveDevice(device) {
+  try {
+    return fs.realpathSync(device);
+  } catch (error) {
+    return device;
+  }
+}
+
+// Function to map block devices to their filesystem labels via udev's by-label links
+function getVolumeLabels() {
+  const labelRoot = '/dev/disk/by-label';
+  const labels = {};
+
+  listDir(labelRoot).forEach(label => {
+    // udev escapes spaces and other characters as \xNN
+    labels[resolveDevice(path.join(labelRoot, label))] =
+      label.replace(/\\x([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  });
+
+  return labels;
+}
+
+// Function to enumerate every mounted volume backed by real storage
+async function getVolumes() {
+  const blockFilesystems = getBlockFilesystems();
+  const labels = getVolumeLabels();
+  const seenDevices = new Set();
+  const mounts = [];
+
+  (readSysFile('/proc/mounts') || '').split('\n').forEach(line => {
+    const [device, rawMountPoint, fsType, options = ''] = line.split(' ');
+    if (!device || !rawMountPoint) return;
+    if (!blockFilesystems.has(fsType) && !NETWORK_FILESYSTEMS.has(fsType)) return;
+
+    // Skip snap/AppImage squashfs images and bind mounts of a device already listed
+    const resolvedDevice = resolveDevice(device);
+    if (fsType === 'squashfs' || seenDevices.has(resolvedDevice)) return;
+    seenDevices.add(resolvedDevice);
+
+    mounts.push({ device, resolvedDevice, mountPoint: decodeMountField(rawMountPoint), fsType, options });
+  });
+
+  const volumes = await Promise.all(mounts.map(async ({ device, resolvedDevice, mountPoint, fsType, options }) => {
+    try {
+      // A share that does not answer is still listed, without its sizes
+      const stats = await statVolume(mountPoint);
+      if (stats && stats.blocks === 0) return null;
+      if (!stats) console.error(`Volume ${mountPoint} is not responding`);
+
+      return createVolume({
+        mountPoint,
+        device,
+        fsType,
+        label: labels[resolvedDevice] || '',
+        readOnly: options.split(',').includes('ro'),
+        system: mountPoint === '/',
+        ...statsToBytes(stats)
+      });
+    } catch (error) {
+      console.error(`Error reading volume ${mountPoint}:`, error.message);
+      return null;
+    }
+  }));
+
+  return volumes.filter(Boolean);
+}
+
+module.exports = {
+  getDetailedCPUInfo,
+  getDetailedRAMInfo,
+  getMotherboardInfo,
+  getNetworkInfo,
+  getNetworkCounters,
+  getGPUDevices,
+  getVolumes,
+  getDiskCounters,
+  getProcesses,
+  getCpuCounters,
+  suspendProcess,
+  resumeProcess,
+  getThermalSensors,
+  getDiskHealth,
+  getCrashEvents,
+  getFailedServices,
+  getPendingUpdates,
+  getPowerSupplies,
+  getInventoryDetails,
+  // Shared sysfs helpers
+  readSysFile,
+  listDir,
+  parseKeyValueBlocks,
+  readMeminfo
+};
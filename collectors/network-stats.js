@@ -0,0 +1,50 @@
+// Per-interface throughput, computed from the counters returned by getNetworkCounters()
+
+// Previous counter snapshot, keyed by interface name
+let previousSample = null;
+
+// Function to get the growth of a counter between two samples (counters restart from 0 when an adapter resets)
+function counterDelta(current, previous) {
+  return current >= previous ? current - previous : current;
+}
+
+// Function to turn a counter delta into a per-second rate
+function ratePerSecond(current, previous, elapsedSeconds) {
+  return Math.round(counterDelta(current, previous) / elapsedSeconds);
+}
+
+// Function to sample throughput for every interface; rates are null until a previous sample exists
+function sampleNetworkThroughput(counters, timestamp = Date.now()) {
+  const elapsedSeconds = previousSample ? (timestamp - previousSample.timestamp) / 1000 : 0;
+
+  const interfaces = counters.map(counter => {
+    const previous = previousSample && previousSample.counters[counter.name];
+    const hasRate = Boolean(previous) && elapsedSeconds > 0;
+
+    return {
+      ...counter,
+      rxBytesPerSec: hasRate ? ratePerSecond(counter.rxBytes, previous.rxBytes, elapsedSeconds) : null,
+      txBytesPerSec: hasRate ? ratePerSecond(counter.txBytes, previous.txBytes, elapsedSeconds) : null
+    };
+  });
+
+  previousSample = {
+    timestamp,
+    counters: Object.fromEntries(counters.map(counter => [counter.name, counter]))
+  };
+
+  // The adapter that has moved the most data since boot is the best default
+  const primary = interfaces.reduce((busiest, iface) =>
+    (!busiest || iface.rxBytes + iface.txBytes > busiest.rxBytes + busiest.txBytes) ? iface : busiest, null);
+
+  return {
+    interfaces,
+    primary: primary ? primary.name : null
+  };
+}
+
+module.exports = {
+  counterDelta,
+  ratePerSecond,
+  sampleNetworkThroughput
+};
@@ -0,0 +1,248 @@
+// Battery and AC adapter helpers shared by the platform backends. A backend's getPowerSupplies() returns null
+// when the platform has no data source, otherwise { acOnline, batteries } with every battery as
+//   { id, manufacturer, model, technology, status, percent, energyNowWh, energyFullWh, energyDesignWh,
+//     wearPercent, cycleCount, powerW, voltageV, timeToEmptyMin, timeToFullMin }
+// status is 'charging', 'discharging', 'full', 'idle' (plugged in but not charging) or 'unknown', and powerW is
+// the rate the battery is charging or discharging at. Anything a battery does not report is null.
+
+// power_supply status strings in sysfs
+const SYSFS_STATUS = {
+  Charging: 'charging',
+  Discharging: 'discharging',
+  Full: 'full',
+  'Not charging': 'idle'
+};
+
+// Win32_Battery BatteryStatus codes
+const WIN32_BATTERY_STATUS = {
+  1: 'discharging',
+  2: 'idle',
+  3: 'full',
+  6: 'charging',
+  7: 'charging',
+  8: 'charging',
+  9: 'charging'
+};
+
+// Win32_Battery reports this run time while on AC power or still estimating
+const WIN32_UNKNOWN_RUN_TIME = 71582788;
+
+// Function to round to a number of decimals, keeping null
+function round(value, decimals = 1) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Function to build a battery record, working out what the platform left for us to compute
+function createBattery(fields) {
+  const battery = {
+    id: null,
+    manufacturer: null,
+    model: null,
+    technology: null,
+    status: 'unknown',
+    percent: null,
+    energyNowWh: null,
+    energyFullWh: null,
+    energyDesignWh: null,
+    cycleCount: null,
+    powerW: null,
+    voltageV: null,
+    timeToEmptyMin: null,
+    timeToFullMin: null,
+    ...fields
+  };
+  const { energyNowWh, energyFullWh, energyDesignWh, powerW, status } = battery;
+
+  if (battery.percent === null && energyNowWh !== null && energyFullWh) {
+    battery.percent = Math.min(100, energyNowWh / energyFullWh * 100);
+  }
+  // Times from the energy left (or still to go) at the current rate, when the platform gives none
+  if (battery.timeToEmptyMin === null && status === 'discharging' && powerW > 0 && energyNowWh !== null) {
+    battery.timeToEmptyMin = energyNowWh / powerW * 60;
+  }
+  if (battery.timeToFullMin === null && status === 'charging' && powerW > 0 && energyNowWh !== null && energyFullWh) {
+    battery.timeToFullMin = Math.max(0, energyFullWh - energyNowWh) / powerW * 60;
+  }
+
+  return {
+    ...battery,
+    percent: round(battery.percent),
+    energyNowWh: round(energyNowWh, 2),
+    energyFullWh: round(energyFullWh, 2),
+    energyDesignWh: round(energyDesignWh, 2),
+    // Capacity lost against the design capacity; a new battery can read slightly above it
+    wearPercent: energyFullWh && energyDesignWh ? round(Math.max(0, (1 - energyFullWh / energyDesignWh) * 100)) : null,
+    powerW: round(powerW, 2),
+    voltageV: round(battery.voltageV, 2),
+    timeToEmptyMin: battery.timeToEmptyMin !== null ? Math.round(battery.timeToEmptyMin) : null,
+    timeToFullMin: battery.timeToFullMin !== null ? Math.round(battery.timeToFullMin) : null
+  };
+}
+
+// Function to read a /sys/class/power_supply/<name>/uevent file ("POWER_SUPPLY_<KEY>=<value>" lines)
+function parsePowerSupplyUevent(content) {
+  const fields = {};
+  content.split('\n').forEach(line => {
+    const match = /^POWER_SUPPLY_([A-Z0-9_]+)=(.*)$/.exec(line.trim());
+    if (match) fields[match[1]] = match[2].trim();
+  });
+  return fields;
+}
+
+// Function to turn one power_supply battery into a battery record. sysfs uses µWh for energy, µAh for charge,
+// µV, µW and µA; charge-only batteries are converted to energy with their design voltage.
+function batteryFromSysfs(name, fields) {
+  const number = key => {
+    const value = parseFloat(fields[key]);
+    return Number.isFinite(value) ? value : null;
+  };
+  const voltage = number('VOLTAGE_MIN_DESIGN') || number('VOLTAGE_NOW');
+  const energy = key => {
+    if (number(`ENERGY_${key}`) !== null) return number(`ENERGY_${key}`) / 1e6;
+    return number(`CHARGE_${key}`) !== null && voltage ? number(`CHARGE_${key}`) * voltage / 1e12 : null;
+  };
+
+  // Some drivers sign the current by direction; the status already says which way it flows
+  let powerW = null;
+  if (number('POWER_NOW') !== null) {
+    powerW = Math.abs(number('POWER_NOW')) / 1e6;
+  } else if (number('CURRENT_NOW') !== null && number('VOLTAGE_NOW') !== null) {
+    powerW = Math.abs(number('CURRENT_NOW') * number('VOLTAGE_NOW')) / 1e12;
+  }
+
+  const status = SYSFS_STATUS[fields.STATUS] || 'unknown';
+  return createBattery({
+    id: name,
+    manufacturer: fields.MANUFACTURER || null,
+    model: fields.MODEL_NAME || null,
+    technology: fields.TECHNOLOGY || null,
+    status,
+    percent: number('CAPACITY'),
+    energyNowWh: energy('NOW'),
+    energyFullWh: energy('FULL'),
+    energyDesignWh: energy('FULL_DESIGN'),
+    cycleCount: number('CYCLE_COUNT') || null, // 0 means the driver does not count
+    powerW: status === 'charging' || status === 'discharging' ? powerW : 0,
+    voltageV: number('VOLTAGE_NOW') !== null ? number('VOLTAGE_NOW') / 1e6 : null,
+    timeToEmptyMin: number('TIME_TO_EMPTY_NOW') !== null ? number('TIME_TO_EMPTY_NOW') / 60 : null,
+    timeToFullMin: number('TIME_TO_FULL_NOW') !== null ? number('TIME_TO_FULL_NOW') / 60 : null
+  });
+}
+
+// Function to read the batteries out of `powercfg /batteryreport /xml` (capacities in mWh)
+function parseBatteryReport(xml) {
+  const blocks = xml.match(/<Battery>[\s\S]*?<\/Battery>/g) || [];
+  return blocks.map(block => {
+    const value = tag => {
+      const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(block);
+      return match ? match[1].trim() : null;
+    };
+    const number = tag => {
+      const parsed = parseFloat(value(tag));
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+    return {
+      id: value('Id'),
+      manufacturer: value('Manufacturer'),
+      technology: value('Chemistry'),
+      designCapacityWh: number('DesignCapacity') ? number('DesignCapacity') / 1000 : null,
+      fullCapacityWh: number('FullChargeCapacity') ? number('FullChargeCapacity') / 1000 : null,
+      cycleCount: number('CycleCount') || null
+    };
+  });
+}
+
+// Function to build the battery records on Windows from Win32_Battery, the root\wmi battery classes
+// (mWh, mW and mV) and the powercfg battery report; the lists are matched up by position
+function batteriesFromWindows({ batteries = [], status = [], full = [], cycles = [] }, report = []) {
+  return batteries.map((battery, index) => {
+    const wmi = status[index] || {};
+    const reported = report[index] || {};
+    const energyFullWh = full[index] && full[index].FullChargedCapacity ? full[index].FullChargedCapacity / 1000 :
+      reported.fullCapacityWh || null;
+    const runTime = battery.EstimatedRunTime;
+
+    let batteryStatus = WIN32_BATTERY_STATUS[battery.BatteryStatus] || 'unknown';
+    if (wmi.Charging) batteryStatus = 'charging';
+    if (wmi.Discharging) batteryStatus = 'discharging';
+    const rate = batteryStatus === 'charging' ? wmi.ChargeRate : batteryStatus === 'discharging' ? wmi.DischargeRate : 0;
+
+    return createBattery({
+      id: battery.DeviceID || `Battery ${index}`,
+      manufacturer: reported.manufacturer || null,
+      model: battery.Name || null,
+      technology: reported.technology || null,
+      status: batteryStatus,
+      percent: battery.EstimatedChargeRemaining !== null && battery.EstimatedChargeRemaining !== undefined ?
+        battery.EstimatedChargeRemaining : null,
+      energyNowWh: wmi.RemainingCapacity ? wmi.RemainingCapacity / 1000 : null,
+      energyFullWh,
+      energyDesignWh: reported.designCapacityWh || null,
+      cycleCount: (cycles[index] && cycles[index].CycleCount) || reported.cycleCount || null,
+      powerW: typeof rate === 'number' ? Math.abs(rate) / 1000 : null,
+      voltageV: wmi.Voltage ? wmi.Voltage / 1000 : null,
+      timeToEmptyMin: batteryStatus === 'discharging' && runTime && runTime !== WIN32_UNKNOWN_RUN_TIME ? runTime : null
+    });
+  });
+}
+
+// Function to sum up the batteries for the Battery card and the metrics:
+// { available, acOnline, status, percent, powerW, timeToEmptyMin, timeToFullMin, batteries }
+function summarizePower(supplies) {
+  const batteries = supplies ? supplies.batteries : [];
+  if (batteries.length === 0) {
+    return {
+      available: false,
+      acOnline: supplies ? supplies.acOnline : null,
+      status: 'unknown',
+      percent: null,
+      powerW: null,
+      timeToEmptyMin: null,
+      timeToFullMin: null,
+      batteries: []
+    };
+  }
+
+  const statuses = batteries.map(battery => battery.status);
+  let status = 'unknown';
+  if (statuses.includes('discharging')) status = 'discharging';
+  else if (statuses.includes('charging')) status = 'charging';
+  else if (statuses.every(value => value === 'full')) status = 'full';
+  else if (statuses.some(value => value === 'idle' || value === 'full') || supplies.acOnline) status = 'idle';
+
+  // Weight each battery's charge by its capacity when every one reports it
+  const withPercent = batteries.filter(battery => battery.percent !== null);
+  const weighted = withPercent.every(battery => battery.energyFullWh);
+  const weight = battery => weighted ? battery.energyFullWh : 1;
+  const percent = withPercent.length > 0 ? withPercent.reduce((total, battery) => total + battery.percent * weight(battery), 0) /
+    withPercent.reduce((total, battery) => total + weight(battery), 0) : null;
+
+  const moving = batteries.filter(battery => battery.status === status && battery.powerW !== null);
+  const minutes = key => {
+    const known = batteries.filter(battery => battery[key] !== null);
+    return known.length > 0 ? known.reduce((total, battery) => total + battery[key], 0) : null;
+  };
+
+  return {
+    available: true,
+    acOnline: supplies.acOnline !== null ? supplies.acOnline : status !== 'discharging',
+    status,
+    percent: round(percent),
+    powerW: moving.length > 0 ? round(moving.reduce((total, battery) => total + battery.powerW, 0), 2) : null,
+    // Batteries drain and fill one after the other on most dual-battery laptops, so the times add up
+    timeToEmptyMin: status === 'discharging' ? minutes('timeToEmptyMin') : null,
+    timeToFullMin: status === 'charging' ? minutes('timeToFullMin') : null,
+    batteries
+  };
+}
+
+module.exports = {
+  createBattery,
+  parsePowerSupplyUevent,
+  batteryFromSysfs,
+  parseBatteryReport,
+  batteriesFromWindows,
+  summarizePower
+};
@@ -0,0 +1,27 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+// PowerShell helpers for the Windows backend and the Windows security providers
+
+const execAsync = promisify(exec);
+
+// Function to run a PowerShell script without having to escape it for cmd.exe
+async function runPowerShell(script, timeout = 5000) {
+  const encoded = Buffer.from(script, 'utf16le').toString('base64');
+  const { stdout } = await execAsync(`powershell -NoProfile -NonInteractive -EncodedCommand ${encoded}`,
+    { encoding: 'utf8', timeout, maxBuffer: 32 * 1024 * 1024 });
+  return stdout;
+}
+
+// Function to run a PowerShell script that ends in ConvertTo-Json and always get a list back
+async function runPowerShellJson(script, timeout) {
+  const result = await runPowerShell(script, timeout);
+  if (!result.trim()) return [];
+  const parsed = JSON.parse(result);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+module.exports = {
+  runPowerShell,
+  runPowerShellJson
+};
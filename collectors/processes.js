@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+
+// Per-process CPU usage, computed from the cumulative CPU time returned by getProcesses():
+// { pid, ppid, name, command, user, state, priority, cpuTimeMs, rssBytes, threads, startTime }
+// priority uses the Unix nice scale (-20 highest .. 19 lowest) on every platform
+
+// Previous CPU times, keyed by pid + start time so a recycled pid is not mistaken for the old process
+let previousSample = null;
+
+// Function to build the identity key of a process
+function getProcessKey(proc) {
+  return `${proc.pid}:${proc.startTime}`;
+}
+
+// Function to add cpuPercent (share of the whole machine, like the CPU card) to every process
+function sampleProcesses(processes, timestamp = Date.now(), cpuCount = os.cpus().length) {
+  const elapsedMs = previousSample ? timestamp - previousSample.timestamp : 0;
+
+  const sampled = processes.map(proc => {
+    const previousCpuTime = previousSample ? previousSample.cpuTimes[getProcessKey(proc)] : undefined;
+    const cpuPercent = previousCpuTime !== undefined && elapsedMs > 0 ?
+      Math.max(0, Math.min(100, Math.round((proc.cpuTimeMs - previousCpuTime) / (elapsedMs * cpuCount) * 1000) / 10)) :
+      null;
+    return { ...proc, cpuPercent };
+  });
+
+  previousSample = {
+    timestamp,
+    cpuTimes: Object.fromEntries(processes.map(proc => [getProcessKey(proc), proc.cpuTimeMs]))
+  };
+
+  return sampled;
+}
+
+// Priority levels offered by the process view, mapped to the nice values Node uses on every platform
+const PRIORITY_LEVELS = {
+  low: os.constants.priority.PRIORITY_LOW,
+  belowNormal: os.constants.priority.PRIORITY_BELOW_NORMAL,
+  normal: os.constants.priority.PRIORITY_NORMAL,
+  aboveNormal: os.constants.priority.PRIORITY_ABOVE_NORMAL,
+  high: os.constants.priority.PRIORITY_HIGH,
+  highest: os.constants.priority.PRIORITY_HIGHEST
+};
+
+// How long a process gets to exit after SIGTERM before it is killed
+const TERMINATE_TIMEOUT_MS = 3000;
+
+// Function to turn a failed kill/setpriority call into a message the user can act on
+function describeProcessError(error, pid, action) {
+  // os.setPriority wraps the errno in a SystemError
+  const code = error.info ? error.info.code : error.code;
+
+  if (code === 'EPERM' || code === 'EACCES') {
+    return new Error(`Permission denied: cannot ${action} PID ${pid}. ` +
+      'It belongs to another user or needs administrator rights.');
+  }
+  if (code === 'ESRCH') {
+    return new Error(`PID ${pid} is no longer running.`);
+  }
+  return new Error(`Could not ${action} PID ${pid}: ${error.message}`);
+}
+
+// Function to check whether a Linux process has exited but not been reaped by its parent yet (state Z)
+function isZombie(pid) {
+  if (process.platform !== 'linux') return false;
+  try {
+    // The state follows the command name, which may itself contain spaces and parentheses
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3) === 'Z';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to check whether a pid is still running (signal 0 only probes); a zombie has already exited
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    if (error.code !== 'EPERM') return false;
+  }
+  return !isZombie(pid);
+}
+
+// Function to ask a process to exit, killing it if it is still around after the timeout.
+// On Windows both signals end the process immediately, as Node maps them to TerminateProcess.
+async function terminateProcess(pid, timeoutMs = TERMINATE_TIMEOUT_MS) {
+  try {
+    process.kill(pid, 'SIGTERM');
+  } catch (error) {
+    throw describeProcessError(error, pid, 'end');
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    if (!isProcessRunning(pid)) return { forced: false };
+  }
+
+  try {
+    process.kill(pid, 'SIGKILL');
+  } catch (error) {
+    // It exited between the last check and now
+    if (error.code === 'ESRCH') return { forced: false };
+    throw describeProcessError(error, pid, 'kill');
+  }
+  return { forced: true };
+}
+
+// Function to send a job-control signal (SIGSTOP/SIGCONT) on platforms that support them
+function signalProcess(pid, signal, action) {
+  try {
+    process.kill(pid, signal);
+  } catch (error) {
+    throw describeProcessError(error, pid, action);
+  }
+}
+
+// Function to change the scheduling priority of a process to one of PRIORITY_LEVELS
+function setProcessPriority(pid, level) {
+  if (!(level in PRIORITY_LEVELS)) {
+    throw new Error(`Unknown priority level: ${level}`);
+  }
+
+  try {
+    os.setPriority(pid, PRIORITY_LEVELS[level]);
+  } catch (error) {
+    throw describeProcessError(error, pid, 'change the priority of');
+  }
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  describeProcessError,
+  isProcessRunning,
+  sampleProcesses,
+  setProcessPriority,
+  signalProcess,
+  terminateProcess
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+
+// Volume helpers shared by the platform backends.
+// Every volume is reported as:
+// { mountPoint, device, fsType, label, readOnly, system,
+//   totalGB, usedGB, freeGB, usagePercentage }
+// The sizes are null for a volume that did not answer in time (a hung network share).
+
+// statfs on an unreachable network share can hang for minutes, so stop waiting after this long
+const STATFS_TIMEOUT_MS = 2000;
+
+// statfs calls still running, by mount point, so a hung share ties up one thread-pool thread rather than one per probe
+const pendingStats = new Map();
+
+// Function to round a byte count to GB with one decimal, like the original C: probe
+function toGB(bytes) {
+  return Math.round(bytes / (1024 ** 3) * 10) / 10;
+}
+
+// Function to build a volume record from raw byte counts (null counts when the volume could not be read)
+function createVolume({ totalBytes, freeBytes, usedBytes = totalBytes - freeBytes, ...fields }) {
+  const volume = {
+    mountPoint: '',
+    device: '',
+    fsType: 'Unknown',
+    label: '',
+    readOnly: false,
+    system: false,
+    ...fields,
+    totalGB: null,
+    usedGB: null,
+    freeGB: null,
+    usagePercentage: null
+  };
+  if (typeof totalBytes !== 'number') return volume;
+
+  // Match df: usage is relative to the space available to unprivileged users
+  const usableBytes = usedBytes + freeBytes;
+  const usagePercentage = usableBytes > 0 ? (usedBytes / usableBytes) * 100 : 0;
+
+  return {
+    ...volume,
+    totalGB: toGB(totalBytes),
+    usedGB: toGB(usedBytes),
+    freeGB: toGB(freeBytes),
+    usagePercentage: Math.round(usagePercentage * 100) / 100
+  };
+}
+
+// Function to statfs a mount point without blocking the main process; resolves null when it does not answer
+// within the timeout, and rejects like fs.statfs for a mount point that cannot be read
+function statVolume(mountPoint, timeout = STATFS_TIMEOUT_MS) {
+  if (!pendingStats.has(mountPoint)) {
+    pendingStats.set(mountPoint, fs.promises.statfs(mountPoint).finally(() => pendingStats.delete(mountPoint)));
+  }
+
+  let timer = null;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), timeout);
+  });
+  return Promise.race([pendingStats.get(mountPoint), expired]).finally(() => clearTimeout(timer));
+}
+
+// Function to turn statfs results into the byte counts createVolume takes
+function statsToBytes(stats) {
+  if (!stats) return { totalBytes: null, freeBytes: null };
+  return {
+    totalBytes: stats.blocks * stats.bsize,
+    freeBytes: stats.bavail * stats.bsize,
+    usedBytes: (stats.blocks - stats.bfree) * stats.bsize
+  };
+}
+
+// Function to choose the volume the Storage card shows by default
+function getSystemVolume(volumes) {
+  return volumes.find(volume => volume.system) || volumes[0] || null;
+}
+
+module.exports = {
+  createVolume,
+  statVolume,
+  statsToBytes,
+  getSystemVolume
+};
@@ -0,0 +1,68 @@
+// Thermal summary shared by every platform backend.
+// Sensors come from getThermalSensors() as { id, label, type, source, current, critical, max } in °C.
+
+// Fallback limits for sensors that do not report their own max/critical values
+const DEFAULT_LIMITS = {
+  warm: 70,
+  hot: 85,
+  critical: 95
+};
+
+// Status levels, ordered from best to worst
+const STATUS_ORDER = ['optimal', 'warm', 'hot', 'critical'];
+
+// Function to rate a single sensor against its own limits (or the defaults)
+function getSensorStatus(sensor) {
+  const critical = sensor.critical || DEFAULT_LIMITS.critical;
+  const hot = sensor.max || Math.min(DEFAULT_LIMITS.hot, critical - 5);
+
+  if (sensor.current >= critical) return 'critical';
+  if (sensor.current >= hot) return 'hot';
+  if (sensor.current >= DEFAULT_LIMITS.warm) return 'warm';
+  return 'optimal';
+}
+
+// Function to pick the hottest sensor of a given type
+function getHottest(sensors, type) {
+  return sensors
+    .filter(sensor => sensor.type === type)
+    .reduce((hottest, sensor) => (!hottest || sensor.current > hottest.current) ? sensor : hottest, null);
+}
+
+// Function to build the temperature summary sent to the renderer
+function summarizeTemperatures(sensors) {
+  if (!sensors || sensors.length === 0) {
+    return {
+      available: false,
+      status: 'unavailable',
+      cpuTemperature: null,
+      gpuTemperature: null,
+      hottest: null,
+      sensors: []
+    };
+  }
+
+  const ratedSensors = sensors.map(sensor => ({ ...sensor, status: getSensorStatus(sensor) }));
+  const worstStatus = ratedSensors.reduce((worst, sensor) =>
+    STATUS_ORDER.indexOf(sensor.status) > STATUS_ORDER.indexOf(worst) ? sensor.status : worst, 'optimal');
+
+  // ACPI zones usually sit next to the package, so use them when no CPU sensor exists
+  const cpuSensor = getHottest(ratedSensors, 'cpu') || getHottest(ratedSensors, 'system');
+  const gpuSensor = getHottest(ratedSensors, 'gpu');
+  const hottest = ratedSensors.reduce((max, sensor) => (!max || sensor.current > max.current) ? sensor : max, null);
+
+  return {
+    available: true,
+    status: worstStatus,
+    cpuTemperature: cpuSensor ? Math.round(cpuSensor.current) : null,
+    gpuTemperature: gpuSensor ? Math.round(gpuSensor.current) : null,
+    hottest: { label: hottest.label, current: hottest.current },
+    sensors: ratedSensors
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  getSensorStatus,
+  summarizeTemperatures
+};
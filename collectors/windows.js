@@ -0,0 +1,745 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { createGPUDevice, queryNvidiaSmi } = require('./gpu');
+const { createVolume } = require('./storage');
+const { countersFromOsCpus } = require('./cpu-stats');
+const { describeProcessError } = require('./processes');
+const { querySmartctl } = require('./health-probes');
+const { runPowerShell, runPowerShellJson } = require('./powershell');
+const { parseBatteryReport, batteriesFromWindows } = require('./power');
+
+const execAsync = promisify(exec);
+
+// Design capacity and cycle count barely move, so the powercfg battery report is only rebuilt this often
+const BATTERY_REPORT_MAX_AGE_MS = 10 * 60 * 1000;
+
+let batteryReport = { time: 0, batteries: [] };
+
+// Function to get detailed CPU hardware information
+async function getDetailedCPUInfo() {
+  try {
+    const { stdout: result } = await execAsync('wmic cpu get Name,Manufacturer,MaxClockSpeed,NumberOfCores,NumberOfLogicalProcessors /format:list', 
+      { encoding: 'utf8', timeout: 5000 });
+    
+    const lines = result.split('\n').filter(line => line.trim() && line.includes('='));
+    const cpuInfo = {};
+    
+    lines.forEach(line => {
+      const [key, value] = line.split('=');
+      if (key && value) {
+        cpuInfo[key.trim()] = value.trim();
+      }
+    });
+    
+    return {
+      name: cpuInfo.Name || 'Unknown',
+      manufacturer: cpuInfo.Manufacturer || 'Unknown',
+      cores: cpuInfo.NumberOfCores || 'Unknown',
+      logicalProcessors: cpuInfo.NumberOfLogicalProcessors || 'Unknown',
+      maxClockSpeed: cpuInfo.MaxClockSpeed ? `${cpuInfo.MaxClockSpeed} MHz` : 'Unknown',
+      architecture: 'x64',
+      l2Cache: 'Unknown',
+      l3Cache: 'Unknown'
+    };
+  } catch (error) {
+    console.error('Error getting detailed CPU info:', error);
+    return {
+      name: 'Unknown',
+      manufacturer: 'Unknown',
+      architecture: 'Unknown',
+      cores: 'Unknown',
+      logicalProcessors: 'Unknown',
+      maxClockSpeed: 'Unknown',
+      l2Cache: 'Unknown',
+      l3Cache: 'Unknown'
+    };
+  }
+}
+
+// Function to get detailed RAM information
+async function getDetailedRAMInfo() {
+  try {
+    const { stdout: result } = await execAsync('wmic memorychip get BankLabel,Capacity,Speed,MemoryType,Manufacturer,PartNumber,SerialNumber /format:list', 
+      { encoding: 'utf8', timeout: 5000 });
+    
+    const lines = result.split('\n').filter(line => line.trim() && line.includes('='));
+    const memoryData = {};
+    const memorySticks = [];
+    
+    let currentStick = {};
+    lines.forEach(line => {
+      const [key, value] = line.split('=');
+      if (key && value) {
+        const cleanKey = key.trim();
+        const cleanValue = value.trim();
+        
+        if (cleanKey === 'BankLabel' && Object.keys(currentStick).length > 0) {
+          memorySticks.push(currentStick);
+          currentStick = {};
+        }
+        
+        currentStick[cleanKey] = cleanValue;
+      }
+    });
+    
+    if (Object.keys(currentStick).length > 0) {
+      memorySticks.push(currentStick);
+    }
+    
+    return memorySticks.map(stick => ({
+      bankLabel: stick.BankLabel || 'Unknown',
+      capacity: stick.Capacity ? `${Math.round(stick.Capacity / (1024**3))} GB` : 'Unknown',
+      speed: stick.Speed ? `${stick.Speed} MHz` : 'Unknown',
+      memoryType: getMemoryType(stick.MemoryType) || 'Unknown',
+      manufacturer: cleanWmiIdentity(stick.Manufacturer),
+      serialNumber: cleanWmiIdentity(stick.SerialNumber),
+      partNumber: cleanWmiIdentity(stick.PartNumber)
+    }));
+  } catch (error) {
+    console.error('Error getting detailed RAM info:', error);
+    return [];
+  }
+}
+
+// Function to drop the placeholders firmware leaves in unset identity fields
+function cleanWmiIdentity(value) {
+  const trimmed = (value || '').trim();
+  return trimmed && !/^(unknown|not specified|to be filled by o\.e\.m\.|default string|0+)$/i.test(trimmed) ? trimmed : null;
+}
+
+// Function to convert memory type number to readable string
+function getMemoryType(typeNumber) {
+  const types = {
+    '20': 'DDR',
+    '21': 'DDR2', 
+    '24': 'DDR3',
+    '26': 'DDR4',
+    '34': 'DDR5'
+  };
+  return types[typeNumber] || `Type ${typeNumber}`;
+}
+
+// Function to get motherboard information
+async function getMotherboardInfo() {
+  try {
+    const { stdout: result } = await execAsync('wmic baseboard get Manufacturer,Product /format:list', 
+      { encoding: 'utf8', timeout: 5000 });
+    
+    const lines = result.split('\n').filter(line => line.trim() && line.includes('='));
+    const motherboardInfo = {};
+    
+    lines.forEach(line => {
+      const [key, value] = line.split('=');
+      if (key && value) {
+        motherboardInfo[key.trim()] = value.trim();
+      }
+    });
+    
+    return {
+      manufacturer: motherboardInfo.Manufacturer || 'Unknown',
+      product: motherboardInfo.Product || 'Unknown'
+    };
+  } catch (error) {
+    console.error('Error getting motherboard info:', error);
+    return {
+      manufacturer: 'Unknown',
+      product: 'Unknown'
+    };
+  }
+}
+
+// Function to read `netsh wlan show interfaces` into { <interface name>: { state, ssid, radioType, signal } }.
+// netsh prints its labels in the display language, so on other languages nothing is found and the Wi-Fi
+// details fall back to the adapter name and no signal.
+function parseNetshWlanInterfaces(output) {
+  const interfaces = {};
+  let current = null;
+
+  output.split(/\r?\n/).forEach(line => {
+    const match = /^\s*([^:]+?)\s*:\s?(.*)$/.exec(line);
+    if (!match) return;
+    const label = match[1];
+    const value = match[2].trim();
+
+    if (label === 'Name') {
+      current = { state: null, ssid: null, radioType: null, signal: null };
+      interfaces[value] = current;
+    } else if (current && label === 'State') {
+      current.state = value.toLowerCase();
+    } else if (current && label === 'SSID') {
+      current.ssid = value || null;
+    } else if (current && label === 'Radio type') {
+      current.radioType = value || null;
+    } else if (current && label === 'Signal') {
+      const signal = parseInt(value, 10);
+      current.signal = isNaN(signal) ? null : signal;
+    }
+  });
+
+  return interfaces;
+}
+
+// Function to turn Get-NetAdapter entries into the adapter records the Linux backend reports
+function toNetworkAdapters(entries) {
+  return entries.map(entry => ({
+    name: entry.name,
+    // Get-NetAdapter writes MACs as 00-11-22-...; use the colon form the other platforms report
+    macAddress: entry.macAddress ? entry.macAddress.replace(/-/g, ':').toLowerCase() : 'Unknown',
+    state: entry.status === 'Up' ? 'up' : entry.status === 'Disconnected' ? 'down' : String(entry.status || 'unknown').toLowerCase(),
+    wireless: /802\.11|wireless/i.test(entry.mediaType || ''),
+    physical: Boolean(entry.physical),
+    speedMbps: entry.speedBps > 0 ? Math.round(entry.speedBps / 1e6) : null
+  }));
+}
+
+// Function to get network information: adapters from Get-NetAdapter, the primary one from the default route,
+// and the SSID, signal and radio type of a Wi-Fi connection from netsh
+async function getNetworkInfo() {
+  const [result, wlanOutput] = await Promise.all([
+    runPowerShell(`
+      $route = Get-NetRoute -DestinationPrefix '0.0.0.0/0' -ErrorAction SilentlyContinue |
+        Sort-Object { $_.RouteMetric + $_.InterfaceMetric } | Select-Object -First 1
+      [PSCustomObject]@{
+        defaultInterface = if ($route) { $route.InterfaceAlias } else { $null }
+        adapters = @(Get-NetAdapter -ErrorAction SilentlyContinue | ForEach-Object {
+          [PSCustomObject]@{
+            name = $_.Name
+            macAddress = $_.MacAddress
+            status = [string]$_.Status
+            mediaType = [string]$_.PhysicalMediaType
+            physical = [bool]$_.HardwareInterface
+            speedBps = $_.Speed
+          }
+        })
+      } | ConvertTo-Json -Compress -Depth 3
+    `).then(output => JSON.parse(output)).catch(error => {
+      console.error('Error getting network adapters:', error.message);
+      return null;
+    }),
+    execAsync('netsh wlan show interfaces', { encoding: 'utf8', timeout: 2000 }).then(({ stdout }) => stdout).catch(() => '')
+  ]);
+
+  const adapters = result ? toNetworkAdapters(result.adapters) : [];
+  const wlan = parseNetshWlanInterfaces(wlanOutput);
+
+  // Prefer the default-route interface, then any physical adapter that is up
+  const primary = adapters.find(adapter => result && adapter.name === result.defaultInterface) ||
+    adapters.find(adapter => adapter.physical && adapter.state === 'up');
+
+  if (!primary) {
+    // Without Get-NetAdapter, fall back to whether any interface has an address
+    const active = Object.entries(os.networkInterfaces())
+      .find(([, addresses]) => addresses.some(iface => iface.family === 'IPv4' && !iface.internal));
+    return {
+      ssid: active ? active[0] : 'Not Connected',
+      signalStrength: active ? 100 : 0,
+      networkType: 'Unknown',
+      adapters,
+      isConnected: Boolean(active),
+      downloadSpeed: null,
+      uploadSpeed: null
+    };
+  }
+
+  const wireless = wlan[primary.name];
+  if (primary.wireless || wireless) {
+    return {
+      ssid: (wireless && wireless.ssid) || primary.name,
+      signalStrength: wireless && wireless.signal !== null ? wireless.signal : 0,
+      networkType: wireless && wireless.radioType ? `Wi-Fi (${wireless.radioType})` : 'Wi-Fi',
+      adapters,
+      isConnected: true,
+      downloadSpeed: null,
+      uploadSpeed: null
+    };
+  }
+
+  return {
+    ssid: primary.name,
+    signalStrength: 100, // Wired links have no signal strength; report a full link
+    networkType: primary.speedMbps ? `Ethernet (${primary.speedMbps} Mbps)` : 'Ethernet',
+    adapters,
+    isConnected: true,
+    downloadSpeed: null,
+    uploadSpeed: null
+  };
+}
+
+// Function to read per-adapter traffic counters via Get-NetAdapterStatistics
+async function getNetworkCounters() {
+  try {
+    const adapters = await runPowerShellJson(`
+      Get-NetAdapterStatistics | Select-Object Name, ReceivedBytes, SentBytes,
+        ReceivedUnicastPackets, ReceivedMulticastPackets, ReceivedBroadcastPackets,
+        SentUnicastPackets, SentMulticastPackets, SentBroadcastPackets,
+        ReceivedPacketErrors, OutboundPacketErrors, ReceivedDiscardedPackets, OutboundDiscardedPackets |
+        ConvertTo-Json -Compress
+    `);
+
+    return adapters.map(adapter => ({
+      name: adapter.Name,
+      rxBytes: adapter.ReceivedBytes || 0,
+      txBytes: adapter.SentBytes || 0,
+      rxPackets: (adapter.ReceivedUnicastPackets || 0) + (adapter.ReceivedMulticastPackets || 0) + (adapter.ReceivedBroadcastPackets || 0),
+      txPackets: (adapter.SentUnicastPackets || 0) + (adapter.SentMulticastPackets || 0) + (adapter.SentBroadcastPackets || 0),
+      rxErrors: adapter.ReceivedPacketErrors || 0,
+      txErrors: adapter.OutboundPacketErrors || 0,
+      rxDropped: adapter.ReceivedDiscardedPackets || 0,
+      txDropped: adapter.OutboundDiscardedPackets || 0
+    }));
+  } catch (error) {
+    console.error('Error getting network counters:', error);
+    return [];
+  }
+}
+
+// Function to list GPUs: nvidia-smi for NVIDIA cards, WMI names for everything else
+async function getGPUDevices() {
+  const nvidiaDevices = await queryNvidiaSmi();
+  let adapters = [];
+
+  try {
+    const { stdout: result } = await execAsync('wmic path win32_VideoController get Name,AdapterRAM /format:list',
+      { encoding: 'utf8', timeout: 3000 });
+    adapters = parseWmicList(result).filter(adapter => adapter.Name);
+  } catch (error) {
+    // WMI unavailable; only vendor-tool devices are reported
+  }
+
+  const otherDevices = adapters
+    .filter(adapter => !(nvidiaDevices.length > 0 && /nvidia/i.test(adapter.Name)))
+    .map(adapter => {
+      // AdapterRAM is a 32-bit field, so anything from 4 GB up is not reported reliably
+      const adapterRAM = parseInt(adapter.AdapterRAM, 10);
+      return createGPUDevice({
+        name: adapter.Name,
+        vendor: /amd|radeon/i.test(adapter.Name) ? 'AMD' : /intel/i.test(adapter.Name) ? 'Intel' : 'Unknown',
+        source: 'wmi',
+        memoryTotalMB: adapterRAM > 0 && adapterRAM < 0xFFFFFFFF ? Math.round(adapterRAM / (1024 ** 2)) : null
+      });
+    });
+
+  return [...nvidiaDevices, ...otherDevices].map((device, index) => ({ ...device, index }));
+}
+
+// Function to enumerate every logical disk with a size (empty card readers and optical drives report none)
+async function getVolumes() {
+  try {
+    const { stdout: result } = await execAsync('wmic logicaldisk get Access,DeviceID,DriveType,FileSystem,FreeSpace,Size,VolumeName /format:list',
+      { encoding: 'utf8', timeout: 5000 });
+    const systemDrive = (process.env.SystemDrive || 'C:').toUpperCase();
+
+    return parseWmicList(result)
+      .filter(disk => disk.DeviceID && parseInt(disk.Size, 10) > 0)
+      .map(disk => createVolume({
+        mountPoint: disk.DeviceID,
+        device: disk.DeviceID,
+        fsType: disk.FileSystem || 'Unknown',
+        label: disk.VolumeName || '',
+        readOnly: disk.Access === '1', // 1 = readable only
+        system: disk.DeviceID.toUpperCase() === systemDrive,
+        totalBytes: parseInt(disk.Size, 10),
+        freeBytes: parseInt(disk.FreeSpace, 10) || 0
+      }));
+  } catch (error) {
+    console.error('Error getting volumes:', error);
+    return [];
+  }
+}
+
+// Function to read raw PhysicalDisk performance counters and express them like /proc/diskstats
+async function getDiskCounters() {
+  try {
+    const disks = await runPowerShellJson(`
+      Get-CimInstance Win32_PerfRawData_PerfDisk_PhysicalDisk | Where-Object Name -ne '_Total' |
+        Select-Object Name, DiskReadBytesPersec, DiskWriteBytesPersec, DiskReadsPersec, DiskWritesPersec,
+          AvgDisksecPerRead, AvgDisksecPerWrite, CurrentDiskQueueLength, AvgDiskQueueLength, PercentIdleTime,
+          Timestamp_Sys100NS, Frequency_PerfTime |
+        ConvertTo-Json -Compress
+    `);
+
+    return disks.map(disk => {
+      const perfTicksToMs = ticks => (ticks || 0) / (disk.Frequency_PerfTime || 1) * 1000;
+      const hundredNsToMs = ticks => (ticks || 0) / 10000;
+
+      return {
+        name: disk.Name,
+        readsCompleted: disk.DiskReadsPersec || 0,
+        readBytes: disk.DiskReadBytesPersec || 0,
+        readTimeMs: perfTicksToMs(disk.AvgDisksecPerRead),
+        writesCompleted: disk.DiskWritesPersec || 0,
+        writeBytes: disk.DiskWriteBytesPersec || 0,
+        writeTimeMs: perfTicksToMs(disk.AvgDisksecPerWrite),
+        inProgress: disk.CurrentDiskQueueLength || 0,
+        // Busy time is whatever part of the elapsed time the disk was not idle
+        ioTimeMs: hundredNsToMs((disk.Timestamp_Sys100NS || 0) - (disk.PercentIdleTime || 0)),
+        weightedIoTimeMs: hundredNsToMs(disk.AvgDiskQueueLength)
+      };
+    });
+  } catch (error) {
+    console.error('Error getting disk counters:', error);
+    return [];
+  }
+}
+
+// Function to map a Win32 base priority (4 idle .. 24 realtime) onto the nice scale used by os.setPriority
+function fromBasePriority(basePriority) {
+  if (basePriority >= 24) return os.constants.priority.PRIORITY_HIGHEST;
+  if (basePriority >= 13) return os.constants.priority.PRIORITY_HIGH;
+  if (basePriority >= 10) return os.constants.priority.PRIORITY_ABOVE_NORMAL;
+  if (basePriority >= 8) return os.constants.priority.PRIORITY_NORMAL;
+  if (basePriority >= 6) return os.constants.priority.PRIORITY_BELOW_NORMAL;
+  return os.constants.priority.PRIORITY_LOW;
+}
+
+// Function to list every process via Win32_Process (owners need an elevated process to resolve)
+async function getProcesses() {
+  try {
+    const result = await runPowerShell(`
+      $owners = @{}
+      try { Get-Process -IncludeUserName -ErrorAction Stop | ForEach-Object { $owners[$_.Id] = $_.UserName } } catch {}
+      Get-CimInstance Win32_Process | ForEach-Object {
+        [PSCustomObject]@{
+          pid = [int]$_.ProcessId
+          ppid = [int]$_.ParentProcessId
+          name = $_.Name
+          command = $_.CommandLine
+          user = $owners[[int]$_.ProcessId]
+          threads = [int]$_.ThreadCount
+          basePriority = [int]$_.Priority
+          rssBytes = [int64]$_.WorkingSetSize
+          cpuTime100ns = [int64]$_.KernelModeTime + [int64]$_.UserModeTime
+          startTime = if ($_.CreationDate) { $_.CreationDate.ToUniversalTime().ToString('o') } else { $null }
+        }
+      } | ConvertTo-Json -Compress
+    `, 10000);
+    if (!result.trim()) return [];
+
+    const parsed = JSON.parse(result);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(proc => ({
+      pid: proc.pid,
+      ppid: proc.ppid,
+      name: proc.name || 'Unknown',
+      command: proc.command || proc.name || '',
+      user: proc.user || 'Unknown',
+      state: 'R', // Win32_Process has no scheduler state
+      priority: fromBasePriority(proc.basePriority),
+      cpuTimeMs: (proc.cpuTime100ns || 0) / 10000,
+      rssBytes: proc.rssBytes || 0,
+      threads: proc.threads || 0,
+      startTime: proc.startTime ? Date.parse(proc.startTime) : 0
+    }));
+  } catch (error) {
+    console.error('Error getting processes:', error);
+    return [];
+  }
+}
+
+// Function to get per-core CPU times (no live per-core clock without performance counters)
+async function getCpuCounters() {
+  return countersFromOsCpus();
+}
+
+// Function to call NtSuspendProcess/NtResumeProcess, which Windows uses in place of SIGSTOP/SIGCONT
+async function callNtProcessApi(pid, api, action) {
+  try {
+    await runPowerShell(`
+      Add-Type -Namespace SystemMonitor -Name Ntdll -MemberDefinition '
+        [DllImport("ntdll.dll")] public static extern int NtSuspendProcess(IntPtr handle);
+        [DllImport("ntdll.dll")] public static extern int NtResumeProcess(IntPtr handle);
+      '
+      $process = Get-Process -Id ${pid} -ErrorAction Stop
+      $status = [SystemMonitor.Ntdll]::${api}($process.Handle)
+      if ($status -ne 0) { throw "NTSTATUS $status" }
+    `);
+  } catch (error) {
+    const output = `${error.stderr || ''}${error.message}`;
+    if (/access is denied/i.test(output)) {
+      throw describeProcessError({ code: 'EPERM', message: output }, pid, action);
+    }
+    if (/cannot find a process/i.test(output)) {
+      throw describeProcessError({ code: 'ESRCH', message: output }, pid, action);
+    }
+    throw describeProcessError({ message: 'the system refused the request' }, pid, action);
+  }
+}
+
+// Function to pause every thread of a process
+async function suspendProcess(pid) {
+  await callNtProcessApi(pid, 'NtSuspendProcess', 'suspend');
+}
+
+// Function to let a suspended process run again
+async function resumeProcess(pid) {
+  await callNtProcessApi(pid, 'NtResumeProcess', 'resume');
+}
+
+// Function to parse `wmic ... /format:list` output into one object per instance
+function parseWmicList(output) {
+  const records = [];
+  let current = {};
+
+  output.split('\n').forEach(line => {
+    const separatorIndex = line.indexOf('=');
+    if (separatorIndex <= 0) return;
+
+    const key = line.slice(0, separatorIndex).trim();
+    // A repeated key means the next instance has started
+    if (key in current) {
+      records.push(current);
+      current = {};
+    }
+    current[key] = line.slice(separatorIndex + 1).trim();
+  });
+
+  if (Object.keys(current).length > 0) {
+    records.push(current);
+  }
+  return records;
+}
+
+// Function to convert a WMI temperature (tenths of a Kelvin) to °C
+function fromDeciKelvin(value) {
+  const deciKelvin = parseInt(value, 10);
+  return deciKelvin > 0 ? Math.round(deciKelvin - 2731.5) / 10 : null;
+}
+
+// Function to get ACPI thermal zone readings (requires an elevated process on most machines)
+async function getThermalSensors() {
+  try {
+    const { stdout: result } = await execAsync('wmic /namespace:\\\\root\\wmi PATH MSAcpi_ThermalZoneTemperature get InstanceName,CurrentTemperature,CriticalTripPoint /format:list',
+      { encoding: 'utf8', timeout: 5000 });
+
+    return parseWmicList(result)
+      .map(zone => ({
+        id: zone.InstanceName || 'ThermalZone',
+        label: (zone.InstanceName || 'Thermal Zone').replace(/^ACPI\\ThermalZone\\/, '').replace(/_\d+$/, ''),
+        type: 'system',
+        source: 'wmi',
+        current: fromDeciKelvin(zone.CurrentTemperature),
+        critical: fromDeciKelvin(zone.CriticalTripPoint),
+        max: null
+      }))
+      .filter(sensor => sensor.current !== null);
+  } catch (error) {
+    // Access denied or no ACPI thermal zones; report no sensors rather than guessing
+    return [];
+  }
+}
+
+// Function to get the health of every physical disk from Storage Spaces (smartctl is used instead when installed)
+async function getDiskHealth() {
+  const smart = await querySmartctl().catch(() => null);
+  if (smart && smart.length > 0) return smart;
+
+  const disks = await runPowerShellJson(`
+    Get-PhysicalDisk | ForEach-Object {
+      $counters = try { $_ | Get-StorageReliabilityCounter -ErrorAction Stop } catch { $null }
+      [PSCustomObject]@{
+        name = $_.FriendlyName
+        health = [string]$_.HealthStatus
+        operational = ($_.OperationalStatus | ForEach-Object { [string]$_ }) -join ', '
+        wear = $counters.Wear
+        readErrors = $counters.ReadErrorsUncorrected
+        writeErrors = $counters.WriteErrorsUncorrected
+      }
+    } | ConvertTo-Json -Compress
+  `, 15000);
+
+  return disks.map((disk, index) => {
+    const warnings = [];
+    if (disk.health === 'Warning') warnings.push('Windows reports the disk health as Warning');
+    if (disk.operational && disk.operational !== 'OK') warnings.push(`Operational status: ${disk.operational}`);
+    if (disk.wear >= 90) warnings.push(`${disk.wear}% of rated endurance used`);
+    if (disk.readErrors > 0) warnings.push(`${disk.readErrors} uncorrected read errors`);
+    if (disk.writeErrors > 0) warnings.push(`${disk.writeErrors} uncorrected write errors`);
+    return {
+      device: `Disk ${index}`,
+      model: disk.name || null,
+      healthy: disk.health === 'Unhealthy' ? false : disk.health ? true : null,
+      warnings,
+      error: null
+    };
+  });
+}
+
+// Function to find crashes since a time in the Event Log: bug checks and unexpected shutdowns (System),
+// application crashes and hangs (Application)
+async function getCrashEvents(sinceMs) {
+  const events = await runPowerShellJson(`
+    $since = [DateTimeOffset]::FromUnixTimeMilliseconds(${Math.floor(sinceMs)}).LocalDateTime
+    @(
+      @{ LogName = 'System'; Id = 41, 1001, 6008; StartTime = $since },
+      @{ LogName = 'Application'; Id = 1000, 1002; StartTime = $since }
+    ) | ForEach-Object { Get-WinEvent -FilterHashtable $_ -MaxEvents 100 -ErrorAction SilentlyContinue } | ForEach-Object {
+      [PSCustomObject]@{
+        time = ([DateTimeOffset]$_.TimeCreated).ToUnixTimeMilliseconds()
+        log = $_.LogName
+        id = $_.Id
+        provider = $_.ProviderName
+        message = if ($_.Message) { ($_.Message -split "\r?\n")[0] } else { '' }
+      }
+    } | ConvertTo-Json -Compress
+  `, 20000);
+
+  return events
+    // Event 1001 in the System log is only a bug check when Windows Error Reporting logged it
+    .filter(event => event.id !== 1001 || /WER-SystemErrorReporting|BugCheck/i.test(event.provider))
+    .map(event => ({
+      time: event.time,
+      severity: event.log === 'System' ? 'critical' : 'warning',
+      source: event.provider,
+      message: event.id === 41 ? 'The system rebooted without cleanly shutting down first' :
+        event.id === 6008 ? 'The previous system shutdown was unexpected' : event.message.slice(0, 200)
+    }))
+    .sort((a, b) => b.time - a.time);
+}
+
+// Function to list automatic services that stopped with an error
+async function getFailedServices() {
+  const services = await runPowerShellJson(`
+    Get-CimInstance Win32_Service -Filter "StartMode='Auto' AND State<>'Running' AND ExitCode<>0" |
+      Select-Object Name, DisplayName, ExitCode | ConvertTo-Json -Compress
+  `, 10000);
+  return services.map(service => ({ name: service.Name, description: `${service.DisplayName} (exit code ${service.ExitCode})` }));
+}
+
+// Function to ask Windows Update which updates (drivers included) are waiting to be installed
+async function getPendingUpdates() {
+  const updates = await runPowerShellJson(`
+    $searcher = (New-Object -ComObject Microsoft.Update.Session).CreateUpdateSearcher()
+    $searcher.Search("IsInstalled=0 and IsHidden=0").Updates | ForEach-Object {
+      [PSCustomObject]@{
+        name = $_.Title
+        driver = $_.Type -eq 2
+        security = [bool]($_.Categories | Where-Object { $_.Name -in 'Security Updates', 'Critical Updates' })
+      }
+    } | ConvertTo-Json -Compress
+  `, 120000);
+  return {
+    manager: 'Windows Update',
+    updates: updates.map(update => ({ name: update.driver ? `Driver: ${update.name}` : update.name, version: null, security: update.security }))
+  };
+}
+
+// Function to read the hardware inventory details the live collectors do not need: BIOS, system identity,
+// disks with serials, physical network adapters with MAC addresses and the OS build
+async function getInventoryDetails() {
+  const [result] = await runPowerShellJson(`
+    $bios = Get-CimInstance Win32_BIOS
+    $system = Get-CimInstance Win32_ComputerSystem
+    $os = Get-CimInstance Win32_OperatingSystem
+    $ubr = (Get-ItemProperty 'HKLM:\\SOFTWARE\\Microsoft\\Windows NT\\CurrentVersion' -ErrorAction SilentlyContinue).UBR
+    [PSCustomObject]@{
+      bios = [PSCustomObject]@{
+        vendor = $bios.Manufacturer
+        version = $bios.SMBIOSBIOSVersion
+        date = if ($bios.ReleaseDate) { $bios.ReleaseDate.ToString('yyyy-MM-dd') } else { $null }
+      }
+      system = [PSCustomObject]@{ manufacturer = $system.Manufacturer; model = $system.Model; serialNumber = $bios.SerialNumber }
+      disks = @(Get-CimInstance Win32_DiskDrive | Sort-Object Index | ForEach-Object {
+        $physical = Get-PhysicalDisk -DeviceNumber $_.Index -ErrorAction SilentlyContinue
+        [PSCustomObject]@{
+          name = "Disk $($_.Index)"
+          model = $_.Model
+          serialNumber = $_.SerialNumber
+          sizeGB = [math]::Round($_.Size / 1e9)
+          interface = if ($physical) { [string]$physical.BusType } else { $_.InterfaceType }
+          mediaType = if ($physical -and [string]$physical.MediaType -ne 'Unspecified') { [string]$physical.MediaType } else { $null }
+        }
+      })
+      networkAdapters = @(Get-NetAdapter -Physical -ErrorAction SilentlyContinue | ForEach-Object {
+        [PSCustomObject]@{ name = $_.Name; description = $_.InterfaceDescription; macAddress = $_.MacAddress; type = $_.MediaType }
+      })
+      os = [PSCustomObject]@{
+        name = $os.Caption
+        version = $os.Version
+        build = if ($ubr -ne $null) { "$($os.BuildNumber).$ubr" } else { $os.BuildNumber }
+      }
+    } | ConvertTo-Json -Compress -Depth 4
+  `, 20000);
+
+  return {
+    bios: {
+      vendor: cleanWmiIdentity(result.bios.vendor),
+      version: cleanWmiIdentity(result.bios.version),
+      date: result.bios.date || null
+    },
+    system: {
+      manufacturer: cleanWmiIdentity(result.system.manufacturer),
+      model: cleanWmiIdentity(result.system.model),
+      serialNumber: cleanWmiIdentity(result.system.serialNumber)
+    },
+    disks: result.disks.map(disk => ({ ...disk, model: cleanWmiIdentity(disk.model), serialNumber: cleanWmiIdentity(disk.serialNumber) })),
+    // Get-NetAdapter writes MACs as 00-11-22-...; use the colon form the other platforms report
+    networkAdapters: result.networkAdapters.map(adapter => ({
+      ...adapter,
+      macAddress: adapter.macAddress ? adapter.macAddress.replace(/-/g, ':').toLowerCase() : null,
+      type: /802\.11/.test(adapter.type || '') ? 'Wi-Fi' : adapter.type === '802.3' ? 'Ethernet' : adapter.type || null
+    })),
+    os: result.os
+  };
+}
+
+// Function to read the design capacity and cycle count from `powercfg /batteryreport`, which WMI often lacks
+async function getBatteryReport() {
+  if (Date.now() - batteryReport.time < BATTERY_REPORT_MAX_AGE_MS) return batteryReport.batteries;
+
+  const reportFile = path.join(os.tmpdir(), 'system-monitor-battery-report.xml');
+  try {
+    await execAsync(`powercfg /batteryreport /xml /output "${reportFile}"`, { encoding: 'utf8', timeout: 15000 });
+    const raw = fs.readFileSync(reportFile);
+    // Some Windows builds write the report as UTF-16
+    const xml = raw[0] === 0xFF && raw[1] === 0xFE ? raw.toString('utf16le') : raw.toString('utf8');
+    batteryReport = { time: Date.now(), batteries: parseBatteryReport(xml) };
+  } catch (error) {
+    // Desktops without a battery make powercfg fail; try again later rather than on every sample
+    batteryReport = { time: Date.now(), batteries: [] };
+  }
+  return batteryReport.batteries;
+}
+
+// Function to read the batteries from Win32_Battery and the root\wmi battery classes
+async function getPowerSupplies() {
+  const [result] = await runPowerShellJson(`
+    $wmi = { param($class) @(Get-CimInstance -Namespace root/wmi -ClassName $class -ErrorAction SilentlyContinue) }
+    $status = & $wmi BatteryStatus
+    [PSCustomObject]@{
+      batteries = @(Get-CimInstance Win32_Battery | Select-Object DeviceID, Name, BatteryStatus, EstimatedChargeRemaining, EstimatedRunTime)
+      status = @($status | Select-Object PowerOnline, Charging, Discharging, RemainingCapacity, ChargeRate, DischargeRate, Voltage)
+      full = @(& $wmi BatteryFullChargedCapacity | Select-Object FullChargedCapacity)
+      cycles = @(& $wmi BatteryCycleCount | Select-Object CycleCount)
+      acOnline = if ($status.Count -gt 0) { [bool]$status[0].PowerOnline } else { $null }
+    } | ConvertTo-Json -Compress -Depth 4
+  `, 10000);
+  if (!result || result.batteries.length === 0) return { acOnline: null, batteries: [] };
+
+  return { acOnline: result.acOnline, batteries: batteriesFromWindows(result, await getBatteryReport()) };
+}
+
+module.exports = {
+  getDetailedCPUInfo,
+  getDetailedRAMInfo,
+  getMotherboardInfo,
+  getNetworkInfo,
+  getNetworkCounters,
+  parseNetshWlanInterfaces,
+  toNetworkAdapters,
+  getGPUDevices,
+  getVolumes,
+  getDiskCounters,
+  getProcesses,
+  getCpuCounters,
+  suspendProcess,
+  resumeProcess,
+  getThermalSensors,
+  getDiskHealth,
+  getCrashEvents,
+  getFailedServices,
+  getPendingUpdates,
+  getPowerSupplies,
+  getInventoryDetails
+};
@@ -1,19 +1,139 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification, dialog, screen, shell } = require('electron');
 const os = require('os');
 const path = require('path');
-const { execSync, exec, spawn } = require('child_process');
 const fs = require('fs');
-
-// Store previous CPU measurements for calculating usage
-let previousCpuInfo = null;
+const {
+  getDetailedCPUInfo,
+  getDetailedRAMInfo,
+  getMotherboardInfo,
+  getNetworkInfo,
+  getNetworkCounters,
+  getGPUDevices,
+  getVolumes,
+  getDiskCounters,
+  getProcesses,
+  getCpuCounters,
+  suspendProcess,
+  resumeProcess,
+  getThermalSensors,
+  getPowerSupplies
+} = require('./collectors');
+const { summarizeTemperatures } = require('./collectors/thermal');
+const { summarizePower } = require('./collectors/power');
+const { sampleNetworkThroughput } = require('./collectors/network-stats');
+const { getSystemVolume } = require('./collectors/storage');
+const { sampleDiskIO } = require('./collectors/disk-io');
+const { sampleCpuStats } = require('./collectors/cpu-stats');
+const { sampleProcesses, terminateProcess, setProcessPriority } = require('./collectors/processes');
+const {
+  openMetricsStore,
+  closeMetricsStore,
+  recordMetrics,
+  queryHistory,
+  listMetrics,
+  getMetricInfo,
+  snapshotToMetrics
+} = require('./services/metrics-store');
+const {
+  openAlerts,
+  getRules,
+  saveRules,
+  evaluateAlerts,
+  getThresholdLevels,
+  getActiveAlerts,
+  getAlertLog,
+  clearAlertLog
+} = require('./services/alerts');
+const { buildExport, toCsv, parseExport } = require('./services/export');
+const {
+  openMetricsServer,
+  configureMetricsServer,
+  getServerStatus,
+  closeMetricsServer
+} = require('./services/metrics-server');
+const { openSettings, getSettings, updateSettings } = require('./services/settings');
+const { createTray, updateTray, setTrayPaused, destroyTray } = require('./services/tray');
+const { EXIT_CODES, parseCliArgs, runHeadless } = require('./services/cli');
+const {
+  addTask,
+  runTask,
+  getTaskResult,
+  setTaskInterval,
+  startScheduler,
+  stopScheduler
+} = require('./services/scheduler');
+const {
+  openPlugins,
+  closePlugins,
+  reloadPlugins,
+  getPluginSnapshot,
+  getPluginDirectory
+} = require('./services/plugins');
+const {
+  configureAgent,
+  getAgentStatus,
+  broadcastSnapshot,
+  closeAgent,
+  generateToken
+} = require('./services/agent');
+const { openRemoteHosts, getRemoteHosts, saveRemoteHosts } = require('./services/remote-hosts');
+const { openHealthChecks, runHealthCheck, getHealthSnapshot } = require('./services/health');
+const {
+  openSecurity,
+  configureSecurity,
+  refreshSecurity,
+  getSecurityStatus,
+  startSecurityScan,
+  launchSecurityApp
+} = require('./services/security');
+const {
+  openAnalyzer,
+  startAnalysis,
+  stopAnalysis,
+  getAnalyzerStatus,
+  getAnalysisSession,
+  importFrameTimes,
+  deleteAnalysisSession
+} = require('./services/analyzer');
+const { openInventory, refreshInventory, acceptInventory, getInventoryStatus } = require('./services/inventory');
+const { renderInventoryMarkdown, renderInventoryHtml } = require('./services/inventory-report');
 
 // Store performance history (last 60 data points = 60 seconds at 1Hz)
 const performanceHistory = {
   cpu: [],
   memory: [],
+  cpuCores: {}, // Usage %, keyed by core index
+  network: {}, // Combined rx+tx bytes/sec, keyed by interface name
+  diskIO: {}, // Combined read+write bytes/sec, keyed by physical disk
+  battery: [], // Charge %, one point per power sample (10 minutes)
   maxDataPoints: 60
 };
 
+// Latest get-system-info payload, shared with exports
+let lastSystemInfo = null;
+
+// The dashboard window (null once closed), whether the user is quitting, and whether refresh is paused
+let mainWindow = null;
+let isQuitting = false;
+let monitoringPaused = false;
+
+// Command-line options; --headless prints to the terminal and --agent serves remote dashboards instead of opening a window
+let cliOptions = { headless: false, agent: false };
+try {
+  cliOptions = parseCliArgs(process.argv.slice(1));
+} catch (error) {
+  // Bad options only matter when the user asked for the command-line mode
+  if (process.argv.includes('--headless') || process.argv.includes('--agent')) {
+    console.error(error.message);
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+if (cliOptions.headless || cliOptions.agent) {
+  app.disableHardwareAcceleration();
+  if (app.dock) app.dock.hide();
+}
+
 // Function to add data point to history
 function addToHistory(type, value) {
   const history = performanceHistory[type];
@@ -25,50 +145,120 @@ function addToHistory(type, value) {
   }
 }
 
-// Function to launch Malwarebytes
-async function launchMalwarebytes() {
-  return new Promise((resolve, reject) => {
-    // Common Malwarebytes installation paths
-    const malwarebytesPath = [
-      'C:\\Program Files\\Malwarebytes\\Anti-Malware\\mbam.exe',
-      'C:\\Program Files (x86)\\Malwarebytes\\Anti-Malware\\mbam.exe',
-      'C:\\Program Files\\Malwarebytes\\Malwarebytes Anti-Malware\\mbam.exe',
-      'C:\\Program Files (x86)\\Malwarebytes\\Malwarebytes Anti-Malware\\mbam.exe'
-    ];
-
-    // Find the correct Malwarebytes path
-    let foundPath = null;
-    for (const path of malwarebytesPath) {
-      if (fs.existsSync(path)) {
-        foundPath = path;
-        break;
-      }
+// Function to add data points to a keyed history (one series per interface, device, ...)
+function addToSeriesHistory(type, values) {
+  const series = performanceHistory[type];
+  
+  // Drop series whose source has disappeared
+  Object.keys(series).forEach(key => {
+    if (!(key in values)) delete series[key];
+  });
+  
+  Object.entries(values).forEach(([key, value]) => {
+    const history = series[key] || (series[key] = []);
+    history.push(value);
+    if (history.length > performanceHistory.maxDataPoints) {
+      history.shift();
     }
+  });
+}
 
-    if (foundPath) {
-      // Launch Malwarebytes
-      spawn(foundPath, [], { detached: true, stdio: 'ignore' });
-      resolve({ success: true, message: 'Malwarebytes launched successfully' });
-    } else {
-      // Try to launch via Windows Start Menu (fallback)
-      exec('start "" "malwarebytes"', (error) => {
-        if (error) {
-          resolve({ 
-            success: false, 
-            message: 'Malwarebytes not found. Please install Malwarebytes Anti-Malware.' 
-          });
-        } else {
-          resolve({ success: true, message: 'Malwarebytes launched successfully' });
-        }
-      });
+// Function to get the saved window bounds, dropping the position when it is no longer on any display
+function getSavedBounds() {
+  const { rememberBounds, bounds } = getSettings().window;
+  if (!rememberBounds || !bounds) return { width: 1240, height: 800 };
+
+  const workArea = screen.getDisplayMatching(bounds).workArea;
+  const visible = bounds.x < workArea.x + workArea.width && bounds.x + bounds.width > workArea.x &&
+    bounds.y < workArea.y + workArea.height && bounds.y + bounds.height > workArea.y;
+  return visible ? bounds : { width: bounds.width, height: bounds.height };
+}
+
+// Function to start or stop launching the app when the user logs in
+function setStartOnLogin(enabled) {
+  // In development the Electron binary needs the app directory as its argument
+  const args = app.isPackaged ? [] : [app.getAppPath()];
+
+  if (process.platform === 'linux') {
+    // Linux desktops read XDG autostart entries instead of Electron's login items
+    const autostartFile = path.join(app.getPath('appData'), 'autostart', 'system-monitor.desktop');
+    try {
+      if (enabled) {
+        fs.mkdirSync(path.dirname(autostartFile), { recursive: true });
+        const command = [process.execPath, ...args].map(part => `"${part}"`).join(' ');
+        fs.writeFileSync(autostartFile, `[Desktop Entry]\nType=Application\nName=System Monitor\nExec=${command}\nX-GNOME-Autostart-enabled=true\n`);
+      } else if (fs.existsSync(autostartFile)) {
+        fs.unlinkSync(autostartFile);
+      }
+    } catch (error) {
+      console.error('Error updating autostart entry:', error.message);
     }
+    return;
+  }
+
+  app.setLoginItemSettings({ openAtLogin: enabled, path: process.execPath, args });
+}
+
+// Function to apply the settings the main process owns; `previous` is null at startup
+async function applySettings(settings, previous) {
+  if (!previous || settings.startOnLogin !== previous.startOnLogin) setStartOnLogin(settings.startOnLogin);
+
+  BrowserWindow.getAllWindows().forEach(win => win.setAlwaysOnTop(settings.window.alwaysOnTop));
+
+  // The dashboard is pushed a snapshot every refresh interval; counters are sampled at least that often
+  setTaskInterval('publish', settings.refreshIntervalMs);
+  setTaskInterval('counters', Math.min(COUNTER_INTERVAL_MS, settings.refreshIntervalMs));
+
+  await configureMetricsServer(settings.metricsServer);
+  await configureAgent(settings.agent);
+  configureSecurity(settings.security);
+}
+
+// Function to give the agent a token of its own the first time the settings are opened
+function ensureAgentToken(settings) {
+  return settings.agent.token ? settings : updateSettings({ agent: { token: generateToken() } });
+}
+
+// Function to run only the remote agent (--agent): sample in the background and stream snapshots until interrupted
+async function runAgent() {
+  const settings = ensureAgentToken(openSettings(app.getPath('userData')));
+  // Saved alert rules still colour the cards on the dashboards watching; nothing is recorded here
+  openAlerts(app.getPath('userData'));
+  openPlugins(path.join(app.getPath('userData'), 'plugins'));
+  openHealthChecks();
+
+  const status = await configureAgent({
+    enabled: true,
+    host: cliOptions.bind || settings.agent.host,
+    port: cliOptions.port || settings.agent.port,
+    token: cliOptions.token || settings.agent.token
   });
+  if (status.error) {
+    console.error(`Agent failed to start: ${status.error}`);
+    app.exit(EXIT_CODES.error);
+    return;
+  }
+  console.log(`Agent listening on ${status.url}`);
+  console.log(`Token: ${status.token}`);
+
+  setTaskInterval('publish', settings.refreshIntervalMs);
+  setTaskInterval('counters', Math.min(COUNTER_INTERVAL_MS, settings.refreshIntervalMs));
+  startScheduler();
+
+  const stop = () => {
+    stopScheduler();
+    closePlugins();
+    closeAgent().then(() => app.exit(EXIT_CODES.ok));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
 }
 
 function createWindow() {
+  const windowSettings = getSettings().window;
   const win = new BrowserWindow({
-    width: 1240,
-    height: 800,
+    ...getSavedBounds(),
+    alwaysOnTop: windowSettings.alwaysOnTop,
     minWidth: 1200,    // Minimum window width
     maxWidth: 1800,    // Maximum window width  
     minHeight: 800,    // Minimum window height
@@ -86,7 +276,32 @@ function createWindow() {
 
   // Show window when ready to prevent visual flash
   win.once('ready-to-show', () => {
-    win.show();
+    if (windowSettings.startMinimized) {
+      win.minimize();
+    } else {
+      win.show();
+    }
+  });
+  
+  // Remember where the window was left, and hide to the tray instead of closing when that is enabled
+  win.on('close', (event) => {
+    const windowSettings = getSettings().window;
+    if (windowSettings.rememberBounds && !win.isMinimized()) {
+      try {
+        updateSettings({ window: { bounds: win.getNormalBounds() } });
+      } catch (error) {
+        console.error('Error saving window bounds:', error.message);
+      }
+    }
+    
+    if (windowSettings.closeToTray && !isQuitting) {
+      event.preventDefault();
+      win.hide();
+    }
+  });
+  
+  win.on('closed', () => {
+    if (mainWindow === win) mainWindow = null;
   });
 
   win.loadFile('index.html');
@@ -94,25 +309,105 @@ function createWindow() {
   return win;
 }
 
+// Function to bring the dashboard back from the tray (or reopen it)
+function showDashboard() {
+  if (!mainWindow) {
+    // A new dashboard starts with refresh on
+    mainWindow = createWindow();
+    setMonitoringPaused(false);
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Function to pause or resume background sampling; pausing ends a Performance Analyzer recording there and
+// then (keeping what it sampled), as the paused scheduler would never run its last sample
+function setMonitoringPaused(paused) {
+  monitoringPaused = paused;
+  setTrayPaused(paused);
+  if (paused) {
+    if (getAnalyzerStatus().recording) stopAnalysis();
+    stopScheduler();
+  } else {
+    startScheduler();
+  }
+}
+
+// Function to pause or resume monitoring from the tray, keeping the dashboard's toggle in step
+function toggleMonitoring() {
+  setMonitoringPaused(!monitoringPaused);
+  if (mainWindow) mainWindow.webContents.send('set-auto-refresh', !monitoringPaused);
+}
+
 app.whenReady().then(() => {
-  const mainWindow = createWindow();
+  if (cliOptions.headless) {
+    // Saved notifying alert rules are the default thresholds; nothing is recorded so a running dashboard is unaffected
+    openAlerts(app.getPath('userData'));
+    // No background sampling here: every sample reads the counters and probes afresh
+    const collect = () => Promise.all([runTask('counters'), runTask('probes')]).then(() => collectSystemInfo({ record: false }));
+    runHeadless(cliOptions, collect).then(code => app.exit(code));
+    return;
+  }
+  if (cliOptions.agent) {
+    runAgent();
+    return;
+  }
+  
+  // Keep every sample on disk so history survives restarts
+  openMetricsStore(path.join(app.getPath('userData'), 'metrics'));
+  openAlerts(app.getPath('userData'));
+  openMetricsServer(getFreshSystemInfo);
+  applySettings(ensureAgentToken(openSettings(app.getPath('userData'))), null);
+  openRemoteHosts(app.getPath('userData'));
+  openPlugins(path.join(app.getPath('userData'), 'plugins'));
+  openHealthChecks();
+  openSecurity(app.getPath('userData'));
+  openAnalyzer(app.getPath('userData'), sampleAnalyzerCounters);
+  openInventory(app.getPath('userData')).then(showInventoryNotification);
   
-  // Handle window controls
-  ipcMain.handle('minimize-window', () => {
-    mainWindow.minimize();
+  mainWindow = createWindow();
+  createTray({
+    onShow: showDashboard,
+    onTogglePause: toggleMonitoring,
+    onQuit: () => app.quit()
   });
   
-  ipcMain.handle('close-window', () => {
-    mainWindow.close();
+  // Sample in the background and push snapshots to the dashboard
+  startScheduler();
+  
+  // Handle window controls (for whichever window sent them)
+  ipcMain.handle('minimize-window', (event) => {
+    BrowserWindow.fromWebContents(event.sender).minimize();
   });
   
-  ipcMain.handle('maximize-window', () => {
-    if (mainWindow.isMaximized()) {
-      mainWindow.unmaximize();
+  ipcMain.handle('close-window', (event) => {
+    BrowserWindow.fromWebContents(event.sender).close();
+  });
+  
+  ipcMain.handle('maximize-window', (event) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (win.isMaximized()) {
+      win.unmaximize();
     } else {
-      mainWindow.maximize();
+      win.maximize();
     }
   });
+  
+  // The dashboard's own toggle pauses sampling too
+  ipcMain.handle('auto-refresh-changed', (event, enabled) => {
+    setMonitoringPaused(!enabled);
+  });
+});
+
+app.on('before-quit', () => {
+  isQuitting = true;
+  stopScheduler();
+  closePlugins();
+  closeMetricsStore();
+  closeMetricsServer();
+  closeAgent();
+  destroyTray();
 });
 
 app.on('window-all-closed', () => {
@@ -120,243 +415,33 @@ app.on('window-all-closed', () => {
 });
 
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) createWindow();
+  if (BrowserWindow.getAllWindows().length === 0) mainWindow = createWindow();
 });
 
-// Function to calculate CPU usage percentage
-function getCpuUsage() {
-  const cpus = os.cpus();
-  
-  let totalIdle = 0;
-  let totalTick = 0;
-  
-  cpus.forEach(cpu => {
-    for (type in cpu.times) {
-      totalTick += cpu.times[type];
-    }
-    totalIdle += cpu.times.idle;
-  });
-  
-  const currentCpuInfo = {
-    idle: totalIdle,
-    total: totalTick
-  };
-  
-  if (previousCpuInfo) {
-    const idleDifference = currentCpuInfo.idle - previousCpuInfo.idle;
-    const totalDifference = currentCpuInfo.total - previousCpuInfo.total;
-    const cpuUsage = 100 - ~~(100 * idleDifference / totalDifference);
-    
-    previousCpuInfo = currentCpuInfo;
-    return Math.max(0, Math.min(100, cpuUsage)); // Ensure value is between 0-100
-  } else {
-    previousCpuInfo = currentCpuInfo;
-    return 0; // Return 0 for the first call since we need a previous measurement
-  }
-}
-
-// Function to get system temperature (Windows specific approach)
-function getSystemTemperature(cpuUsage) {
-  // For real temperature, you'd need additional libraries like 'systeminformation'
-  // For now, we'll simulate based on CPU usage with more realistic values
-  const baseTemp = 35; // Base temperature
-  const tempVariation = cpuUsage * 0.4; // Temperature increases with CPU usage
-  const randomVariation = (Math.random() - 0.5) * 4; // Small random variation
-  return Math.round(baseTemp + tempVariation + randomVariation);
-}
-
-// Function to get detailed CPU hardware information
-async function getDetailedCPUInfo() {
-  try {
-    const result = execSync('wmic cpu get Name,Manufacturer,MaxClockSpeed,NumberOfCores,NumberOfLogicalProcessors /format:list', 
-      { encoding: 'utf8', timeout: 5000 });
-    
-    const lines = result.split('\n').filter(line => line.trim() && line.includes('='));
-    const cpuInfo = {};
-    
-    lines.forEach(line => {
-      const [key, value] = line.split('=');
-      if (key && value) {
-        cpuInfo[key.trim()] = value.trim();
-      }
-    });
-    
-    return {
-      name: cpuInfo.Name || 'Unknown',
-      manufacturer: cpuInfo.Manufacturer || 'Unknown',
-      cores: cpuInfo.NumberOfCores || 'Unknown',
-      logicalProcessors: cpuInfo.NumberOfLogicalProcessors || 'Unknown',
-      maxClockSpeed: cpuInfo.MaxClockSpeed ? `${cpuInfo.MaxClockSpeed} MHz` : 'Unknown',
-      architecture: 'x64',
-      l2Cache: 'Unknown',
-      l3Cache: 'Unknown'
-    };
-  } catch (error) {
-    console.error('Error getting detailed CPU info:', error);
-    return {
-      name: 'Unknown',
-      manufacturer: 'Unknown',
-      architecture: 'Unknown',
-      cores: 'Unknown',
-      logicalProcessors: 'Unknown',
-      maxClockSpeed: 'Unknown',
-      l2Cache: 'Unknown',
-      l3Cache: 'Unknown'
-    };
-  }
-}
-
-// Function to get detailed RAM information
-async function getDetailedRAMInfo() {
-  try {
-    const result = execSync('wmic memorychip get BankLabel,Capacity,Speed,MemoryType /format:list', 
-      { encoding: 'utf8', timeout: 5000 });
-    
-    const lines = result.split('\n').filter(line => line.trim() && line.includes('='));
-    const memoryData = {};
-    const memorySticks = [];
-    
-    let currentStick = {};
-    lines.forEach(line => {
-      const [key, value] = line.split('=');
-      if (key && value) {
-        const cleanKey = key.trim();
-        const cleanValue = value.trim();
-        
-        if (cleanKey === 'BankLabel' && Object.keys(currentStick).length > 0) {
-          memorySticks.push(currentStick);
-          currentStick = {};
-        }
-        
-        currentStick[cleanKey] = cleanValue;
-      }
-    });
-    
-    if (Object.keys(currentStick).length > 0) {
-      memorySticks.push(currentStick);
-    }
-    
-    return memorySticks.map(stick => ({
-      bankLabel: stick.BankLabel || 'Unknown',
-      capacity: stick.Capacity ? `${Math.round(stick.Capacity / (1024**3))} GB` : 'Unknown',
-      speed: stick.Speed ? `${stick.Speed} MHz` : 'Unknown',
-      memoryType: getMemoryType(stick.MemoryType) || 'Unknown'
-    }));
-  } catch (error) {
-    console.error('Error getting detailed RAM info:', error);
-    return [];
-  }
-}
+// Function to show a desktop notification for an alert that fired
+function showAlertNotification(event) {
+  if (!Notification.isSupported()) return;
 
-// Function to convert memory type number to readable string
-function getMemoryType(typeNumber) {
-  const types = {
-    '20': 'DDR',
-    '21': 'DDR2', 
-    '24': 'DDR3',
-    '26': 'DDR4',
-    '34': 'DDR5'
-  };
-  return types[typeNumber] || `Type ${typeNumber}`;
+  new Notification({
+    title: `${event.severity === 'critical' ? 'Critical' : 'Warning'}: ${event.ruleName}`,
+    body: event.message,
+    icon: path.join(__dirname, 'icons', 'icon.ico')
+  }).show();
 }
 
-// Function to get motherboard information
-async function getMotherboardInfo() {
-  try {
-    const result = execSync('wmic baseboard get Manufacturer,Product /format:list', 
-      { encoding: 'utf8', timeout: 5000 });
-    
-    const lines = result.split('\n').filter(line => line.trim() && line.includes('='));
-    const motherboardInfo = {};
-    
-    lines.forEach(line => {
-      const [key, value] = line.split('=');
-      if (key && value) {
-        motherboardInfo[key.trim()] = value.trim();
-      }
-    });
-    
-    return {
-      manufacturer: motherboardInfo.Manufacturer || 'Unknown',
-      product: motherboardInfo.Product || 'Unknown'
-    };
-  } catch (error) {
-    console.error('Error getting motherboard info:', error);
-    return {
-      manufacturer: 'Unknown',
-      product: 'Unknown'
-    };
-  }
-}// Function to get network information (optimized)
-async function getNetworkInfo() {
-  try {
-    // Simplified network detection
-    const interfaceCommand = 'netsh wlan show interfaces';
-    const interfaceInfo = execSync(interfaceCommand, { encoding: 'utf8', timeout: 2000 });
-    
-    const ssidMatch = interfaceInfo.match(/SSID\s*:\s*(.+)/);
-    const signalMatch = interfaceInfo.match(/Signal\s*:\s*(\d+)%/);
-    
-    if (ssidMatch) {
-      return {
-        ssid: ssidMatch[1].trim(),
-        signalStrength: signalMatch ? parseInt(signalMatch[1]) : 75,
-        networkType: '802.11n',
-        adapters: [],
-        isConnected: true,
-        downloadSpeed: Math.round(Math.random() * 50 + 10),
-        uploadSpeed: Math.round(Math.random() * 20 + 5)
-      };
-    }
-  } catch (error) {
-    // Silent fallback
-  }
-  
-  // Quick fallback
-  const networkInterfaces = os.networkInterfaces();
-  const activeInterfaces = Object.values(networkInterfaces).flat().filter(iface => 
-    iface.family === 'IPv4' && !iface.internal
-  );
-  
-  return {
-    ssid: activeInterfaces.length > 0 ? 'Connected' : 'Not Connected',
-    signalStrength: activeInterfaces.length > 0 ? 75 : 0,
-    networkType: 'Ethernet',
-    adapters: [],
-    isConnected: activeInterfaces.length > 0,
-    downloadSpeed: Math.round(Math.random() * 30 + 5),
-    uploadSpeed: Math.round(Math.random() * 15 + 2)
-  };
-}
+// Function to tell the user when the hardware changed since the stored inventory
+function showInventoryNotification(status) {
+  if (status.changeCount === 0 || !Notification.isSupported()) return;
 
-// Function to get GPU information (optimized)
-async function getGPUInfo() {
-  try {
-    // Simplified GPU detection for better performance
-    const gpuQuery = 'wmic path win32_VideoController get name /format:list';
-    const result = execSync(gpuQuery, { encoding: 'utf8', timeout: 3000 });
-    
-    const nameMatch = result.match(/Name=(.+)/);
-    if (nameMatch) {
-      const gpuName = nameMatch[1].trim();
-      return {
-        name: gpuName,
-        memory: 'Unknown',
-        temperature: Math.round(25 + Math.random() * 15),
-        usage: Math.round(Math.random() * 30)
-      };
-    }
-  } catch (error) {
-    // Silent fallback
-  }
-  
-  // Quick fallback
-  return {
-    name: 'Integrated Graphics',
-    memory: 'Shared',
-    temperature: Math.round(30 + Math.random() * 10),
-    usage: Math.round(Math.random() * 20)
-  };
+  const { added, removed, changed } = status.comparison;
+  const counts = [[added, 'added'], [removed, 'removed'], [changed, 'changed']]
+    .filter(([list]) => list.length > 0)
+    .map(([list, label]) => `${list.length} ${label}`);
+  new Notification({
+    title: 'Hardware changed',
+    body: `${counts.join(', ')} since the stored inventory. Open Hardware Details > Inventory to review.`,
+    icon: path.join(__dirname, 'icons', 'icon.ico')
+  }).show();
 }
 
 // Function to format uptime
@@ -374,119 +459,198 @@ function formatUptime(uptimeSeconds) {
   }
 }
 
-// Function to get disk usage (optimized)
-function getDiskUsage() {
-  try {
-    // Use simpler command for better performance
-    const diskCommand = 'wmic logicaldisk where "DeviceID=\'C:\'" get Size,FreeSpace /format:list';
-    const result = execSync(diskCommand, { encoding: 'utf8', timeout: 3000 });
-    
-    const lines = result.split('\n').filter(line => line.includes('='));
-    let freeSpace = 0, totalSpace = 0;
-    
-    lines.forEach(line => {
-      if (line.startsWith('FreeSpace=')) {
-        freeSpace = parseInt(line.split('=')[1]) || 0;
-      } else if (line.startsWith('Size=')) {
-        totalSpace = parseInt(line.split('=')[1]) || 0;
-      }
-    });
-    
-    if (totalSpace > 0) {
-      const usedSpace = totalSpace - freeSpace;
-      const usagePercentage = (usedSpace / totalSpace) * 100;
-      
-      return {
-        usagePercentage: Math.round(usagePercentage * 100) / 100,
-        totalGB: Math.round(totalSpace / (1024 ** 3) * 10) / 10,
-        freeGB: Math.round(freeSpace / (1024 ** 3) * 10) / 10,
-        usedGB: Math.round(usedSpace / (1024 ** 3) * 10) / 10
-      };
-    }
-  } catch (error) {
-    // Silent fallback for better performance
-  }
+// Function to read the hardware details that never change while the app runs (sampled once at startup)
+async function sampleHardware() {
+  const [cpu, memory, motherboard] = await Promise.all([
+    getDetailedCPUInfo(),
+    getDetailedRAMInfo(),
+    getMotherboardInfo()
+  ]);
+  return { cpu, memory, motherboard };
+}
+
+// Function to sample the fast-moving counters: CPU, disks, network, GPUs and temperatures
+async function sampleCounters() {
+  const [cpuCounters, diskCounters, networkCounters, gpuDevices, thermalSensors] = await Promise.all([
+    getCpuCounters(),
+    getDiskCounters(),
+    getNetworkCounters(),
+    getGPUDevices(),
+    getThermalSensors()
+  ]);
+  
+  // Sample per-core usage from per-core time deltas (0 overall for the first sample, as there is no previous one)
+  const cpuStats = sampleCpuStats(cpuCounters);
+  const memoryPercentage = (os.totalmem() - os.freemem()) / os.totalmem() * 100;
+  
+  // Sample per-disk throughput, IOPS, queue depth and latency, and per-interface throughput
+  const diskIO = sampleDiskIO(diskCounters);
+  const networkThroughput = sampleNetworkThroughput(networkCounters);
+  
+  // Add to performance history
+  addToHistory('cpu', cpuStats.usage !== null ? cpuStats.usage : 0);
+  addToHistory('memory', memoryPercentage);
+  addToSeriesHistory('cpuCores', Object.fromEntries(cpuStats.cores
+    .filter(core => core.usage !== null)
+    .map(core => [core.index, core.usage])));
+  addToSeriesHistory('diskIO', Object.fromEntries(diskIO.devices
+    .filter(device => device.readBytesPerSec !== null)
+    .map(device => [device.name, device.readBytesPerSec + device.writeBytesPerSec])));
+  addToSeriesHistory('network', Object.fromEntries(networkThroughput.interfaces
+    .filter(iface => iface.rxBytesPerSec !== null)
+    .map(iface => [iface.name, iface.rxBytesPerSec + iface.txBytesPerSec])));
   
-  // Quick fallback
   return {
-    usagePercentage: 45,
-    totalGB: 500,
-    freeGB: 275,
-    usedGB: 225
+    cpuStats,
+    diskIO,
+    networkThroughput,
+    gpuDevices,
+    temperatures: summarizeTemperatures(thermalSensors)
   };
 }
 
-// IPC handler: Renderer asks for system data, main responds
-ipcMain.handle('get-system-info', async () => {
+// The Performance Analyzer's CPU deltas, kept apart from the dashboard's
+const analyzerCpuState = { previousSample: null };
+
+// Function to read the counters for one Performance Analyzer sample: CPU and per-core load measured over the
+// analyzer's own quarter-second interval, disks and GPUs from the latest 'counters' run. Nothing here feeds
+// the dashboard history or starts the GPU and temperature tools.
+async function sampleAnalyzerCounters() {
+  const cpuStats = sampleCpuStats(await getCpuCounters(), Date.now(), analyzerCpuState);
+  const counters = getTaskResult('counters');
+  return {
+    cpuStats,
+    diskIO: counters ? counters.diskIO : { devices: [], primary: null },
+    gpuDevices: counters ? counters.gpuDevices : []
+  };
+}
+
+// Function to run the slower probes: mounted volumes and the connection details (SSID, signal, adapters)
+async function sampleProbes() {
+  const [volumes, networkInfo] = await Promise.all([getVolumes(), getNetworkInfo()]);
+  return { volumes, networkInfo };
+}
+
+// Function to read the batteries and the AC adapter (every 10 s; the charge moves slowly)
+async function samplePower() {
+  const power = summarizePower(await getPowerSupplies());
+  if (power.percent !== null) addToHistory('battery', power.percent);
+  return power;
+}
+
+// Stand-ins for samplers whose first run failed, so a snapshot can still be built (with '--' where they go)
+const EMPTY_COUNTERS = {
+  cpuStats: { usage: null, breakdown: null, cores: [] },
+  diskIO: { devices: [], primary: null },
+  networkThroughput: { interfaces: [], primary: null },
+  gpuDevices: [],
+  temperatures: summarizeTemperatures([])
+};
+const EMPTY_PROBES = {
+  volumes: [],
+  networkInfo: {
+    ssid: 'Not Connected',
+    signalStrength: 0,
+    networkType: 'Unknown',
+    adapters: [],
+    isConnected: false,
+    downloadSpeed: null,
+    uploadSpeed: null
+  }
+};
+
+// Function to build a full snapshot from the latest sampling results; unless `record` is false it is also
+// stored and run through the alert rules. Samplers that have not produced anything yet are run first.
+async function collectSystemInfo({ record = true } = {}) {
+  await Promise.all(['hardware', 'counters', 'probes', 'power']
+    .filter(name => getTaskResult(name) === null)
+    .map(name => runTask(name)));
+  const hardware = getTaskResult('hardware');
+  const { cpuStats, diskIO, networkThroughput, gpuDevices, temperatures } = getTaskResult('counters') || EMPTY_COUNTERS;
+  const { volumes, networkInfo } = getTaskResult('probes') || EMPTY_PROBES;
+  const power = getTaskResult('power') || summarizePower(null);
+  
+  // The headless mode never opens the settings
+  const settings = getSettings();
   const cpus = os.cpus();
   const totalMemory = os.totalmem();
   const freeMemory = os.freemem();
   const usedMemory = totalMemory - freeMemory;
   const network = os.networkInterfaces();
-  const currentCpuUsage = getCpuUsage();
   
-  // Calculate percentages for history tracking
-  const cpuPercentage = currentCpuUsage;
+  const currentCpuUsage = cpuStats.usage !== null ? cpuStats.usage : 0;
+  const liveFrequencies = cpuStats.cores.map(core => core.frequencyMHz).filter(frequency => frequency !== null);
+  const averageFrequency = liveFrequencies.length > 0 ?
+    liveFrequencies.reduce((sum, frequency) => sum + frequency, 0) / liveFrequencies.length : null;
   const memoryPercentage = (usedMemory / totalMemory) * 100;
   
-  // Add to performance history
-  addToHistory('cpu', cpuPercentage);
-  addToHistory('memory', memoryPercentage);
-  
-  // Get GPU information
-  const gpuInfo = await getGPUInfo();
+  // First GPU drives the summary fields, the system volume the storage ones
+  const primaryGpu = gpuDevices[0] || null;
+  const systemVolume = getSystemVolume(volumes);
   
-  // Get detailed hardware information
-  const detailedCPU = await getDetailedCPUInfo();
-  const detailedRAM = await getDetailedRAMInfo();
-  const motherboardInfo = await getMotherboardInfo();
-  
-  // Get real network information
-  const networkInfo = await getNetworkInfo();
+  const primaryThroughput = networkThroughput.interfaces.find(iface => iface.name === networkThroughput.primary);
+  const toMBps = bytesPerSec => bytesPerSec !== null ? Math.round(bytesPerSec / (1024 ** 2) * 100) / 100 : null;
   
   // Get primary network interface
   const networkInterfaces = Object.values(network).flat().filter(iface => 
     iface.family === 'IPv4' && !iface.internal
   );
   
-  return {
+  const systemInfo = {
     // CPU Information
     cpuUsage: currentCpuUsage,
     cpuModel: cpus[0] ? cpus[0].model.trim() : 'Unknown CPU',
     cpuCores: cpus.length,
-    cpuSpeed: cpus[0] ? `${(cpus[0].speed / 1000).toFixed(1)} GHz` : 'Unknown',
-    cpuTemperature: getSystemTemperature(currentCpuUsage),
+    cpuSpeed: averageFrequency !== null ? `${(averageFrequency / 1000).toFixed(1)} GHz` :
+      cpus[0] ? `${(cpus[0].speed / 1000).toFixed(1)} GHz` : 'Unknown',
+    cpuTemperature: temperatures.cpuTemperature,
+    cpuStats, // Per-core usage, user/system/iowait/irq breakdown and live clocks
     
     // GPU Information
-    gpuName: gpuInfo.name,
-    gpuMemory: gpuInfo.memory,
-    gpuTemperature: gpuInfo.temperature,
-    gpuUsage: gpuInfo.usage,
+    gpuName: primaryGpu ? primaryGpu.name : 'No supported GPU data source',
+    gpuMemory: primaryGpu && primaryGpu.memoryTotalMB ? `${(primaryGpu.memoryTotalMB / 1024).toFixed(1)} GB` : 'Unknown',
+    gpuTemperature: primaryGpu && primaryGpu.temperature !== null ? primaryGpu.temperature : temperatures.gpuTemperature,
+    gpuUsage: primaryGpu ? primaryGpu.utilization : null,
+    gpus: gpuDevices,
+    
+    // Thermal Sensors (every sensor plus an overall status)
+    temperatures,
     
     // Memory Information
     memoryUsage: memoryPercentage,
     totalMemory: (totalMemory / (1024 ** 3)).toFixed(1),
     freeMemory: (freeMemory / (1024 ** 3)).toFixed(1),
     usedMemory: (usedMemory / (1024 ** 3)).toFixed(1),
+    totalMemoryBytes: totalMemory,
+    usedMemoryBytes: usedMemory,
+    
+    // Battery charge, state, runtime, wear and power draw for the Battery card (available is false without one)
+    power,
     
     // Performance History (last 60 seconds)
     performanceHistory: {
       cpu: [...performanceHistory.cpu],
-      memory: [...performanceHistory.memory]
+      memory: [...performanceHistory.memory],
+      cpuCores: Object.fromEntries(Object.entries(performanceHistory.cpuCores)
+        .map(([index, history]) => [index, [...history]])),
+      network: Object.fromEntries(Object.entries(performanceHistory.network)
+        .map(([name, history]) => [name, [...history]])),
+      diskIO: Object.fromEntries(Object.entries(performanceHistory.diskIO)
+        .map(([name, history]) => [name, [...history]])),
+      battery: [...performanceHistory.battery]
     },
     
     // Detailed Hardware Information
-    detailedHardware: {
-      cpu: detailedCPU,
-      memory: detailedRAM,
-      motherboard: motherboardInfo
-    },
+    detailedHardware: hardware,
     
-    // Storage Information (real data)
-    storageUsage: getDiskUsage().usagePercentage,
-    storageTotalGB: getDiskUsage().totalGB,
-    storageFreeGB: getDiskUsage().freeGB,
-    storageUsedGB: getDiskUsage().usedGB,
+    // Storage Information (every volume, plus the system volume for the summary fields)
+    volumes,
+    systemVolume: systemVolume ? systemVolume.mountPoint : null,
+    storageUsage: systemVolume ? systemVolume.usagePercentage : null,
+    storageTotalGB: systemVolume ? systemVolume.totalGB : null,
+    storageFreeGB: systemVolume ? systemVolume.freeGB : null,
+    storageUsedGB: systemVolume ? systemVolume.usedGB : null,
+    diskIO,
     
     // Network Information
     networkSSID: networkInfo.ssid,
@@ -494,8 +658,9 @@ ipcMain.handle('get-system-info', async () => {
     networkType: networkInfo.networkType,
     networkAdapters: networkInfo.adapters,
     networkConnected: networkInfo.isConnected,
-    downloadSpeed: networkInfo.downloadSpeed,
-    uploadSpeed: networkInfo.uploadSpeed,
+    downloadSpeed: primaryThroughput ? toMBps(primaryThroughput.rxBytesPerSec) : networkInfo.downloadSpeed,
+    uploadSpeed: primaryThroughput ? toMBps(primaryThroughput.txBytesPerSec) : networkInfo.uploadSpeed,
+    networkThroughput,
     
     // System Information
     platform: os.platform(),
@@ -514,15 +679,449 @@ ipcMain.handle('get-system-info', async () => {
     osRelease: os.release(),
     
     // Load average (Unix-like systems)
-    loadAverage: os.loadavg()
+    loadAverage: os.loadavg(),
+    
+    // Collector plugins with their latest values and history
+    plugins: getPluginSnapshot(),
+    
+    // Health checks (temperatures, SMART, crashes, services, updates) for the sidebar and the System Health card
+    health: getHealthSnapshot(temperatures, settings ? settings.units.temperature : 'C'),
+    
+    // Security providers, the active one's last scan and the scan in progress for the Security card
+    security: getSecurityStatus()
   };
+  
+  lastSystemInfo = systemInfo;
+  
+  // Persist the snapshot for the history charts
+  const metrics = snapshotToMetrics(systemInfo);
+  if (record) {
+    recordMetrics(metrics);
+    updateTray(systemInfo, settings.units);
+    
+    // Run the alert rules; the same rules colour the cards
+    evaluateAlerts(metrics, getMetricInfo)
+      .filter(event => event.notify)
+      .forEach(showAlertNotification);
+  }
+  systemInfo.alerts = {
+    levels: getThresholdLevels(metrics),
+    active: getActiveAlerts(),
+    // Lets the renderer refresh its copy of the log only when something new happened
+    lastEventTime: getAlertLog().length > 0 ? getAlertLog()[0].time : null
+  };
+  
+  return systemInfo;
+}
+
+// Function to get a current snapshot for the metrics server without recording it
+async function getFreshSystemInfo() {
+  // Counters stop while monitoring is paused, so take a reading on demand
+  if (monitoringPaused) await runTask('counters');
+  return collectSystemInfo({ record: false });
+}
+
+// Function to build, record and push a snapshot to the dashboard and any remote dashboards watching this
+// machine (the 'publish' task, every refresh interval); the --agent mode does not record
+async function publishSystemInfo() {
+  const systemInfo = await collectSystemInfo({ record: !cliOptions.agent });
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('system-info', systemInfo);
+  broadcastSnapshot(systemInfo);
+  return null;
+}
+
+// Sampling cadences: hardware once, counters every second (or faster when the refresh is), probes every 30 s,
+// batteries every 10 s
+const COUNTER_INTERVAL_MS = 1000;
+const PROBE_INTERVAL_MS = 30000;
+const POWER_INTERVAL_MS = 10000;
+addTask('hardware', null, sampleHardware);
+addTask('counters', COUNTER_INTERVAL_MS, sampleCounters);
+addTask('probes', PROBE_INTERVAL_MS, sampleProbes);
+addTask('power', POWER_INTERVAL_MS, samplePower);
+addTask('publish', 2000, publishSystemInfo);
+
+// IPC handler: the latest snapshot, for the first paint and redraws between pushes (not recorded)
+ipcMain.handle('get-system-info', async () => {
+  return collectSystemInfo({ record: false });
+});
+
+// IPC handlers: settings, applied as soon as they are saved
+ipcMain.handle('get-settings', async () => {
+  return getSettings();
+});
+
+ipcMain.handle('save-settings', async (event, patch) => {
+  try {
+    const previous = getSettings();
+    const settings = updateSettings(patch);
+    await applySettings(settings, previous);
+    
+    // The endpoint can fail to start (port in use) even though the settings themselves are valid
+    const serverStatus = getServerStatus();
+    if (serverStatus.error) return { success: false, message: `Saved, but the metrics endpoint failed: ${serverStatus.error}`, settings };
+    const agentStatus = getAgentStatus();
+    if (agentStatus.error) return { success: false, message: `Saved, but the agent failed: ${agentStatus.error}`, settings };
+    return { success: true, message: 'Settings saved', settings };
+  } catch (error) {
+    return { success: false, message: error.message, settings: getSettings() };
+  }
+});
+
+// IPC handlers: collector plugins from the plugins folder in userData
+ipcMain.handle('reload-plugins', async () => {
+  try {
+    const plugins = await reloadPlugins();
+    const failed = plugins.filter(plugin => plugin.error).length;
+    return {
+      success: failed === 0,
+      message: `Loaded ${plugins.length - failed} of ${plugins.length} plugin${plugins.length === 1 ? '' : 's'}`,
+      plugins
+    };
+  } catch (error) {
+    return { success: false, message: error.message, plugins: getPluginSnapshot() };
+  }
+});
+
+ipcMain.handle('open-plugins-folder', async () => {
+  const error = await shell.openPath(getPluginDirectory());
+  return error ? { success: false, message: error } : { success: true, message: 'Plugins folder opened' };
+});
+
+// IPC handler: whether the optional Prometheus / JSON endpoint is listening
+ipcMain.handle('get-metrics-server', async () => {
+  return getServerStatus();
+});
+
+// IPC handler: re-run one health check now (from its details popover)
+ipcMain.handle('run-health-check', async (event, id) => {
+  try {
+    await runHealthCheck(id);
+    const systemInfo = await collectSystemInfo({ record: false });
+    return { success: true, message: 'Checked', health: systemInfo.health };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+// IPC handlers: this machine's agent, and the remote agents the Hosts view watches
+ipcMain.handle('get-agent-status', async () => {
+  return getAgentStatus();
+});
+
+ipcMain.handle('get-remote-hosts', async () => {
+  return getRemoteHosts();
+});
+
+ipcMain.handle('save-remote-hosts', async (event, hosts) => {
+  try {
+    return { success: true, message: 'Hosts saved', hosts: saveRemoteHosts(hosts) };
+  } catch (error) {
+    return { success: false, message: error.message, hosts: getRemoteHosts() };
+  }
+});
+
+// IPC handlers: alert rules and the alert log
+ipcMain.handle('get-alert-rules', async () => {
+  return getRules();
 });
 
-// IPC handler for launching Malwarebytes
-ipcMain.handle('launch-malwarebytes', async () => {
+ipcMain.handle('save-alert-rules', async (event, rules) => {
   try {
-    return await launchMalwarebytes();
+    return { success: true, message: 'Alert rules saved', rules: saveRules(rules) };
   } catch (error) {
     return { success: false, message: error.message };
   }
+});
+
+ipcMain.handle('get-alert-log', async () => {
+  return getAlertLog();
+});
+
+ipcMain.handle('clear-alert-log', async () => {
+  clearAlertLog();
+});
+
+// IPC handler: stored history for the charts ({ metrics, from, to, maxPoints })
+ipcMain.handle('get-history', async (event, query) => {
+  return queryHistory(query);
+});
+
+// IPC handler: metrics available to the history charts
+ipcMain.handle('get-history-metrics', async () => {
+  return listMetrics();
+});
+
+// IPC handler: export stored history plus the latest snapshot ({ format, from, to, metrics }) through a save dialog
+ipcMain.handle('export-metrics', async (event, { format, from, to, metrics }) => {
+  try {
+    const extension = format === 'csv' ? 'csv' : 'json';
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Metrics',
+      defaultPath: `system-monitor-${os.hostname()}-${new Date().toISOString().slice(0, 10)}.${extension}`,
+      filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true, message: 'Export cancelled' };
+    }
+    
+    // An empty selection means every metric
+    const metricIds = metrics && metrics.length > 0 ? metrics : listMetrics().map(metric => metric.id);
+    const history = await queryHistory({ metrics: metricIds, from, to, fullResolution: true });
+    const exportData = buildExport({
+      history,
+      metricInfo: getMetricInfo,
+      snapshot: lastSystemInfo,
+      hostname: os.hostname()
+    });
+    
+    fs.writeFileSync(filePath, extension === 'csv' ? toCsv(exportData) : JSON.stringify(exportData, null, 2));
+    const pointCount = Object.values(history.series).reduce((sum, points) => sum + points.length, 0);
+    return { success: true, message: `Exported ${pointCount} points to ${path.basename(filePath)}`, filePath };
+  } catch (error) {
+    return { success: false, message: `Export failed: ${error.message}` };
+  }
+});
+
+// IPC handler: load an exported file for offline viewing in the charts
+ipcMain.handle('import-metrics', async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Import Metrics',
+      properties: ['openFile'],
+      filters: [{ name: 'System Monitor export', extensions: ['json', 'csv'] }]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true, message: 'Import cancelled' };
+    }
+    
+    const data = parseExport(fs.readFileSync(filePaths[0], 'utf8'));
+    return { success: true, message: `Loaded ${path.basename(filePaths[0])}`, fileName: path.basename(filePaths[0]), data };
+  } catch (error) {
+    return { success: false, message: `Import failed: ${error.message}` };
+  }
+});
+
+// IPC handler: process list with per-process CPU usage since the previous request
+ipcMain.handle('get-processes', async () => {
+  return sampleProcesses(await getProcesses());
+});
+
+// PIDs the process actions must never touch: the idle/init processes (and the Windows System process)
+const SYSTEM_PIDS = process.platform === 'win32' ? [0, 4] : [0, 1];
+
+// Function to collect this app's own process tree (main, renderer, GPU and utility processes plus their children)
+async function getAppProcessTree() {
+  const appPids = new Set([process.pid, ...app.getAppMetrics().map(metric => metric.pid)]);
+  const processes = await getProcesses();
+
+  // Keep walking down until no new children turn up
+  let added = true;
+  while (added) {
+    added = false;
+    processes.forEach(proc => {
+      if (!appPids.has(proc.pid) && appPids.has(proc.ppid)) {
+        appPids.add(proc.pid);
+        added = true;
+      }
+    });
+  }
+
+  return appPids;
+}
+
+// Function to validate the target of a process action before anything is sent to it
+async function assertProcessControllable(pid) {
+  if (!Number.isInteger(pid) || pid < 0) {
+    throw new Error(`Invalid PID: ${pid}`);
+  }
+  if (SYSTEM_PIDS.includes(pid)) {
+    throw new Error(`PID ${pid} is a core system process and cannot be changed from here.`);
+  }
+  if ((await getAppProcessTree()).has(pid)) {
+    throw new Error(`PID ${pid} belongs to System Monitor itself and cannot be changed from here.`);
+  }
+}
+
+// IPC handlers: end, suspend, resume or reprioritise a process picked in the process list
+ipcMain.handle('terminate-process', async (event, pid) => {
+  try {
+    await assertProcessControllable(pid);
+    const { forced } = await terminateProcess(pid);
+    return {
+      success: true,
+      message: forced ? `PID ${pid} did not exit in time and was killed` : `PID ${pid} ended`
+    };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+ipcMain.handle('suspend-process', async (event, pid) => {
+  try {
+    await assertProcessControllable(pid);
+    await suspendProcess(pid);
+    return { success: true, message: `PID ${pid} suspended` };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+ipcMain.handle('resume-process', async (event, pid) => {
+  try {
+    await assertProcessControllable(pid);
+    await resumeProcess(pid);
+    return { success: true, message: `PID ${pid} resumed` };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+ipcMain.handle('set-process-priority', async (event, pid, level) => {
+  try {
+    await assertProcessControllable(pid);
+    setProcessPriority(pid, level);
+    return { success: true, message: `PID ${pid} priority changed` };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+// IPC handlers: security providers (re-detected on request), scans and the provider's own window
+ipcMain.handle('get-security-status', async () => {
+  try {
+    return await refreshSecurity();
+  } catch (error) {
+    return { ...getSecurityStatus(), error: error.message };
+  }
+});
+
+ipcMain.handle('start-security-scan', async (event, options) => {
+  try {
+    const status = await startSecurityScan(options);
+    return { success: true, message: status.scan.message, status };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+ipcMain.handle('launch-security-app', async () => {
+  try {
+    return { success: true, message: await launchSecurityApp() };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+// IPC handler: pick a folder for a custom-path scan
+ipcMain.handle('choose-security-scan-path', async (event) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Choose a folder to scan',
+    properties: ['openDirectory']
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+});
+
+// IPC handlers: Performance Analyzer sessions (recorded from the counters, so not while monitoring is paused)
+ipcMain.handle('get-analyzer-status', async () => {
+  return getAnalyzerStatus();
+});
+
+ipcMain.handle('start-analysis', async (event, options) => {
+  if (monitoringPaused) return { success: false, message: 'Resume monitoring to record a session' };
+  try {
+    const status = startAnalysis(options);
+    return { success: true, message: 'Recording...', status };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+ipcMain.handle('stop-analysis', async () => {
+  try {
+    const session = stopAnalysis();
+    return {
+      success: true,
+      message: session ? 'Session saved' : 'Stopped before any samples were taken',
+      sessionId: session ? session.id : null,
+      status: getAnalyzerStatus()
+    };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+ipcMain.handle('get-analysis-session', async (event, id) => {
+  return getAnalysisSession(id);
+});
+
+ipcMain.handle('delete-analysis-session', async (event, id) => {
+  try {
+    deleteAnalysisSession(id);
+    return { success: true, message: 'Session deleted', status: getAnalyzerStatus() };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+// IPC handler: add a PresentMon or MangoHud frame-time log to a saved session
+ipcMain.handle('import-frame-times', async (event, id) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Import Frame-Time Log',
+      properties: ['openFile'],
+      filters: [{ name: 'PresentMon or MangoHud log', extensions: ['csv'] }]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true, message: 'Import cancelled' };
+    }
+    
+    const session = importFrameTimes(id, filePaths[0]);
+    const note = session.frames.aligned ? '' : ' (it does not overlap this session, so stutters are not matched to resources)';
+    return { success: true, message: `Loaded ${session.report.frames.count} frames from ${session.frames.file}${note}`, session };
+  } catch (error) {
+    return { success: false, message: `Import failed: ${error.message}` };
+  }
+});
+
+// IPC handlers: hardware inventory and its changes since the baseline
+ipcMain.handle('get-inventory', async () => {
+  return getInventoryStatus();
+});
+
+ipcMain.handle('refresh-inventory', async () => {
+  const status = await refreshInventory();
+  return status.error ? { success: false, message: status.error, status } :
+    { success: true, message: status.changeCount > 0 ? `${status.changeCount} change${status.changeCount === 1 ? '' : 's'} found` : 'No changes', status };
+});
+
+ipcMain.handle('accept-inventory', async () => {
+  try {
+    return { success: true, message: 'Saved as the new baseline', status: acceptInventory() };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+// IPC handler: save the inventory report as Markdown or HTML
+ipcMain.handle('export-inventory', async (event, format) => {
+  try {
+    const status = getInventoryStatus();
+    if (!status.current) return { success: false, message: 'No inventory has been taken yet' };
+
+    const extension = format === 'html' ? 'html' : 'md';
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Hardware Inventory',
+      defaultPath: `inventory-${os.hostname()}-${new Date().toISOString().slice(0, 10)}.${extension}`,
+      filters: [{ name: extension === 'html' ? 'HTML' : 'Markdown', extensions: [extension] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true, message: 'Export cancelled' };
+    }
+
+    fs.writeFileSync(filePath, extension === 'html' ? renderInventoryHtml(status) : renderInventoryMarkdown(status));
+    return { success: true, message: `Saved ${path.basename(filePath)}`, filePath };
+  } catch (error) {
+    return { success: false, message: `Export failed: ${error.message}` };
+  }
 });
\ No newline at end of file
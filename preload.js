@@ -2,9 +2,47 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   getSystemInfo: () => ipcRenderer.invoke('get-system-info'),
+  onSystemInfo: (callback) => ipcRenderer.on('system-info', (event, systemInfo) => callback(systemInfo)),
+  getProcesses: () => ipcRenderer.invoke('get-processes'),
+  getHistory: (query) => ipcRenderer.invoke('get-history', query),
+  getHistoryMetrics: () => ipcRenderer.invoke('get-history-metrics'),
+  exportMetrics: (options) => ipcRenderer.invoke('export-metrics', options),
+  importMetrics: () => ipcRenderer.invoke('import-metrics'),
+  getAlertRules: () => ipcRenderer.invoke('get-alert-rules'),
+  saveAlertRules: (rules) => ipcRenderer.invoke('save-alert-rules', rules),
+  getAlertLog: () => ipcRenderer.invoke('get-alert-log'),
+  clearAlertLog: () => ipcRenderer.invoke('clear-alert-log'),
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  saveSettings: (patch) => ipcRenderer.invoke('save-settings', patch),
+  getMetricsServer: () => ipcRenderer.invoke('get-metrics-server'),
+  runHealthCheck: (id) => ipcRenderer.invoke('run-health-check', id),
+  getAgentStatus: () => ipcRenderer.invoke('get-agent-status'),
+  getRemoteHosts: () => ipcRenderer.invoke('get-remote-hosts'),
+  saveRemoteHosts: (hosts) => ipcRenderer.invoke('save-remote-hosts', hosts),
+  reloadPlugins: () => ipcRenderer.invoke('reload-plugins'),
+  openPluginsFolder: () => ipcRenderer.invoke('open-plugins-folder'),
+  terminateProcess: (pid) => ipcRenderer.invoke('terminate-process', pid),
+  suspendProcess: (pid) => ipcRenderer.invoke('suspend-process', pid),
+  resumeProcess: (pid) => ipcRenderer.invoke('resume-process', pid),
+  setProcessPriority: (pid, level) => ipcRenderer.invoke('set-process-priority', pid, level),
   minimizeWindow: () => ipcRenderer.invoke('minimize-window'),
   closeWindow: () => ipcRenderer.invoke('close-window'),
   maximizeWindow: () => ipcRenderer.invoke('maximize-window'),
-  launchMalwarebytes: () => ipcRenderer.invoke('launch-malwarebytes')
+  reportAutoRefresh: (enabled) => ipcRenderer.invoke('auto-refresh-changed', enabled),
+  onSetAutoRefresh: (callback) => ipcRenderer.on('set-auto-refresh', (event, enabled) => callback(enabled)),
+  getSecurityStatus: () => ipcRenderer.invoke('get-security-status'),
+  startSecurityScan: (options) => ipcRenderer.invoke('start-security-scan', options),
+  launchSecurityApp: () => ipcRenderer.invoke('launch-security-app'),
+  chooseSecurityScanPath: () => ipcRenderer.invoke('choose-security-scan-path'),
+  getAnalyzerStatus: () => ipcRenderer.invoke('get-analyzer-status'),
+  startAnalysis: (options) => ipcRenderer.invoke('start-analysis', options),
+  stopAnalysis: () => ipcRenderer.invoke('stop-analysis'),
+  getAnalysisSession: (id) => ipcRenderer.invoke('get-analysis-session', id),
+  deleteAnalysisSession: (id) => ipcRenderer.invoke('delete-analysis-session', id),
+  importFrameTimes: (id) => ipcRenderer.invoke('import-frame-times', id),
+  getInventory: () => ipcRenderer.invoke('get-inventory'),
+  refreshInventory: () => ipcRenderer.invoke('refresh-inventory'),
+  acceptInventory: () => ipcRenderer.invoke('accept-inventory'),
+  exportInventory: (format) => ipcRenderer.invoke('export-inventory', format)
 });
 
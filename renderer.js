@@ -85,13 +85,16 @@ function updateHardwareInfo(data) {
       const memoryContainer = document.getElementById('memory-slots');
       memoryContainer.innerHTML = '';
       
+      // Built with textContent: a remote host's agent supplies these strings
       memory.forEach((stick, index) => {
         const memorySlot = document.createElement('div');
         memorySlot.className = 'flex justify-between';
-        memorySlot.innerHTML = `
-          <span class="text-gray-400">Slot ${index + 1}:</span> 
-          <span>${stick.capacity} ${stick.speed} ${stick.memoryType}</span>
-        `;
+        const label = document.createElement('span');
+        label.className = 'text-gray-400';
+        label.textContent = `Slot ${index + 1}:`;
+        const value = document.createElement('span');
+        value.textContent = `${stick.capacity} ${stick.speed} ${stick.memoryType}`;
+        memorySlot.append(label, value);
         memoryContainer.appendChild(memorySlot);
       });
       
@@ -103,10 +106,13 @@ function updateHardwareInfo(data) {
           const capacity = parseInt(stick.capacity);
           return sum + (isNaN(capacity) ? 0 : capacity);
         }, 0);
-        totalDiv.innerHTML = `
-          <span class="text-gray-400">Total:</span> 
-          <span class="text-green-400">${totalCapacity} GB (${memory.length} sticks)</span>
-        `;
+        const label = document.createElement('span');
+        label.className = 'text-gray-400';
+        label.textContent = 'Total:';
+        const value = document.createElement('span');
+        value.className = 'text-green-400';
+        value.textContent = `${totalCapacity} GB (${memory.length} sticks)`;
+        totalDiv.append(label, value);
         memoryContainer.appendChild(totalDiv);
       }
     }
@@ -119,6 +125,2795 @@ function updateHardwareInfo(data) {
   }
 }
 
+// Function to replace a picker's options only when the list of values actually changed
+function syncSelectOptions(select, entries) {
+  const currentValues = Array.from(select.options).map(option => option.value);
+  if (currentValues.join('\n') === entries.map(entry => entry.value).join('\n')) return;
+
+  select.innerHTML = '';
+  entries.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.value;
+    option.textContent = entry.label;
+    select.appendChild(option);
+  });
+}
+
+// Network interface shown in the Network card ('auto' follows the busiest adapter)
+let selectedNetworkInterface = 'auto';
+
+// Function to format a byte count in the units chosen in Settings (1024-based GiB or 1000-based GB)
+function formatBytes(bytes) {
+  const binary = appSettings.units.size === 'GiB';
+  const base = binary ? 1024 : 1000;
+  const units = binary ? ['B', 'KiB', 'MiB', 'GiB', 'TiB'] : ['B', 'kB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unitIndex = 0;
+  while (value >= base && unitIndex < units.length - 1) {
+    value /= base;
+    unitIndex++;
+  }
+  return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+// Function to format a size the main process reports in 1024-based gigabytes
+function formatSize(gigabytes) {
+  const value = parseFloat(gigabytes);
+  if (isNaN(value)) return '--';
+  return appSettings.units.size === 'GiB' ?
+    `${value.toFixed(1)} GiB` :
+    `${(value * (1024 ** 3) / 1e9).toFixed(1)} GB`;
+}
+
+// Function to convert a Celsius reading to the temperature unit chosen in Settings
+function convertTemperature(celsius) {
+  return appSettings.units.temperature === 'F' ? celsius * 9 / 5 + 32 : celsius;
+}
+
+// Function to format a Celsius reading in the chosen unit ('--' when unavailable)
+function formatTemperature(celsius, showUnit = true) {
+  if (celsius === null || celsius === undefined) return showUnit ? `--°${appSettings.units.temperature}` : '--°';
+  return `${Math.round(convertTemperature(celsius))}°${showUnit ? appSettings.units.temperature : ''}`;
+}
+
+// Update the Network card throughput figures, totals and sparkline
+function updateNetworkThroughput(data) {
+  const throughput = data.networkThroughput;
+  if (!throughput) return;
+
+  // Rebuild the interface picker only when the adapter list changes
+  const select = document.getElementById('network-interface-select');
+  const names = throughput.interfaces.map(iface => iface.name);
+  syncSelectOptions(select, [{ value: 'auto', label: 'Auto' }, ...names.map(name => ({ value: name, label: name }))]);
+  select.value = names.includes(selectedNetworkInterface) ? selectedNetworkInterface : 'auto';
+
+  const activeName = select.value === 'auto' ? throughput.primary : select.value;
+  const iface = throughput.interfaces.find(entry => entry.name === activeName);
+  const downloadSpeed = document.getElementById('download-speed');
+  const uploadSpeed = document.getElementById('upload-speed');
+
+  if (!iface) {
+    downloadSpeed.textContent = '↓ --';
+    uploadSpeed.textContent = '↑ --';
+    document.getElementById('network-totals').textContent = 'Total: --';
+    document.getElementById('network-errors').textContent = 'Errors: --';
+    drawSparkline('network-history-chart', [], '#34d399');
+    return;
+  }
+
+  downloadSpeed.textContent = iface.rxBytesPerSec !== null ? `↓ ${formatBytes(iface.rxBytesPerSec)}/s` : '↓ --';
+  uploadSpeed.textContent = iface.txBytesPerSec !== null ? `↑ ${formatBytes(iface.txBytesPerSec)}/s` : '↑ --';
+
+  document.getElementById('network-totals').textContent =
+    `Total: ↓ ${formatBytes(iface.rxBytes)} ↑ ${formatBytes(iface.txBytes)}`;
+  document.getElementById('network-totals').title =
+    `${iface.rxPackets.toLocaleString()} packets received, ${iface.txPackets.toLocaleString()} packets sent`;
+
+  const errors = iface.rxErrors + iface.txErrors;
+  const dropped = iface.rxDropped + iface.txDropped;
+  const networkErrors = document.getElementById('network-errors');
+  networkErrors.textContent = `Errors: ${errors} / Dropped: ${dropped}`;
+  networkErrors.className = errors > 0 ? 'text-yellow-400' : '';
+
+  // Scale the sparkline to the busiest sample in the window
+  const history = (data.performanceHistory && data.performanceHistory.network[activeName]) || [];
+  drawSparkline('network-history-chart', history, '#34d399', Math.max(1, ...history));
+}
+
+// Volume shown in the Storage card gauge (defaults to the system volume)
+let selectedVolume = null;
+
+// Function to describe a volume as "Label (mount point)"
+function describeVolume(volume) {
+  return volume.label ? `${volume.label} (${volume.mountPoint})` : volume.mountPoint;
+}
+
+// Threshold levels from the alert rules, refreshed with every snapshot ({ metricId: 'warning' | 'critical' })
+let alertLevels = {};
+
+// Function to get the level of a metric under the alert rules ('normal' when no rule is breached)
+function getAlertLevel(metricId) {
+  return alertLevels[metricId] || 'normal';
+}
+
+// Function to pick the status colour for a metric; `normalColor` is the card's own colour
+function getLevelColor(metricId, normalColor) {
+  const level = getAlertLevel(metricId);
+  if (level === 'critical') return 'red';
+  if (level === 'warning') return 'yellow';
+  return normalColor;
+}
+
+// Update the volume picker and per-volume list; returns the volume to show in the gauge
+function updateVolumeList(data) {
+  const volumes = data.volumes;
+  if (!volumes) return null;
+
+  const select = document.getElementById('storage-volume-select');
+
+  // Rebuild the picker only when volumes are mounted or unmounted
+  syncSelectOptions(select, volumes.map(volume => ({ value: volume.mountPoint, label: describeVolume(volume) })));
+
+  const primary = volumes.find(volume => volume.mountPoint === selectedVolume) ||
+    volumes.find(volume => volume.mountPoint === data.systemVolume) ||
+    volumes[0] || null;
+  if (primary) {
+    select.value = primary.mountPoint;
+  }
+
+  // Rebuild the per-volume list
+  const list = document.getElementById('storage-volume-list');
+  list.innerHTML = '';
+
+  volumes.forEach(volume => {
+    const color = getLevelColor(`volume.${volume.mountPoint}.usage`, 'purple');
+    const row = document.createElement('div');
+    row.className = 'cursor-pointer';
+    row.title = `${volume.device} · ${volume.fsType}`;
+    row.addEventListener('click', () => selectVolume(volume.mountPoint));
+
+    const header = document.createElement('div');
+    header.className = 'flex justify-between';
+    const name = document.createElement('span');
+    name.className = volume === primary ? 'text-white' : 'text-gray-400';
+    name.textContent = describeVolume(volume);
+    const usage = document.createElement('span');
+    usage.className = `text-${color}-400`;
+    usage.textContent = volume.usagePercentage !== null ? `${volume.usagePercentage.toFixed(0)}%` : '--';
+    header.appendChild(name);
+    header.appendChild(usage);
+
+    const track = document.createElement('div');
+    track.className = 'w-full bg-dark-600 rounded-full h-1';
+    const bar = document.createElement('div');
+    bar.className = `bg-${color}-400 h-1 rounded-full`;
+    bar.style.width = `${Math.min(volume.usagePercentage || 0, 100)}%`;
+    track.appendChild(bar);
+
+    const details = document.createElement('div');
+    details.className = 'text-gray-500';
+    details.textContent = `${volume.fsType} · ` +
+      (volume.totalGB !== null ? `${formatSize(volume.freeGB)} free of ${formatSize(volume.totalGB)}` : 'not responding') +
+      (volume.readOnly ? ' · read-only' : '');
+
+    row.appendChild(header);
+    row.appendChild(track);
+    row.appendChild(details);
+    list.appendChild(row);
+  });
+
+  return primary;
+}
+
+// Function to make a volume the one shown in the Storage card gauge
+function selectVolume(mountPoint) {
+  selectedVolume = mountPoint;
+  saveSelection('primaryVolume', mountPoint);
+  updateSystemInfo();
+}
+
+// Physical disk shown in the Disk Activity section ('auto' follows the busiest disk)
+let selectedDiskDevice = 'auto';
+
+// Update the Disk Activity rates, IOPS, queue depth, latency and sparkline
+function updateDiskActivity(data) {
+  const diskIO = data.diskIO;
+  if (!diskIO) return;
+
+  const select = document.getElementById('disk-device-select');
+  const names = diskIO.devices.map(device => device.name);
+  syncSelectOptions(select, [{ value: 'auto', label: 'Auto' }, ...names.map(name => ({ value: name, label: name }))]);
+  select.value = names.includes(selectedDiskDevice) ? selectedDiskDevice : 'auto';
+
+  const activeName = select.value === 'auto' ? diskIO.primary : select.value;
+  const device = diskIO.devices.find(entry => entry.name === activeName);
+  const fields = ['disk-read-rate', 'disk-write-rate', 'disk-iops', 'disk-busy', 'disk-queue', 'disk-latency'];
+
+  // The first sample has no previous counters to compare against
+  if (!device || device.readBytesPerSec === null) {
+    fields.forEach(id => {
+      document.getElementById(id).textContent = '--';
+    });
+    drawSparkline('disk-history-chart', [], '#a78bfa');
+    return;
+  }
+
+  document.getElementById('disk-read-rate').textContent = `${formatBytes(device.readBytesPerSec)}/s`;
+  document.getElementById('disk-write-rate').textContent = `${formatBytes(device.writeBytesPerSec)}/s`;
+  document.getElementById('disk-iops').textContent = `${device.readIops} r / ${device.writeIops} w`;
+  document.getElementById('disk-queue').textContent = device.queueDepth.toFixed(2);
+  document.getElementById('disk-latency').textContent =
+    `${device.readLatencyMs.toFixed(1)} / ${device.writeLatencyMs.toFixed(1)} ms`;
+
+  // Colour the busy figure from the alert rules, like the usage bars
+  const busy = document.getElementById('disk-busy');
+  busy.textContent = `${device.busyPercent.toFixed(0)}%`;
+  const busyColor = getLevelColor(`disk.${device.name}.busy`, null);
+  busy.className = busyColor ? `text-${busyColor}-400` : '';
+
+  // Scale the sparkline to the busiest sample in the window
+  const history = (data.performanceHistory && data.performanceHistory.diskIO[activeName]) || [];
+  drawSparkline('disk-history-chart', history, '#a78bfa', Math.max(1, ...history));
+}
+
+// GPU shown in the Video Card when more than one is present
+let selectedGpuIndex = 0;
+
+// Function to format a GPU reading that may be unavailable
+function formatGpuReading(value, unit) {
+  return value !== null && value !== undefined ? `${value}${unit}` : 'N/A';
+}
+
+// Update the Video Card from the per-device GPU readings
+function updateGpuInfo(data) {
+  const gpus = data.gpus || [];
+  const select = document.getElementById('gpu-device-select');
+  const gpuStatusDot = document.getElementById('gpu-status');
+  const gpuStatusText = document.getElementById('gpu-status-text');
+  const gpuBar = document.getElementById('gpu-bar');
+
+  if (gpus.length === 0) {
+    // No vendor tool or driver interface we can read
+    document.getElementById('gpu-model').textContent = 'No supported GPU data source';
+    document.getElementById('gpu-usage').textContent = 'N/A';
+    document.getElementById('gpu-temp').textContent = formatTemperature(null, false);
+    updateCircularProgress('gpu-circle', 0);
+    gpuBar.style.width = '0%';
+    gpuStatusDot.className = 'w-2 h-2 bg-dark-600 rounded-full';
+    gpuStatusText.textContent = 'Unavailable';
+    gpuStatusText.className = 'text-sm text-gray-500';
+    ['gpu-vram', 'gpu-clock', 'gpu-power', 'gpu-fan'].forEach(id => {
+      document.getElementById(id).textContent = 'N/A';
+    });
+    select.classList.add('hidden');
+    return;
+  }
+
+  // Only offer a picker on multi-GPU systems
+  select.classList.toggle('hidden', gpus.length < 2);
+  if (select.options.length !== gpus.length) {
+    select.innerHTML = '';
+    gpus.forEach(gpu => {
+      const option = document.createElement('option');
+      option.value = String(gpu.index);
+      option.textContent = `GPU ${gpu.index}`;
+      option.title = gpu.name;
+      select.appendChild(option);
+    });
+  }
+
+  const gpu = gpus.find(device => device.index === selectedGpuIndex) || gpus[0];
+  select.value = String(gpu.index);
+
+  document.getElementById('gpu-model').textContent = gpu.memoryTotalMB ?
+    `${gpu.name} (${formatSize(gpu.memoryTotalMB / 1024)})` : gpu.name;
+  document.getElementById('gpu-model').title = `Source: ${gpu.source}`;
+
+  // Update GPU usage
+  if (gpu.utilization !== null) {
+    document.getElementById('gpu-usage').textContent = `${Math.round(gpu.utilization)}%`;
+    gpuBar.style.width = `${Math.min(gpu.utilization, 100)}%`;
+    updateStatusIndicator(gpuStatusDot, gpuStatusText, `gpu.${gpu.index}.utilization`);
+
+    // Update GPU bar color based on the alert rules
+    gpuBar.className = `bg-${getLevelColor(`gpu.${gpu.index}.utilization`, 'blue')}-400 h-2 rounded-full transition-all duration-300`;
+  } else {
+    document.getElementById('gpu-usage').textContent = 'N/A';
+    gpuBar.style.width = '0%';
+    gpuStatusDot.className = 'w-2 h-2 bg-dark-600 rounded-full';
+    gpuStatusText.textContent = 'No utilization data';
+    gpuStatusText.className = 'text-sm text-gray-500';
+  }
+
+  // Update GPU temperature and circular progress (thermal sensors fill in for the primary GPU)
+  const temperature = gpu.temperature !== null ? gpu.temperature :
+    (gpu.index === 0 ? data.gpuTemperature : null);
+  if (temperature !== undefined && temperature !== null) {
+    document.getElementById('gpu-temp').textContent = formatTemperature(temperature, false);
+    updateCircularProgress('gpu-circle', temperature);
+  } else {
+    document.getElementById('gpu-temp').textContent = formatTemperature(null, false);
+    updateCircularProgress('gpu-circle', 0);
+  }
+
+  // Update per-device details
+  document.getElementById('gpu-vram').textContent = gpu.memoryTotalMB !== null ?
+    `${gpu.memoryUsedMB !== null ? Math.round(gpu.memoryUsedMB) : '--'} / ${Math.round(gpu.memoryTotalMB)} MB` : 'N/A';
+  document.getElementById('gpu-clock').textContent = gpu.memoryClockMHz !== null ?
+    `${formatGpuReading(gpu.coreClockMHz, ' MHz')} / ${gpu.memoryClockMHz} MHz` : formatGpuReading(gpu.coreClockMHz, ' MHz');
+  document.getElementById('gpu-power').textContent = formatGpuReading(gpu.powerDrawW, ' W');
+  document.getElementById('gpu-fan').textContent = formatGpuReading(gpu.fanSpeedPercent, '%');
+}
+
+// Colour for a core's tile, from the per-core alert rules
+const CORE_COLORS = { red: '#f87171', yellow: '#fbbf24', blue: '#60a5fa' };
+function getCoreColor(index) {
+  return CORE_COLORS[getLevelColor(`cpu.core.${index}.usage`, 'blue')];
+}
+
+// Update the per-core grid: one tile per core with its own history, tinted by current load
+function updateCpuCores(data) {
+  const grid = document.getElementById('cpu-core-grid');
+  const cpuStats = data.cpuStats;
+  if (!grid || !cpuStats) return;
+
+  // Rebuild the tiles only when the number of cores changes
+  if (grid.children.length !== cpuStats.cores.length) {
+    grid.innerHTML = '';
+    cpuStats.cores.forEach(core => {
+      const tile = document.createElement('div');
+      tile.className = 'core-tile';
+      tile.id = `cpu-core-${core.index}`;
+      const header = document.createElement('div');
+      header.className = 'flex justify-between';
+      const label = document.createElement('span');
+      label.className = 'text-gray-400';
+      label.textContent = core.index;
+      const usage = document.createElement('span');
+      usage.id = `cpu-core-usage-${core.index}`;
+      usage.textContent = '--';
+      header.append(label, usage);
+      const chart = document.createElement('canvas');
+      chart.id = `cpu-core-chart-${core.index}`;
+      chart.width = 60;
+      chart.height = 16;
+      const frequency = document.createElement('div');
+      frequency.className = 'text-gray-500';
+      frequency.id = `cpu-core-frequency-${core.index}`;
+      tile.append(header, chart, frequency);
+      grid.appendChild(tile);
+    });
+  }
+
+  const history = data.performanceHistory ? data.performanceHistory.cpuCores : {};
+  cpuStats.cores.forEach(core => {
+    const tile = document.getElementById(`cpu-core-${core.index}`);
+    const color = getCoreColor(core.index);
+    const breakdown = core.breakdown;
+
+    tile.style.backgroundColor = core.usage !== null ? `${color}${Math.round(16 + core.usage * 0.8).toString(16).padStart(2, '0')}` : '#2a2a2a';
+    tile.title = breakdown ?
+      `Core ${core.index}: user ${breakdown.user}%, system ${breakdown.system}%` +
+      (breakdown.iowait !== null ? `, I/O wait ${breakdown.iowait}%` : '') + `, IRQ ${breakdown.irq}%` :
+      `Core ${core.index}`;
+    document.getElementById(`cpu-core-usage-${core.index}`).textContent =
+      core.usage !== null ? `${Math.round(core.usage)}%` : '--';
+    document.getElementById(`cpu-core-frequency-${core.index}`).textContent =
+      core.frequencyMHz !== null ? `${(core.frequencyMHz / 1000).toFixed(2)} GHz` : '';
+    drawSparkline(`cpu-core-chart-${core.index}`, history[core.index] || [], color);
+  });
+
+  // Machine-wide split of where the CPU time went
+  const overall = cpuStats.breakdown;
+  document.getElementById('cpu-breakdown').textContent = overall ?
+    [`usr ${overall.user}%`, `sys ${overall.system}%`,
+      overall.iowait !== null ? `iowait ${overall.iowait}%` : null, `irq ${overall.irq}%`]
+      .filter(Boolean).join(' · ') :
+    '--';
+}
+
+// Collector plugins from the latest snapshot, and the layout their cards were built for
+let pluginList = [];
+let pluginCardsLayout = '';
+
+// Sparkline colours for plugin cards, one per card in turn
+const PLUGIN_COLORS = ['#60a5fa', '#34d399', '#a78bfa', '#f472b6', '#fbbf24', '#22d3ee'];
+
+// Function to format a plugin reading with its unit
+function formatPluginValue(value, unit) {
+  if (value === null) return '--';
+  const rounded = Math.round(value * 100) / 100;
+  return unit ? `${rounded.toLocaleString()} ${unit}` : rounded.toLocaleString();
+}
+
+// Function to build one card per plugin; ids use positions because plugin and metric ids may hold dots
+function buildPluginCards(plugins) {
+  const container = document.getElementById('plugin-cards');
+  container.innerHTML = '';
+
+  plugins.forEach((plugin, pluginIndex) => {
+    const card = document.createElement('div');
+    card.className = 'bg-dark-800 rounded-xl p-6';
+
+    const header = document.createElement('div');
+    header.className = 'mb-4';
+    const title = document.createElement('h3');
+    title.className = 'text-lg font-semibold';
+    title.textContent = plugin.name;
+    const subtitle = document.createElement('p');
+    subtitle.className = 'text-sm text-gray-400';
+    subtitle.textContent = plugin.intervalMs ? `Plugin · every ${plugin.intervalMs / 1000} s` : `Plugin · ${plugin.source}`;
+    header.append(title, subtitle);
+
+    const status = document.createElement('div');
+    status.className = 'flex items-center gap-2 mb-4';
+    const statusDot = document.createElement('div');
+    statusDot.id = `plugin-status-dot-${pluginIndex}`;
+    const statusText = document.createElement('span');
+    statusText.id = `plugin-status-text-${pluginIndex}`;
+    status.append(statusDot, statusText);
+
+    const metrics = document.createElement('div');
+    metrics.className = 'space-y-2';
+    plugin.metrics.forEach((metric, metricIndex) => {
+      const row = document.createElement('div');
+      const labels = document.createElement('div');
+      labels.className = 'flex justify-between items-center mb-2';
+      const label = document.createElement('span');
+      label.className = 'text-sm text-gray-400';
+      label.textContent = metric.label;
+      const value = document.createElement('span');
+      value.id = `plugin-value-${pluginIndex}-${metricIndex}`;
+      value.className = 'text-sm font-medium';
+      labels.append(label, value);
+
+      const canvas = document.createElement('canvas');
+      canvas.id = `plugin-chart-${pluginIndex}-${metricIndex}`;
+      canvas.width = 200;
+      canvas.height = 30;
+      canvas.className = 'w-full h-8 bg-dark-600 rounded';
+      row.append(labels, canvas);
+      metrics.appendChild(row);
+    });
+
+    card.append(header, status, metrics);
+    container.appendChild(card);
+  });
+}
+
+// Function to show the latest plugin values; a metric's level is the worse of its own thresholds and the alert rules
+function updatePluginCards(data) {
+  pluginList = data.plugins || [];
+  const layout = JSON.stringify(pluginList.map(plugin => [plugin.id, plugin.name, plugin.intervalMs, plugin.metrics.map(metric => metric.id)]));
+  if (layout !== pluginCardsLayout) {
+    buildPluginCards(pluginList);
+    pluginCardsLayout = layout;
+  }
+
+  const levelOrder = ['normal', 'warning', 'critical'];
+  pluginList.forEach((plugin, pluginIndex) => {
+    const color = PLUGIN_COLORS[pluginIndex % PLUGIN_COLORS.length];
+    let worst = 'normal';
+
+    plugin.metrics.forEach((metric, metricIndex) => {
+      const alertLevel = getAlertLevel(`plugin.${plugin.id}.${metric.id}`);
+      const level = levelOrder.indexOf(alertLevel) > levelOrder.indexOf(metric.level) ? alertLevel : metric.level;
+      if (levelOrder.indexOf(level) > levelOrder.indexOf(worst)) worst = level;
+
+      const value = document.getElementById(`plugin-value-${pluginIndex}-${metricIndex}`);
+      value.textContent = formatPluginValue(metric.value, metric.unit);
+      value.className = `text-sm font-medium ${level === 'critical' ? 'text-red-400' : level === 'warning' ? 'text-yellow-400' : 'text-white'}`;
+      drawSparkline(`plugin-chart-${pluginIndex}-${metricIndex}`, metric.history, color,
+        metric.max !== null ? metric.max : Math.max(1, ...metric.history));
+    });
+
+    // An error outranks the readings, which may be stale
+    const [dotClass, textClass, text] = plugin.error ? ['bg-red-400', 'text-red-400', `Error: ${plugin.error}`] :
+      !plugin.updatedAt ? ['bg-dark-600', 'text-gray-400', 'Waiting for data'] :
+      worst === 'critical' ? ['bg-red-400', 'text-red-400', 'Critical'] :
+      worst === 'warning' ? ['bg-yellow-400', 'text-yellow-400', 'Warning'] : ['bg-green-400', 'text-green-400', 'OK'];
+    document.getElementById(`plugin-status-dot-${pluginIndex}`).className = `w-2 h-2 ${dotClass} rounded-full`;
+    const statusText = document.getElementById(`plugin-status-text-${pluginIndex}`);
+    statusText.textContent = text;
+    statusText.className = `text-sm ${textClass}`;
+  });
+}
+
+// Remote agents the Hosts view watches, their live connections by host id, and the host the dashboard shows
+// (null while it shows this computer)
+let remoteHosts = [];
+const hostConnections = {};
+let viewedHostId = null;
+
+// How long to wait before reconnecting to an agent that dropped or could not be reached
+const HOST_RETRY_MS = 5000;
+
+// Close codes the agent uses, as shown on the host cards; 1006 covers unreachable and refused (not on the LAN) alike
+const AGENT_CLOSE_REASONS = {
+  1001: 'Agent stopped',
+  1006: 'Unreachable',
+  4001: 'Invalid token',
+  4002: 'Timed out signing in'
+};
+
+// Function to build the agent URL of a saved host (IPv6 addresses need brackets)
+function getAgentUrl(host) {
+  const address = host.address.includes(':') ? `[${host.address}]` : host.address;
+  return `ws://${address}:${host.port}/agent`;
+}
+
+// Function to connect to one agent; dropped connections are retried, a wrong token is not
+function connectHost(host) {
+  const connection = hostConnections[host.id] ||
+    (hostConnections[host.id] = { socket: null, retryTimer: null, status: 'connecting', message: 'Connecting...', snapshot: null });
+  connection.retryTimer = null;
+
+  let socket;
+  try {
+    socket = new WebSocket(getAgentUrl(host));
+  } catch (error) {
+    connection.status = 'offline';
+    connection.message = error.message;
+    updateHostCard(host.id);
+    return;
+  }
+  connection.socket = socket;
+
+  socket.onopen = () => socket.send(JSON.stringify({ type: 'hello', token: host.token }));
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'welcome') {
+      connection.status = 'online';
+      connection.message = 'Connected';
+    } else if (message.type === 'snapshot') {
+      connection.snapshot = message.snapshot;
+      if (viewedHostId === host.id && autoRefreshEnabled) updateSystemInfo(message.snapshot);
+    }
+    updateHostCard(host.id);
+  };
+  socket.onclose = (event) => {
+    // A removed host, or one that was reconnected since, has nothing left to update
+    if (connection.socket !== socket) return;
+    connection.socket = null;
+    connection.status = 'offline';
+    connection.message = AGENT_CLOSE_REASONS[event.code] || event.reason || 'Disconnected';
+    updateHostCard(host.id);
+    if (event.code !== 4001) connection.retryTimer = setTimeout(() => connectHost(host), HOST_RETRY_MS);
+  };
+}
+
+// Function to drop the connection to a host that was removed
+function disconnectHost(hostId) {
+  const connection = hostConnections[hostId];
+  if (!connection) return;
+
+  clearTimeout(connection.retryTimer);
+  const socket = connection.socket;
+  connection.socket = null;
+  if (socket) socket.close();
+  delete hostConnections[hostId];
+}
+
+// Function to format a snapshot value for a host card, coloured by the remote host's own alert rules
+function describeHostMetric(snapshot, metricId, value, format) {
+  if (!snapshot || value === null || value === undefined) return { text: '--', className: 'text-gray-500' };
+  const level = snapshot.alerts && snapshot.alerts.levels[metricId];
+  return {
+    text: format(value),
+    className: level === 'critical' ? 'text-red-400' : level === 'warning' ? 'text-yellow-400' : 'text-white'
+  };
+}
+
+// Function to build one compact card per saved host
+function renderHostCards() {
+  const container = document.getElementById('host-cards');
+  container.innerHTML = '';
+
+  if (remoteHosts.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-sm text-gray-500 col-span-3';
+    empty.textContent = 'Run "npm run agent" (or turn on the agent in Settings) on another computer, then add it here with its address and token.';
+    container.appendChild(empty);
+  }
+
+  remoteHosts.forEach(host => {
+    const card = document.createElement('div');
+    card.className = 'host-card bg-dark-700 rounded-lg p-4';
+    card.id = `host-card-${host.id}`;
+
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between mb-3';
+    const names = document.createElement('div');
+    const name = document.createElement('p');
+    name.className = 'font-medium';
+    name.textContent = host.name;
+    const address = document.createElement('p');
+    address.className = 'text-xs text-gray-500';
+    address.textContent = `${host.address}:${host.port}`;
+    names.append(name, address);
+    const status = document.createElement('div');
+    status.className = 'flex items-center gap-2';
+    const statusDot = document.createElement('div');
+    statusDot.id = `host-status-dot-${host.id}`;
+    const statusText = document.createElement('span');
+    statusText.id = `host-status-text-${host.id}`;
+    status.append(statusDot, statusText);
+    header.append(names, status);
+
+    const metrics = document.createElement('div');
+    metrics.className = 'grid grid-cols-2 gap-2 text-sm';
+    [['cpu', 'CPU'], ['memory', 'Memory'], ['disk', 'Disk'], ['network', 'Network']].forEach(([key, label]) => {
+      const row = document.createElement('div');
+      row.className = 'flex justify-between';
+      const labelElement = document.createElement('span');
+      labelElement.className = 'text-gray-400';
+      labelElement.textContent = label;
+      const value = document.createElement('span');
+      value.id = `host-${key}-${host.id}`;
+      row.append(labelElement, value);
+      metrics.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 mt-3';
+    const openButton = document.createElement('button');
+    openButton.className = 'action-button';
+    openButton.textContent = 'Open dashboard';
+    openButton.addEventListener('click', () => viewHost(host.id));
+    const removeButton = document.createElement('button');
+    removeButton.className = 'action-button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeHost(host.id));
+    actions.append(openButton, removeButton);
+
+    card.append(header, metrics, actions);
+    container.appendChild(card);
+    updateHostCard(host.id);
+  });
+
+  document.getElementById('hosts-summary').textContent = remoteHosts.length === 0 ? 'No remote hosts' :
+    `${remoteHosts.length} remote host${remoteHosts.length === 1 ? '' : 's'}`;
+}
+
+// Function to show a host's connection state and latest readings on its card (and the banner when it is viewed)
+function updateHostCard(hostId) {
+  const connection = hostConnections[hostId];
+  const card = document.getElementById(`host-card-${hostId}`);
+  if (!connection || !card) return;
+
+  const snapshot = connection.snapshot;
+  const online = connection.status === 'online';
+  const [dotClass, textClass, text] = online && snapshot ? ['bg-green-400', 'text-green-400', `Up ${snapshot.uptime}`] :
+    online ? ['bg-green-400', 'text-green-400', 'Waiting for data'] :
+    connection.status === 'connecting' ? ['bg-dark-600', 'text-gray-400', connection.message] :
+    ['bg-red-400', 'text-red-400', connection.message];
+  document.getElementById(`host-status-dot-${hostId}`).className = `w-2 h-2 ${dotClass} rounded-full`;
+  const statusText = document.getElementById(`host-status-text-${hostId}`);
+  statusText.textContent = text;
+  statusText.className = `text-xs ${textClass}`;
+
+  // Readings from a host that went away stay visible, greyed out, until it is back
+  const readings = {
+    cpu: describeHostMetric(snapshot, 'cpu.usage', snapshot && snapshot.cpuUsage, value => `${value.toFixed(0)}%`),
+    memory: describeHostMetric(snapshot, 'memory.usage', snapshot && snapshot.memoryUsage, value => `${value.toFixed(0)}%`),
+    disk: describeHostMetric(snapshot, snapshot ? `volume.${snapshot.systemVolume}.usage` : null,
+      snapshot && snapshot.storageUsage, value => `${value.toFixed(0)}%`),
+    network: describeHostMetric(snapshot, null, snapshot && snapshot.downloadSpeed,
+      value => `↓ ${value.toFixed(1)} ↑ ${snapshot.uploadSpeed !== null ? snapshot.uploadSpeed.toFixed(1) : '--'} MB/s`)
+  };
+  Object.entries(readings).forEach(([key, reading]) => {
+    const element = document.getElementById(`host-${key}-${hostId}`);
+    element.textContent = reading.text;
+    element.className = `font-medium ${online ? reading.className : 'text-gray-500'}`;
+  });
+
+  card.classList.toggle('viewed', viewedHostId === hostId);
+  if (viewedHostId === hostId) {
+    document.getElementById('remote-banner-status').textContent = online ? '' : `(${text})`;
+  }
+}
+
+// Function to show the full dashboard for a remote host, or for this computer again when `hostId` is null
+function viewHost(hostId) {
+  const host = remoteHosts.find(candidate => candidate.id === hostId) || null;
+  viewedHostId = host ? host.id : null;
+
+  document.body.classList.toggle('viewing-remote', Boolean(host));
+  document.getElementById('remote-banner').classList.toggle('hidden', !host);
+  document.getElementById('remote-banner-name').textContent = host ? host.name : '';
+  remoteHosts.forEach(candidate => updateHostCard(candidate.id));
+  document.querySelector('main').scrollTop = 0;
+
+  updateSystemInfo();
+}
+
+// Function to save the host list and bring the connections and cards in line with it
+async function saveHosts(hosts) {
+  const statusElement = document.getElementById('hosts-status');
+  const result = await window.electronAPI.saveRemoteHosts(hosts);
+  statusElement.textContent = result.success ? '' : result.message;
+  statusElement.className = 'text-red-400';
+
+  remoteHosts = result.hosts;
+  Object.keys(hostConnections)
+    .filter(hostId => !remoteHosts.some(host => host.id === hostId))
+    .forEach(disconnectHost);
+  renderHostCards();
+  remoteHosts.filter(host => !hostConnections[host.id]).forEach(connectHost);
+  return result.success;
+}
+
+// Function to add the host described in the Hosts panel form
+async function addHost() {
+  const inputs = ['name', 'address', 'port', 'token'].map(field => document.getElementById(`host-${field}-input`));
+  const [name, address, port, token] = inputs.map(input => input.value.trim());
+
+  if (await saveHosts([...remoteHosts, { name, address, port: parseInt(port, 10), token }])) {
+    inputs.forEach(input => {
+      if (input.type !== 'number') input.value = '';
+    });
+  }
+}
+
+// Function to remove a host, going back to this computer first if it was being viewed
+async function removeHost(hostId) {
+  if (viewedHostId === hostId) viewHost(null);
+  await saveHosts(remoteHosts.filter(host => host.id !== hostId));
+}
+
+// Load the saved hosts, connect to each and set up the Hosts panel
+async function initializeHosts() {
+  document.getElementById('host-add-btn').addEventListener('click', addHost);
+  document.getElementById('host-token-input').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addHost();
+  });
+  document.getElementById('remote-banner-back').addEventListener('click', () => viewHost(null));
+
+  try {
+    remoteHosts = await window.electronAPI.getRemoteHosts();
+  } catch (error) {
+    console.error('Error loading remote hosts:', error);
+  }
+  renderHostCards();
+  remoteHosts.forEach(connectHost);
+}
+
+// History chart state: selected metric and range, optional zoom window and the last query result
+let historyMetric = 'cpu.usage';
+let historyRange = 3600000;
+let historyZoom = null;
+let historyResult = null;
+let historyMetrics = [];
+let historyLastFetch = 0;
+let historyDragStart = null;
+let historyHoverX = null;
+
+// Imported export file shown instead of live history ({ fileName, data }), or null
+let historyImport = null;
+
+// Plot area inside the history canvas, leaving room for the axis labels
+const HISTORY_PADDING = { left: 56, right: 12, top: 12, bottom: 22 };
+
+// Function to format a stored value with its unit
+function formatHistoryValue(value, unit) {
+  if (unit === 'B/s') return `${formatBytes(value)}/s`;
+  if (unit === '%') return `${value.toFixed(1)}%`;
+  if (unit === 'GB') return formatSize(value);
+  if (unit === '°C') return `${Math.round(convertTemperature(value) * 10) / 10} °${appSettings.units.temperature}`;
+  return `${Math.round(value * 10) / 10} ${unit}`;
+}
+
+// Function to format a time axis label; long ranges need the date too
+function formatHistoryTime(timestamp, rangeMs) {
+  const date = new Date(timestamp);
+  if (rangeMs > 86400000) {
+    return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+  }
+  return rangeMs > 3600000 ?
+    date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }) :
+    date.toLocaleTimeString();
+}
+
+// Function to get the time window currently shown (zoom wins over the range buttons and the imported range)
+function getHistoryWindow() {
+  if (historyZoom) return historyZoom;
+  if (historyImport) return historyImport.data.range;
+  const to = Date.now();
+  return { from: to - historyRange, to };
+}
+
+// Draw the stored series with axes, gaps where the app was not running, the drag selection and the hover line
+function drawHistoryChart() {
+  const canvas = document.getElementById('history-chart');
+  if (!canvas || !historyResult) return;
+
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const plotWidth = width - HISTORY_PADDING.left - HISTORY_PADDING.right;
+  const plotHeight = height - HISTORY_PADDING.top - HISTORY_PADDING.bottom;
+  const { from, to } = historyResult;
+  const points = historyResult.series[historyMetric] || [];
+  const info = historyMetrics.find(metric => metric.id === historyMetric) || { unit: '' };
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '11px sans-serif';
+  ctx.fillStyle = '#6b7280';
+
+  // Percentages always use the full scale, everything else scales to its peak
+  const peak = points.reduce((max, [, value]) => Math.max(max, value), 0);
+  const maxValue = info.unit === '%' ? 100 : (peak > 0 ? peak * 1.1 : 1);
+  const toX = time => HISTORY_PADDING.left + (time - from) / (to - from) * plotWidth;
+  const toY = value => HISTORY_PADDING.top + plotHeight - value / maxValue * plotHeight;
+
+  // Horizontal grid lines with value labels
+  ctx.strokeStyle = '#3a3a3a';
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+    const y = toY(maxValue * fraction);
+    ctx.beginPath();
+    ctx.moveTo(HISTORY_PADDING.left, y);
+    ctx.lineTo(width - HISTORY_PADDING.right, y);
+    ctx.stroke();
+    ctx.fillText(formatHistoryValue(maxValue * fraction, info.unit), HISTORY_PADDING.left - 6, y + 4);
+  });
+
+  // Time labels
+  ctx.textAlign = 'center';
+  for (let tick = 0; tick <= 5; tick++) {
+    const time = from + (to - from) * tick / 5;
+    ctx.fillText(formatHistoryTime(time, to - from), toX(time), height - 6);
+  }
+
+  if (points.length === 0) {
+    ctx.fillText('No data recorded for this range', HISTORY_PADDING.left + plotWidth / 2, HISTORY_PADDING.top + plotHeight / 2);
+    return;
+  }
+
+  // Break the line where samples are missing (app closed, machine asleep)
+  const expectedStep = historyResult.tier === 'raw' ? 2000 : 60000;
+  const gapThreshold = Math.max(expectedStep, (to - from) / 300) * 3;
+  ctx.strokeStyle = '#60a5fa';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  points.forEach(([time, value], index) => {
+    const connected = index > 0 && time - points[index - 1][0] <= gapThreshold;
+    if (connected) {
+      ctx.lineTo(toX(time), toY(value));
+    } else {
+      ctx.moveTo(toX(time), toY(value));
+    }
+  });
+  ctx.stroke();
+
+  // Drag selection
+  if (historyDragStart !== null && historyHoverX !== null) {
+    ctx.fillStyle = 'rgba(96, 165, 250, 0.15)';
+    ctx.fillRect(Math.min(historyDragStart, historyHoverX), HISTORY_PADDING.top,
+      Math.abs(historyHoverX - historyDragStart), plotHeight);
+  }
+
+  // Hover line and tooltip for the nearest point
+  const tooltip = document.getElementById('history-tooltip');
+  if (historyHoverX === null || historyDragStart !== null) {
+    tooltip.classList.add('hidden');
+    return;
+  }
+  const nearest = points.reduce((best, point) =>
+    (!best || Math.abs(toX(point[0]) - historyHoverX) < Math.abs(toX(best[0]) - historyHoverX)) ? point : best, null);
+  const x = toX(nearest[0]);
+
+  ctx.strokeStyle = '#9ca3af';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x, HISTORY_PADDING.top);
+  ctx.lineTo(x, HISTORY_PADDING.top + plotHeight);
+  ctx.stroke();
+  ctx.fillStyle = '#60a5fa';
+  ctx.beginPath();
+  ctx.arc(x, toY(nearest[1]), 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  tooltip.textContent = `${new Date(nearest[0]).toLocaleString()} · ${formatHistoryValue(nearest[1], info.unit)}`;
+  tooltip.classList.remove('hidden');
+  // Canvas pixels are scaled to the displayed width
+  const scale = canvas.clientWidth / width;
+  tooltip.style.left = `${Math.min(x * scale + 8, canvas.clientWidth - tooltip.offsetWidth)}px`;
+}
+
+// Build a chart result from the imported file for the current window
+function getImportedHistory(from, to) {
+  const points = historyImport.data.series[historyMetric] || [];
+  return {
+    tier: historyImport.data.tier,
+    from,
+    to,
+    series: { [historyMetric]: points.filter(([time]) => time >= from && time <= to) }
+  };
+}
+
+// Fetch the selected metric for the current window and redraw
+async function updateHistoryChart() {
+  try {
+    historyMetrics = historyImport ? historyImport.data.metrics : await window.electronAPI.getHistoryMetrics();
+    const select = document.getElementById('history-metric-select');
+    syncSelectOptions(select, historyMetrics.map(metric => ({ value: metric.id, label: metric.label })));
+    if (historyMetrics.length > 0 && !historyMetrics.some(metric => metric.id === historyMetric)) {
+      historyMetric = historyMetrics[0].id;
+    }
+    select.value = historyMetric;
+
+    const { from, to } = getHistoryWindow();
+    historyResult = historyImport ? getImportedHistory(from, to) : await window.electronAPI.getHistory({
+      metrics: [historyMetric],
+      from,
+      to,
+      maxPoints: 300
+    });
+    historyLastFetch = Date.now();
+
+    const points = historyResult.series[historyMetric] || [];
+    const source = historyImport ?
+      `${historyImport.fileName} (${historyImport.data.hostname}, exported ${new Date(historyImport.data.exportedAt).toLocaleString()}) · ` : '';
+    document.getElementById('history-summary').textContent =
+      `${source}${points.length} points · ${historyResult.tier === 'raw' ? 'every sample' : '1-minute averages'}` +
+      (historyZoom ? ' · zoomed' : '');
+    drawHistoryChart();
+  } catch (error) {
+    console.error('Error fetching history:', error);
+    document.getElementById('history-summary').textContent = 'Error loading history';
+  }
+}
+
+// Function to mark the active range button and reset any zoom (and leave an imported file)
+function setHistoryRange(rangeMs) {
+  historyRange = rangeMs;
+  historyZoom = null;
+  historyImport = null;
+  document.getElementById('history-live-btn').classList.add('hidden');
+  if (rangeMs !== appSettings.selections.historyRange) saveSelection('historyRange', rangeMs);
+  document.querySelectorAll('#history-range-buttons [data-range]').forEach(button => {
+    button.classList.toggle('active', parseInt(button.dataset.range, 10) === rangeMs);
+  });
+  document.getElementById('history-reset-zoom').classList.add('hidden');
+  updateHistoryChart();
+}
+
+// Function to zoom back out to the selected range (or the whole imported file)
+function resetHistoryZoom() {
+  historyZoom = null;
+  document.getElementById('history-reset-zoom').classList.add('hidden');
+  updateHistoryChart();
+}
+
+// Load an exported file into the chart for offline viewing
+async function importHistory() {
+  const result = await window.electronAPI.importMetrics();
+  if (result.canceled) return;
+  if (!result.success) {
+    document.getElementById('history-summary').textContent = result.message;
+    return;
+  }
+
+  historyImport = { fileName: result.fileName, data: result.data };
+  historyZoom = null;
+  if (!result.data.metrics.some(metric => metric.id === historyMetric) && result.data.metrics.length > 0) {
+    historyMetric = result.data.metrics[0].id;
+  }
+  document.querySelectorAll('#history-range-buttons [data-range]').forEach(button => button.classList.remove('active'));
+  document.getElementById('history-reset-zoom').classList.add('hidden');
+  document.getElementById('history-live-btn').classList.remove('hidden');
+  updateHistoryChart();
+}
+
+// Fill the export dialog's metric list, keeping the ticks of metrics already listed
+async function updateExportMetricList() {
+  const list = document.getElementById('export-metric-list');
+  const checked = new Set(Array.from(list.querySelectorAll('input:checked')).map(input => input.value));
+  const firstOpen = list.children.length === 0;
+  const metrics = await window.electronAPI.getHistoryMetrics();
+
+  list.innerHTML = '';
+  metrics.forEach(metric => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = metric.id;
+    input.checked = firstOpen || checked.has(metric.id);
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(`${metric.label} (${metric.id})`));
+    list.appendChild(label);
+  });
+}
+
+// Set up the export dialog: format, range and metric subset
+function initializeExportDialog() {
+  const dialog = document.getElementById('export-dialog');
+  const list = document.getElementById('export-metric-list');
+  const filter = document.getElementById('export-metric-filter');
+  const setAll = checked => list.querySelectorAll('label').forEach(label => {
+    if (label.style.display !== 'none') label.querySelector('input').checked = checked;
+  });
+
+  document.getElementById('history-export-btn').addEventListener('click', async () => {
+    await updateExportMetricList();
+    filter.value = '';
+    dialog.classList.remove('hidden');
+  });
+  document.getElementById('export-cancel').addEventListener('click', () => dialog.classList.add('hidden'));
+  document.getElementById('export-select-all').addEventListener('click', () => setAll(true));
+  document.getElementById('export-select-none').addEventListener('click', () => setAll(false));
+
+  filter.addEventListener('input', () => {
+    const text = filter.value.trim().toLowerCase();
+    list.querySelectorAll('label').forEach(label => {
+      label.style.display = label.textContent.toLowerCase().includes(text) ? '' : 'none';
+    });
+  });
+
+  document.getElementById('export-confirm').addEventListener('click', async () => {
+    const metrics = Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+    if (metrics.length === 0) return;
+
+    const rangeValue = document.getElementById('export-range').value;
+    const { from, to } = rangeValue === 'chart' && !historyImport ? getHistoryWindow() :
+      { from: Date.now() - (parseInt(rangeValue, 10) || historyRange), to: Date.now() };
+
+    dialog.classList.add('hidden');
+    const result = await window.electronAPI.exportMetrics({
+      format: document.getElementById('export-format').value,
+      from,
+      to,
+      metrics
+    });
+    if (!result.canceled) {
+      document.getElementById('history-summary').textContent = result.message;
+    }
+  });
+}
+
+// Function to turn a mouse event into a canvas x coordinate
+function getHistoryCanvasX(event) {
+  const canvas = document.getElementById('history-chart');
+  const rect = canvas.getBoundingClientRect();
+  return (event.clientX - rect.left) * canvas.width / rect.width;
+}
+
+// Set up hover, drag-to-zoom and double-click reset on the history chart
+function initializeHistoryChart() {
+  const canvas = document.getElementById('history-chart');
+  if (!canvas) return;
+
+  canvas.addEventListener('mousemove', (event) => {
+    historyHoverX = getHistoryCanvasX(event);
+    drawHistoryChart();
+  });
+
+  canvas.addEventListener('mouseleave', () => {
+    historyHoverX = null;
+    historyDragStart = null;
+    drawHistoryChart();
+  });
+
+  canvas.addEventListener('mousedown', (event) => {
+    historyDragStart = getHistoryCanvasX(event);
+  });
+
+  canvas.addEventListener('mouseup', (event) => {
+    const dragEnd = getHistoryCanvasX(event);
+    const dragStart = historyDragStart;
+    historyDragStart = null;
+
+    // Ignore clicks; only a real drag zooms
+    if (dragStart === null || Math.abs(dragEnd - dragStart) < 5 || !historyResult) {
+      drawHistoryChart();
+      return;
+    }
+
+    const plotWidth = canvas.width - HISTORY_PADDING.left - HISTORY_PADDING.right;
+    const { from, to } = historyResult;
+    const toTime = x => from + Math.max(0, Math.min(1, (x - HISTORY_PADDING.left) / plotWidth)) * (to - from);
+    historyZoom = { from: Math.round(toTime(Math.min(dragStart, dragEnd))), to: Math.round(toTime(Math.max(dragStart, dragEnd))) };
+    document.getElementById('history-reset-zoom').classList.remove('hidden');
+    updateHistoryChart();
+  });
+
+  canvas.addEventListener('dblclick', resetHistoryZoom);
+  document.getElementById('history-reset-zoom').addEventListener('click', resetHistoryZoom);
+  document.getElementById('history-live-btn').addEventListener('click', () => setHistoryRange(historyRange));
+  document.getElementById('history-import-btn').addEventListener('click', importHistory);
+  initializeExportDialog();
+
+  document.querySelectorAll('#history-range-buttons [data-range]').forEach(button => {
+    button.addEventListener('click', () => setHistoryRange(parseInt(button.dataset.range, 10)));
+  });
+
+  document.getElementById('history-metric-select').addEventListener('change', (event) => {
+    historyMetric = event.target.value;
+    saveSelection('historyMetric', historyMetric);
+    updateHistoryChart();
+  });
+
+  setHistoryRange(historyRange);
+}
+
+// Alert rules being edited (saved back to the main process as a whole), the temperature unit their limits are
+// shown in, and the newest log entry shown
+let alertRulesDraft = [];
+let alertRulesDraftUnit = 'C';
+let lastAlertEventTime = null;
+
+// Colours for alert severities in the log
+const ALERT_SEVERITY_COLORS = { warning: 'text-yellow-400', critical: 'text-red-400' };
+
+// Function to tell whether a rule watches a temperature, whose limits are stored in °C
+function isTemperatureRule(rule) {
+  return /(^|\.)temperature(\.|$)/.test(rule.metric || '');
+}
+
+// Function to convert a temperature rule's threshold and hysteresis between °C and °F (other rules are unchanged)
+function convertRuleLimits(rule, fromUnit, toUnit) {
+  if (fromUnit === toUnit || !isTemperatureRule(rule)) return rule;
+  const round = value => Math.round(value * 10) / 10;
+  const toF = fromUnit === 'C';
+  return {
+    ...rule,
+    threshold: round(toF ? rule.threshold * 9 / 5 + 32 : (rule.threshold - 32) * 5 / 9),
+    // The hysteresis is a difference, so it only scales
+    hysteresis: round(toF ? rule.hysteresis * 9 / 5 : rule.hysteresis * 5 / 9)
+  };
+}
+
+// Function to show the draft's temperature limits in the unit chosen in Settings, keeping unsaved edits
+function syncAlertRulesUnit() {
+  const unit = appSettings.units.temperature;
+  if (unit === alertRulesDraftUnit) return;
+  alertRulesDraft = alertRulesDraft.map(rule => convertRuleLimits(rule, alertRulesDraftUnit, unit));
+  alertRulesDraftUnit = unit;
+  renderAlertRules();
+}
+
+// Function to create an input bound to a field of a draft rule
+function createRuleInput(rule, key, type = 'text') {
+  const input = document.createElement('input');
+  input.type = type;
+  input.className = 'card-input';
+  if (type === 'checkbox') {
+    input.checked = rule[key];
+    input.addEventListener('change', () => { rule[key] = input.checked; });
+  } else {
+    input.value = rule[key];
+    input.addEventListener('input', () => {
+      rule[key] = type === 'number' ? parseFloat(input.value) : input.value;
+    });
+  }
+  return input;
+}
+
+// Function to create a select bound to a field of a draft rule
+function createRuleSelect(rule, key, options) {
+  const select = document.createElement('select');
+  select.className = 'card-select';
+  options.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = rule[key];
+  select.addEventListener('change', () => { rule[key] = select.value; });
+  return select;
+}
+
+// Render the editable rules table from the draft
+function renderAlertRules() {
+  const tbody = document.getElementById('alert-rules-body');
+  tbody.innerHTML = '';
+
+  alertRulesDraft.forEach((rule, index) => {
+    const row = document.createElement('tr');
+
+    const condition = document.createElement('div');
+    condition.className = 'flex gap-2 items-center';
+    condition.appendChild(createRuleSelect(rule, 'operator', [['>', '>'], ['<', '<']]));
+    condition.appendChild(createRuleInput(rule, 'threshold', 'number'));
+    if (isTemperatureRule(rule)) {
+      const unit = document.createElement('span');
+      unit.className = 'text-gray-400';
+      unit.textContent = `°${alertRulesDraftUnit}`;
+      condition.appendChild(unit);
+    }
+
+    const metric = createRuleInput(rule, 'metric');
+    metric.setAttribute('list', 'alert-metric-options');
+    metric.title = "Metric id; '*' matches any part, e.g. volume.*.free";
+
+    const remove = document.createElement('button');
+    remove.className = 'action-button danger';
+    remove.textContent = '×';
+    remove.title = 'Delete rule';
+    remove.addEventListener('click', () => {
+      alertRulesDraft.splice(index, 1);
+      renderAlertRules();
+    });
+
+    [
+      createRuleInput(rule, 'enabled', 'checkbox'),
+      createRuleInput(rule, 'name'),
+      metric,
+      condition,
+      createRuleInput(rule, 'durationSec', 'number'),
+      createRuleInput(rule, 'hysteresis', 'number'),
+      createRuleInput(rule, 'cooldownSec', 'number'),
+      createRuleSelect(rule, 'severity', [['warning', 'Warning'], ['critical', 'Critical']]),
+      createRuleSelect(rule, 'action', [['display', 'Colour only'], ['log', 'Log'], ['notify', 'Notify']]),
+      remove
+    ].forEach(element => {
+      const cell = document.createElement('td');
+      cell.appendChild(element);
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+}
+
+// Offer the metric ids seen so far as suggestions in the rule editor
+async function updateAlertMetricOptions() {
+  try {
+    const metrics = await window.electronAPI.getHistoryMetrics();
+    const datalist = document.getElementById('alert-metric-options');
+    datalist.innerHTML = '';
+    metrics.forEach(metric => {
+      const option = document.createElement('option');
+      option.value = metric.id;
+      option.label = `${metric.label} (${metric.unit})`;
+      datalist.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading metric ids:', error);
+  }
+}
+
+// Load the saved rules into the editor, temperature limits in the chosen unit
+async function loadAlertRules() {
+  try {
+    alertRulesDraftUnit = appSettings.units.temperature;
+    alertRulesDraft = (await window.electronAPI.getAlertRules())
+      .map(rule => convertRuleLimits(rule, 'C', alertRulesDraftUnit));
+    renderAlertRules();
+  } catch (error) {
+    console.error('Error loading alert rules:', error);
+  }
+}
+
+// Save the edited rules (temperature limits back in °C); the main process validates them and reports the first problem
+async function saveAlertRules() {
+  const statusElement = document.getElementById('alert-rules-status');
+  const result = await window.electronAPI.saveAlertRules(
+    alertRulesDraft.map(rule => convertRuleLimits(rule, alertRulesDraftUnit, 'C')));
+
+  statusElement.textContent = result.message;
+  statusElement.className = result.success ? 'text-green-400' : 'text-red-400';
+  if (result.success) {
+    alertRulesDraft = result.rules.map(rule => convertRuleLimits(rule, 'C', alertRulesDraftUnit));
+    renderAlertRules();
+  }
+
+  setTimeout(() => {
+    statusElement.textContent = '';
+  }, 5000);
+}
+
+// Render the alert log, newest first
+async function updateAlertLog() {
+  const log = await window.electronAPI.getAlertLog();
+  const container = document.getElementById('alert-log');
+  container.innerHTML = '';
+
+  if (log.length === 0) {
+    container.innerHTML = '<div class="text-gray-500">No alerts recorded</div>';
+    return;
+  }
+
+  log.forEach(entry => {
+    const item = document.createElement('div');
+    const header = document.createElement('div');
+    header.className = 'flex justify-between';
+    const name = document.createElement('span');
+    name.className = entry.state === 'resolved' ? 'text-green-400' : ALERT_SEVERITY_COLORS[entry.severity];
+    name.textContent = entry.state === 'resolved' ? `Resolved: ${entry.ruleName}` : entry.ruleName;
+    const time = document.createElement('span');
+    time.className = 'text-gray-500';
+    time.textContent = new Date(entry.time).toLocaleString();
+    header.appendChild(name);
+    header.appendChild(time);
+
+    const message = document.createElement('div');
+    message.className = 'text-gray-400';
+    message.textContent = entry.message;
+
+    item.appendChild(header);
+    item.appendChild(message);
+    container.appendChild(item);
+  });
+}
+
+// Update the active alert summary and refresh the log when something new was logged
+function updateAlerts(data) {
+  if (!data.alerts) return;
+
+  const active = data.alerts.active;
+  const summary = document.getElementById('alerts-summary');
+  summary.textContent = active.length === 0 ? 'No active alerts' :
+    `${active.length} active: ${active.map(alert => `${alert.ruleName} (${alert.metric})`).join(', ')}`;
+  summary.className = active.length === 0 ? 'text-sm text-gray-400' :
+    `text-sm ${active.some(alert => alert.severity === 'critical') ? 'text-red-400' : 'text-yellow-400'}`;
+
+  if (data.alerts.lastEventTime !== lastAlertEventTime) {
+    lastAlertEventTime = data.alerts.lastEventTime;
+    updateAlertLog();
+  }
+}
+
+// Set up the alert rule editor and log buttons
+function initializeAlerts() {
+  document.getElementById('alert-rule-add-btn').addEventListener('click', () => {
+    alertRulesDraft.push({
+      id: `rule-${Date.now()}`,
+      name: 'New rule',
+      metric: 'cpu.usage',
+      operator: '>',
+      threshold: 90,
+      durationSec: 30,
+      hysteresis: 5,
+      cooldownSec: 300,
+      severity: 'warning',
+      action: 'notify',
+      enabled: true
+    });
+    renderAlertRules();
+    updateAlertMetricOptions();
+  });
+
+  document.getElementById('alert-rules-save-btn').addEventListener('click', saveAlertRules);
+
+  document.getElementById('alert-log-clear-btn').addEventListener('click', async () => {
+    const confirmed = await showConfirmDialog('Clear alert log?', 'Every recorded alert will be removed.', 'Clear log');
+    if (!confirmed) return;
+    await window.electronAPI.clearAlertLog();
+    updateAlertLog();
+  });
+
+  loadAlertRules();
+  updateAlertMetricOptions();
+  updateAlertLog();
+}
+
+// Settings from the main process; these defaults only apply until they have loaded
+let appSettings = {
+  displayName: '',
+  refreshIntervalMs: 2000,
+  units: { size: 'GiB', temperature: 'C' },
+  cards: {},
+  selections: { networkInterface: 'auto', primaryVolume: '', diskDevice: 'auto', gpuDevice: 0, historyMetric: 'cpu.usage', historyRange: 3600000 }
+};
+
+// Choices older versions kept in localStorage, by their key in the selections setting
+const LEGACY_SELECTION_KEYS = ['networkInterface', 'primaryVolume', 'diskDevice', 'gpuDevice', 'historyMetric', 'historyRange'];
+
+// Cards that can be hidden from Settings, keyed by their data-card attribute
+const CARD_LABELS = {
+  cpu: 'Processor',
+  memory: 'RAM',
+  storage: 'Storage',
+  gpu: 'Video Card',
+  network: 'Network',
+  security: 'Security',
+  hardware: 'Hardware',
+  health: 'System Health',
+  battery: 'Battery',
+  plugins: 'Plugins',
+  hosts: 'Hosts',
+  history: 'History',
+  alerts: 'Alerts',
+  processes: 'Processes'
+};
+
+// Alert rules whose thresholds the Settings view edits: the card colour levels the app ships with
+const THRESHOLD_SETTINGS = [
+  { label: 'CPU', warning: 'cpu-moderate', critical: 'cpu-high' },
+  { label: 'CPU cores', warning: 'core-moderate', critical: 'core-high' },
+  { label: 'Memory', warning: 'memory-moderate', critical: 'memory-high' },
+  { label: 'Volumes', warning: 'volume-moderate', critical: 'volume-high' },
+  { label: 'Disk busy', warning: 'disk-moderate', critical: 'disk-high' },
+  { label: 'GPU', warning: 'gpu-moderate', critical: 'gpu-high' },
+  { label: 'Battery charge', warning: 'battery-moderate', critical: 'battery-high' }
+];
+
+// Rules loaded when the Settings view opened, so only changed thresholds are saved
+let settingsRules = [];
+
+// Function to apply the settings that live in the page: card visibility, refresh rate, name and units
+function applySettingsToPage() {
+  document.querySelectorAll('[data-card]').forEach(card => {
+    card.classList.toggle('hidden', appSettings.cards[card.dataset.card] === false);
+  });
+
+  if (autoRefreshEnabled) {
+    document.getElementById('refresh-status').textContent = describeRefreshInterval();
+  }
+
+  if (appSettings.displayName) {
+    document.getElementById('user-display-name').textContent = appSettings.displayName;
+  }
+
+  syncAlertRulesUnit();
+}
+
+// Function to fill the Settings view from the current settings and alert rules
+async function openSettingsDialog() {
+  document.getElementById('settings-display-name').value = appSettings.displayName;
+  document.getElementById('settings-refresh-interval').value = appSettings.refreshIntervalMs / 1000;
+  document.getElementById('settings-units-size').value = appSettings.units.size;
+  document.getElementById('settings-units-temperature').value = appSettings.units.temperature;
+  document.getElementById('settings-start-on-login').checked = appSettings.startOnLogin;
+  document.getElementById('settings-start-minimized').checked = appSettings.window.startMinimized;
+  document.getElementById('settings-remember-bounds').checked = appSettings.window.rememberBounds;
+  document.getElementById('settings-always-on-top').checked = appSettings.window.alwaysOnTop;
+  document.getElementById('settings-close-to-tray').checked = appSettings.window.closeToTray;
+  document.getElementById('settings-metrics-server-enabled').checked = appSettings.metricsServer.enabled;
+  document.getElementById('settings-metrics-server-host').value = appSettings.metricsServer.host;
+  document.getElementById('settings-metrics-server-port').value = appSettings.metricsServer.port;
+  document.getElementById('settings-agent-enabled').checked = appSettings.agent.enabled;
+  document.getElementById('settings-agent-host').value = appSettings.agent.host;
+  document.getElementById('settings-agent-port').value = appSettings.agent.port;
+  document.getElementById('settings-agent-token').value = appSettings.agent.token;
+  document.getElementById('settings-status').textContent = '';
+
+  const cards = document.getElementById('settings-cards');
+  cards.innerHTML = '';
+  Object.entries(CARD_LABELS).forEach(([id, label]) => {
+    const item = document.createElement('label');
+    item.className = 'flex items-center gap-2 text-gray-400';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.card = id;
+    input.checked = appSettings.cards[id] !== false;
+    item.appendChild(input);
+    item.appendChild(document.createTextNode(label));
+    cards.appendChild(item);
+  });
+
+  settingsRules = await window.electronAPI.getAlertRules();
+  const thresholds = document.getElementById('settings-thresholds');
+  thresholds.innerHTML = '';
+  THRESHOLD_SETTINGS.forEach(entry => {
+    const warning = settingsRules.find(rule => rule.id === entry.warning);
+    const critical = settingsRules.find(rule => rule.id === entry.critical);
+    if (!warning && !critical) return;
+
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = entry.label;
+    row.appendChild(name);
+    [warning, critical].forEach(rule => {
+      const cell = document.createElement('td');
+      if (rule) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'card-input w-20';
+        input.value = rule.threshold;
+        input.dataset.ruleId = rule.id;
+        cell.appendChild(input);
+      } else {
+        cell.textContent = '--';
+      }
+      row.appendChild(cell);
+    });
+    thresholds.appendChild(row);
+  });
+
+  updateSettingsServerStatus();
+  updateSettingsAgentStatus();
+  renderSettingsPlugins(pluginList);
+  document.getElementById('settings-dialog').classList.remove('hidden');
+}
+
+// Function to show whether the metrics endpoint is listening
+async function updateSettingsServerStatus() {
+  const status = await window.electronAPI.getMetricsServer();
+  const element = document.getElementById('settings-metrics-server-status');
+  element.textContent = status.running ? `Serving ${status.url}/metrics and ${status.url}/api/snapshot` :
+    status.error ? `Not running: ${status.error}` : 'Off';
+  element.className = `text-xs ${status.error ? 'text-red-400' : status.running ? 'text-green-400' : 'text-gray-500'}`;
+}
+
+// Function to show whether this computer's agent is listening and how many dashboards watch it
+async function updateSettingsAgentStatus() {
+  const status = await window.electronAPI.getAgentStatus();
+  const element = document.getElementById('settings-agent-status');
+  element.textContent = status.running ?
+    `Listening on ${status.url}; ${status.clients} dashboard${status.clients === 1 ? '' : 's'} connected` :
+    status.error ? `Not running: ${status.error}` : 'Off';
+  element.className = `text-xs ${status.error ? 'text-red-400' : status.running ? 'text-green-400' : 'text-gray-500'}`;
+}
+
+// Function to put a fresh random token in the Settings view (saved with the rest)
+function generateAgentToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  document.getElementById('settings-agent-token').value = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Function to list the loaded collector plugins in the Settings view
+function renderSettingsPlugins(plugins) {
+  const list = document.getElementById('settings-plugins');
+  list.innerHTML = '';
+
+  if (plugins.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-gray-500';
+    empty.textContent = 'No plugins. Put a .js file or a folder with an index.js in the plugins folder, then reload.';
+    list.appendChild(empty);
+    return;
+  }
+
+  plugins.forEach(plugin => {
+    const row = document.createElement('div');
+    row.className = 'flex justify-between gap-2';
+    const name = document.createElement('span');
+    name.textContent = plugin.name === plugin.source ? plugin.name : `${plugin.name} (${plugin.source})`;
+    const state = document.createElement('span');
+    state.className = plugin.error ? 'text-red-400' : 'text-gray-400';
+    state.textContent = plugin.error ||
+      `${plugin.metrics.length} metric${plugin.metrics.length === 1 ? '' : 's'}, every ${plugin.intervalMs / 1000} s`;
+    row.append(name, state);
+    list.appendChild(row);
+  });
+}
+
+// Function to load the plugins folder again and show the outcome
+async function reloadPluginsFromSettings() {
+  const statusElement = document.getElementById('settings-status');
+  const result = await window.electronAPI.reloadPlugins();
+  renderSettingsPlugins(result.plugins);
+  statusElement.textContent = result.message;
+  statusElement.className = `text-xs ${result.success ? 'text-green-400' : 'text-red-400'}`;
+  updateSystemInfo();
+}
+
+// Function to save the Settings view; the main process validates and applies everything at once
+async function saveSettingsDialog() {
+  const statusElement = document.getElementById('settings-status');
+  const patch = {
+    displayName: document.getElementById('settings-display-name').value,
+    refreshIntervalMs: Math.round(parseFloat(document.getElementById('settings-refresh-interval').value) * 1000),
+    units: {
+      size: document.getElementById('settings-units-size').value,
+      temperature: document.getElementById('settings-units-temperature').value
+    },
+    cards: Object.fromEntries(Array.from(document.querySelectorAll('#settings-cards input'))
+      .map(input => [input.dataset.card, input.checked])),
+    startOnLogin: document.getElementById('settings-start-on-login').checked,
+    window: {
+      startMinimized: document.getElementById('settings-start-minimized').checked,
+      rememberBounds: document.getElementById('settings-remember-bounds').checked,
+      alwaysOnTop: document.getElementById('settings-always-on-top').checked,
+      closeToTray: document.getElementById('settings-close-to-tray').checked
+    },
+    metricsServer: {
+      enabled: document.getElementById('settings-metrics-server-enabled').checked,
+      host: document.getElementById('settings-metrics-server-host').value,
+      port: parseInt(document.getElementById('settings-metrics-server-port').value, 10)
+    },
+    agent: {
+      enabled: document.getElementById('settings-agent-enabled').checked,
+      host: document.getElementById('settings-agent-host').value,
+      port: parseInt(document.getElementById('settings-agent-port').value, 10),
+      token: document.getElementById('settings-agent-token').value
+    }
+  };
+
+  const result = await window.electronAPI.saveSettings(patch);
+  appSettings = result.settings;
+  applySettingsToPage();
+  updateSettingsServerStatus();
+  updateSettingsAgentStatus();
+
+  // Thresholds belong to the alert rules, which are saved only when one of them changed
+  let rulesResult = { success: true };
+  const edited = settingsRules.map(rule => {
+    const input = document.querySelector(`#settings-thresholds input[data-rule-id="${rule.id}"]`);
+    return input ? { ...rule, threshold: parseFloat(input.value) } : rule;
+  });
+  if (edited.some((rule, index) => rule.threshold !== settingsRules[index].threshold)) {
+    rulesResult = await window.electronAPI.saveAlertRules(edited);
+    if (rulesResult.success) loadAlertRules();
+  }
+
+  statusElement.textContent = !result.success ? result.message : !rulesResult.success ? rulesResult.message : '';
+  statusElement.className = 'text-xs text-red-400';
+  if (result.success && rulesResult.success) {
+    document.getElementById('settings-dialog').classList.add('hidden');
+  }
+
+  // Redraw with the new units straight away
+  updateSystemInfo();
+  updateHistoryChart();
+}
+
+// Function to restore what the cards showed last time: network interface, volume, disk, GPU and history chart
+function applySelections() {
+  const selections = appSettings.selections;
+  selectedNetworkInterface = selections.networkInterface;
+  selectedVolume = selections.primaryVolume || null;
+  selectedDiskDevice = selections.diskDevice;
+  selectedGpuIndex = selections.gpuDevice;
+  historyMetric = selections.historyMetric;
+  setHistoryRange(selections.historyRange);
+}
+
+// Function to remember what a card shows in the settings file ({ historyRange: 86400000 })
+async function saveSelection(key, value) {
+  appSettings.selections[key] = value;
+  try {
+    const result = await window.electronAPI.saveSettings({ selections: { [key]: value } });
+    // success is also false when the settings saved but the metrics endpoint or agent failed to restart
+    if (result.settings.selections[key] !== value) console.error(`Error saving ${key}:`, result.message);
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+}
+
+// Load the settings, bring over the choices older versions kept in localStorage and set up the Settings view
+async function initializeSettings() {
+  try {
+    appSettings = await window.electronAPI.getSettings();
+
+    const legacyName = localStorage.getItem('userDisplayName');
+    if (legacyName) {
+      if (!appSettings.displayName) {
+        const result = await window.electronAPI.saveSettings({ displayName: legacyName.slice(0, 20) });
+        if (result.success) appSettings = result.settings;
+      }
+      localStorage.removeItem('userDisplayName');
+    }
+
+    // One at a time, so a value the schema no longer accepts does not hold back the others
+    for (const key of LEGACY_SELECTION_KEYS.filter(key => localStorage.getItem(key) !== null)) {
+      const value = localStorage.getItem(key);
+      const result = await window.electronAPI.saveSettings({
+        selections: { [key]: ['gpuDevice', 'historyRange'].includes(key) ? parseInt(value, 10) : value }
+      });
+      appSettings = result.settings;
+      localStorage.removeItem(key);
+    }
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+
+  document.getElementById('settings-btn').addEventListener('click', openSettingsDialog);
+  document.getElementById('settings-cancel').addEventListener('click', () => {
+    document.getElementById('settings-dialog').classList.add('hidden');
+  });
+  document.getElementById('settings-save').addEventListener('click', saveSettingsDialog);
+  document.getElementById('settings-plugins-reload').addEventListener('click', reloadPluginsFromSettings);
+  document.getElementById('settings-agent-new-token').addEventListener('click', generateAgentToken);
+  document.getElementById('settings-plugins-open').addEventListener('click', async () => {
+    const result = await window.electronAPI.openPluginsFolder();
+    if (!result.success) {
+      document.getElementById('settings-status').textContent = result.message;
+      document.getElementById('settings-status').className = 'text-xs text-red-400';
+    }
+  });
+
+  applySettingsToPage();
+  applySelections();
+}
+
+// Process table state: last sample, sort column and filter text
+let processList = [];
+let processSort = { key: 'cpuPercent', descending: true };
+let processFilter = '';
+let processRequestInFlight = false;
+let selectedProcessPid = null;
+
+// Maximum rows rendered at once; the filter narrows down the rest
+const MAX_PROCESS_ROWS = 200;
+
+// Function to format a process start time (time only when it started today)
+function formatStartTime(startTime) {
+  if (!startTime) return '--';
+  const started = new Date(startTime);
+  return started.toDateString() === new Date().toDateString() ?
+    started.toLocaleTimeString() : started.toLocaleDateString();
+}
+
+// Render the process table from the last sample using the current sort and filter
+function renderProcessTable() {
+  const tbody = document.getElementById('process-table-body');
+  const filter = processFilter.toLowerCase();
+
+  const visible = processList.filter(proc => !filter ||
+    proc.name.toLowerCase().includes(filter) ||
+    String(proc.pid) === filter ||
+    String(proc.user).toLowerCase().includes(filter) ||
+    proc.command.toLowerCase().includes(filter));
+
+  // Unknown CPU values (first sample) sort below every measured value
+  const { key, descending } = processSort;
+  visible.sort((a, b) => {
+    const left = a[key] === null ? -1 : a[key];
+    const right = b[key] === null ? -1 : b[key];
+    const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return descending ? -order : order;
+  });
+
+  document.getElementById('process-summary').textContent = visible.length > MAX_PROCESS_ROWS ?
+    `${visible.length} of ${processList.length} processes (showing top ${MAX_PROCESS_ROWS})` :
+    `${visible.length} of ${processList.length} processes`;
+
+  tbody.innerHTML = '';
+  visible.slice(0, MAX_PROCESS_ROWS).forEach(proc => {
+    const row = document.createElement('tr');
+    if (proc.pid === selectedProcessPid) row.className = 'selected';
+    row.addEventListener('click', () => {
+      selectedProcessPid = proc.pid;
+      renderProcessTable();
+    });
+
+    const cells = [
+      proc.state === 'T' ? `${proc.name} (suspended)` : proc.name,
+      proc.pid,
+      proc.user,
+      proc.cpuPercent !== null ? `${proc.cpuPercent.toFixed(1)}%` : '--',
+      formatBytes(proc.rssBytes),
+      proc.threads,
+      proc.priority,
+      formatStartTime(proc.startTime),
+      proc.command
+    ];
+
+    cells.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      if (index === 3 && proc.cpuPercent > 50) cell.className = 'text-red-400';
+      if (index === cells.length - 1) {
+        cell.className = 'command-cell';
+        cell.title = proc.command;
+      }
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+
+  // Mark the active sort column
+  document.querySelectorAll('.process-table th[data-sort]').forEach(header => {
+    const label = header.textContent.replace(/ [▲▼]$/, '');
+    header.textContent = header.dataset.sort === key ? `${label} ${descending ? '▼' : '▲'}` : label;
+  });
+
+  updateProcessActions();
+}
+
+// Enable the action bar for the selected process (cleared once the process is gone)
+function updateProcessActions() {
+  const selected = processList.find(proc => proc.pid === selectedProcessPid);
+  if (!selected) selectedProcessPid = null;
+
+  document.getElementById('process-selection').textContent = selected ?
+    `${selected.name} (PID ${selected.pid}, ${selected.user})` :
+    'Select a process to manage it';
+  ['process-end-btn', 'process-suspend-btn', 'process-resume-btn', 'process-priority-select'].forEach(id => {
+    document.getElementById(id).disabled = !selected;
+  });
+}
+
+// Function to ask the user to confirm an action; resolves to true when confirmed
+function showConfirmDialog(title, message, confirmLabel) {
+  const dialog = document.getElementById('confirm-dialog');
+  const confirmBtn = document.getElementById('confirm-dialog-confirm');
+  const cancelBtn = document.getElementById('confirm-dialog-cancel');
+
+  document.getElementById('confirm-dialog-title').textContent = title;
+  document.getElementById('confirm-dialog-message').textContent = message;
+  confirmBtn.textContent = confirmLabel;
+  dialog.classList.remove('hidden');
+  cancelBtn.focus();
+
+  return new Promise(resolve => {
+    function close(confirmed) {
+      dialog.classList.add('hidden');
+      confirmBtn.removeEventListener('click', onConfirm);
+      cancelBtn.removeEventListener('click', onCancel);
+      document.removeEventListener('keydown', onKeydown);
+      resolve(confirmed);
+    }
+    const onConfirm = () => close(true);
+    const onCancel = () => close(false);
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') close(false);
+    };
+
+    confirmBtn.addEventListener('click', onConfirm);
+    cancelBtn.addEventListener('click', onCancel);
+    document.addEventListener('keydown', onKeydown);
+  });
+}
+
+// Function to run an action on the selected process after confirmation, then show the outcome
+async function runProcessAction(confirmation, action) {
+  const proc = processList.find(p => p.pid === selectedProcessPid);
+  if (!proc) return;
+
+  if (confirmation) {
+    const confirmed = await showConfirmDialog(confirmation.title,
+      confirmation.message.replace('{process}', `${proc.name} (PID ${proc.pid})`), confirmation.confirmLabel);
+    if (!confirmed) return;
+  }
+
+  const statusElement = document.getElementById('process-action-status');
+  statusElement.textContent = 'Working...';
+  statusElement.className = 'text-yellow-400';
+
+  try {
+    const result = await action(proc.pid);
+    statusElement.textContent = result.message;
+    statusElement.className = result.success ? 'text-green-400' : 'text-red-400';
+  } catch (error) {
+    statusElement.textContent = 'Failed to reach the main process';
+    statusElement.className = 'text-red-400';
+  }
+
+  // Clear the message after 5 seconds and show the new state straight away
+  setTimeout(() => {
+    statusElement.textContent = '';
+  }, 5000);
+  updateProcessList();
+}
+
+// Fetch a fresh process sample from the main process
+async function updateProcessList() {
+  if (processRequestInFlight) return;
+  processRequestInFlight = true;
+
+  try {
+    processList = await window.electronAPI.getProcesses();
+    renderProcessTable();
+  } catch (error) {
+    console.error('Error fetching processes:', error);
+    document.getElementById('process-summary').textContent = 'Error loading processes';
+  } finally {
+    processRequestInFlight = false;
+  }
+}
+
+// Dot colour and label for each thermal status
+const TEMPERATURE_STATUS_STYLES = {
+  optimal: { dot: 'bg-green-400', text: 'text-green-400', label: 'Optimal' },
+  warm: { dot: 'bg-yellow-400', text: 'text-yellow-400', label: 'Warm' },
+  hot: { dot: 'bg-orange-400', text: 'text-orange-400', label: 'Hot' },
+  critical: { dot: 'bg-red-400', text: 'text-red-400', label: 'Critical' },
+  unavailable: { dot: 'bg-dark-600', text: 'text-gray-500', label: 'Unavailable' }
+};
+
+// Update the thermal sensor list in the hardware panel
+function updateTemperatureInfo(data) {
+  const temperatures = data.temperatures;
+  if (!temperatures) return;
+
+  const sensorContainer = document.getElementById('thermal-sensors');
+  sensorContainer.innerHTML = '';
+
+  if (!temperatures.available) {
+    sensorContainer.textContent = 'Unavailable on this system';
+    return;
+  }
+
+  temperatures.sensors.forEach(sensor => {
+    const sensorStyle = TEMPERATURE_STATUS_STYLES[sensor.status] || TEMPERATURE_STATUS_STYLES.optimal;
+    const row = document.createElement('div');
+    row.className = 'flex justify-between';
+
+    const label = document.createElement('span');
+    label.className = 'text-gray-400';
+    label.textContent = `${sensor.label}:`;
+
+    const value = document.createElement('span');
+    value.className = sensorStyle.text;
+    const limits = [
+      sensor.max !== null ? `max ${formatTemperature(sensor.max, false)}` : null,
+      sensor.critical !== null ? `crit ${formatTemperature(sensor.critical, false)}` : null
+    ].filter(Boolean).join(', ');
+    value.textContent = limits ? `${formatTemperature(sensor.current)} (${limits})` : formatTemperature(sensor.current);
+
+    row.appendChild(label);
+    row.appendChild(value);
+    sensorContainer.appendChild(row);
+  });
+}
+
+// Latest health summary from the snapshot, and the check whose details are open
+let latestHealth = null;
+let healthDialogCheckId = null;
+
+// Dot colour, text colour and overall label for each health status
+const HEALTH_STATUS_STYLES = {
+  ok: { dot: 'bg-green-400', text: 'text-green-400', label: 'System Running Optimally' },
+  warning: { dot: 'bg-yellow-400', text: 'text-yellow-400', label: 'Needs Attention' },
+  critical: { dot: 'bg-red-400', text: 'text-red-400', label: 'Action Required' },
+  unknown: { dot: 'bg-dark-600', text: 'text-gray-500', label: 'Status Unknown' }
+};
+
+// Function to describe when a check last ran ("just now", "5 min ago", ...)
+function formatCheckedAgo(timestamp) {
+  if (!timestamp) return 'Not checked yet';
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return 'Checked just now';
+  if (seconds < 3600) return `Checked ${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `Checked ${Math.floor(seconds / 3600)} h ago`;
+  return `Checked ${new Date(timestamp).toLocaleString()}`;
+}
+
+// Function to build one clickable health check line for the sidebar
+function createSidebarHealthLine(check) {
+  const style = HEALTH_STATUS_STYLES[check.status] || HEALTH_STATUS_STYLES.unknown;
+  const line = document.createElement('div');
+  line.className = 'flex items-center gap-3 health-check';
+  line.title = formatCheckedAgo(check.checkedAt);
+  line.addEventListener('click', () => showHealthDetails(check.id));
+
+  const dot = document.createElement('div');
+  dot.className = `w-2 h-2 ${style.dot} rounded-full`;
+
+  const text = document.createElement('div');
+  const label = document.createElement('p');
+  label.className = 'font-medium';
+  label.textContent = check.label;
+  const summary = document.createElement('p');
+  summary.className = 'text-sm text-gray-400';
+  summary.textContent = check.summary;
+  text.appendChild(label);
+  text.appendChild(summary);
+
+  line.appendChild(dot);
+  line.appendChild(text);
+  return line;
+}
+
+// Function to build one clickable health check row for the System Health card
+function createCardHealthRow(check) {
+  const style = HEALTH_STATUS_STYLES[check.status] || HEALTH_STATUS_STYLES.unknown;
+  const row = document.createElement('div');
+  row.className = 'flex justify-between gap-2 health-check';
+  row.title = formatCheckedAgo(check.checkedAt);
+  row.addEventListener('click', () => showHealthDetails(check.id));
+
+  const label = document.createElement('span');
+  label.className = 'text-gray-400';
+  label.textContent = `${check.label}:`;
+  const summary = document.createElement('span');
+  summary.className = `${style.text} text-right`;
+  summary.textContent = check.summary;
+
+  row.appendChild(label);
+  row.appendChild(summary);
+  return row;
+}
+
+// Update the sidebar health lines, the System Health card and the open details dialog
+function updateHealthChecks(data) {
+  const health = data.health;
+  if (!health) return;
+  latestHealth = health;
+
+  const sidebar = document.getElementById('health-checks');
+  sidebar.innerHTML = '';
+  health.checks.forEach(check => sidebar.appendChild(createSidebarHealthLine(check)));
+
+  const overall = HEALTH_STATUS_STYLES[health.status] || HEALTH_STATUS_STYLES.unknown;
+  document.getElementById('health-overall-dot').className = `w-2 h-2 ${overall.dot} rounded-full`;
+  const overallText = document.getElementById('health-overall-text');
+  overallText.className = `text-sm ${overall.text}`;
+  overallText.textContent = overall.label;
+
+  const card = document.getElementById('health-card-checks');
+  card.innerHTML = '';
+  health.checks.forEach(check => card.appendChild(createCardHealthRow(check)));
+
+  if (healthDialogCheckId) renderHealthDetails();
+}
+
+// Function to fill the details dialog from the latest health summary
+function renderHealthDetails() {
+  const check = latestHealth && latestHealth.checks.find(entry => entry.id === healthDialogCheckId);
+  if (!check) return;
+
+  const style = HEALTH_STATUS_STYLES[check.status] || HEALTH_STATUS_STYLES.unknown;
+  document.getElementById('health-dialog-dot').className = `w-2 h-2 ${style.dot} rounded-full`;
+  document.getElementById('health-dialog-title').textContent = check.label;
+  document.getElementById('health-dialog-summary').textContent = check.summary;
+  document.getElementById('health-dialog-checked').textContent = formatCheckedAgo(check.checkedAt);
+
+  const details = document.getElementById('health-dialog-details');
+  details.innerHTML = '';
+  const lines = check.details.length > 0 ? check.details : ['Nothing to report'];
+  lines.forEach(line => {
+    const entry = document.createElement('p');
+    entry.className = check.details.length > 0 ? 'text-gray-300' : 'text-gray-500';
+    entry.textContent = line;
+    details.appendChild(entry);
+  });
+
+  // Temperatures follow every snapshot, and a remote host's checks run on that host
+  const recheck = document.getElementById('health-dialog-recheck');
+  recheck.classList.toggle('hidden', check.id === 'temperatures' || Boolean(viewedHostId));
+}
+
+// Function to open the details dialog for one health check
+function showHealthDetails(id) {
+  healthDialogCheckId = id;
+  document.getElementById('health-dialog-status').textContent = '';
+  renderHealthDetails();
+  document.getElementById('health-dialog').classList.remove('hidden');
+}
+
+// Set up the health details dialog: close and "Check again"
+function initializeHealthDialog() {
+  const dialog = document.getElementById('health-dialog');
+  const status = document.getElementById('health-dialog-status');
+  const recheck = document.getElementById('health-dialog-recheck');
+  const close = () => {
+    dialog.classList.add('hidden');
+    healthDialogCheckId = null;
+  };
+
+  document.getElementById('health-dialog-close').addEventListener('click', close);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !dialog.classList.contains('hidden')) close();
+  });
+
+  recheck.addEventListener('click', async () => {
+    recheck.disabled = true;
+    status.textContent = 'Checking...';
+    const result = await window.electronAPI.runHealthCheck(healthDialogCheckId);
+    recheck.disabled = false;
+    status.textContent = result.success ? '' : result.message;
+    if (result.success) updateHealthChecks({ health: result.health });
+  });
+}
+
+// Battery states on the card: dot and text colour, and the status line
+const BATTERY_STATUS_STYLES = {
+  charging: { dot: 'bg-green-400', text: 'text-green-400', label: 'Charging' },
+  full: { dot: 'bg-green-400', text: 'text-green-400', label: 'Fully charged' },
+  idle: { dot: 'bg-blue-400', text: 'text-blue-400', label: 'Plugged in, not charging' },
+  discharging: { dot: 'bg-blue-400', text: 'text-blue-400', label: 'On battery' },
+  unknown: { dot: 'bg-dark-600', text: 'text-gray-500', label: 'Status unknown' }
+};
+
+// Function to format a battery time in minutes ("45 min", "2 h 15 min")
+function formatBatteryTime(minutes) {
+  if (minutes === null || minutes === undefined) return '--';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Function to describe one battery for the card's detail lines
+function describeBattery(battery) {
+  const name = [battery.manufacturer, battery.model].filter(Boolean).join(' ') || battery.id;
+  const parts = [
+    battery.percent !== null ? `${battery.percent.toFixed(0)}%` : null,
+    battery.energyFullWh !== null ? `${battery.energyFullWh.toFixed(1)} Wh` : null,
+    battery.wearPercent !== null ? `${battery.wearPercent.toFixed(0)}% wear` : null,
+    battery.cycleCount !== null ? `${battery.cycleCount} cycles` : null
+  ].filter(Boolean);
+  return `${name}: ${parts.join(', ') || 'no readings'}`;
+}
+
+// Update the Battery card from the power summary in the snapshot
+function updateBatteryCard(data) {
+  // Snapshots from agents that predate the Battery card have no power field
+  const power = data.power || null;
+  const batteries = power ? power.batteries : [];
+  const available = Boolean(power && power.available);
+
+  const style = available ? BATTERY_STATUS_STYLES[power.status] || BATTERY_STATUS_STYLES.unknown : BATTERY_STATUS_STYLES.unknown;
+  const level = available && power.status === 'discharging' ? getAlertLevel('battery.percent') : 'normal';
+  const dotClass = level === 'critical' ? 'bg-red-400' : level === 'warning' ? 'bg-yellow-400' : style.dot;
+  const textClass = level === 'critical' ? 'text-red-400' : level === 'warning' ? 'text-yellow-400' : style.text;
+  document.getElementById('battery-status-dot').className = `w-2 h-2 ${dotClass} rounded-full`;
+  const statusText = document.getElementById('battery-status-text');
+  statusText.className = `text-sm ${textClass}`;
+  statusText.textContent = !power ? 'No battery data' : !available ?
+    (power.acOnline ? 'No battery, on AC power' : 'No battery found') : style.label;
+
+  document.getElementById('battery-model').textContent = !available ? 'No battery' : batteries.length > 1 ?
+    `${batteries.length} batteries` : [batteries[0].manufacturer, batteries[0].model].filter(Boolean).join(' ') || batteries[0].id;
+
+  const percent = document.getElementById('battery-percent');
+  const color = getLevelColor('battery.percent', 'green');
+  percent.textContent = available && power.percent !== null ? `${power.percent.toFixed(0)}%` : '--';
+  percent.className = `text-sm font-medium ${available && power.percent !== null ? `text-${color}-400` : 'text-gray-500'}`;
+  const bar = document.getElementById('battery-bar');
+  bar.style.width = `${available && power.percent !== null ? Math.min(power.percent, 100) : 0}%`;
+  bar.className = `bg-${color}-400 h-2 rounded-full transition-all duration-500`;
+
+  drawSparkline('battery-history-chart', data.performanceHistory && data.performanceHistory.battery || [], '#34d399');
+
+  // Capacities and wear are summed over every battery that reports them
+  const withCapacity = batteries.filter(battery => battery.energyFullWh !== null);
+  const fullWh = withCapacity.reduce((total, battery) => total + battery.energyFullWh, 0);
+  const withDesign = withCapacity.filter(battery => battery.energyDesignWh !== null);
+  const designWh = withDesign.reduce((total, battery) => total + battery.energyDesignWh, 0);
+  const wear = withDesign.length > 0 && designWh > 0 ?
+    Math.max(0, (1 - withDesign.reduce((total, battery) => total + battery.energyFullWh, 0) / designWh) * 100) : null;
+  const join = (key, format) => {
+    const values = batteries.filter(battery => battery[key] !== null).map(battery => format(battery[key]));
+    return values.length > 0 ? values.join(' / ') : '--';
+  };
+
+  const charging = available && power.status === 'charging';
+  document.getElementById('battery-time-label').textContent = charging ? 'Until full' : 'Time left';
+  document.getElementById('battery-time').textContent = !available ? '--' :
+    formatBatteryTime(charging ? power.timeToFullMin : power.timeToEmptyMin);
+  document.getElementById('battery-power').textContent = available && power.powerW !== null ?
+    `${charging ? '+' : power.status === 'discharging' ? '-' : ''}${power.powerW.toFixed(1)} W` : '--';
+  document.getElementById('battery-capacity').textContent = withCapacity.length === 0 ? '--' :
+    withDesign.length > 0 ? `${fullWh.toFixed(1)} / ${designWh.toFixed(1)} Wh` : `${fullWh.toFixed(1)} Wh`;
+  document.getElementById('battery-wear').textContent = wear !== null ? `${wear.toFixed(0)}%` : '--';
+  document.getElementById('battery-cycles').textContent = join('cycleCount', value => `${value}`);
+  document.getElementById('battery-voltage').textContent = join('voltageV', value => `${value.toFixed(2)} V`);
+
+  // One line per battery when there are several, so each one's wear and cycles stay visible
+  const details = document.getElementById('battery-details');
+  details.innerHTML = '';
+  if (batteries.length > 1) {
+    batteries.forEach(battery => {
+      const line = document.createElement('p');
+      line.textContent = describeBattery(battery);
+      details.appendChild(line);
+    });
+  }
+}
+
+// Latest security status from the snapshot, and a message from the card's last action
+let latestSecurity = null;
+let securityActionMessage = null;
+
+// Function to format a scan's running time ("45 s", "3 min 12 s", "1 h 5 min")
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+  return `${Math.floor(seconds / 3600)} h ${Math.floor((seconds % 3600) / 60)} min`;
+}
+
+// Function to describe the state of the active provider in one line for the card
+function describeSecurityStatus(security) {
+  const { provider, scan, rating } = security;
+  if (scan && scan.provider === (provider && provider.id)) {
+    if (scan.status === 'running') return { status: 'warning', message: scan.message };
+    if (scan.status === 'failed') return { status: 'critical', message: scan.message };
+  }
+  return { status: rating.status, message: rating.summary };
+}
+
+// Update the Security card from the security status in the snapshot
+function updateSecurityCard(data) {
+  const security = data.security;
+  if (!security) return;
+  latestSecurity = security;
+  const { provider, lastScan, scan } = security;
+
+  document.getElementById('security-product').textContent = provider ?
+    `${provider.name}${provider.version ? ` ${provider.version}` : ''}${provider.installed ? '' : ' (not found)'}` :
+    'No security scanner found';
+
+  const { status, message } = describeSecurityStatus(security);
+  const style = HEALTH_STATUS_STYLES[status] || HEALTH_STATUS_STYLES.unknown;
+  document.getElementById('security-status-dot').className = `w-2 h-2 ${style.dot} rounded-full`;
+  const statusElement = document.getElementById('security-status');
+  statusElement.className = `text-sm ${securityActionMessage ? securityActionMessage.className : style.text}`;
+  statusElement.textContent = securityActionMessage ? securityActionMessage.text : message;
+  statusElement.title = provider ? [...provider.warnings, ...provider.details].join('\n') : '';
+
+  // Progress of the running scan: files so far where the scanner reports them, otherwise the time taken
+  const running = Boolean(scan && scan.status === 'running');
+  document.getElementById('security-progress-row').classList.toggle('hidden', !running);
+  if (running) {
+    const progress = scan.progress;
+    document.getElementById('security-progress').textContent = progress ?
+      `${progress.scanned.toLocaleString()} files, ${progress.threats} threats · ${formatElapsed(scan.elapsedMs)}` :
+      formatElapsed(scan.elapsedMs);
+    document.getElementById('security-progress').title = progress && progress.current ? progress.current : '';
+  }
+
+  document.getElementById('security-last-scan').textContent = lastScan ?
+    `${new Date(lastScan.time).toLocaleString()}${lastScan.type ? ` (${lastScan.type})` : ''}` : '--';
+  document.getElementById('security-threats').textContent = lastScan && lastScan.threats !== null ?
+    `${lastScan.threats}${lastScan.quarantined !== null ? `, ${lastScan.quarantined} quarantined` : ''}` : '--';
+  document.getElementById('security-scanned').textContent = lastScan && lastScan.scanned !== null ?
+    lastScan.scanned.toLocaleString() : '--';
+
+  // The first few detections of the last scan
+  const detectionList = document.getElementById('security-detections');
+  const detections = lastScan ? lastScan.detections : [];
+  detectionList.classList.toggle('hidden', detections.length === 0);
+  detectionList.innerHTML = '';
+  detections.slice(0, 5).forEach(detection => {
+    const entry = document.createElement('p');
+    entry.textContent = `${detection.name || 'Threat'}${detection.path ? `: ${detection.path}` : ''}`;
+    entry.title = entry.textContent;
+    detectionList.appendChild(entry);
+  });
+  if (detections.length > 5) {
+    const more = document.createElement('p');
+    more.textContent = `...and ${detections.length - 5} more`;
+    detectionList.appendChild(more);
+  }
+
+  const providerSelect = document.getElementById('security-provider');
+  syncSelectOptions(providerSelect, [
+    { value: 'auto', label: 'Automatic' },
+    ...security.providers.map(entry => ({ value: entry.id, label: `${entry.name}${entry.installed ? '' : ' (not found)'}` }))
+  ]);
+  providerSelect.value = security.selected;
+
+  const typeSelect = document.getElementById('security-scan-type');
+  const scanTypes = provider ? provider.scanTypes : [];
+  syncSelectOptions(typeSelect, scanTypes.map(type => ({ value: type.id, label: type.label })));
+  const selectedType = scanTypes.find(type => type.id === typeSelect.value);
+  document.getElementById('security-path-row').classList.toggle('hidden', !(selectedType && selectedType.needsPath));
+
+  const installed = Boolean(provider && provider.installed);
+  document.getElementById('security-scan-btn').disabled = !installed || running;
+  const launchBtn = document.getElementById('security-launch-btn');
+  launchBtn.classList.toggle('hidden', !(provider && provider.canLaunch));
+  launchBtn.disabled = !installed;
+  launchBtn.textContent = provider ? `Open ${provider.name}` : 'Open';
+}
+
+// Function to show the outcome of a card action for a few seconds before the status returns
+function showSecurityActionMessage(text, className, durationMs) {
+  securityActionMessage = { text, className };
+  if (latestSecurity) updateSecurityCard({ security: latestSecurity });
+  setTimeout(() => {
+    if (!securityActionMessage || securityActionMessage.text !== text) return;
+    securityActionMessage = null;
+    if (latestSecurity) updateSecurityCard({ security: latestSecurity });
+  }, durationMs);
+}
+
+// Set up the Security card: provider and scan type pickers, custom path, "Scan now" and "Open"
+function initializeSecurityCard() {
+  const providerSelect = document.getElementById('security-provider');
+  const typeSelect = document.getElementById('security-scan-type');
+  const pathInput = document.getElementById('security-scan-path');
+  const scanBtn = document.getElementById('security-scan-btn');
+  const launchBtn = document.getElementById('security-launch-btn');
+
+  providerSelect.addEventListener('change', async () => {
+    const result = await window.electronAPI.saveSettings({ security: { provider: providerSelect.value } });
+    appSettings = result.settings;
+    if (!result.success) showSecurityActionMessage(result.message, 'text-red-400', 5000);
+    updateSecurityCard({ security: await window.electronAPI.getSecurityStatus() });
+  });
+  typeSelect.addEventListener('change', () => {
+    if (latestSecurity) updateSecurityCard({ security: latestSecurity });
+  });
+  document.getElementById('security-scan-browse').addEventListener('click', async () => {
+    const chosen = await window.electronAPI.chooseSecurityScanPath();
+    if (chosen) pathInput.value = chosen;
+  });
+
+  scanBtn.addEventListener('click', async () => {
+    scanBtn.disabled = true;
+    const result = await window.electronAPI.startSecurityScan({ type: typeSelect.value, target: pathInput.value });
+    if (result.success) {
+      updateSecurityCard({ security: result.status });
+    } else {
+      scanBtn.disabled = false;
+      showSecurityActionMessage(result.message, 'text-red-400', 5000);
+    }
+  });
+
+  launchBtn.addEventListener('click', async () => {
+    launchBtn.disabled = true;
+    const result = await window.electronAPI.launchSecurityApp();
+    launchBtn.disabled = false;
+    showSecurityActionMessage(result.message, result.success ? 'text-green-400' : 'text-red-400', result.success ? 3000 : 5000);
+  });
+
+  window.electronAPI.getSecurityStatus().then(security => updateSecurityCard({ security }));
+}
+
+// Analyzer status (recording in progress and session history), the session open in its dialog, and the
+// poll that follows a recording
+let analyzerStatus = null;
+let analyzerSession = null;
+let analyzerPollTimer = null;
+
+// Series drawn on the analyzer timeline, in the colours of its legend
+const ANALYZER_SERIES = [
+  { id: 'cpu', color: '#60a5fa' },
+  { id: 'maxCore', color: '#fb923c' },
+  { id: 'gpu', color: '#a78bfa' },
+  { id: 'memory', color: '#34d399' },
+  { id: 'diskBusy', color: '#fbbf24' }
+];
+
+// Function to name a session length ("30 seconds", "2 minutes")
+function formatSessionLength(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} seconds`;
+  const minutes = seconds / 60;
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Function to name a saved session in the history picker
+function describeAnalysisSession(summary) {
+  const name = summary.label ? `${summary.label} · ` : '';
+  const fps = summary.frames ? ` · ${summary.frames.avgFps} FPS` : '';
+  return `${name}${new Date(summary.startedAt).toLocaleString()} (${formatElapsed(summary.durationMs)})${fps}`;
+}
+
+// Function to format one value of the report in its unit
+function formatAnalyzerValue(value, unit) {
+  if (value === null || value === undefined) return '--';
+  return unit === 'B/s' ? `${formatBytes(value)}/s` : `${value}${unit}`;
+}
+
+// Update the sidebar's Performance Analyzer line from the analyzer status
+function updateAnalyzerSidebar() {
+  const { recording, sessions } = analyzerStatus;
+  const dot = document.getElementById('analyzer-sidebar-dot');
+  const status = document.getElementById('analyzer-sidebar-status');
+
+  if (recording) {
+    dot.className = 'w-2 h-2 bg-yellow-400 rounded-full';
+    status.className = 'text-sm text-yellow-400 mb-3';
+    status.textContent = `Recording... ${formatElapsed(recording.elapsedMs)}`;
+  } else if (sessions.length > 0) {
+    const latest = sessions[0];
+    dot.className = 'w-2 h-2 bg-green-400 rounded-full';
+    status.className = 'text-sm text-green-400 mb-3';
+    status.textContent = `Last run ${new Date(latest.startedAt).toLocaleDateString()}` +
+      (latest.frames ? ` · 1% low ${latest.frames.low1Fps} FPS` : '');
+  } else {
+    dot.className = 'w-2 h-2 bg-dark-600 rounded-full';
+    status.className = 'text-sm text-gray-500 mb-3';
+    status.textContent = 'No sessions yet';
+  }
+}
+
+// Update the dialog's recording controls and session picker from the analyzer status
+function updateAnalyzerControls() {
+  const { recording, sessions, durations, intervalMs } = analyzerStatus;
+
+  const durationSelect = document.getElementById('analyzer-duration');
+  const hadDurations = durationSelect.options.length > 0;
+  syncSelectOptions(durationSelect, durations.map(ms => ({ value: String(ms), label: formatSessionLength(ms) })));
+  if (!hadDurations) durationSelect.value = '60000';
+  durationSelect.disabled = Boolean(recording);
+  document.getElementById('analyzer-label').disabled = Boolean(recording);
+
+  const recordBtn = document.getElementById('analyzer-record-btn');
+  recordBtn.textContent = recording ? 'Stop' : 'Record';
+  recordBtn.className = recording ? 'action-button danger' : 'action-button active';
+
+  document.getElementById('analyzer-status').textContent = recording ?
+    `Recording ${formatElapsed(recording.elapsedMs)} of ${formatSessionLength(recording.durationMs)} · ${recording.sampleCount} samples` :
+    `Samples CPU, every core, memory, disks and the GPU every ${intervalMs} ms while it records.`;
+
+  const sessionSelect = document.getElementById('analyzer-session');
+  syncSelectOptions(sessionSelect, sessions.map(summary => ({ value: summary.id, label: describeAnalysisSession(summary) })));
+  sessionSelect.disabled = sessions.length === 0;
+  document.getElementById('analyzer-import-btn').disabled = sessions.length === 0;
+  document.getElementById('analyzer-delete-btn').disabled = sessions.length === 0;
+}
+
+// Function to draw the session timeline: resource series from 0 to 100% and a red line at every stutter
+function drawAnalyzerTimeline() {
+  const canvas = document.getElementById('analyzer-timeline');
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const { samples, durationMs, frames, report } = analyzerSession;
+  const padding = 4;
+  const toX = t => padding + Math.max(0, Math.min(1, t / durationMs)) * (width - padding * 2);
+  const toY = value => padding + (1 - value / 100) * (height - padding * 2);
+
+  ctx.clearRect(0, 0, width, height);
+
+  if (report.stutters && frames.aligned) {
+    ctx.strokeStyle = '#f8717180';
+    ctx.lineWidth = 1;
+    report.stutters.forEach(stutter => {
+      ctx.beginPath();
+      ctx.moveTo(toX(stutter.timeMs), padding);
+      ctx.lineTo(toX(stutter.timeMs), height - padding);
+      ctx.stroke();
+    });
+  }
+
+  ANALYZER_SERIES.forEach(series => {
+    ctx.strokeStyle = series.color;
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    let drawing = false;
+    samples.forEach(sample => {
+      const value = sample[series.id];
+      if (value === null || value === undefined) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(toX(sample.t), toY(value));
+      } else {
+        ctx.moveTo(toX(sample.t), toY(value));
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+  });
+}
+
+// Function to build one labelled figure of the frame summary
+function createAnalyzerFigure(label, value, className = 'text-white') {
+  const figure = document.createElement('div');
+  figure.className = 'bg-dark-700 rounded p-2';
+  const name = document.createElement('p');
+  name.className = 'text-gray-400';
+  name.textContent = label;
+  const number = document.createElement('p');
+  number.className = `text-lg font-semibold ${className}`;
+  number.textContent = value;
+  figure.appendChild(name);
+  figure.appendChild(number);
+  return figure;
+}
+
+// Function to show the open session's report (or the empty state)
+function renderAnalyzerReport() {
+  const session = analyzerSession;
+  document.getElementById('analyzer-empty').classList.toggle('hidden', Boolean(session));
+  document.getElementById('analyzer-report').classList.toggle('hidden', !session);
+  if (!session) return;
+  const { report, frames } = session;
+
+  document.getElementById('analyzer-summary').textContent =
+    `${report.sampleCount} samples over ${formatElapsed(session.durationMs)}` +
+    (frames ? ` · ${frames.source}${frames.application ? ` (${frames.application})` : ''} log ${frames.file}` :
+      ' · Import a PresentMon or MangoHud log recorded during the session for FPS and stutters');
+
+  const figures = document.getElementById('analyzer-frames');
+  figures.innerHTML = '';
+  figures.classList.toggle('hidden', !report.frames);
+  if (report.frames) {
+    figures.appendChild(createAnalyzerFigure('Average FPS', report.frames.avgFps));
+    figures.appendChild(createAnalyzerFigure('1% low', `${report.frames.low1Fps} FPS`));
+    figures.appendChild(createAnalyzerFigure('0.1% low', `${report.frames.low01Fps} FPS`));
+    figures.appendChild(createAnalyzerFigure('Frames', report.frames.count.toLocaleString()));
+    figures.appendChild(createAnalyzerFigure('Median / worst frame', `${report.frames.medianFrameTimeMs} / ${report.frames.maxFrameTimeMs} ms`));
+    figures.appendChild(createAnalyzerFigure('Stutters', report.stutterCount, report.stutterCount > 0 ? 'text-yellow-400' : 'text-green-400'));
+  }
+
+  drawAnalyzerTimeline();
+
+  // Resource table, with the busiest core named
+  const busiestCore = report.cores.reduce((max, core) => core.avg !== null && (!max || core.avg > max.avg) ? core : max, null);
+  const tbody = document.getElementById('analyzer-resources');
+  tbody.innerHTML = '';
+  report.resources.forEach(resource => {
+    const row = document.createElement('tr');
+    const label = resource.id === 'maxCore' && busiestCore ?
+      `${resource.label} (core ${busiestCore.index} busiest on average)` : resource.label;
+    [label, resource.avg, resource.p95, resource.max].forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = index === 0 ? value : formatAnalyzerValue(value, resource.unit);
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+
+  // Stutters with the resources that spiked around them, or the spikes alone without a frame log
+  const title = document.getElementById('analyzer-events-title');
+  const events = document.getElementById('analyzer-events');
+  events.innerHTML = '';
+  const addLine = (text, className = 'text-gray-300') => {
+    const line = document.createElement('p');
+    line.className = className;
+    line.textContent = text;
+    events.appendChild(line);
+  };
+  const seconds = ms => `${(ms / 1000).toFixed(1)} s`;
+
+  if (report.stutters) {
+    title.textContent = frames.aligned ?
+      `${report.stutterCount} stutters, ${report.explainedStutters} with a resource spike around them` :
+      `${report.stutterCount} stutters (the log does not overlap this session, so they are timed from the log's start)`;
+    report.stutters.forEach(stutter => {
+      const causes = stutter.causes === null ? '' :
+        stutter.causes.length > 0 ? ` · ${stutter.causes.join(', ')}` : ' · no resource spike';
+      addLine(`${seconds(stutter.timeMs)} · ${stutter.frameTimeMs} ms frame${stutter.frames > 1 ? ` (${stutter.frames} slow frames)` : ''}${causes}`,
+        stutter.causes && stutter.causes.length > 0 ? 'text-yellow-400' : 'text-gray-300');
+    });
+    if (report.stutterCount === 0) addLine('No frame took more than 2.5 times the median frame time.');
+  } else {
+    title.textContent = `${report.spikeCount} resource spikes`;
+    report.spikes.forEach(spike => {
+      const resource = report.resources.find(entry => entry.id === spike.id);
+      const range = spike.endMs > spike.startMs ? `${seconds(spike.startMs)} to ${seconds(spike.endMs)}` : seconds(spike.startMs);
+      addLine(`${range} · ${spike.label} peaked at ${formatAnalyzerValue(spike.peak, resource.unit)}`);
+    });
+    if (report.spikeCount === 0) addLine('No resource spiked during the session.');
+  }
+  if ((report.stutters ? report.stutterCount : report.spikeCount) > 50) addLine('...only the first 50 are listed', 'text-gray-500');
+}
+
+// Function to open a saved session in the dialog
+async function loadAnalysisSession(id) {
+  analyzerSession = id ? await window.electronAPI.getAnalysisSession(id) : null;
+  document.getElementById('analyzer-session').value = analyzerSession ? analyzerSession.id : '';
+  renderAnalyzerReport();
+}
+
+// Function to refresh the analyzer status, following a recording until it ends and then opening its session
+async function updateAnalyzerStatus() {
+  const wasRecording = Boolean(analyzerStatus && analyzerStatus.recording);
+  analyzerStatus = await window.electronAPI.getAnalyzerStatus();
+  updateAnalyzerSidebar();
+  updateAnalyzerControls();
+
+  if (analyzerStatus.recording && !analyzerPollTimer) {
+    analyzerPollTimer = setInterval(updateAnalyzerStatus, 1000);
+  } else if (!analyzerStatus.recording && analyzerPollTimer) {
+    clearInterval(analyzerPollTimer);
+    analyzerPollTimer = null;
+  }
+
+  const { sessions } = analyzerStatus;
+  const stillSaved = analyzerSession && sessions.some(summary => summary.id === analyzerSession.id);
+  if ((wasRecording && !analyzerStatus.recording) || !stillSaved) {
+    await loadAnalysisSession(sessions.length > 0 ? sessions[0].id : null);
+  }
+}
+
+// Function to show a message next to the dialog's Close button
+function showAnalyzerActionMessage(text, className) {
+  const status = document.getElementById('analyzer-action-status');
+  status.className = `text-xs flex-1 ${className}`;
+  status.textContent = text;
+}
+
+// Set up the Performance Analyzer: the sidebar button, recording, the session picker and frame-log import
+function initializeAnalyzer() {
+  const dialog = document.getElementById('analyzer-dialog');
+  const recordBtn = document.getElementById('analyzer-record-btn');
+  const importBtn = document.getElementById('analyzer-import-btn');
+  const close = () => dialog.classList.add('hidden');
+
+  document.getElementById('analyzer-open-btn').addEventListener('click', () => {
+    showAnalyzerActionMessage('', 'text-gray-400');
+    dialog.classList.remove('hidden');
+    updateAnalyzerStatus();
+  });
+  document.getElementById('analyzer-close').addEventListener('click', close);
+  document.addEventListener('keydown', (e) => {
+    // Escape in the delete confirmation only closes that
+    if (e.key === 'Escape' && !dialog.classList.contains('hidden') &&
+      document.getElementById('confirm-dialog').classList.contains('hidden')) close();
+  });
+
+  recordBtn.addEventListener('click', async () => {
+    recordBtn.disabled = true;
+    const result = analyzerStatus && analyzerStatus.recording ?
+      await window.electronAPI.stopAnalysis() :
+      await window.electronAPI.startAnalysis({
+        durationMs: parseInt(document.getElementById('analyzer-duration').value, 10),
+        label: document.getElementById('analyzer-label').value
+      });
+    recordBtn.disabled = false;
+    showAnalyzerActionMessage(result.success ? '' : result.message, 'text-red-400');
+    await updateAnalyzerStatus();
+  });
+
+  document.getElementById('analyzer-session').addEventListener('change', (e) => {
+    showAnalyzerActionMessage('', 'text-gray-400');
+    loadAnalysisSession(e.target.value);
+  });
+
+  importBtn.addEventListener('click', async () => {
+    if (!analyzerSession) return;
+    importBtn.disabled = true;
+    const result = await window.electronAPI.importFrameTimes(analyzerSession.id);
+    importBtn.disabled = false;
+    if (result.canceled) return;
+    showAnalyzerActionMessage(result.message, result.success ? 'text-green-400' : 'text-red-400');
+    if (!result.success) return;
+    analyzerSession = result.session;
+    renderAnalyzerReport();
+    await updateAnalyzerStatus();
+  });
+
+  document.getElementById('analyzer-delete-btn').addEventListener('click', async () => {
+    if (!analyzerSession) return;
+    const confirmed = await showConfirmDialog('Delete session?', 'The session and its report will be removed from the history.', 'Delete');
+    if (!confirmed) return;
+    const result = await window.electronAPI.deleteAnalysisSession(analyzerSession.id);
+    showAnalyzerActionMessage(result.success ? '' : result.message, 'text-red-400');
+    await updateAnalyzerStatus();
+  });
+
+  updateAnalyzerStatus();
+}
+
+// Latest hardware inventory status (components and changes since the baseline)
+let inventoryStatus = null;
+
+// How often to look again while the first inventory of this launch is still being taken
+const INVENTORY_RETRY_MS = 2000;
+
+// Function to show a message from the inventory dialog's last action
+function showInventoryActionMessage(message, className) {
+  const status = document.getElementById('inventory-action-status');
+  status.textContent = message;
+  status.className = `text-xs flex-1 ${className}`;
+}
+
+// Function to show the inventory state on the Hardware Details card
+function updateInventoryIndicator() {
+  const dot = document.getElementById('inventory-status-dot');
+  const text = document.getElementById('inventory-status-text');
+  const status = inventoryStatus;
+  const since = status && status.baselineTakenAt ? new Date(status.baselineTakenAt).toLocaleDateString() : null;
+
+  let [dotClass, textClass, message] = ['bg-dark-600', 'text-gray-500', 'Taking inventory...'];
+  if (status && !status.current && status.error) {
+    [dotClass, textClass, message] = ['bg-red-400', 'text-red-400', status.error];
+  } else if (status && status.current && status.changeCount > 0) {
+    [dotClass, textClass, message] = ['bg-yellow-400', 'text-yellow-400',
+      `${status.changeCount} change${status.changeCount === 1 ? '' : 's'} since ${since}`];
+  } else if (status && status.current) {
+    [dotClass, textClass, message] = ['bg-green-400', 'text-green-400', `No changes since ${since}`];
+  }
+  dot.className = `w-2 h-2 ${dotClass} rounded-full`;
+  text.className = textClass;
+  text.textContent = message;
+}
+
+// Function to fill the inventory dialog: the changes, then every component by category
+function renderInventoryDialog() {
+  const status = inventoryStatus;
+  const summary = document.getElementById('inventory-summary');
+  const changes = document.getElementById('inventory-changes');
+  const components = document.getElementById('inventory-components');
+  changes.innerHTML = '';
+  components.innerHTML = '';
+  document.getElementById('inventory-accept-btn').classList.toggle('hidden', !status || status.changeCount === 0);
+
+  if (!status || !status.current) {
+    summary.textContent = status && status.error ? `The inventory could not be taken: ${status.error}` : 'Taking inventory...';
+    return;
+  }
+  summary.textContent = `${status.current.components.length} components, taken ${new Date(status.current.takenAt).toLocaleString()}. ` +
+    `Compared with the baseline from ${new Date(status.baselineTakenAt).toLocaleString()}.`;
+
+  // Change lines: added in green, removed in red, changed in yellow with the old and new values
+  const title = component => `${component.category}: ${component.name}${component.location ? ` (${component.location})` : ''}`;
+  const lines = [
+    ...status.comparison.added.map(component => ['text-green-400', `Added: ${title(component)}`]),
+    ...status.comparison.removed.map(component => ['text-red-400', `Removed: ${title(component)}`]),
+    ...status.comparison.changed.map(({ component, changes: list }) => ['text-yellow-400',
+      `Changed: ${title(component)}: ${list.map(change => `${change.property} ${change.before} → ${change.after}`).join(', ')}`])
+  ];
+  if (lines.length === 0) lines.push(['text-gray-500', 'No changes since the baseline']);
+  lines.forEach(([className, text]) => {
+    const line = document.createElement('p');
+    line.className = className;
+    line.textContent = text;
+    changes.appendChild(line);
+  });
+
+  const added = new Set(status.comparison.added.map(component => component.key));
+  const changed = new Set(status.comparison.changed.map(entry => entry.component.key));
+  const categories = [...new Set(status.current.components.map(component => component.category))];
+  categories.forEach(category => {
+    const heading = document.createElement('h4');
+    heading.className = 'font-medium text-sm text-gray-300 mb-1';
+    heading.textContent = category;
+    const table = document.createElement('table');
+    table.className = 'process-table inventory-table';
+    status.current.components.filter(component => component.category === category).forEach(component => {
+      const row = document.createElement('tr');
+      if (added.has(component.key)) row.className = 'text-green-400';
+      else if (changed.has(component.key)) row.className = 'text-yellow-400';
+      const details = Object.entries(component.properties)
+        .filter(([, value]) => value !== null)
+        .map(([label, value]) => `${label}: ${value}`)
+        .join(' · ');
+      [component.name, component.location || '--', details || '--'].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    const section = document.createElement('div');
+    section.append(heading, table);
+    components.appendChild(section);
+  });
+}
+
+// Function to fetch the inventory status, looking again until this launch's inventory has been taken
+async function loadInventory() {
+  inventoryStatus = await window.electronAPI.getInventory();
+  updateInventoryIndicator();
+  if (!document.getElementById('inventory-dialog').classList.contains('hidden')) renderInventoryDialog();
+  if (!inventoryStatus.current && !inventoryStatus.error) setTimeout(loadInventory, INVENTORY_RETRY_MS);
+}
+
+// Function to apply an action's new inventory status to the card and the dialog
+function applyInventoryResult(result) {
+  showInventoryActionMessage(result.message, result.success ? 'text-green-400' : 'text-red-400');
+  if (!result.status) return;
+  inventoryStatus = result.status;
+  updateInventoryIndicator();
+  renderInventoryDialog();
+}
+
+// Set up the inventory dialog: check again, accept changes and the two exports
+function initializeInventory() {
+  const dialog = document.getElementById('inventory-dialog');
+  const refreshBtn = document.getElementById('inventory-refresh-btn');
+  const close = () => dialog.classList.add('hidden');
+
+  document.getElementById('inventory-open-btn').addEventListener('click', () => {
+    showInventoryActionMessage('', 'text-gray-400');
+    renderInventoryDialog();
+    dialog.classList.remove('hidden');
+  });
+  document.getElementById('inventory-close').addEventListener('click', close);
+  document.addEventListener('keydown', (e) => {
+    // Escape in the accept confirmation only closes that
+    if (e.key === 'Escape' && !dialog.classList.contains('hidden') &&
+      document.getElementById('confirm-dialog').classList.contains('hidden')) close();
+  });
+
+  refreshBtn.addEventListener('click', async () => {
+    refreshBtn.disabled = true;
+    showInventoryActionMessage('Checking...', 'text-gray-400');
+    const result = await window.electronAPI.refreshInventory();
+    refreshBtn.disabled = false;
+    applyInventoryResult(result);
+  });
+
+  document.getElementById('inventory-accept-btn').addEventListener('click', async () => {
+    const confirmed = await showConfirmDialog('Accept changes?',
+      'The current inventory becomes the baseline, and these changes will no longer be flagged.', 'Accept');
+    if (!confirmed) return;
+    applyInventoryResult(await window.electronAPI.acceptInventory());
+  });
+
+  [['inventory-export-md-btn', 'md'], ['inventory-export-html-btn', 'html']].forEach(([id, format]) => {
+    document.getElementById(id).addEventListener('click', async () => {
+      const result = await window.electronAPI.exportInventory(format);
+      if (result.canceled) return;
+      showInventoryActionMessage(result.message, result.success ? 'text-green-400' : 'text-red-400');
+    });
+  });
+
+  loadInventory();
+}
+
 // Name customization functionality
 function initializeNameCustomization() {
   const userDisplayName = document.getElementById('user-display-name');
@@ -128,8 +2923,8 @@ function initializeNameCustomization() {
   const cancelNameBtn = document.getElementById('cancel-name-btn');
   const editNameBtn = document.getElementById('edit-name-btn');
 
-  // Load saved name from localStorage
-  const savedName = localStorage.getItem('userDisplayName');
+  // Load the saved name from the settings
+  const savedName = appSettings.displayName;
   if (savedName) {
     userDisplayName.textContent = savedName;
   } else {
@@ -146,11 +2941,13 @@ function initializeNameCustomization() {
   });
 
   // Save name functionality
-  function saveName() {
+  async function saveName() {
     const newName = nameInput.value.trim();
     if (newName && newName.length > 0) {
+      const result = await window.electronAPI.saveSettings({ displayName: newName });
+      if (!result.success) return;
+      appSettings = result.settings;
       userDisplayName.textContent = newName;
-      localStorage.setItem('userDisplayName', newName);
       nameSetup.classList.add('hidden');
       editNameBtn.style.display = 'flex';
       nameInput.value = '';
@@ -161,7 +2958,7 @@ function initializeNameCustomization() {
   function cancelEdit() {
     nameSetup.classList.add('hidden');
     nameInput.value = '';
-    if (savedName || localStorage.getItem('userDisplayName')) {
+    if (appSettings.displayName) {
       editNameBtn.style.display = 'flex';
     }
   }
@@ -187,9 +2984,8 @@ function initializeNameCustomization() {
   });
 }
 
-// Auto-refresh state management
+// Auto-refresh state management (the main process samples and pushes; pausing stops it there)
 let autoRefreshEnabled = true;
-let refreshInterval = null;
 
 // Function to update circular progress
 function updateCircularProgress(elementId, percentage) {
@@ -213,40 +3009,32 @@ function toggleAutoRefresh() {
     // Enable auto-refresh
     toggle.style.backgroundColor = '#10b981'; // Green
     slider.style.transform = 'translateX(24px)';
-    status.textContent = 'Every 2 seconds';
-    startAutoRefresh();
+    status.textContent = describeRefreshInterval();
   } else {
     // Disable auto-refresh
     toggle.style.backgroundColor = '#374151'; // Dark gray
     slider.style.transform = 'translateX(0)';
     status.textContent = 'Paused';
-    stopAutoRefresh();
-  }
-}
-
-// Function to start auto-refresh
-function startAutoRefresh() {
-  if (refreshInterval) {
-    clearInterval(refreshInterval);
   }
-  refreshInterval = setInterval(updateSystemInfo, 2000);
+  
+  // Pause or resume sampling in the main process (which also keeps the tray menu in step)
+  window.electronAPI.reportAutoRefresh(autoRefreshEnabled);
 }
 
-// Function to stop auto-refresh
-function stopAutoRefresh() {
-  if (refreshInterval) {
-    clearInterval(refreshInterval);
-    refreshInterval = null;
-  }
+// Function to describe the refresh interval for the header
+function describeRefreshInterval() {
+  const seconds = appSettings.refreshIntervalMs / 1000;
+  return seconds === 1 ? 'Every second' : `Every ${seconds} seconds`;
 }
 
-// Function to update status indicators based on usage
-function updateStatusIndicator(statusDot, statusText, usage, type = 'cpu') {
-  if (usage > 80) {
+// Function to update status indicators from the alert rule level of a metric
+function updateStatusIndicator(statusDot, statusText, metricId) {
+  const level = getAlertLevel(metricId);
+  if (level === 'critical') {
     statusDot.className = 'w-2 h-2 bg-red-400 rounded-full';
     statusText.textContent = 'High Usage';
     statusText.className = 'text-sm text-red-400';
-  } else if (usage > 60) {
+  } else if (level === 'warning') {
     statusDot.className = 'w-2 h-2 bg-yellow-400 rounded-full';
     statusText.textContent = 'Moderate';
     statusText.className = 'text-sm text-yellow-400';
@@ -257,11 +3045,16 @@ function updateStatusIndicator(statusDot, statusText, usage, type = 'cpu') {
   }
 }
 
-async function updateSystemInfo() {
+// Function to redraw every card from a pushed snapshot, or from the latest one when none is given (the viewed
+// remote host's, or this computer's)
+async function updateSystemInfo(pushedData) {
   try {
-    console.log('Fetching system info...');
-    const data = await window.electronAPI.getSystemInfo();
-    console.log('System data received:', data);
+    const data = pushedData ||
+      (viewedHostId ? hostConnections[viewedHostId] && hostConnections[viewedHostId].snapshot : await window.electronAPI.getSystemInfo());
+    if (!data) return;
+    
+    // Card colours follow the alert rules evaluated for this snapshot
+    alertLevels = data.alerts ? data.alerts.levels : {};
     
     // Update last refresh timestamp
     const now = new Date();
@@ -310,20 +3103,15 @@ async function updateSystemInfo() {
       document.getElementById('cpu-bar').style.width = `${Math.min(data.cpuUsage, 100)}%`;
       
       // Update CPU temperature and circular progress (using usage for the circle)
-      if (data.cpuTemperature) {
-        document.getElementById('cpu-temp').textContent = `${data.cpuTemperature}°`;
-      }
+      document.getElementById('cpu-temp').textContent = formatTemperature(data.cpuTemperature, false);
       updateCircularProgress('cpu-circle', data.cpuUsage);
       
-      // Update CPU utilization bar color based on usage
+      // Update CPU utilization bar color based on the alert rules
       const cpuBar = document.getElementById('cpu-bar');
-      if (data.cpuUsage > 80) {
-        cpuBar.className = 'bg-red-400 h-2 rounded-full transition-all duration-500';
-      } else if (data.cpuUsage > 60) {
-        cpuBar.className = 'bg-yellow-400 h-2 rounded-full transition-all duration-500';
-      } else {
-        cpuBar.className = 'bg-blue-400 h-2 rounded-full transition-all duration-500';
-      }
+      cpuBar.className = `bg-${getLevelColor('cpu.usage', 'blue')}-400 h-2 rounded-full transition-all duration-500`;
+      
+      // Update the per-core grid
+      updateCpuCores(data);
     } else {
       console.warn('CPU usage data is undefined');
     }
@@ -331,7 +3119,7 @@ async function updateSystemInfo() {
     // Update Memory Information
     if (data.memoryUsage !== undefined && data.memoryUsage !== null) {
       // Update RAM specs
-      document.getElementById('ram-specs').textContent = `${data.totalMemory} GB Total`;
+      document.getElementById('ram-specs').textContent = `${formatSize(data.totalMemory)} Total`;
       
       // Update memory circular gauge
       document.getElementById('memory-percentage').textContent = `${data.memoryUsage.toFixed(0)}%`;
@@ -340,100 +3128,63 @@ async function updateSystemInfo() {
       // Update memory usage
       document.getElementById('memory-usage').textContent = `${data.memoryUsage.toFixed(0)}%`;
       document.getElementById('memory-bar').style.width = `${Math.min(data.memoryUsage, 100)}%`;
-      document.getElementById('memory-details').textContent = `${data.usedMemory} GB used of ${data.totalMemory} GB (${data.freeMemory} GB free)`;
+      document.getElementById('memory-details').textContent =
+        `${formatSize(data.usedMemory)} used of ${formatSize(data.totalMemory)} (${formatSize(data.freeMemory)} free)`;
       
       // Update memory status indicator
       const memoryStatusDot = document.getElementById('memory-status');
       const memoryStatusText = document.getElementById('memory-status-text');
-      updateStatusIndicator(memoryStatusDot, memoryStatusText, data.memoryUsage, 'memory');
+      updateStatusIndicator(memoryStatusDot, memoryStatusText, 'memory.usage');
       
-      // Update memory bar color based on usage
+      // Update memory bar color based on the alert rules
       const memoryBar = document.getElementById('memory-bar');
-      if (data.memoryUsage > 80) {
-        memoryBar.className = 'bg-red-400 h-2 rounded-full transition-all duration-500';
-      } else if (data.memoryUsage > 60) {
-        memoryBar.className = 'bg-yellow-400 h-2 rounded-full transition-all duration-500';
-      } else {
-        memoryBar.className = 'bg-green-400 h-2 rounded-full transition-all duration-500';
-      }
+      memoryBar.className = `bg-${getLevelColor('memory.usage', 'green')}-400 h-2 rounded-full transition-all duration-500`;
     } else {
       console.warn('Memory usage data is undefined');
     }
     
     // Update Storage Information
-    if (data.storageUsage !== undefined && data.storageUsage !== null) {
+    const primaryVolume = updateVolumeList(data);
+    if (primaryVolume) {
+      // A network share that is not responding has no sizes
+      const storageUsage = primaryVolume.usagePercentage;
+      const storageText = storageUsage !== null ? `${storageUsage.toFixed(0)}%` : '--';
+      document.getElementById('storage-specs').textContent = describeVolume(primaryVolume);
+      
       // Update storage usage percentage in the circular gauge
-      document.getElementById('storage-percentage').textContent = `${data.storageUsage.toFixed(0)}%`;
-      updateCircularProgress('storage-circle', data.storageUsage);
+      document.getElementById('storage-percentage').textContent = storageText;
+      updateCircularProgress('storage-circle', storageUsage || 0);
       
       // Update storage usage text and bar
-      document.getElementById('storage-usage').textContent = `${data.storageUsage.toFixed(0)}%`;
-      document.getElementById('storage-bar').style.width = `${Math.min(data.storageUsage, 100)}%`;
+      document.getElementById('storage-usage').textContent = storageText;
+      document.getElementById('storage-bar').style.width = `${Math.min(storageUsage || 0, 100)}%`;
       
       // Update storage details with real data
-      if (data.storageTotalGB && data.storageFreeGB && data.storageUsedGB) {
-        document.getElementById('storage-details').textContent = 
-          `${data.storageUsedGB} GB used of ${data.storageTotalGB} GB (${data.storageFreeGB} GB free)`;
-      } else {
-        document.getElementById('storage-details').textContent = 
-          `${data.storageUsage.toFixed(0)}% of drive capacity used`;
-      }
+      document.getElementById('storage-details').textContent = storageUsage !== null ?
+        `${formatSize(primaryVolume.usedGB)} used of ${formatSize(primaryVolume.totalGB)} (${formatSize(primaryVolume.freeGB)} free)` :
+        'Not responding';
       
       // Update storage status indicator
       const storageStatusDot = document.getElementById('storage-status');
       const storageStatusText = document.getElementById('storage-status-text');
-      updateStatusIndicator(storageStatusDot, storageStatusText, data.storageUsage, 'storage');
+      const storageMetric = `volume.${primaryVolume.mountPoint}.usage`;
+      updateStatusIndicator(storageStatusDot, storageStatusText, storageMetric);
       
-      // Update storage bar and circle color based on usage
-      const storageBar = document.getElementById('storage-bar');
-      const storageCircle = document.getElementById('storage-circle');
-      
-      if (data.storageUsage > 80) {
-        storageBar.className = 'bg-red-400 h-2 rounded-full transition-all duration-300';
-        storageCircle.className = 'text-red-400 progress-ring';
-      } else if (data.storageUsage > 60) {
-        storageBar.className = 'bg-yellow-400 h-2 rounded-full transition-all duration-300';
-        storageCircle.className = 'text-yellow-400 progress-ring';
-      } else {
-        storageBar.className = 'bg-purple-400 h-2 rounded-full transition-all duration-300';
-        storageCircle.className = 'text-purple-400 progress-ring';
-      }
+      // Update storage bar and circle color based on the alert rules
+      const storageColor = getLevelColor(storageMetric, 'purple');
+      document.getElementById('storage-bar').className = `bg-${storageColor}-400 h-2 rounded-full transition-all duration-300`;
+      document.getElementById('storage-circle').className = `text-${storageColor}-400 progress-ring`;
+    } else if (data.volumes) {
+      document.getElementById('storage-specs').textContent = 'No volumes found';
+      document.getElementById('storage-usage').textContent = 'N/A';
+      document.getElementById('storage-details').textContent = 'No mounted volumes could be read';
     }
     
+    // Update disk activity
+    updateDiskActivity(data);
+    
     // Update GPU Information
-    if (data.gpuName) {
-      // Update GPU model and specs
-      const gpuDisplayName = data.gpuMemory !== 'Unknown' ? 
-        `${data.gpuName} (${data.gpuMemory})` : data.gpuName;
-      document.getElementById('gpu-model').textContent = gpuDisplayName;
-      
-      // Update GPU usage
-      if (data.gpuUsage !== undefined) {
-        document.getElementById('gpu-usage').textContent = `${data.gpuUsage}%`;
-        document.getElementById('gpu-bar').style.width = `${Math.min(data.gpuUsage, 100)}%`;
-        
-        // Update GPU status indicator
-        const gpuStatusDot = document.getElementById('gpu-status');
-        const gpuStatusText = document.getElementById('gpu-status-text');
-        updateStatusIndicator(gpuStatusDot, gpuStatusText, data.gpuUsage, 'gpu');
-        
-        // Update GPU bar color based on usage
-        const gpuBar = document.getElementById('gpu-bar');
-        if (data.gpuUsage > 80) {
-          gpuBar.className = 'bg-red-400 h-2 rounded-full transition-all duration-300';
-        } else if (data.gpuUsage > 60) {
-          gpuBar.className = 'bg-yellow-400 h-2 rounded-full transition-all duration-300';
-        } else {
-          gpuBar.className = 'bg-blue-400 h-2 rounded-full transition-all duration-300';
-        }
-      }
-      
-      // Update GPU temperature and circular progress
-      if (data.gpuTemperature !== undefined) {
-        document.getElementById('gpu-temp').textContent = `${data.gpuTemperature}°`;
-        updateCircularProgress('gpu-circle', data.gpuTemperature);
-      }
-    }
+    updateGpuInfo(data);
     
     // Update Network Information
     if (data.networkSSID) {
@@ -470,12 +3221,6 @@ async function updateSystemInfo() {
         }
       }
       
-      // Update network speeds
-      if (data.downloadSpeed !== undefined && data.uploadSpeed !== undefined) {
-        document.getElementById('download-speed').textContent = `↓ ${data.downloadSpeed} MB/s`;
-        document.getElementById('upload-speed').textContent = `↑ ${data.uploadSpeed} MB/s`;
-      }
-      
       // Update network type
       if (data.networkType) {
         document.getElementById('network-type').textContent = `Type: ${data.networkType}`;
@@ -488,11 +3233,43 @@ async function updateSystemInfo() {
       // You can add network status updates here
     }
     
+    // Update per-interface network throughput
+    updateNetworkThroughput(data);
+    
     // Update performance history charts
     updatePerformanceCharts(data);
     
     // Update detailed hardware information
     updateHardwareInfo(data);
+    
+    // Update thermal sensor readings
+    updateTemperatureInfo(data);
+    
+    // Update the sidebar health lines and the System Health card
+    updateHealthChecks(data);
+    
+    // Update the Battery card
+    updateBatteryCard(data);
+    
+    // Update the collector plugin cards
+    updatePluginCards(data);
+    
+    // Alerts, processes and stored history are this computer's; their panels are hidden while a remote host is shown
+    if (viewedHostId) return;
+    
+    // Update the Security card (active security provider)
+    updateSecurityCard(data);
+    
+    // Update active alerts and the alert log
+    updateAlerts(data);
+    
+    // Refresh the process table alongside the cards
+    updateProcessList();
+    
+    // Short ranges follow every refresh, long ones (minute averages) once a minute; a zoomed view stays put
+    if (!historyZoom && !historyImport && (historyRange <= 3600000 || Date.now() - historyLastFetch > 60000)) {
+      updateHistoryChart();
+    }
 
   } catch (error) {
     console.error('Error fetching system info:', error);
@@ -505,8 +3282,14 @@ async function updateSystemInfo() {
 
 // Add some interactive effects
 document.addEventListener('DOMContentLoaded', function() {
-  // Initialize name customization
-  initializeNameCustomization();
+  // Set up the stored history chart
+  initializeHistoryChart();
+  
+  // Set up the health check details dialog
+  initializeHealthDialog();
+  
+  // Set up the alert rules editor and log
+  initializeAlerts();
   
   // Set up window controls
   const minimizeBtn = document.getElementById('minimize-btn');
@@ -532,6 +3315,97 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
   
+  // Set up network interface picker
+  const networkInterfaceSelect = document.getElementById('network-interface-select');
+  if (networkInterfaceSelect) {
+    networkInterfaceSelect.addEventListener('change', () => {
+      selectedNetworkInterface = networkInterfaceSelect.value;
+      saveSelection('networkInterface', selectedNetworkInterface);
+      updateSystemInfo();
+    });
+  }
+  
+  // Set up storage volume picker
+  const storageVolumeSelect = document.getElementById('storage-volume-select');
+  if (storageVolumeSelect) {
+    storageVolumeSelect.addEventListener('change', () => selectVolume(storageVolumeSelect.value));
+  }
+  
+  // Set up disk activity picker
+  const diskDeviceSelect = document.getElementById('disk-device-select');
+  if (diskDeviceSelect) {
+    diskDeviceSelect.addEventListener('change', () => {
+      selectedDiskDevice = diskDeviceSelect.value;
+      saveSelection('diskDevice', selectedDiskDevice);
+      updateSystemInfo();
+    });
+  }
+  
+  // Set up GPU picker
+  const gpuDeviceSelect = document.getElementById('gpu-device-select');
+  if (gpuDeviceSelect) {
+    gpuDeviceSelect.addEventListener('change', () => {
+      selectedGpuIndex = parseInt(gpuDeviceSelect.value, 10) || 0;
+      saveSelection('gpuDevice', selectedGpuIndex);
+      updateSystemInfo();
+    });
+  }
+  
+  // Set up process table sorting and filtering
+  document.querySelectorAll('.process-table th[data-sort]').forEach(header => {
+    header.addEventListener('click', () => {
+      const key = header.dataset.sort;
+      // Numbers start descending (biggest first), text starts ascending
+      processSort = processSort.key === key ?
+        { key, descending: !processSort.descending } :
+        { key, descending: !['name', 'user', 'command'].includes(key) };
+      renderProcessTable();
+    });
+  });
+  
+  const processFilterInput = document.getElementById('process-filter');
+  if (processFilterInput) {
+    processFilterInput.addEventListener('input', () => {
+      processFilter = processFilterInput.value.trim();
+      renderProcessTable();
+    });
+  }
+  
+  // Set up process actions (end, suspend, resume and priority)
+  document.getElementById('process-end-btn').addEventListener('click', () => {
+    runProcessAction({
+      title: 'End process?',
+      message: '{process} will be asked to exit and killed if it does not. Unsaved work in it will be lost.',
+      confirmLabel: 'End process'
+    }, pid => window.electronAPI.terminateProcess(pid));
+  });
+  
+  document.getElementById('process-suspend-btn').addEventListener('click', () => {
+    runProcessAction({
+      title: 'Suspend process?',
+      message: '{process} will stop running until it is resumed. Suspending a process other programs depend on can freeze them too.',
+      confirmLabel: 'Suspend'
+    }, pid => window.electronAPI.suspendProcess(pid));
+  });
+  
+  document.getElementById('process-resume-btn').addEventListener('click', () => {
+    runProcessAction(null, pid => window.electronAPI.resumeProcess(pid));
+  });
+  
+  const processPrioritySelect = document.getElementById('process-priority-select');
+  processPrioritySelect.addEventListener('change', () => {
+    const level = processPrioritySelect.value;
+    const label = processPrioritySelect.selectedOptions[0].textContent;
+    processPrioritySelect.value = '';
+    if (!level) return;
+
+    runProcessAction({
+      title: 'Change priority?',
+      message: `{process} will run at ${label.toLowerCase()} priority. Raising priority usually needs administrator rights.`,
+      confirmLabel: 'Change priority'
+    }, pid => window.electronAPI.setProcessPriority(pid, level));
+  });
+  
   // Set up auto-refresh toggle
   const autoRefreshToggle = document.getElementById('auto-refresh-toggle');
   if (autoRefreshToggle) {
@@ -543,6 +3417,11 @@ document.addEventListener('DOMContentLoaded', function() {
     autoRefreshToggle.addEventListener('click', toggleAutoRefresh);
   }
   
+  // Pause and resume from the tray menu
+  window.electronAPI.onSetAutoRefresh(enabled => {
+    if (enabled !== autoRefreshEnabled) toggleAutoRefresh();
+  });
+  
   // Add hover effects to cards
   const cards = document.querySelectorAll('.bg-dark-800');
   cards.forEach(card => {
@@ -556,61 +3435,22 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
-  // Add Malwarebytes launcher functionality
-  const launchMalwarebytesBtn = document.getElementById('launch-malwarebytes-btn');
-  if (launchMalwarebytesBtn) {
-    launchMalwarebytesBtn.addEventListener('click', async () => {
-      const button = document.getElementById('launch-malwarebytes-btn');
-      const buttonText = document.getElementById('launch-btn-text');
-      const statusElement = document.getElementById('malwarebytes-status');
-      
-      // Update UI to show loading state
-      button.disabled = true;
-      buttonText.textContent = 'Launching...';
-      statusElement.textContent = 'Starting Malwarebytes...';
-      statusElement.className = 'text-sm text-yellow-400';
-      
-      try {
-        const result = await window.electronAPI.launchMalwarebytes();
-        
-        if (result.success) {
-          // Success state
-          statusElement.textContent = 'Malwarebytes launched successfully!';
-          statusElement.className = 'text-sm text-green-400';
-          buttonText.textContent = 'Launch Malwarebytes';
-          
-          // Reset after 3 seconds
-          setTimeout(() => {
-            statusElement.textContent = 'Ready to launch';
-            statusElement.className = 'text-sm text-blue-400';
-            button.disabled = false;
-          }, 3000);
-        } else {
-          // Error state
-          statusElement.textContent = result.message;
-          statusElement.className = 'text-sm text-red-400';
-          buttonText.textContent = 'Launch Malwarebytes';
-          
-          // Reset after 5 seconds
-          setTimeout(() => {
-            statusElement.textContent = 'Ready to launch';
-            statusElement.className = 'text-sm text-blue-400';
-            button.disabled = false;
-          }, 5000);
-        }
-      } catch (error) {
-        // Error handling
-        statusElement.textContent = 'Failed to launch Malwarebytes';
-        statusElement.className = 'text-sm text-red-400';
-        buttonText.textContent = 'Launch Malwarebytes';
-        button.disabled = false;
-      }
-    });
-  }
+  // Set up the Security card: provider, scan type, "Scan now" and "Open"
+  initializeSecurityCard();
   
-  // Initial load and start auto-refresh
-  updateSystemInfo();
-  startAutoRefresh();
+  // Set up the Performance Analyzer (sidebar button and its dialog)
+  initializeAnalyzer();
+  initializeInventory();
+  
+  // Load the settings (name, refresh rate, units, cards), then do the initial load and follow the pushed snapshots
+  initializeSettings().then(() => {
+    initializeNameCustomization();
+    updateSystemInfo();
+    window.electronAPI.onSystemInfo(data => {
+      if (autoRefreshEnabled && !viewedHostId) updateSystemInfo(data);
+    });
+    initializeHosts();
+  });
 });
 
 // Remove the old manual interval and initial call since we now manage it through the toggle system
\ No newline at end of file
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const { acceptWebSocket } = require('./websocket');
+
+// Remote agent: streams this machine's snapshots to System Monitor dashboards elsewhere on the local network.
+//   ws://<host>:<port>/agent
+//   dashboard -> { type: 'hello', token }                       (first message, within HELLO_TIMEOUT_MS)
+//   agent     -> { type: 'welcome', hostname, platform }        then { type: 'snapshot', snapshot } on every refresh
+// Connections from outside loopback and the private address ranges are refused with 403, a wrong token closes
+// the socket with code 4001. The agent is off by default; its config ({ enabled, host, port, token }) is the
+// agent setting, and `electron . --agent` runs it without a window.
+
+const AGENT_PATH = '/agent';
+const HELLO_TIMEOUT_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const MIN_TOKEN_LENGTH = 16;
+const CLOSE_CODES = { invalidToken: 4001, helloTimeout: 4002 };
+
+let config = { enabled: false, host: '0.0.0.0', port: 9475, token: '' };
+let server = null;
+let serverError = null;
+let heartbeatTimer = null;
+let lastSnapshot = null;
+const clients = new Set();
+
+// Function to make a new random access token
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Function to tell whether an address is loopback, private (RFC 1918 / unique local) or link-local
+function isLocalNetworkAddress(address) {
+  if (typeof address !== 'string') return false;
+  const ip = address.toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+  const octets = ip.split('.').map(Number);
+  if (octets.length === 4 && octets.every(octet => Number.isInteger(octet) && octet >= 0 && octet <= 255)) {
+    const [a, b] = octets;
+    return a === 127 || a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 169 && b === 254);
+  }
+
+  if (!ip.includes(':')) return false;
+  return ip === '::1' || /^f[cd][0-9a-f]{0,2}:/.test(ip) || /^fe[89ab][0-9a-f]?:/.test(ip);
+}
+
+// Function to compare a presented token with ours without leaking where they differ
+function tokenMatches(candidate) {
+  if (typeof candidate !== 'string' || !config.token) return false;
+  const expected = crypto.createHash('sha256').update(config.token).digest();
+  const presented = crypto.createHash('sha256').update(candidate).digest();
+  return crypto.timingSafeEqual(expected, presented);
+}
+
+// Function to welcome a dashboard once it has sent the right token
+function authenticate(client) {
+  client.authenticated = true;
+  clearTimeout(client.helloTimer);
+  client.connection.send(JSON.stringify({ type: 'welcome', hostname: os.hostname(), platform: process.platform }));
+  if (lastSnapshot) client.connection.send(lastSnapshot);
+}
+
+// Function to take over an upgraded connection: refuse strangers, then wait for the hello
+function handleUpgrade(request, socket) {
+  const pathname = new URL(request.url, 'http://localhost').pathname;
+  if (!isLocalNetworkAddress(socket.remoteAddress)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  if (pathname !== AGENT_PATH) {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  const connection = acceptWebSocket(request, socket);
+  if (!connection) return;
+
+  const client = { connection, authenticated: false, alive: true, helloTimer: null };
+  client.helloTimer = setTimeout(() => connection.close(CLOSE_CODES.helloTimeout, 'No hello received'), HELLO_TIMEOUT_MS);
+  clients.add(client);
+
+  connection.on('message', (text) => {
+    if (client.authenticated) return; // Dashboards only listen once they are in
+    let message = null;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      // Treated like a wrong token below
+    }
+    if (message && message.type === 'hello' && tokenMatches(message.token)) {
+      authenticate(client);
+    } else {
+      console.error(`Agent refused ${connection.remoteAddress}: invalid token`);
+      connection.close(CLOSE_CODES.invalidToken, 'Invalid token');
+    }
+  });
+  connection.on('pong', () => {
+    client.alive = true;
+  });
+  connection.on('close', () => {
+    clearTimeout(client.helloTimer);
+    clients.delete(client);
+  });
+}
+
+// Function to ping every dashboard and drop the ones that stopped answering since the last round
+function checkHeartbeats() {
+  clients.forEach(client => {
+    if (!client.alive) {
+      client.connection.terminate();
+      return;
+    }
+    client.alive = false;
+    client.connection.ping();
+  });
+}
+
+// Function to stop the server and disconnect every dashboard
+function stopServer() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  clients.forEach(client => client.connection.close(1001, 'Agent stopped'));
+  clients.clear();
+  lastSnapshot = null;
+  if (!server) return Promise.resolve();
+
+  const closing = server;
+  server = null;
+  return new Promise(resolve => closing.close(() => resolve()));
+}
+
+// Function to (re)start or stop the server to match the current config
+async function applyAgentConfig() {
+  await stopServer();
+  serverError = null;
+  if (!config.enabled) return;
+
+  if (config.token.length < MIN_TOKEN_LENGTH) {
+    serverError = `The token must be at least ${MIN_TOKEN_LENGTH} characters`;
+    console.error('Error starting agent:', serverError);
+    return;
+  }
+
+  const candidate = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8', Upgrade: 'websocket' });
+    response.end(`This is a System Monitor agent. Connect with a WebSocket to ${AGENT_PATH}\n`);
+  });
+  candidate.on('upgrade', handleUpgrade);
+  try {
+    await new Promise((resolve, reject) => {
+      candidate.once('error', reject);
+      candidate.listen(config.port, config.host, resolve);
+    });
+    candidate.on('error', error => console.error('Agent error:', error.message));
+    server = candidate;
+    heartbeatTimer = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL_MS);
+  } catch (error) {
+    serverError = error.code === 'EADDRINUSE' ? `Port ${config.port} is already in use` :
+      error.code === 'EADDRNOTAVAIL' ? `${config.host} is not an address of this machine` : error.message;
+    console.error('Error starting agent:', serverError);
+  }
+}
+
+// Function to apply a validated config ({ enabled, host, port, token }); restarts the agent only when it changed
+async function configureAgent(candidate) {
+  const changed = ['enabled', 'host', 'port', 'token'].some(key => candidate[key] !== config[key]);
+  config = { enabled: candidate.enabled, host: candidate.host, port: candidate.port, token: candidate.token };
+  if (changed || (config.enabled && !server)) await applyAgentConfig();
+  return getAgentStatus();
+}
+
+// Function to report the config plus whether the agent is listening and how many dashboards watch it
+function getAgentStatus() {
+  const host = config.host.includes(':') ? `[${config.host}]` : config.host;
+  return {
+    ...config,
+    running: Boolean(server),
+    error: serverError,
+    clients: [...clients].filter(client => client.authenticated).length,
+    url: server ? `ws://${host}:${config.port}${AGENT_PATH}` : null
+  };
+}
+
+// Function to send a snapshot to every authenticated dashboard (and keep it for the next one to connect)
+function broadcastSnapshot(snapshot) {
+  if (!server) return;
+  lastSnapshot = JSON.stringify({ type: 'snapshot', snapshot });
+  clients.forEach(client => {
+    if (client.authenticated) client.connection.send(lastSnapshot);
+  });
+}
+
+// Function to stop the agent when the app quits
+function closeAgent() {
+  return stopServer();
+}
+
+module.exports = {
+  configureAgent,
+  getAgentStatus,
+  broadcastSnapshot,
+  closeAgent,
+  generateToken,
+  isLocalNetworkAddress
+};
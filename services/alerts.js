@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+
+// Threshold alert rules evaluated against the flattened metrics from snapshotToMetrics().
+// A rule is:
+// { id, name, metric, operator, threshold, durationSec, hysteresis, cooldownSec, severity, action, enabled }
+//   metric      metric id; '*' matches any part of it (e.g. 'volume.*.free')
+//   operator    '>' or '<'
+//   durationSec how long the condition must hold before the alert fires
+//   hysteresis  how far back past the threshold the value must go before the alert clears
+//   cooldownSec minimum time between two firings of the same rule on the same metric
+//   severity    'warning' or 'critical'; also drives the card colours
+//   action      'display' (card colours only), 'log' (plus the alert log) or 'notify' (plus a desktop notification)
+
+const SEVERITIES = ['warning', 'critical'];
+const ACTIONS = ['display', 'log', 'notify'];
+const OPERATORS = ['>', '<'];
+
+// Alert log entries kept in memory and on disk
+const MAX_LOG_ENTRIES = 500;
+
+// Shipped rules: the 60%/80% card colours the app always had, plus a few that notify
+const DEFAULT_ALERT_RULES = [
+  { id: 'cpu-moderate', name: 'CPU moderate', metric: 'cpu.usage', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+  { id: 'cpu-high', name: 'CPU high', metric: 'cpu.usage', operator: '>', threshold: 80, severity: 'critical', action: 'display' },
+  { id: 'cpu-pegged', name: 'CPU pegged', metric: 'cpu.usage', operator: '>', threshold: 90, durationSec: 30, hysteresis: 10, cooldownSec: 300, severity: 'critical', action: 'notify' },
+  { id: 'core-moderate', name: 'Core moderate', metric: 'cpu.core.*.usage', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+  { id: 'core-high', name: 'Core high', metric: 'cpu.core.*.usage', operator: '>', threshold: 80, severity: 'critical', action: 'display' },
+  { id: 'memory-moderate', name: 'Memory moderate', metric: 'memory.usage', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+  { id: 'memory-high', name: 'Memory high', metric: 'memory.usage', operator: '>', threshold: 80, severity: 'critical', action: 'display' },
+  { id: 'memory-exhausted', name: 'Memory nearly full', metric: 'memory.usage', operator: '>', threshold: 95, durationSec: 30, hysteresis: 5, cooldownSec: 300, severity: 'critical', action: 'notify' },
+  { id: 'volume-moderate', name: 'Volume filling up', metric: 'volume.*.usage', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+  { id: 'volume-high', name: 'Volume nearly full', metric: 'volume.*.usage', operator: '>', threshold: 80, severity: 'critical', action: 'display' },
+  { id: 'volume-low-space', name: 'Low disk space', metric: 'volume.*.free', operator: '<', threshold: 10, hysteresis: 1, cooldownSec: 3600, severity: 'critical', action: 'notify' },
+  { id: 'disk-moderate', name: 'Disk busy', metric: 'disk.*.busy', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+  { id: 'disk-high', name: 'Disk saturated', metric: 'disk.*.busy', operator: '>', threshold: 80, severity: 'critical', action: 'display' },
+  { id: 'gpu-moderate', name: 'GPU moderate', metric: 'gpu.*.utilization', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+  { id: 'gpu-high', name: 'GPU high', metric: 'gpu.*.utilization', operator: '>', threshold: 80, severity: 'critical', action: 'display' },
+  { id: 'cpu-hot', name: 'CPU overheating', metric: 'temperature.cpu', operator: '>', threshold: 85, durationSec: 10, hysteresis: 5, cooldownSec: 600, severity: 'critical', action: 'notify' },
+  { id: 'gpu-hot', name: 'GPU overheating', metric: 'temperature.gpu', operator: '>', threshold: 85, durationSec: 10, hysteresis: 5, cooldownSec: 600, severity: 'critical', action: 'notify' },
+  { id: 'battery-moderate', name: 'Battery low', metric: 'battery.percent', operator: '<', threshold: 20, severity: 'warning', action: 'display' },
+  { id: 'battery-high', name: 'Battery critical', metric: 'battery.percent', operator: '<', threshold: 10, severity: 'critical', action: 'display' },
+  { id: 'battery-low', name: 'Low battery', metric: 'battery.discharging', operator: '<', threshold: 15, hysteresis: 5, cooldownSec: 900, severity: 'critical', action: 'notify' }
+];
+
+// Version of alerts.json; bumped whenever shipped rules are added, so files saved earlier pick them up
+const ALERT_RULES_VERSION = 2;
+
+// Function to build a migration adding the shipped rules with the given ids that a saved rule list lacks
+function addDefaultRules(ids) {
+  return savedRules => [
+    ...savedRules,
+    ...DEFAULT_ALERT_RULES.filter(rule => ids.includes(rule.id) && !savedRules.some(saved => saved.id === rule.id))
+  ];
+}
+
+// Upgrades of a saved rule list from each old version to the next one. Only the rules shipped in the new version
+// are added, so a shipped rule the user deleted stays deleted.
+const MIGRATIONS = {
+  // Battery card colours and the low-battery notification
+  1: addDefaultRules(['battery-moderate', 'battery-high', 'battery-low'])
+};
+
+let configFile = null;
+let logFile = null;
+let rules = [];
+let alertLog = [];
+
+// Per rule and metric: { pendingSince, active, reported, lastFired }
+const ruleStates = new Map();
+
+// Function to fill in the optional fields of a rule and check the rest
+function normalizeRule(rule) {
+  const normalized = {
+    durationSec: 0,
+    hysteresis: 0,
+    cooldownSec: 0,
+    severity: 'warning',
+    action: 'log',
+    enabled: true,
+    ...rule
+  };
+
+  if (!normalized.id || typeof normalized.id !== 'string') throw new Error('Every rule needs an id');
+  if (!normalized.metric || typeof normalized.metric !== 'string') throw new Error(`Rule ${normalized.id}: metric is required`);
+  if (!OPERATORS.includes(normalized.operator)) throw new Error(`Rule ${normalized.id}: operator must be > or <`);
+  if (!SEVERITIES.includes(normalized.severity)) throw new Error(`Rule ${normalized.id}: unknown severity ${normalized.severity}`);
+  if (!ACTIONS.includes(normalized.action)) throw new Error(`Rule ${normalized.id}: unknown action ${normalized.action}`);
+  ['threshold', 'durationSec', 'hysteresis', 'cooldownSec'].forEach(key => {
+    if (typeof normalized[key] !== 'number' || !isFinite(normalized[key]) || (key !== 'threshold' && normalized[key] < 0)) {
+      throw new Error(`Rule ${normalized.id}: ${key} must be a ${key === 'threshold' ? '' : 'non-negative '}number`);
+    }
+  });
+
+  normalized.name = normalized.name || normalized.id;
+  normalized.enabled = normalized.enabled !== false;
+  return normalized;
+}
+
+// Function to validate a full rule list (throws on the first bad rule or duplicate id)
+function validateRules(candidates) {
+  if (!Array.isArray(candidates)) throw new Error('Rules must be a list');
+
+  const normalized = candidates.map(normalizeRule);
+  const ids = new Set();
+  normalized.forEach(rule => {
+    if (ids.has(rule.id)) throw new Error(`Duplicate rule id: ${rule.id}`);
+    ids.add(rule.id);
+  });
+  return normalized;
+}
+
+// Function to turn a metric pattern into a matcher ('*' spans any characters, mount points contain dots)
+function createMetricMatcher(pattern) {
+  if (!pattern.includes('*')) return id => id === pattern;
+
+  const expression = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.+')}$`);
+  return id => expression.test(id);
+}
+
+// Function to check a value against a rule; `clearing` applies the hysteresis band
+function isBreached(rule, value, clearing) {
+  const margin = clearing ? rule.hysteresis : 0;
+  return rule.operator === '>' ? value > rule.threshold - margin : value < rule.threshold + margin;
+}
+
+// Function to validate rules and attach their metric matchers, ready for evaluation
+function compileRules(candidates) {
+  return validateRules(candidates).map(rule => ({ ...rule, matches: createMetricMatcher(rule.metric) }));
+}
+
+// Function to write a rule set to the rules file
+function writeRules(ruleSet) {
+  fs.writeFileSync(configFile, JSON.stringify({ version: ALERT_RULES_VERSION, rules: getRules(ruleSet) }, null, 2));
+}
+
+// Function to load (and if needed migrate) the rules file, falling back to the shipped rules when it is missing
+// or invalid
+function loadRules() {
+  try {
+    const data = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    const version = Number.isInteger(data.version) ? data.version : 1;
+
+    let savedRules = data.rules;
+    for (let from = version; from < ALERT_RULES_VERSION; from++) {
+      savedRules = MIGRATIONS[from](savedRules);
+    }
+    rules = compileRules(savedRules);
+    if (version < ALERT_RULES_VERSION) {
+      try {
+        writeRules(rules);
+      } catch (error) {
+        console.error('Error saving migrated alert rules:', error.message);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading alert rules, using defaults:', error.message);
+    rules = compileRules(DEFAULT_ALERT_RULES);
+  }
+}
+
+// Function to read the tail of the alert log written by previous runs
+function loadAlertLog() {
+  try {
+    alertLog = fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .slice(-MAX_LOG_ENTRIES);
+
+    // Keep the file from growing without bound
+    fs.writeFileSync(logFile, alertLog.map(entry => JSON.stringify(entry)).join('\n') + (alertLog.length ? '\n' : ''));
+  } catch (error) {
+    alertLog = [];
+  }
+}
+
+// Function to open the rules and log files in a directory, usually userData
+function openAlerts(directory) {
+  configFile = path.join(directory, 'alerts.json');
+  logFile = path.join(directory, 'alert-log.ndjson');
+  loadRules();
+  loadAlertLog();
+}
+
+// Function to replace the rule set (validated first) and save it
+function saveRules(candidates) {
+  const compiled = compileRules(candidates);
+  writeRules(compiled);
+
+  rules = compiled;
+  // Rules may have changed meaning, so start every condition afresh
+  ruleStates.clear();
+  return getRules();
+}
+
+// Function to get the rules without their internal matchers
+function getRules(ruleSet = rules) {
+  return ruleSet.map(({ matches, ...rule }) => rule);
+}
+
+// Function to add an entry to the alert log
+function appendLogEntry(entry) {
+  alertLog.push(entry);
+  if (alertLog.length > MAX_LOG_ENTRIES) alertLog.shift();
+
+  try {
+    fs.appendFileSync(logFile, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Error writing alert log:', error.message);
+  }
+}
+
+// Function to run every rule over a sample; returns the events that fired or resolved
+function evaluateAlerts(metrics, describeMetric, timestamp = Date.now()) {
+  const events = [];
+
+  rules.filter(rule => rule.enabled && rule.action !== 'display').forEach(rule => {
+    Object.keys(metrics).filter(id => rule.matches(id)).forEach(id => {
+      const key = `${rule.id}|${id}`;
+      const state = ruleStates.get(key) || { pendingSince: null, active: false, reported: false, lastFired: -Infinity };
+      const value = metrics[id];
+      const info = describeMetric(id);
+      const withUnit = number => `${number}${info.unit === '%' ? '%' : info.unit ? ` ${info.unit}` : ''}`;
+
+      if (state.active) {
+        // Stay active until the value is back past the hysteresis band
+        if (!isBreached(rule, value, true)) {
+          state.active = false;
+          state.pendingSince = null;
+          // A firing swallowed by the cooldown has nothing to resolve
+          if (state.reported) events.push({
+            time: timestamp,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            metric: id,
+            value,
+            severity: rule.severity,
+            state: 'resolved',
+            notify: false,
+            message: `${info.label} back to ${withUnit(value)}`
+          });
+        }
+      } else if (isBreached(rule, value, false)) {
+        if (state.pendingSince === null) state.pendingSince = timestamp;
+
+        if (timestamp - state.pendingSince >= rule.durationSec * 1000) {
+          state.active = true;
+          state.reported = timestamp - state.lastFired >= rule.cooldownSec * 1000;
+          if (state.reported) {
+            state.lastFired = timestamp;
+            const held = rule.durationSec > 0 ? ` for ${rule.durationSec} s` : '';
+            events.push({
+              time: timestamp,
+              ruleId: rule.id,
+              ruleName: rule.name,
+              metric: id,
+              value,
+              severity: rule.severity,
+              state: 'fired',
+              notify: rule.action === 'notify',
+              message: `${info.label} is ${withUnit(value)} (${rule.operator === '>' ? 'above' : 'below'} ${withUnit(rule.threshold)}${held})`
+            });
+          }
+        }
+      } else {
+        state.pendingSince = null;
+      }
+
+      ruleStates.set(key, state);
+    });
+  });
+
+  // A metric that is no longer reported (an unmounted volume, a removed GPU, the charger plugged back in) ends
+  // its alert; the last firing is kept so the cooldown still applies if it comes back
+  ruleStates.forEach((state, key) => {
+    const [ruleId, id] = [key.slice(0, key.indexOf('|')), key.slice(key.indexOf('|') + 1)];
+    if (id in metrics || (!state.active && state.pendingSince === null)) return;
+
+    const rule = rules.find(candidate => candidate.id === ruleId);
+    if (rule && state.active && state.reported) events.push({
+      time: timestamp,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      metric: id,
+      value: null,
+      severity: rule.severity,
+      state: 'resolved',
+      notify: false,
+      message: `${describeMetric(id).label} is no longer reported`
+    });
+    ruleStates.set(key, { pendingSince: null, active: false, reported: false, lastFired: state.lastFired });
+  });
+
+  events.forEach(event => appendLogEntry(event));
+  return events;
+}
+
+// Function to rate every metric against the enabled rules right now (no duration), for the card colours.
+// `ruleSet` defaults to the saved rules; pass the result of compileRules() to rate against others.
+function getThresholdLevels(metrics, ruleSet = rules) {
+  const levels = {};
+
+  ruleSet.filter(rule => rule.enabled).forEach(rule => {
+    Object.keys(metrics).filter(id => rule.matches(id)).forEach(id => {
+      if (!isBreached(rule, metrics[id], false)) return;
+      if (levels[id] !== 'critical') levels[id] = rule.severity;
+    });
+  });
+
+  return levels;
+}
+
+// Function to list the rule/metric pairs currently in the alert state
+function getActiveAlerts() {
+  return [...ruleStates.entries()]
+    .filter(([, state]) => state.active)
+    .map(([key]) => {
+      const [ruleId, metric] = [key.slice(0, key.indexOf('|')), key.slice(key.indexOf('|') + 1)];
+      const rule = rules.find(candidate => candidate.id === ruleId);
+      return { ruleId, ruleName: rule ? rule.name : ruleId, severity: rule ? rule.severity : 'warning', metric };
+    });
+}
+
+// Function to get the alert log, newest first
+function getAlertLog() {
+  return [...alertLog].reverse();
+}
+
+// Function to empty the alert log
+function clearAlertLog() {
+  alertLog = [];
+  try {
+    fs.writeFileSync(logFile, '');
+  } catch (error) {
+    console.error('Error clearing alert log:', error.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  ALERT_RULES_VERSION,
+  openAlerts,
+  getRules,
+  saveRules,
+  validateRules,
+  compileRules,
+  evaluateAlerts,
+  getThresholdLevels,
+  getActiveAlerts,
+  getAlertLog,
+  clearAlertLog
+};
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addTask, removeTask, runTask } = require('./scheduler');
+const { parseFrameLog } = require('./frame-times');
+
+// The Performance Analyzer behind the sidebar's "Analyze" button. A session reads the counters (CPU, per-core
+// load, disks, GPUs) through the sampler main.js passes to openAnalyzer() every SAMPLE_INTERVAL_MS for a set
+// time and records a sample each read. That sampler keeps its own CPU deltas and reuses the dashboard's latest
+// disk and GPU readings, so a session neither speeds up the live charts nor runs the vendor tools 4 times a
+// second. A frame-time log (services/frame-times.js) can be added to a finished session; it is placed on the
+// session's timeline by the file's modification time, which the capture tools update as they write the last
+// frame. Sessions are kept in <userData>/analyzer-sessions.json:
+//   { id, label, startedAt, durationMs, intervalMs,
+//     samples: [{ t, cpu, cores, maxCore, memory, diskBusy, diskBytesPerSec, gpu }],
+//     frames: null or { source, application, file, offsetMs, aligned, frameTimesMs }, report }
+// where t and offsetMs count milliseconds from the start of the session.
+
+const SAMPLE_INTERVAL_MS = 250;
+const DURATIONS_MS = [30000, 60000, 120000, 300000];
+const MAX_SESSIONS = 20;
+
+// What the report summarizes; a resource with a threshold spikes when it reaches it or jumps `jump`
+// points above its session average
+const RESOURCES = [
+  { id: 'cpu', label: 'CPU', unit: '%', threshold: 90, jump: 30 },
+  { id: 'maxCore', label: 'Busiest core', unit: '%', threshold: 98, jump: 40 },
+  { id: 'gpu', label: 'GPU', unit: '%', threshold: 98, jump: 30 },
+  { id: 'memory', label: 'Memory', unit: '%', threshold: 90, jump: 10 },
+  { id: 'diskBusy', label: 'Disk busy', unit: '%', threshold: 90, jump: 40 },
+  { id: 'diskBytesPerSec', label: 'Disk throughput', unit: 'B/s', threshold: null, jump: null }
+];
+
+// A frame counts as a stutter when it takes this many times the median frame time; stutter frames closer
+// together than STUTTER_GAP_MS are one event
+const STUTTER_FACTOR = 2.5;
+const STUTTER_GAP_MS = 100;
+const MAX_EVENTS = 50;
+
+let sessionsFile = null;
+let sessions = [];
+let recording = null;
+let readCounters = null;
+
+// Function to round to a number of decimals, keeping null
+function round(value, decimals = 1) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Function to pick the value at a percentile of an ascending list
+function percentile(sorted, p) {
+  const index = Math.ceil(p / 100 * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, index))];
+}
+
+// Function to reduce a counters reading ({ cpuStats, diskIO, gpuDevices }) to one session sample, `t` ms into the session
+function toSample(counters, t) {
+  const { cpuStats, diskIO, gpuDevices } = counters;
+  const cores = cpuStats.cores.map(core => core.usage);
+  const loaded = cores.filter(usage => usage !== null);
+  const devices = diskIO.devices.filter(device => device.readBytesPerSec !== null);
+  const busy = devices.map(device => device.busyPercent).filter(value => value !== null && value !== undefined);
+  const gpu = gpuDevices[0] || null;
+
+  return {
+    t,
+    cpu: cpuStats.usage,
+    cores,
+    maxCore: loaded.length > 0 ? Math.max(...loaded) : null,
+    memory: round((os.totalmem() - os.freemem()) / os.totalmem() * 100),
+    diskBusy: busy.length > 0 ? Math.max(...busy) : null,
+    diskBytesPerSec: devices.length > 0 ?
+      devices.reduce((sum, device) => sum + device.readBytesPerSec + device.writeBytesPerSec, 0) : null,
+    gpu: gpu && gpu.utilization !== null ? gpu.utilization : null
+  };
+}
+
+// Function to summarize one series: average, 95th percentile and peak (null when nothing was read)
+function summarizeValues(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return { avg: null, p95: null, max: null };
+  const sorted = [...present].sort((a, b) => a - b);
+  return {
+    avg: round(present.reduce((sum, value) => sum + value, 0) / present.length),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+// Function to list the resources spiking in one sample
+function spikingResources(sample, averages) {
+  return RESOURCES.filter(resource => {
+    const value = sample[resource.id];
+    if (resource.threshold === null || value === null || value === undefined) return false;
+    return value >= resource.threshold || (averages[resource.id] !== null && value - averages[resource.id] >= resource.jump);
+  });
+}
+
+// Function to group consecutive spiking samples of each resource into events: { id, label, startMs, endMs, peak }
+function findSpikes(samples, averages) {
+  const open = {};
+  const events = [];
+  samples.forEach(sample => {
+    const spiking = spikingResources(sample, averages).map(resource => resource.id);
+    RESOURCES.forEach(resource => {
+      if (!spiking.includes(resource.id)) {
+        delete open[resource.id];
+        return;
+      }
+      if (open[resource.id]) {
+        open[resource.id].endMs = sample.t;
+        open[resource.id].peak = Math.max(open[resource.id].peak, sample[resource.id]);
+      } else {
+        open[resource.id] = { id: resource.id, label: resource.label, startMs: sample.t, endMs: sample.t, peak: sample[resource.id] };
+        events.push(open[resource.id]);
+      }
+    });
+  });
+  return events.sort((a, b) => a.startMs - b.startMs);
+}
+
+// Function to sum up a frame-time log: average FPS and the 1% / 0.1% lows (the FPS of the 99th and
+// 99.9th percentile frame times)
+function summarizeFrames(frameTimesMs) {
+  const sorted = [...frameTimesMs].sort((a, b) => a - b);
+  const totalMs = frameTimesMs.reduce((sum, frameTime) => sum + frameTime, 0);
+  return {
+    count: frameTimesMs.length,
+    durationMs: Math.round(totalMs),
+    avgFps: round(frameTimesMs.length / totalMs * 1000),
+    low1Fps: round(1000 / percentile(sorted, 99)),
+    low01Fps: round(1000 / percentile(sorted, 99.9)),
+    medianFrameTimeMs: round(percentile(sorted, 50), 2),
+    maxFrameTimeMs: round(sorted[sorted.length - 1], 2)
+  };
+}
+
+// Function to find the stutters in a frame log: { timeMs, endMs, frames, frameTimeMs } with times on the
+// session's timeline
+function findStutters(frames, medianFrameTimeMs) {
+  const events = [];
+  let time = frames.offsetMs;
+  frames.frameTimesMs.forEach(frameTime => {
+    const start = time;
+    time += frameTime;
+    if (frameTime < medianFrameTimeMs * STUTTER_FACTOR) return;
+
+    const last = events[events.length - 1];
+    if (last && start - last.endMs <= STUTTER_GAP_MS) {
+      last.endMs = Math.round(time);
+      last.frames++;
+      last.frameTimeMs = Math.max(last.frameTimeMs, frameTime);
+    } else {
+      events.push({ timeMs: Math.round(start), endMs: Math.round(time), frames: 1, frameTimeMs: frameTime });
+    }
+  });
+  return events;
+}
+
+// Function to build a session's report from its samples and frame log
+function buildReport(session) {
+  const { samples, frames, intervalMs } = session;
+  const resources = RESOURCES.map(resource => ({
+    id: resource.id,
+    label: resource.label,
+    unit: resource.unit,
+    ...summarizeValues(samples.map(sample => sample[resource.id]))
+  }));
+  const averages = Object.fromEntries(resources.map(resource => [resource.id, resource.avg]));
+
+  const coreCount = Math.max(0, ...samples.map(sample => sample.cores.length));
+  const cores = Array.from({ length: coreCount }, (unused, index) => ({
+    index,
+    ...summarizeValues(samples.map(sample => sample.cores[index]))
+  }));
+
+  const spikes = findSpikes(samples, averages);
+  let frameSummary = null;
+  let stutters = null;
+  if (frames) {
+    frameSummary = summarizeFrames(frames.frameTimesMs);
+    // A sample covers the interval before it, so look one interval either side of the stutter
+    stutters = findStutters(frames, frameSummary.medianFrameTimeMs).map(event => {
+      const stutter = { ...event, frameTimeMs: round(event.frameTimeMs, 2), causes: null };
+      if (!frames.aligned) return stutter;
+      const nearby = samples.filter(sample => sample.t >= event.timeMs - intervalMs && sample.t <= event.endMs + intervalMs);
+      const causes = RESOURCES.filter(resource =>
+        nearby.some(sample => spikingResources(sample, averages).includes(resource)));
+      return { ...stutter, causes: causes.map(resource => resource.label) };
+    });
+  }
+
+  return {
+    sampleCount: samples.length,
+    resources,
+    cores,
+    spikes: spikes.slice(0, MAX_EVENTS),
+    spikeCount: spikes.length,
+    frames: frameSummary,
+    stutters: stutters ? stutters.slice(0, MAX_EVENTS) : null,
+    stutterCount: stutters ? stutters.length : null,
+    explainedStutters: stutters ? stutters.filter(event => event.causes && event.causes.length > 0).length : null
+  };
+}
+
+// Function to save the session history
+function saveSessions() {
+  if (!sessionsFile) return;
+  try {
+    fs.writeFileSync(sessionsFile, JSON.stringify({ version: 1, sessions }));
+  } catch (error) {
+    console.error('Error saving analyzer sessions:', error.message);
+  }
+}
+
+// Function to end the recording, keeping the session when it got at least two samples
+function finishRecording() {
+  const session = recording;
+  recording = null;
+  removeTask('analyzer');
+  if (session.samples.length < 2) return null;
+
+  session.durationMs = Date.now() - session.startedAt;
+  session.report = buildReport(session);
+  sessions = [session, ...sessions].slice(0, MAX_SESSIONS);
+  saveSessions();
+  return session;
+}
+
+// Function to take one sample of the recording session (the 'analyzer' task)
+async function recordSample() {
+  const session = recording;
+  if (!session) return null;
+
+  const counters = await readCounters();
+  // Stopped while the counters were read
+  if (recording !== session) return null;
+  if (counters) session.samples.push(toSample(counters, Date.now() - session.startedAt));
+  if (Date.now() - session.startedAt >= session.durationMs) finishRecording();
+  return null;
+}
+
+// Function to start recording a session of one of the DURATIONS_MS, with an optional label
+function startAnalysis({ durationMs, label } = {}) {
+  if (recording) throw new Error('A session is already recording');
+  if (!DURATIONS_MS.includes(durationMs)) throw new Error(`Unsupported session length: ${durationMs}`);
+
+  const startedAt = Date.now();
+  recording = {
+    id: String(startedAt),
+    label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 60) : null,
+    startedAt,
+    durationMs,
+    intervalMs: SAMPLE_INTERVAL_MS,
+    samples: [],
+    frames: null,
+    report: null
+  };
+  addTask('analyzer', SAMPLE_INTERVAL_MS, recordSample);
+  runTask('analyzer');
+  return getAnalyzerStatus();
+}
+
+// Function to stop the recording early; returns the kept session, or null when it was too short
+function stopAnalysis() {
+  if (!recording) throw new Error('No session is recording');
+  return finishRecording();
+}
+
+// Function to describe a session in one history entry
+function summarizeSession(session) {
+  const { report } = session;
+  const cpu = report.resources.find(resource => resource.id === 'cpu');
+  return {
+    id: session.id,
+    label: session.label,
+    startedAt: session.startedAt,
+    durationMs: session.durationMs,
+    sampleCount: report.sampleCount,
+    cpuAvg: cpu.avg,
+    frames: report.frames ? { avgFps: report.frames.avgFps, low1Fps: report.frames.low1Fps } : null,
+    stutterCount: report.stutterCount,
+    spikeCount: report.spikeCount
+  };
+}
+
+// Function to report the recording in progress and the session history
+function getAnalyzerStatus() {
+  return {
+    recording: recording ? {
+      id: recording.id,
+      label: recording.label,
+      startedAt: recording.startedAt,
+      durationMs: recording.durationMs,
+      elapsedMs: Date.now() - recording.startedAt,
+      sampleCount: recording.samples.length
+    } : null,
+    sessions: sessions.map(summarizeSession),
+    durations: DURATIONS_MS,
+    intervalMs: SAMPLE_INTERVAL_MS
+  };
+}
+
+// Function to get a saved session with its samples and report (null when unknown)
+function getAnalysisSession(id) {
+  return sessions.find(session => session.id === id) || null;
+}
+
+// Function to add a PresentMon or MangoHud log to a saved session and rebuild its report
+function importFrameTimes(id, filePath) {
+  const session = getAnalysisSession(id);
+  if (!session) throw new Error('Session not found');
+
+  const { source, application, frameTimesMs } = parseFrameLog(fs.readFileSync(filePath, 'utf8'));
+  const logMs = frameTimesMs.reduce((sum, frameTime) => sum + frameTime, 0);
+  const offsetMs = Math.round(fs.statSync(filePath).mtimeMs - logMs - session.startedAt);
+  // Stutters are only matched to samples when the log overlaps the session; otherwise its own start is 0
+  const aligned = offsetMs < session.durationMs && offsetMs + logMs > 0;
+
+  session.frames = {
+    source,
+    application,
+    file: path.basename(filePath),
+    offsetMs: aligned ? offsetMs : 0,
+    aligned,
+    frameTimesMs: frameTimesMs.map(frameTime => round(frameTime, 2))
+  };
+  session.report = buildReport(session);
+  saveSessions();
+  return session;
+}
+
+// Function to delete a saved session
+function deleteAnalysisSession(id) {
+  const count = sessions.length;
+  sessions = sessions.filter(session => session.id !== id);
+  if (sessions.length === count) throw new Error('Session not found');
+  saveSessions();
+}
+
+// Function to load the session history from a directory, usually userData, and set the function that reads
+// the counters for each sample
+function openAnalyzer(directory, counterSampler) {
+  readCounters = counterSampler;
+  sessionsFile = path.join(directory, 'analyzer-sessions.json');
+  try {
+    const stored = JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+    sessions = Array.isArray(stored.sessions) ? stored.sessions.filter(session => session && session.report) : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading analyzer sessions:', error.message);
+    sessions = [];
+  }
+}
+
+module.exports = {
+  openAnalyzer,
+  startAnalysis,
+  stopAnalysis,
+  getAnalyzerStatus,
+  getAnalysisSession,
+  importFrameTimes,
+  deleteAnalysisSession,
+  buildReport,
+  summarizeFrames
+};
@@ -0,0 +1,181 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTool } = require('../collectors/health-probes');
+
+// Security provider adapter for ClamAV (see services/security.js for the adapter shape). Scans go through the
+// clamd daemon with clamdscan when it answers, otherwise through clamscan, which loads the database itself
+// but lists every file as it goes, so its scans report progress. The database age comes from
+// `clamscan --version` (or the daily database file freshclam writes). ClamAV keeps no scan log of its own;
+// the last scan is the one services/security.js stored.
+
+// Where freshclam keeps the database on the common packages
+const DATABASE_DIRS = ['/var/lib/clamav', '/usr/local/share/clamav', '/opt/homebrew/var/lib/clamav', 'C:\\Program Files\\ClamAV\\database'];
+
+// Virtual filesystems a full scan skips on Linux
+const FULL_SCAN_EXCLUDE = '^/(proc|sys|dev|run)(/|$)';
+
+const DATABASE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const SCAN_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+// Function to read `clamscan --version` ("ClamAV 1.0.3/27068/Mon Oct 19 08:24:03 2026")
+function parseClamVersion(output) {
+  const match = /ClamAV ([^/\s]+)(?:\/(\d+)\/(.+))?/.exec(output);
+  if (!match) return null;
+  const databaseTime = match[3] ? Date.parse(match[3].trim()) : NaN;
+  return {
+    version: match[1],
+    databaseVersion: match[2] ? parseInt(match[2], 10) : null,
+    databaseTime: Number.isFinite(databaseTime) ? databaseTime : null
+  };
+}
+
+// Function to read one line of scanner output: "<path>: OK", "<path>: <signature> FOUND", ...
+function parseScanLine(line) {
+  const found = /^(.*): (.+) FOUND$/.exec(line);
+  if (found) return { path: found[1], name: found[2], infected: true };
+  const clean = /^(.*): (OK|Empty file|Excluded|Symbolic link)$/.exec(line);
+  return clean ? { path: clean[1], name: null, infected: false } : null;
+}
+
+// Function to read the "SCAN SUMMARY" block both scanners print at the end
+function parseClamSummary(output) {
+  const count = label => {
+    const match = new RegExp(`^${label}: (\\d+)`, 'm').exec(output);
+    return match ? parseInt(match[1], 10) : null;
+  };
+  if (!/SCAN SUMMARY/.test(output)) return null;
+  return { scanned: count('Scanned files'), infected: count('Infected files'), errors: count('Total errors') };
+}
+
+// Function to find when freshclam last wrote the daily database (when --version does not say)
+function findDatabaseTime() {
+  const times = DATABASE_DIRS.flatMap(directory => ['daily.cld', 'daily.cvd'].map(file => {
+    try {
+      return fs.statSync(path.join(directory, file)).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  })).filter(Boolean);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+// Function to find ClamAV; null when clamscan is not installed
+async function detect(now = Date.now()) {
+  const output = await runTool('clamscan --version').catch(() => null);
+  const info = output ? parseClamVersion(output) : null;
+  if (!info) return null;
+
+  const daemon = await runTool('clamdscan --ping 1').then(reply => Boolean(reply && /PONG/.test(reply))).catch(() => false);
+  const databaseTime = info.databaseTime || findDatabaseTime();
+  const warnings = [];
+  if (!databaseTime) {
+    warnings.push('No virus database found (run freshclam)');
+  } else if (now - databaseTime > DATABASE_MAX_AGE_MS) {
+    warnings.push(`Virus database is ${Math.floor((now - databaseTime) / 86400000)} days old (is freshclam running?)`);
+  }
+
+  return {
+    version: info.version,
+    daemon,
+    warnings,
+    details: [
+      databaseTime ? `Database${info.databaseVersion ? ` ${info.databaseVersion}` : ''} from ${new Date(databaseTime).toLocaleString()}` : null,
+      daemon ? 'Scanning through clamd' : 'clamd is not running; scans use clamscan'
+    ].filter(Boolean)
+  };
+}
+
+// Function to report the last scan; ClamAV has no log of its own
+async function readLastScan() {
+  return null;
+}
+
+// Function to pick the command line for a scan
+function buildScanCommand(install, type, target) {
+  const full = process.platform === 'win32' ? `${process.env.SystemDrive || 'C:'}\\` : '/';
+  const scanPath = { quick: os.homedir(), full, custom: target }[type];
+  if (install.daemon) {
+    return { command: 'clamdscan', args: [...(process.platform === 'win32' ? [] : ['--fdpass']), '--multiscan', scanPath] };
+  }
+  const exclude = type === 'full' && process.platform !== 'win32' ? [`--exclude-dir=${FULL_SCAN_EXCLUDE}`] : [];
+  return { command: 'clamscan', args: ['--recursive', ...exclude, scanPath] };
+}
+
+// Function to run a scan, reporting each file as clamscan lists it, and resolve with the result
+function startScan({ install, type, target, onProgress }) {
+  const { command, args } = buildScanCommand(install, type, target);
+  const label = { quick: 'Quick scan', full: 'Full scan', custom: 'Custom scan' }[type];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { windowsHide: true });
+    const detections = [];
+    let scanned = 0;
+    let output = '';
+    let pending = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), SCAN_TIMEOUT_MS);
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(line => {
+        const entry = parseScanLine(line);
+        if (!entry) {
+          output += `${line}\n`; // Summary and messages
+          return;
+        }
+        scanned++;
+        if (entry.infected) detections.push({ name: entry.name, path: entry.path });
+        onProgress({ scanned, threats: detections.length, current: entry.path });
+      });
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      output += pending;
+      const summary = parseClamSummary(output);
+      if (signal || (code === 2 && !summary)) {
+        const message = signal ? 'The scan did not finish within 6 hours' : stderr.trim().split('\n')[0] || `${command} failed`;
+        reject(new Error(message));
+        return;
+      }
+      const errors = summary && summary.errors ? summary.errors : 0;
+      resolve({
+        time: Date.now(),
+        type: label,
+        result: errors > 0 ? `Completed with ${errors} error${errors === 1 ? '' : 's'}` : 'Completed',
+        scanned: summary && summary.scanned !== null ? summary.scanned : scanned,
+        threats: summary && summary.infected !== null ? summary.infected : detections.length,
+        quarantined: 0,
+        detections
+      });
+    });
+  });
+}
+
+module.exports = {
+  id: 'clamav',
+  name: 'ClamAV',
+  platforms: ['linux', 'darwin', 'win32'],
+  scanTypes: [
+    { id: 'quick', label: 'Home folder' },
+    { id: 'full', label: 'Full scan' },
+    { id: 'custom', label: 'Custom path', needsPath: true }
+  ],
+  detect,
+  readLastScan,
+  startScan,
+  parseClamVersion,
+  parseScanLine,
+  parseClamSummary
+};
@@ -0,0 +1,242 @@
+const { snapshotToMetrics } = require('./metrics-store');
+const { getThresholdLevels, compileRules, getRules } = require('./alerts');
+
+// Headless command-line mode: prints get-system-info snapshots to stdout without opening a window.
+//   --headless              run without a window (required for every other option)
+//   --json                  newline-delimited JSON instead of a table
+//   --watch <interval>      keep sampling (e.g. 500ms, 2s, 1m) until interrupted or --count is reached
+//   --count <n>             stop after n samples in watch mode
+//   --fields <a,b.c>        only print these snapshot fields (dotted paths reach nested values)
+//   --threshold <metric>    e.g. 'cpu.usage>90' or 'volume.*.free<10'; repeatable. Without it the saved alert rules
+//                           that notify are used; the display-only rules only colour the cards.
+//   --help                  print usage
+// --agent runs the remote agent (services/agent.js) without a window instead; --bind, --port and --token override
+// the saved agent settings for that run.
+// Exit status: 0 all clear, 1 a warning threshold was exceeded, 2 a critical one was, 3 bad arguments or a failure.
+
+const EXIT_CODES = { ok: 0, warning: 1, critical: 2, error: 3 };
+
+// Fields the table shows when --fields is not given
+const DEFAULT_TABLE_FIELDS = [
+  'cpuUsage', 'memoryUsage', 'storageUsage', 'cpuTemperature', 'gpuUsage', 'downloadSpeed', 'uploadSpeed'
+];
+
+// The first sample has no previous counters, so rates need a second one this much later
+const PRIME_DELAY_MS = 1000;
+
+const USAGE = `Usage: system-monitor --headless [options]
+
+  --json               print newline-delimited JSON instead of a table
+  --watch <interval>   keep printing every interval (500ms, 2s, 1m)
+  --count <n>          stop after n samples when watching
+  --fields <list>      comma-separated snapshot fields, e.g. cpuUsage,memoryUsage,temperatures.cpuTemperature
+  --threshold <rule>   metric and limit such as cpu.usage>90 or volume.*.free<10 (repeatable);
+                       without it the app's notifying alert rules are used
+  --help               show this message
+
+Exit status: 0 all clear, 1 warning threshold exceeded, 2 critical threshold exceeded, 3 error.
+
+Usage: system-monitor --agent [--bind <address>] [--port <port>] [--token <token>]
+
+  Serve this machine's snapshots to dashboards on the local network until interrupted.
+  Without --token the saved agent token is used (one is generated and saved the first time).
+`;
+
+// Function to turn '2s', '500ms', '1m' or a bare number of seconds into milliseconds
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m)?$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid interval: ${text}`);
+
+  const value = parseFloat(match[1]) * { ms: 1, s: 1000, m: 60000 }[match[2] || 's'];
+  if (value < 100) throw new Error('Interval must be at least 100ms');
+  return value;
+}
+
+// Function to turn 'metric>value' into a critical alert rule
+function parseThreshold(text) {
+  const match = /^([^<>]+)([<>])(-?\d+(?:\.\d+)?)$/.exec(String(text).replace(/\s+/g, ''));
+  if (!match) throw new Error(`Invalid threshold: ${text} (expected e.g. cpu.usage>90)`);
+
+  return {
+    id: `cli-${match[1]}${match[2]}${match[3]}`,
+    name: text,
+    metric: match[1],
+    operator: match[2],
+    threshold: parseFloat(match[3]),
+    severity: 'critical',
+    action: 'display'
+  };
+}
+
+// Function to read the command-line options; unknown arguments are ignored because Electron and Chromium add their own
+function parseCliArgs(argv) {
+  const options = {
+    headless: false, json: false, watchMs: null, count: null, fields: null, thresholds: [], help: false,
+    agent: false, bind: null, port: null, token: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const takeValue = () => {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      return value;
+    };
+
+    switch (flag) {
+      case '--headless': options.headless = true; break;
+      case '--json': options.json = true; break;
+      case '--help': options.help = true; break;
+      case '--watch': options.watchMs = parseDuration(takeValue()); break;
+      case '--count': {
+        const value = takeValue();
+        options.count = parseInt(value, 10);
+        if (!(options.count > 0)) throw new Error(`Invalid count: ${value}`);
+        break;
+      }
+      case '--fields':
+        options.fields = takeValue().split(',').map(field => field.trim()).filter(Boolean);
+        break;
+      case '--threshold': options.thresholds.push(parseThreshold(takeValue())); break;
+      case '--agent': options.agent = true; break;
+      case '--bind': options.bind = takeValue(); break;
+      case '--port': {
+        const value = takeValue();
+        options.port = Number(value);
+        if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) throw new Error(`Invalid port: ${value}`);
+        break;
+      }
+      case '--token': options.token = takeValue(); break;
+      default: break;
+    }
+  }
+
+  return options;
+}
+
+// Function to read a dotted path from a snapshot (undefined when it does not exist)
+function getField(snapshot, field) {
+  return field.split('.').reduce((value, key) => value === null || value === undefined ? undefined : value[key], snapshot);
+}
+
+// Function to keep only the requested fields of a snapshot
+function pickFields(snapshot, fields) {
+  if (!fields) return snapshot;
+  return Object.fromEntries(fields.map(field => {
+    const value = getField(snapshot, field);
+    return [field, value === undefined ? null : value];
+  }));
+}
+
+// Function to format one value for a table cell
+function formatCell(value) {
+  if (value === null || value === undefined) return '--';
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Function to rate a snapshot against the thresholds; returns the worst level and the metrics past a limit
+function rateSnapshot(snapshot, ruleSet) {
+  const metrics = snapshotToMetrics(snapshot);
+  const levels = getThresholdLevels(metrics, ruleSet);
+  const breaches = Object.entries(levels).map(([metric, severity]) => ({ metric, severity, value: metrics[metric] }));
+  const worst = breaches.some(breach => breach.severity === 'critical') ? 'critical' :
+    breaches.length > 0 ? 'warning' : 'ok';
+  return { worst, breaches };
+}
+
+// Function to pad a streamed row to the header widths (rows cannot be measured ahead of time)
+function formatStreamRow(cells, header) {
+  return cells.map((cell, column) => cell.padEnd(Math.max(header[column].length, 10))).join('  ').trimEnd();
+}
+
+// Function to pad every column to its widest cell
+function formatRows(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+// Function to run the headless mode; `collect` returns a get-system-info snapshot. Resolves to the exit status.
+async function runHeadless(options, collect, write = text => process.stdout.write(text), writeError = text => process.stderr.write(text)) {
+  if (options.help) {
+    write(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  // The saved display-only rules are the 60%/80% card colours, not health limits
+  let ruleSet;
+  try {
+    ruleSet = compileRules(options.thresholds.length > 0 ? options.thresholds :
+      getRules().filter(rule => rule.action === 'notify'));
+  } catch (error) {
+    writeError(`${error.message}\n`);
+    return EXIT_CODES.error;
+  }
+
+  const tableFields = options.fields || DEFAULT_TABLE_FIELDS;
+  const worstOrder = ['ok', 'warning', 'critical'];
+  let worstSeen = 'ok';
+  let samples = 0;
+  let stopped = false;
+
+  // Ctrl+C ends a watch cleanly, still reporting the worst level seen
+  const stop = () => {
+    stopped = true;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    await collect();
+    await new Promise(resolve => setTimeout(resolve, PRIME_DELAY_MS));
+
+    while (!stopped) {
+      const startedAt = Date.now();
+      const snapshot = await collect();
+      const { worst, breaches } = rateSnapshot(snapshot, ruleSet);
+      if (worstOrder.indexOf(worst) > worstOrder.indexOf(worstSeen)) worstSeen = worst;
+
+      if (options.json) {
+        write(JSON.stringify({ timestamp: new Date(startedAt).toISOString(), status: worst, ...pickFields(snapshot, options.fields) }) + '\n');
+      } else if (options.watchMs) {
+        // One row per sample, with the header repeated every screenful
+        const header = ['time', ...tableFields, 'status'];
+        const row = [new Date(startedAt).toLocaleTimeString(), ...tableFields.map(field => formatCell(getField(snapshot, field))), worst.toUpperCase()];
+        if (samples % 20 === 0) write(formatStreamRow(header, header) + '\n');
+        write(formatStreamRow(row, header) + '\n');
+      } else {
+        write(formatRows(tableFields.map(field => [field, formatCell(getField(snapshot, field))])) + '\n');
+      }
+
+      if (breaches.length > 0) {
+        writeError(`${worst.toUpperCase()}: ${breaches.map(breach => `${breach.metric}=${formatCell(breach.value)}`).join(', ')}\n`);
+      }
+
+      samples += 1;
+      if (!options.watchMs || (options.count && samples >= options.count)) break;
+
+      // Sleep in short steps so Ctrl+C is handled promptly
+      const wakeAt = startedAt + options.watchMs;
+      while (!stopped && Date.now() < wakeAt) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(200, wakeAt - Date.now())));
+      }
+    }
+  } catch (error) {
+    writeError(`Error collecting system info: ${error.message}\n`);
+    return EXIT_CODES.error;
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+  }
+
+  return EXIT_CODES[worstSeen];
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseCliArgs,
+  parseDuration,
+  pickFields,
+  runHeadless
+};
@@ -0,0 +1,167 @@
+const { exec, execFile } = require('child_process');
+const path = require('path');
+const { runPowerShell } = require('../collectors/powershell');
+
+// Security provider adapter for Microsoft Defender Antivirus (see services/security.js for the adapter shape).
+// Status, the last quick/full scan and recent detections come from Get-MpComputerStatus and
+// Get-MpThreatDetection; scans run through MpCmdRun.exe, which exits 0 when clean and 2 when it found threats.
+
+const SCAN_ARGS = {
+  quick: ['-Scan', '-ScanType', '1'],
+  full: ['-Scan', '-ScanType', '2'],
+  custom: ['-Scan', '-ScanType', '3', '-File']
+};
+
+const SCAN_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+const SIGNATURE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Status and detections as one JSON object; dates are converted to epoch milliseconds in PowerShell
+const STATUS_SCRIPT = `
+function ms($d) { if ($d -and $d.Year -gt 1601) { ([DateTimeOffset]$d).ToUnixTimeMilliseconds() } else { $null } }
+$s = Get-MpComputerStatus -ErrorAction Stop
+$names = @{}
+Get-MpThreat -ErrorAction SilentlyContinue | ForEach-Object { $names[[string]$_.ThreatID] = $_.ThreatName }
+[pscustomobject]@{
+  Version = $s.AMProductVersion
+  Enabled = $s.AntivirusEnabled
+  RealTime = $s.RealTimeProtectionEnabled
+  SignatureVersion = $s.AntivirusSignatureVersion
+  SignatureUpdated = ms $s.AntivirusSignatureLastUpdated
+  QuickScanStart = ms $s.QuickScanStartTime
+  QuickScanEnd = ms $s.QuickScanEndTime
+  FullScanStart = ms $s.FullScanStartTime
+  FullScanEnd = ms $s.FullScanEndTime
+  Detections = @(Get-MpThreatDetection -ErrorAction SilentlyContinue | ForEach-Object {
+    [pscustomobject]@{ Name = $names[[string]$_.ThreatID]; Time = ms $_.InitialDetectionTime; Resources = @($_.Resources) }
+  })
+} | ConvertTo-Json -Depth 4 -Compress`;
+
+// Function to strip the kind prefix Defender puts on resources ("file:_C:\\path" -> "C:\\path")
+function resourcePath(resource) {
+  return typeof resource === 'string' ? resource.replace(/^\w+:_/, '') : null;
+}
+
+// Function to turn the status object into an install record with warnings worth showing
+function parseDefenderStatus(status, now = Date.now()) {
+  const warnings = [];
+  if (status.Enabled === false) warnings.push('Defender antivirus is off (another antivirus may be active)');
+  if (status.RealTime === false) warnings.push('Real-time protection is off');
+  if (status.SignatureUpdated && now - status.SignatureUpdated > SIGNATURE_MAX_AGE_MS) {
+    warnings.push(`Virus definitions are ${Math.floor((now - status.SignatureUpdated) / 86400000)} days old`);
+  }
+
+  return {
+    version: status.Version || null,
+    warnings,
+    details: [
+      status.SignatureVersion ? `Definitions ${status.SignatureVersion}` +
+        (status.SignatureUpdated ? ` (updated ${new Date(status.SignatureUpdated).toLocaleString()})` : '') : null,
+      `Real-time protection ${status.RealTime ? 'on' : 'off'}`
+    ].filter(Boolean),
+    status
+  };
+}
+
+// Function to build the last scan from the status: the newer of the quick and full scans, with the
+// detections logged while it ran
+function lastScanFromStatus(status) {
+  const scans = [
+    { type: 'Quick scan', start: status.QuickScanStart, end: status.QuickScanEnd },
+    { type: 'Full scan', start: status.FullScanStart, end: status.FullScanEnd }
+  ].filter(scan => scan.end);
+  if (scans.length === 0) return null;
+
+  const scan = scans.sort((a, b) => b.end - a.end)[0];
+  const detections = (status.Detections || [])
+    .filter(detection => detection.Time >= (scan.start || scan.end) && detection.Time <= scan.end)
+    .map(detection => ({ name: detection.Name || null, path: resourcePath((detection.Resources || [])[0]) }));
+  return {
+    time: scan.end,
+    type: scan.type,
+    result: 'Completed',
+    scanned: null,
+    threats: detections.length,
+    quarantined: null,
+    detections
+  };
+}
+
+// Function to read MpCmdRun's scan output ("found N threats" plus the threat list)
+function parseMpCmdRunOutput(output) {
+  const detections = [];
+  let current = null;
+  output.split(/\r?\n/).forEach(line => {
+    const threat = /^Threat\s*:\s*(.+)$/.exec(line.trim());
+    if (threat) {
+      current = { name: threat[1].trim(), path: null };
+      detections.push(current);
+      return;
+    }
+    const resource = /^\s+\w+\s*:\s*(.+)$/.exec(line);
+    if (current && !current.path && resource) current.path = resource[1].trim();
+  });
+
+  const found = /found (no|\d+) threats?/i.exec(output);
+  const threats = found ? (found[1].toLowerCase() === 'no' ? 0 : parseInt(found[1], 10)) : detections.length;
+  return { threats, detections };
+}
+
+// Function to find Defender; null when it is not available (not Windows, or its service is not running)
+async function detect() {
+  if (process.platform !== 'win32') return null;
+  try {
+    return parseDefenderStatus(JSON.parse(await runPowerShell(STATUS_SCRIPT, 15000)));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to report the last scan recorded in the status that detect() read
+async function readLastScan(install) {
+  return install && install.status ? lastScanFromStatus(install.status) : null;
+}
+
+// Function to run a scan with MpCmdRun and resolve with its parsed result
+function startScan({ type, target }) {
+  const mpCmdRun = path.win32.join(process.env.ProgramFiles || 'C:\\Program Files', 'Windows Defender', 'MpCmdRun.exe');
+  const args = type === 'custom' ? [...SCAN_ARGS.custom, target] : SCAN_ARGS[type];
+  const label = { quick: 'Quick scan', full: 'Full scan', custom: 'Custom scan' }[type];
+
+  return new Promise((resolve, reject) => {
+    execFile(mpCmdRun, args, { encoding: 'utf8', timeout: SCAN_TIMEOUT_MS, maxBuffer: 8 * 1024 * 1024, windowsHide: true },
+      (error, stdout) => {
+        if (error && error.code !== 2) {
+          const lastLine = (stdout || '').trim().split(/\r?\n/).pop();
+          reject(new Error(lastLine || error.message));
+          return;
+        }
+        const { threats, detections } = parseMpCmdRunOutput(stdout);
+        resolve({ time: Date.now(), type: label, result: 'Completed', scanned: null, threats, quarantined: null, detections });
+      });
+  });
+}
+
+// Function to open Windows Security at its virus protection page
+function launch() {
+  return new Promise((resolve, reject) => {
+    exec('start "" "windowsdefender://threat"', error => error ? reject(new Error('Could not open Windows Security')) : resolve());
+  });
+}
+
+module.exports = {
+  id: 'defender',
+  name: 'Microsoft Defender',
+  platforms: ['win32'],
+  scanTypes: [
+    { id: 'quick', label: 'Quick scan' },
+    { id: 'full', label: 'Full scan' },
+    { id: 'custom', label: 'Custom path', needsPath: true }
+  ],
+  detect,
+  readLastScan,
+  startScan,
+  launch,
+  parseDefenderStatus,
+  lastScanFromStatus,
+  parseMpCmdRunOutput
+};
@@ -0,0 +1,230 @@
+// Export and import of stored metrics.
+// Both formats carry the same content:
+//   { format, version, exportedAt, hostname, range: { from, to }, tier,
+//     metrics: [{ id, label, unit }], series: { metricId: [[timestamp, value], ...] }, snapshot }
+// JSON files hold that object as-is. CSV files have one row per timestamp and one column per metric,
+// preceded by '#' lines with the metadata and the flattened snapshot.
+
+const EXPORT_FORMAT = 'system-monitor-export';
+const EXPORT_VERSION = 1;
+
+// Function to assemble an export from a queryHistory() result and the current snapshot
+function buildExport({ history, metricInfo, snapshot, hostname, exportedAt = Date.now() }) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt,
+    hostname,
+    range: { from: history.from, to: history.to },
+    tier: history.tier,
+    metrics: Object.keys(history.series).map(id => ({ id, ...metricInfo(id) })),
+    series: history.series,
+    snapshot
+  };
+}
+
+// Function to quote a CSV field when it contains a separator, quote or line break
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to split one CSV line into fields, honouring quotes
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Function to write one object key as a path segment: dots and backslashes are escaped, and so is the first
+// digit of an all-digit key so it does not read back as an array index
+function escapeKey(key) {
+  return key.replace(/[\\.]/g, '\\$&').replace(/^(\d)(\d*)$/, '\\$1$2');
+}
+
+// Function to split a flattened path into [{ key, index }] segments; only unescaped digits are array indexes
+function splitKeyPath(keyPath) {
+  const segments = [];
+  let key = '';
+  let escaped = false;
+
+  for (let i = 0; i < keyPath.length; i++) {
+    const char = keyPath[i];
+    if (char === '\\' && i + 1 < keyPath.length) {
+      key += keyPath[++i];
+      escaped = true;
+    } else if (char === '.') {
+      segments.push({ key, index: !escaped && /^\d+$/.test(key) });
+      key = '';
+      escaped = false;
+    } else {
+      key += char;
+    }
+  }
+  segments.push({ key, index: !escaped && /^\d+$/.test(key) });
+  return segments;
+}
+
+// Function to flatten a nested snapshot into [path, value] pairs (arrays use their index, empty arrays and
+// objects are kept as values)
+function flattenSnapshot(value, prefix = '') {
+  if (value === null || typeof value !== 'object' || Object.keys(value).length === 0) return [[prefix, value]];
+
+  return Object.entries(value).flatMap(([key, child]) => {
+    const segment = Array.isArray(value) ? key : escapeKey(key);
+    return flattenSnapshot(child, prefix ? `${prefix}.${segment}` : segment);
+  });
+}
+
+// Function to rebuild a nested object from flattened [path, value] pairs
+function unflattenSnapshot(pairs) {
+  const root = {};
+  pairs.forEach(([keyPath, value]) => {
+    const segments = splitKeyPath(keyPath);
+    let node = root;
+    segments.slice(0, -1).forEach(({ key }, index) => {
+      if (node[key] === undefined) node[key] = segments[index + 1].index ? [] : {};
+      node = node[key];
+    });
+    node[segments[segments.length - 1].key] = value;
+  });
+  return root;
+}
+
+// Function to render an export as CSV
+function toCsv(exportData) {
+  const lines = [
+    `# ${EXPORT_FORMAT},${EXPORT_VERSION}`,
+    `# exportedAt,${new Date(exportData.exportedAt).toISOString()}`,
+    `# hostname,${escapeCsv(exportData.hostname)}`,
+    `# range,${exportData.range.from},${exportData.range.to}`,
+    `# tier,${exportData.tier}`
+  ];
+  exportData.metrics.forEach(metric => {
+    lines.push(`# metric,${escapeCsv(metric.id)},${escapeCsv(metric.label)},${escapeCsv(metric.unit)}`);
+  });
+  if (exportData.snapshot) {
+    flattenSnapshot(exportData.snapshot).forEach(([key, value]) => {
+      lines.push(`# snapshot,${escapeCsv(key)},${escapeCsv(JSON.stringify(value))}`);
+    });
+  }
+
+  // One row per timestamp; metrics without a sample at that time are left empty
+  const ids = exportData.metrics.map(metric => metric.id);
+  const rows = new Map();
+  ids.forEach((id, column) => {
+    exportData.series[id].forEach(([time, value]) => {
+      if (!rows.has(time)) rows.set(time, new Array(ids.length).fill(''));
+      rows.get(time)[column] = value;
+    });
+  });
+
+  lines.push(['timestamp', 'time', ...ids].map(escapeCsv).join(','));
+  [...rows.keys()].sort((a, b) => a - b).forEach(time => {
+    lines.push([time, new Date(time).toISOString(), ...rows.get(time)].map(escapeCsv).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to read an export written by toCsv()
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const metadata = lines.filter(line => line.startsWith('#')).map(line => parseCsvLine(line.replace(/^#\s*/, '')));
+  const table = lines.filter(line => !line.startsWith('#')).map(parseCsvLine);
+  const meta = key => metadata.find(fields => fields[0] === key);
+
+  if (!meta(EXPORT_FORMAT) || table.length === 0) {
+    throw new Error('Not a System Monitor CSV export');
+  }
+
+  const header = table[0];
+  const ids = header.slice(2);
+  const labels = Object.fromEntries(metadata.filter(fields => fields[0] === 'metric')
+    .map(([, id, label, unit]) => [id, { label, unit }]));
+  const series = Object.fromEntries(ids.map(id => [id, []]));
+
+  table.slice(1).forEach(fields => {
+    const time = parseInt(fields[0], 10);
+    ids.forEach((id, column) => {
+      const value = fields[column + 2];
+      if (value !== undefined && value !== '') series[id].push([time, parseFloat(value)]);
+    });
+  });
+
+  const range = meta('range');
+  const snapshotPairs = metadata.filter(fields => fields[0] === 'snapshot').map(([, key, value]) => {
+    try {
+      return [key, JSON.parse(value)];
+    } catch (error) {
+      return [key, value];
+    }
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: parseInt(meta(EXPORT_FORMAT)[1], 10),
+    exportedAt: meta('exportedAt') ? Date.parse(meta('exportedAt')[1]) : null,
+    hostname: meta('hostname') ? meta('hostname')[1] : 'Unknown',
+    range: range ? { from: parseInt(range[1], 10), to: parseInt(range[2], 10) } : null,
+    tier: meta('tier') ? meta('tier')[1] : 'raw',
+    metrics: ids.map(id => ({ id, ...(labels[id] || { label: id, unit: '' }) })),
+    series,
+    snapshot: snapshotPairs.length > 0 ? unflattenSnapshot(snapshotPairs) : null
+  };
+}
+
+// Function to read an export file of either format and check it is one of ours
+function parseExport(content) {
+  const trimmed = content.trimStart();
+  const data = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseCsv(trimmed);
+
+  if (data.format !== EXPORT_FORMAT || typeof data.series !== 'object' || !Array.isArray(data.metrics)) {
+    throw new Error('Not a System Monitor export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${data.version} is newer than this app supports`);
+  }
+
+  // Older or hand-edited files may lack the range; derive it from the data
+  if (!data.range) {
+    // A day of raw samples is far more than Math.min(...times) can take as arguments, so walk them
+    let from = Infinity;
+    let to = -Infinity;
+    Object.values(data.series).forEach(samples => samples.forEach(([time]) => {
+      if (time < from) from = time;
+      if (time > to) to = time;
+    }));
+    data.range = { from, to };
+  }
+  return data;
+}
+
+module.exports = {
+  buildExport,
+  toCsv,
+  parseExport
+};
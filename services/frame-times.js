@@ -0,0 +1,87 @@
+// Frame-time logs for the Performance Analyzer. Two capture tools are understood:
+//   PresentMon  one row per present; frame time in MsBetweenPresents (1.x, or 2.x with --v1_metrics) or
+//               FrameTime (2.x). Logs of several programs keep only the one with the most frames (the game).
+//   MangoHud    a system-info header, then one row per frame with `frametime` in milliseconds.
+// parseFrameLog() returns { source, application, frameTimesMs } in capture order.
+
+// Frame-time column names (lower case), most specific first; MangoHud uses the second
+const FRAME_TIME_COLUMNS = ['msbetweenpresents', 'frametime'];
+
+// Function to split one CSV line (PresentMon quotes nothing, but application names may be quoted)
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Function to read the frame times in one column, skipping rows without a usable value
+function readColumn(rows, index) {
+  return rows
+    .map(row => parseFloat(row[index]))
+    .filter(value => Number.isFinite(value) && value > 0);
+}
+
+// Function to read a PresentMon or MangoHud CSV log; throws when it is neither or holds no frames
+function parseFrameLog(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  const rows = lines.map(splitCsvLine);
+
+  // MangoHud puts its system-info block above the header, so look for the header rather than take line 1
+  const headerIndex = rows.findIndex(row => {
+    const names = row.map(name => name.toLowerCase());
+    return FRAME_TIME_COLUMNS.some(column => names.includes(column));
+  });
+  if (headerIndex === -1) throw new Error('Not a PresentMon or MangoHud frame-time log');
+
+  const header = rows[headerIndex].map(name => name.toLowerCase());
+  const body = rows.slice(headerIndex + 1).filter(row => row.length === header.length);
+  let result;
+
+  if (header.includes('application')) {
+    // PresentMon: keep the program with the most frames
+    const appIndex = header.indexOf('application');
+    const column = header.indexOf(FRAME_TIME_COLUMNS.find(name => header.includes(name)));
+    const counts = {};
+    body.forEach(row => {
+      counts[row[appIndex]] = (counts[row[appIndex]] || 0) + 1;
+    });
+    const application = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+    result = {
+      source: 'PresentMon',
+      application,
+      frameTimesMs: readColumn(body.filter(row => row[appIndex] === application), column)
+    };
+  } else {
+    result = { source: header.includes('fps') ? 'MangoHud' : 'CSV', application: null, frameTimesMs: readColumn(body, header.indexOf('frametime')) };
+  }
+
+  if (result.frameTimesMs.length < 2) throw new Error('The log holds no frames');
+  return result;
+}
+
+module.exports = {
+  parseFrameLog,
+  splitCsvLine
+};
@@ -0,0 +1,169 @@
+const { addTask, runTask, getTaskResult } = require('./scheduler');
+const { getDiskHealth, getCrashEvents, getFailedServices, getPendingUpdates } = require('../collectors');
+const { getSecurityStatus, refreshSecurity } = require('./security');
+
+// System health checks behind the sidebar status list and the System Health card. Every check is rated
+//   { id, label, status, summary, details, checkedAt }
+// where status is 'ok', 'warning', 'critical' or 'unknown' (no data source, or the check could not run) and
+// details are the lines explaining the status. Temperatures are rated from each snapshot and Health from the
+// security provider's last scan (services/security.js); the slower probes (SMART, crash logs, services,
+// updates) run as scheduler tasks on their own cadences.
+
+const STATUS_ORDER = ['unknown', 'ok', 'warning', 'critical'];
+
+// How far back the crash logs are searched
+const CRASH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Most lines a check lists in its details
+const MAX_DETAIL_LINES = 12;
+
+// Function to cap a details list, noting how many lines were left out
+function limitDetails(lines) {
+  if (lines.length <= MAX_DETAIL_LINES) return lines;
+  return [...lines.slice(0, MAX_DETAIL_LINES - 1), `...and ${lines.length - MAX_DETAIL_LINES + 1} more`];
+}
+
+// Function to rate disks by their SMART status
+function rateDisks(disks) {
+  if (disks === null) {
+    return { status: 'unknown', summary: 'SMART unavailable', details: ['Install smartmontools 7.0 or later (smartctl) to read disk health'] };
+  }
+
+  const readable = disks.filter(disk => !disk.error);
+  const failing = readable.filter(disk => disk.healthy === false);
+  const worn = readable.filter(disk => disk.healthy !== false && disk.warnings.length > 0);
+  const name = disk => disk.model ? `${disk.model} (${disk.device})` : disk.device;
+  const details = [
+    ...failing.map(disk => `${name(disk)}: SMART self-assessment failed${disk.warnings.length ? `; ${disk.warnings.join(', ')}` : ''}`),
+    ...worn.map(disk => `${name(disk)}: ${disk.warnings.join(', ')}`),
+    ...disks.filter(disk => disk.error).map(disk => `${name(disk)}: ${disk.error}`),
+    ...readable.filter(disk => disk.healthy !== false && disk.warnings.length === 0).map(disk => `${name(disk)}: passed`)
+  ];
+
+  if (readable.length === 0) {
+    return { status: 'unknown', summary: disks.length ? 'Could not read SMART data' : 'No SMART-capable disks', details };
+  }
+  if (failing.length > 0) return { status: 'critical', summary: `${failing.length} disk${failing.length === 1 ? '' : 's'} failing`, details };
+  if (worn.length > 0) return { status: 'warning', summary: `${worn.length} disk${worn.length === 1 ? '' : 's'} showing wear`, details };
+  return { status: 'ok', summary: `${readable.length} disk${readable.length === 1 ? '' : 's'} healthy`, details };
+}
+
+// Function to rate stability by the crashes logged in the last week
+function rateCrashes(events) {
+  if (events === null) return { status: 'unknown', summary: 'No crash log available', details: [] };
+
+  const systemCrashes = events.filter(event => event.severity === 'critical').length;
+  const details = events.map(event => `${new Date(event.time).toLocaleString()} · ${event.source}: ${event.message}`);
+  if (systemCrashes > 0) {
+    return { status: 'critical', summary: `${systemCrashes} system crash${systemCrashes === 1 ? '' : 'es'} this week`, details };
+  }
+  if (events.length > 0) {
+    return { status: 'warning', summary: `${events.length} program crash${events.length === 1 ? '' : 'es'} this week`, details };
+  }
+  return { status: 'ok', summary: 'No crashes this week', details: [] };
+}
+
+// Function to rate the service manager's failed units
+function rateServices(services) {
+  if (services === null) return { status: 'unknown', summary: 'No service manager found', details: [] };
+  if (services.length === 0) return { status: 'ok', summary: 'All services running', details: [] };
+  return {
+    status: 'warning',
+    summary: `${services.length} service${services.length === 1 ? '' : 's'} failed`,
+    details: services.map(service => service.description ? `${service.name}: ${service.description}` : service.name)
+  };
+}
+
+// Function to rate pending OS updates; security updates make it critical
+function rateUpdates(pending) {
+  if (pending === null) return { status: 'unknown', summary: 'No supported package manager', details: [] };
+
+  const { manager, updates } = pending;
+  const security = updates.filter(update => update.security);
+  const details = [...security, ...updates.filter(update => !update.security)]
+    .map(update => `${update.security ? '[security] ' : ''}${update.name}${update.version ? ` ${update.version}` : ''}`);
+  if (security.length > 0) {
+    return { status: 'critical', summary: `${security.length} security update${security.length === 1 ? '' : 's'} pending`, details };
+  }
+  if (updates.length > 0) {
+    return { status: 'warning', summary: `${updates.length} update${updates.length === 1 ? '' : 's'} available`, details };
+  }
+  return { status: 'ok', summary: `Up to date (${manager})`, details: [] };
+}
+
+// The probed checks, in display order after Temperatures and Health
+const HEALTH_CHECKS = [
+  { id: 'disks', label: 'Disks', intervalMs: 30 * 60 * 1000, probe: getDiskHealth, rate: rateDisks },
+  { id: 'stability', label: 'Stability', intervalMs: 10 * 60 * 1000, probe: () => getCrashEvents(Date.now() - CRASH_WINDOW_MS), rate: rateCrashes },
+  { id: 'services', label: 'Services', intervalMs: 5 * 60 * 1000, probe: getFailedServices, rate: rateServices },
+  { id: 'updates', label: 'Updates', intervalMs: 6 * 60 * 60 * 1000, probe: getPendingUpdates, rate: rateUpdates }
+];
+
+// Function to run one probe and rate it; a probe that fails is reported rather than thrown
+async function runCheck(check) {
+  try {
+    const rating = check.rate(await check.probe());
+    return { ...rating, details: limitDetails(rating.details), checkedAt: Date.now() };
+  } catch (error) {
+    console.error(`Error checking ${check.label.toLowerCase()}:`, error.message);
+    return { status: 'unknown', summary: 'Check failed', details: [error.message], checkedAt: Date.now() };
+  }
+}
+
+// Function to rate the temperature summary from the latest snapshot (units: 'C' or 'F')
+function rateTemperatures(temperatures, units) {
+  const format = celsius => units === 'F' ? `${Math.round(celsius * 9 / 5 + 32)}°F` : `${Math.round(celsius)}°C`;
+  if (!temperatures || !temperatures.available) {
+    return { status: 'unknown', summary: 'No sensors available', details: ['No readable temperature sensors were found on this system'] };
+  }
+
+  const status = { optimal: 'ok', warm: 'warning', hot: 'warning', critical: 'critical' }[temperatures.status] || 'unknown';
+  const details = [...temperatures.sensors]
+    .sort((a, b) => b.current - a.current)
+    .map(sensor => `${sensor.label}: ${format(sensor.current)}${sensor.status !== 'optimal' ? ` (${sensor.status})` : ''}`);
+  const label = temperatures.status.charAt(0).toUpperCase() + temperatures.status.slice(1);
+  return { status, summary: `${label} · ${format(temperatures.hottest.current)} max`, details: limitDetails(details) };
+}
+
+// Function to start running the probed checks in the background
+function openHealthChecks() {
+  HEALTH_CHECKS.forEach(check => addTask(`health:${check.id}`, check.intervalMs, () => runCheck(check)));
+}
+
+// Function to run one probed check now (the details popover's "Check again")
+async function runHealthCheck(id) {
+  if (id === 'security') {
+    await refreshSecurity();
+    return;
+  }
+  if (!HEALTH_CHECKS.some(check => check.id === id)) throw new Error(`Unknown health check: ${id}`);
+  await runTask(`health:${id}`);
+}
+
+// Function to build the health summary for a snapshot: every check plus the worst status among them
+function getHealthSnapshot(temperatures, units) {
+  const security = getSecurityStatus();
+  const checks = [
+    { id: 'temperatures', label: 'Temperatures', ...rateTemperatures(temperatures, units), checkedAt: Date.now() },
+    { id: 'security', label: 'Health', ...security.rating, details: limitDetails(security.rating.details) },
+    ...HEALTH_CHECKS.map(check => ({
+      id: check.id,
+      label: check.label,
+      ...(getTaskResult(`health:${check.id}`) || { status: 'unknown', summary: 'Not checked yet', details: [], checkedAt: null })
+    }))
+  ];
+
+  const status = checks.reduce((worst, check) =>
+    STATUS_ORDER.indexOf(check.status) > STATUS_ORDER.indexOf(worst) ? check.status : worst, 'unknown');
+  return { status, checks };
+}
+
+module.exports = {
+  openHealthChecks,
+  runHealthCheck,
+  getHealthSnapshot,
+  rateDisks,
+  rateCrashes,
+  rateServices,
+  rateUpdates
+};
@@ -0,0 +1,130 @@
+const { CATEGORIES } = require('./inventory');
+
+// Hardware inventory reports for asset tickets: Markdown, or a self-contained HTML page. Both list the changes
+// since the baseline first, then every component by category.
+
+// Function to escape text for HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Function to escape text for a Markdown table cell
+function escapeMarkdown(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Function to list a component's known properties as "Label: value" pairs
+function describeProperties(component) {
+  return Object.entries(component.properties)
+    .filter(([, value]) => value !== null)
+    .map(([label, value]) => `${label}: ${value}`);
+}
+
+// Function to list the change lines ("Added: ...", "Changed: ... (BIOS version 1.2 → 1.4)")
+function describeChanges(comparison) {
+  const title = component => `${component.category}: ${component.name}${component.location ? ` (${component.location})` : ''}`;
+  return [
+    ...comparison.added.map(component => ({ kind: 'Added', text: title(component) })),
+    ...comparison.removed.map(component => ({ kind: 'Removed', text: title(component) })),
+    ...comparison.changed.map(({ component, changes }) => ({
+      kind: 'Changed',
+      text: `${title(component)}: ${changes.map(change => `${change.property} ${change.before} → ${change.after}`).join(', ')}`
+    }))
+  ];
+}
+
+// Function to group the components by category, in report order, with their change state
+function groupComponents(status) {
+  const added = new Set(status.comparison.added.map(component => component.key));
+  const changed = new Set(status.comparison.changed.map(entry => entry.component.key));
+  return CATEGORIES
+    .map(category => ({
+      category,
+      components: status.current.components
+        .filter(component => component.category === category)
+        .map(component => ({ ...component, state: added.has(component.key) ? 'added' : changed.has(component.key) ? 'changed' : null }))
+    }))
+    .filter(group => group.components.length > 0);
+}
+
+// Function to render the inventory status as Markdown
+function renderInventoryMarkdown(status) {
+  const { current } = status;
+  const lines = [
+    `# Hardware inventory: ${current.hostname}`,
+    '',
+    `- Taken: ${new Date(current.takenAt).toLocaleString()}`,
+    `- Platform: ${current.platform}`,
+    `- Baseline: ${status.baselineTakenAt ? new Date(status.baselineTakenAt).toLocaleString() : '--'}`,
+    '',
+    '## Changes since the baseline',
+    ''
+  ];
+
+  const changes = describeChanges(status.comparison);
+  if (changes.length === 0) lines.push('No changes.');
+  changes.forEach(change => lines.push(`- **${change.kind}**: ${change.text}`));
+
+  groupComponents(status).forEach(group => {
+    lines.push('', `## ${group.category}`, '', '| Component | Location | Details | Change |', '| --- | --- | --- | --- |');
+    group.components.forEach(component => {
+      lines.push(`| ${[
+        component.name,
+        component.location || '--',
+        describeProperties(component).join('; ') || '--',
+        component.state || ''
+      ].map(escapeMarkdown).join(' | ')} |`);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to render the inventory status as a standalone HTML page
+function renderInventoryHtml(status) {
+  const { current } = status;
+  const changes = describeChanges(status.comparison);
+  const changeColors = { Added: '#059669', Removed: '#dc2626', Changed: '#d97706' };
+
+  const sections = groupComponents(status).map(group => `
+  <h2>${escapeHtml(group.category)}</h2>
+  <table>
+    <tr><th>Component</th><th>Location</th><th>Details</th><th>Change</th></tr>
+${group.components.map(component => `    <tr${component.state ? ` class="${component.state}"` : ''}><td>${escapeHtml(component.name)}</td><td>${escapeHtml(component.location || '--')}</td><td>${describeProperties(component).map(escapeHtml).join('<br>') || '--'}</td><td>${component.state || ''}</td></tr>`).join('\n')}
+  </table>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Hardware inventory: ${escapeHtml(current.hostname)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; font-size: 0.9rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    tr.added td { background: #ecfdf5; }
+    tr.changed td { background: #fffbeb; }
+  </style>
+</head>
+<body>
+  <h1>Hardware inventory: ${escapeHtml(current.hostname)}</h1>
+  <p>Taken ${escapeHtml(new Date(current.takenAt).toLocaleString())} on ${escapeHtml(current.platform)}; baseline ${escapeHtml(status.baselineTakenAt ? new Date(status.baselineTakenAt).toLocaleString() : '--')}</p>
+  <h2>Changes since the baseline</h2>
+  ${changes.length === 0 ? '<p>No changes.</p>' : `<ul>
+${changes.map(change => `    <li><strong style="color: ${changeColors[change.kind]}">${change.kind}</strong>: ${escapeHtml(change.text)}</li>`).join('\n')}
+  </ul>`}
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderInventoryMarkdown,
+  renderInventoryHtml
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addTask, runTask, getTaskResult } = require('./scheduler');
+const { getGPUDevices, getInventoryDetails } = require('../collectors');
+
+// Hardware inventory with change detection. An inventory is
+//   { takenAt, hostname, platform, components: [{ key, category, name, location, properties }] }
+// where key identifies a component from one launch to the next (serial numbers and MAC addresses where there
+// are any), location says where it sits (slot, device, interface) and properties are the compared values.
+// The first inventory becomes the baseline in <userData>/inventory.json; each launch takes a new one and lists
+// what was added, removed or changed since, until the changes are accepted as the new baseline.
+
+const CATEGORIES = ['System', 'Operating system', 'CPU', 'Memory', 'Motherboard', 'BIOS', 'Disks', 'GPUs', 'Network adapters'];
+
+let inventoryFile = null;
+let baseline = null;
+let lastError = null;
+
+// Function to turn the collectors' 'Unknown' placeholders and empty strings into null
+function known(value) {
+  if (value === undefined || value === null || value === '' || value === 'Unknown') return null;
+  return typeof value === 'number' ? value : String(value).trim() || null;
+}
+
+// Function to build one component, dropping empty property values to null
+function createComponent(category, key, name, location, properties) {
+  return {
+    key,
+    category,
+    name: known(name) || category,
+    location: known(location),
+    properties: Object.fromEntries(Object.entries(properties).map(([label, value]) => [label, known(value)]))
+  };
+}
+
+// Function to give components that share a description (two identical GPUs, unlabelled RAM slots) distinct keys
+function numberKeys(components) {
+  const seen = {};
+  return components.map(component => {
+    seen[component.key] = (seen[component.key] || 0) + 1;
+    return seen[component.key] === 1 ? component : { ...component, key: `${component.key}#${seen[component.key]}` };
+  });
+}
+
+// Function to build an inventory from the hardware task ({ cpu, memory, motherboard }), the GPUs and the
+// backend's inventory details
+function buildInventory({ hardware, gpus, details }, now = Date.now()) {
+  const { cpu, memory, motherboard } = hardware;
+  const { bios, system, disks, networkAdapters } = details;
+  const joinName = (...parts) => parts.map(known).filter(Boolean).join(' ');
+
+  const components = [
+    createComponent('System', 'system', joinName(system.manufacturer, system.model), null, {
+      Manufacturer: system.manufacturer,
+      Model: system.model,
+      'Serial number': system.serialNumber
+    }),
+    createComponent('Operating system', 'os', details.os.name, null, {
+      Version: details.os.version,
+      Build: details.os.build,
+      Architecture: os.arch()
+    }),
+    createComponent('CPU', 'cpu', cpu.name, null, {
+      Manufacturer: cpu.manufacturer,
+      Cores: cpu.cores,
+      'Logical processors': cpu.logicalProcessors,
+      'Max clock': cpu.maxClockSpeed,
+      'L2 cache': cpu.l2Cache,
+      'L3 cache': cpu.l3Cache
+    }),
+    ...numberKeys(memory.map(stick => createComponent('Memory',
+      `memory:${known(stick.serialNumber) || stick.bankLabel}`,
+      joinName(stick.manufacturer, stick.partNumber) || `${stick.capacity} ${known(stick.memoryType) || 'module'}`,
+      stick.bankLabel, {
+        Capacity: stick.capacity,
+        Type: stick.memoryType,
+        Speed: stick.speed,
+        Manufacturer: stick.manufacturer,
+        'Part number': stick.partNumber,
+        'Serial number': stick.serialNumber
+      }))),
+    createComponent('Motherboard', 'motherboard', joinName(motherboard.manufacturer, motherboard.product), null, {
+      Manufacturer: motherboard.manufacturer,
+      Model: motherboard.product
+    }),
+    createComponent('BIOS', 'bios', bios.vendor, null, {
+      Vendor: bios.vendor,
+      Version: bios.version,
+      Date: bios.date
+    }),
+    // Disks are told apart by serial, so the same disk on another port or device name is not a change
+    ...numberKeys(disks.map(disk => createComponent('Disks', `disk:${known(disk.serialNumber) || known(disk.model) || disk.name}`,
+      disk.model || disk.name, disk.name, {
+        Size: disk.sizeGB !== null ? `${disk.sizeGB} GB` : null,
+        Interface: disk.interface,
+        Type: disk.mediaType,
+        'Serial number': disk.serialNumber
+      }))),
+    ...numberKeys(gpus.map(gpu => createComponent('GPUs', `gpu:${gpu.name}`, gpu.name, `GPU ${gpu.index}`, {
+      Vendor: gpu.vendor,
+      Memory: gpu.memoryTotalMB ? `${(gpu.memoryTotalMB / 1024).toFixed(1)} GB` : null
+    }))),
+    ...numberKeys(networkAdapters.map(adapter => createComponent('Network adapters',
+      `nic:${known(adapter.macAddress) || adapter.name}`, adapter.description || adapter.name, adapter.name, {
+        'MAC address': adapter.macAddress,
+        Type: adapter.type
+      })))
+  ];
+
+  // Virtual machines and non-root Linux users see no system, board or BIOS identity at all
+  return {
+    takenAt: now,
+    hostname: os.hostname(),
+    platform: process.platform,
+    components: components.filter(component => Object.values(component.properties).some(value => value !== null))
+  };
+}
+
+// Function to compare an inventory with the baseline: { added, removed, changed: [{ component, changes }] }.
+// A property one side could not read (a serial number only root can see, say) is not counted as a change.
+function compareInventories(previous, current) {
+  const previousByKey = new Map(previous.components.map(component => [component.key, component]));
+  const currentKeys = new Set(current.components.map(component => component.key));
+
+  const added = current.components.filter(component => !previousByKey.has(component.key));
+  const removed = previous.components.filter(component => !currentKeys.has(component.key));
+  const changed = current.components
+    .filter(component => previousByKey.has(component.key))
+    .map(component => {
+      const before = previousByKey.get(component.key);
+      const labels = [...new Set([...Object.keys(before.properties), ...Object.keys(component.properties)])];
+      const changes = labels
+        .filter(label => {
+          const [from, to] = [before.properties[label], component.properties[label]];
+          return from !== undefined && to !== undefined && from !== null && to !== null && String(from) !== String(to);
+        })
+        .map(label => ({ property: label, before: before.properties[label], after: component.properties[label] }));
+      return { component, changes };
+    })
+    .filter(entry => entry.changes.length > 0);
+
+  return { added, removed, changed };
+}
+
+// Function to save the baseline; a failed write keeps it in memory for this run
+function saveBaseline() {
+  if (!inventoryFile) return;
+  try {
+    fs.writeFileSync(inventoryFile, JSON.stringify({ version: 1, baseline }, null, 2));
+  } catch (error) {
+    console.error('Error saving the hardware inventory:', error.message);
+  }
+}
+
+// Function to take a new inventory (scheduler task, run once per launch and on demand)
+async function takeInventory() {
+  try {
+    const hardware = await runTask('hardware');
+    const [details, gpus] = await Promise.all([getInventoryDetails(), getGPUDevices()]);
+    const inventory = buildInventory({ hardware, gpus, details });
+    lastError = null;
+
+    // The first inventory on this computer is the one later launches are compared with
+    if (!baseline) {
+      baseline = inventory;
+      saveBaseline();
+    }
+    return inventory;
+  } catch (error) {
+    lastError = error.message;
+    throw error;
+  }
+}
+
+// Function to report the latest inventory and its differences from the baseline
+function getInventoryStatus() {
+  const current = getTaskResult('inventory');
+  const comparison = current && baseline ? compareInventories(baseline, current) : { added: [], removed: [], changed: [] };
+  return {
+    current,
+    baselineTakenAt: baseline ? baseline.takenAt : null,
+    comparison,
+    changeCount: comparison.added.length + comparison.removed.length + comparison.changed.length,
+    error: lastError
+  };
+}
+
+// Function to make the latest inventory the new baseline, clearing the flagged changes
+function acceptInventory() {
+  const current = getTaskResult('inventory');
+  if (!current) throw new Error('No inventory has been taken yet');
+  baseline = current;
+  saveBaseline();
+  return getInventoryStatus();
+}
+
+// Function to take the inventory again, e.g. after plugging in a disk
+async function refreshInventory() {
+  await runTask('inventory');
+  return getInventoryStatus();
+}
+
+// Function to load the baseline from a directory, usually userData, and take this launch's inventory;
+// resolves to the inventory status
+async function openInventory(directory) {
+  inventoryFile = path.join(directory, 'inventory.json');
+  try {
+    baseline = JSON.parse(fs.readFileSync(inventoryFile, 'utf8')).baseline || null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading the hardware inventory:', error.message);
+    baseline = null;
+  }
+
+  addTask('inventory', null, takeInventory);
+  await runTask('inventory');
+  return getInventoryStatus();
+}
+
+module.exports = {
+  CATEGORIES,
+  openInventory,
+  refreshInventory,
+  acceptInventory,
+  getInventoryStatus,
+  buildInventory,
+  compareInventories
+};
@@ -0,0 +1,247 @@
+const { exec, spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Security provider adapter for Malwarebytes for Windows (see services/security.js for the adapter shape).
+// Everything that touches the system goes through a provider so it can be swapped for a fake one:
+//   findInstall()           null or { version, directory }        (from the registry's uninstall entries)
+//   readScanReports()       [{ file, modifiedAt, report }]        (parsed JSON from the ScanResults folder)
+//   startScan(install, type) child process running the scan      (emits 'spawn', 'error' and 'exit')
+//   launch(install)         child process running the app window
+// A scan counts as finished once a report newer than its start shows up in the scan results.
+
+const UNINSTALL_KEYS = [
+  'HKLM\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall',
+  'HKLM\\SOFTWARE\\WOW6432Node\\Microsoft\\Windows\\CurrentVersion\\Uninstall',
+  'HKCU\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall'
+];
+
+// Other Malwarebytes products that share the name but are not the scanner
+const OTHER_PRODUCTS = /Browser Guard|AdwCleaner|Privacy|VPN|Endpoint Agent/i;
+
+// mbam.exe switches for each scan type (Malwarebytes cannot be pointed at a single folder)
+const SCAN_ARGS = {
+  threat: ['/scan', '-threat'],
+  quick: ['/scan', '-hyper'],
+  full: ['/scan', '-full']
+};
+
+const REPORT_POLL_INTERVAL_MS = 5000;
+const MAX_REPORTS_READ = 20;
+const SCAN_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+// Function to read `reg query <key> /s` output into [{ key, values: { name: data } }]
+function parseRegQuery(output) {
+  const entries = [];
+  output.split(/\r?\n/).forEach(line => {
+    if (/^HKEY_/.test(line)) {
+      entries.push({ key: line.trim(), values: {} });
+      return;
+    }
+    const match = /^\s+(.+?)\s{4}(REG_\w+)(?:\s{4}(.*))?$/.exec(line);
+    if (match && entries.length > 0) entries[entries.length - 1].values[match[1]] = (match[3] || '').trim();
+  });
+  return entries;
+}
+
+// Function to pick the Malwarebytes scanner out of the uninstall entries; null when it is not installed
+function findMalwarebytesEntry(entries) {
+  const entry = entries.find(({ values }) =>
+    /^Malwarebytes/i.test(values.DisplayName || '') && !OTHER_PRODUCTS.test(values.DisplayName));
+  if (!entry) return null;
+
+  const { DisplayName, DisplayVersion, InstallLocation, DisplayIcon } = entry.values;
+  const version = DisplayVersion || (/version ([\d.]+)/i.exec(DisplayName) || [])[1] || null;
+  // Older installers leave InstallLocation empty; the icon path points into the same folder
+  const icon = DisplayIcon ? DisplayIcon.replace(/^"|"?,\d+$|"$/g, '') : '';
+  const directory = InstallLocation || (icon ? path.win32.dirname(icon) : '');
+  return { version, directory: directory ? directory.replace(/\\+$/, '') : null };
+}
+
+// Function to look up the first of several keys anywhere in a report, breadth first (plain values unless `list`);
+// within one object the names are tried in the order given
+function findReportValue(report, names, list = false) {
+  const queue = [report];
+  while (queue.length > 0) {
+    const object = queue.shift();
+    const keys = Object.keys(object);
+    const key = names
+      .map(name => keys.find(candidate => candidate.toLowerCase() === name.toLowerCase()))
+      .find(candidate => candidate !== undefined && object[candidate] !== null &&
+        (list ? Array.isArray(object[candidate]) : typeof object[candidate] !== 'object'));
+    if (key !== undefined) return object[key];
+    Object.values(object).forEach(value => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) queue.push(value);
+    });
+  }
+  return null;
+}
+
+// Function to turn one scan report into a scan result (report layouts differ between versions,
+// so the fields are looked up by name)
+function parseScanReport(report, fallbackTime) {
+  const toTime = value => {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+  };
+  const toCount = value => {
+    const count = parseInt(value, 10);
+    return Number.isFinite(count) ? count : null;
+  };
+  const threatList = findReportValue(report, ['threats', 'detections'], true);
+
+  return {
+    time: toTime(findReportValue(report, ['scanEndTime', 'endTime', 'scanStartTime', 'startTime', 'dateTime'])) || fallbackTime,
+    type: findReportValue(report, ['scanType', 'type']),
+    result: findReportValue(report, ['scanResult', 'result', 'status']),
+    scanned: toCount(findReportValue(report, ['objectsScanned', 'itemsScanned', 'filesScanned'])),
+    threats: toCount(findReportValue(report, ['threatsDetected', 'itemsDetected', 'detections'])) ??
+      (threatList ? threatList.length : null),
+    quarantined: toCount(findReportValue(report, ['threatsQuarantined', 'itemsQuarantined', 'quarantined'])),
+    detections: (threatList || []).filter(threat => threat && typeof threat === 'object').map(threat => ({
+      name: findReportValue(threat, ['threatName', 'name']),
+      path: findReportValue(threat, ['path', 'objectPath', 'filePath'])
+    }))
+  };
+}
+
+// Function to run a command and return its stdout ('' when it fails)
+function runCommand(command) {
+  return new Promise(resolve => {
+    exec(command, { encoding: 'utf8', timeout: 15000, maxBuffer: 32 * 1024 * 1024 }, (error, stdout) => {
+      resolve(error ? '' : stdout);
+    });
+  });
+}
+
+// The real provider: the registry, %ProgramData%\Malwarebytes and mbam.exe (Windows only)
+const windowsProvider = {
+  async findInstall() {
+    if (process.platform !== 'win32') return null;
+    for (const key of UNINSTALL_KEYS) {
+      const found = findMalwarebytesEntry(parseRegQuery(await runCommand(`reg query "${key}" /s`)));
+      if (found) return found;
+    }
+    return null;
+  },
+
+  async readScanReports() {
+    const directory = path.join(process.env.ProgramData || 'C:\\ProgramData', 'Malwarebytes', 'MBAMService', 'ScanResults');
+    let files;
+    try {
+      files = (await fs.promises.readdir(directory)).filter(file => file.toLowerCase().endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+
+    const stats = await Promise.all(files.map(async file => {
+      const stat = await fs.promises.stat(path.join(directory, file)).catch(() => null);
+      return stat ? { file, modifiedAt: stat.mtimeMs } : null;
+    }));
+    const newest = stats.filter(Boolean).sort((a, b) => b.modifiedAt - a.modifiedAt).slice(0, MAX_REPORTS_READ);
+    const reports = await Promise.all(newest.map(async ({ file, modifiedAt }) => {
+      try {
+        const text = await fs.promises.readFile(path.join(directory, file), 'utf8');
+        return { file, modifiedAt, report: JSON.parse(text.replace(/^\uFEFF/, '')) };
+      } catch (error) {
+        return null; // Still being written
+      }
+    }));
+    return reports.filter(Boolean);
+  },
+
+  startScan(found, type) {
+    return spawn(path.win32.join(found.directory, 'mbam.exe'), SCAN_ARGS[type], { detached: true, stdio: 'ignore' });
+  },
+
+  launch(found) {
+    return spawn(path.win32.join(found.directory, 'mbam.exe'), [], { detached: true, stdio: 'ignore' });
+  }
+};
+
+let provider = windowsProvider;
+
+// Function to swap the provider (a fake one for development); returns the previous provider
+function setMalwarebytesProvider(candidate) {
+  const previous = provider;
+  provider = candidate || windowsProvider;
+  return previous;
+}
+
+// Function to wait until a started program is running (or failed to start), then let it outlive us
+function waitForSpawn(child) {
+  return new Promise((resolve, reject) => {
+    child.once('spawn', () => {
+      if (child.unref) child.unref();
+      resolve(child);
+    });
+    child.once('error', reject);
+  });
+}
+
+// Function to find Malwarebytes; null when it is not installed
+async function detect() {
+  const found = await provider.findInstall();
+  if (!found || !found.directory) return null;
+  return { ...found, warnings: [], details: [`Installed in ${found.directory}`] };
+}
+
+// Function to find the newest finished scan in the reports (including scans Malwarebytes ran on its own schedule)
+async function readLastScan() {
+  const reports = await provider.readScanReports();
+  return reports
+    .map(({ file, modifiedAt, report }) => parseScanReport(report, modifiedAt))
+    .sort((a, b) => b.time - a.time)[0] || null;
+}
+
+// Function to run a scan and resolve with its result once a report newer than its start shows up
+async function startScan({ install, type }) {
+  const child = provider.startScan(install, type);
+  await waitForSpawn(child);
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const finish = (error, result) => {
+      clearInterval(timer);
+      if (error) reject(error); else resolve(result);
+    };
+
+    // mbam.exe may hand the scan to its service and exit at once; only a failure exit ends the wait
+    child.once('exit', code => {
+      if (code) finish(new Error(`Malwarebytes exited with code ${code}`));
+    });
+    timer = setInterval(async () => {
+      const latest = await readLastScan().catch(() => null);
+      if (latest && latest.time >= startedAt) {
+        finish(null, latest);
+      } else if (Date.now() - startedAt > SCAN_TIMEOUT_MS) {
+        finish(new Error('The scan did not report back within 6 hours'));
+      }
+    }, REPORT_POLL_INTERVAL_MS);
+  });
+}
+
+// Function to open the Malwarebytes window
+async function launch(install) {
+  await waitForSpawn(provider.launch(install));
+}
+
+module.exports = {
+  id: 'malwarebytes',
+  name: 'Malwarebytes',
+  platforms: ['win32'],
+  scanTypes: [
+    { id: 'threat', label: 'Threat scan' },
+    { id: 'quick', label: 'Quick scan' },
+    { id: 'full', label: 'Full scan' }
+  ],
+  detect,
+  readLastScan,
+  startScan,
+  launch,
+  setMalwarebytesProvider,
+  parseRegQuery,
+  findMalwarebytesEntry,
+  parseScanReport
+};
@@ -0,0 +1,238 @@
+const http = require('http');
+const net = require('net');
+const os = require('os');
+
+// Optional local HTTP server for scrapers such as Prometheus.
+//   GET /metrics        Prometheus text exposition format (version 0.0.4)
+//   GET /api/snapshot   the same JSON payload the renderer receives from 'get-system-info'
+// The server is off by default; its config ({ enabled, host, port }) is the metricsServer setting.
+// /api/snapshot answers only requests addressed to this machine by IP or by its own name: there is no login, so a
+// web page on a rebound DNS name must not be able to read the full snapshot through the browser.
+
+const METRIC_PREFIX = 'system_monitor';
+
+let config = { enabled: false, host: '127.0.0.1', port: 9464 };
+let server = null;
+let serverError = null;
+let getSnapshot = null;
+
+// Function to escape a label value for the exposition format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Function to render one metric family; samples are [{ labels, value }] and null values are skipped
+function formatFamily(name, type, help, samples) {
+  const lines = samples
+    .filter(sample => typeof sample.value === 'number' && isFinite(sample.value))
+    .map(sample => {
+      const labels = Object.entries(sample.labels || {}).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+      return `${METRIC_PREFIX}_${name}${labels.length ? `{${labels.join(',')}}` : ''} ${sample.value}`;
+    });
+
+  if (lines.length === 0) return [];
+  return [`# HELP ${METRIC_PREFIX}_${name} ${help}`, `# TYPE ${METRIC_PREFIX}_${name} ${type}`, ...lines];
+}
+
+// Function to render a get-system-info snapshot as Prometheus metrics
+function formatPrometheus(snapshot) {
+  const cpuStats = snapshot.cpuStats || { breakdown: null, cores: [] };
+  const interfaces = snapshot.networkThroughput ? snapshot.networkThroughput.interfaces : [];
+  const devices = snapshot.diskIO ? snapshot.diskIO.devices : [];
+  const sensors = snapshot.temperatures ? snapshot.temperatures.sensors : [];
+  const volumes = snapshot.volumes || [];
+  const gpus = snapshot.gpus || [];
+  const plugins = snapshot.plugins || [];
+  const gb = value => typeof value === 'number' ? Math.round(value * (1024 ** 3)) : null;
+  const mb = value => typeof value === 'number' ? Math.round(value * (1024 ** 2)) : null;
+  const perInterface = key => interfaces.map(iface => ({ labels: { interface: iface.name }, value: iface[key] }));
+  const perDevice = key => devices.map(device => ({ labels: { device: device.name }, value: device[key] }));
+  const perVolume = key => volumes.map(volume => ({ labels: { mountpoint: volume.mountPoint, fstype: volume.fsType }, value: gb(volume[key]) }));
+  const perGpu = (key, scale = value => value) => gpus.map(gpu => ({ labels: { gpu: gpu.index, name: gpu.name }, value: scale(gpu[key]) }));
+
+  const families = [
+    formatFamily('info', 'gauge', 'Host information; always 1.', [{
+      labels: { hostname: snapshot.hostname, platform: snapshot.platform, release: snapshot.osRelease, cpu_model: snapshot.cpuModel },
+      value: 1
+    }]),
+    formatFamily('uptime_seconds', 'gauge', 'Seconds since the operating system booted.', [{ value: snapshot.uptimeSeconds }]),
+    formatFamily('load_average', 'gauge', 'System load average.', (snapshot.loadAverage || [])
+      .map((value, index) => ({ labels: { period: ['1m', '5m', '15m'][index] }, value }))),
+
+    // CPU
+    formatFamily('cpu_usage_percent', 'gauge', 'Overall CPU usage.', [{ value: cpuStats.usage }]),
+    formatFamily('cpu_mode_percent', 'gauge', 'Share of CPU time spent in each mode.', Object.entries(cpuStats.breakdown || {})
+      .map(([mode, value]) => ({ labels: { mode }, value }))),
+    formatFamily('cpu_core_usage_percent', 'gauge', 'Usage of each logical core.', cpuStats.cores
+      .map(core => ({ labels: { core: core.index }, value: core.usage }))),
+    formatFamily('cpu_core_frequency_hertz', 'gauge', 'Current clock of each logical core.', cpuStats.cores
+      .map(core => ({ labels: { core: core.index }, value: core.frequencyMHz !== null ? core.frequencyMHz * 1e6 : null }))),
+
+    // Memory
+    formatFamily('memory_total_bytes', 'gauge', 'Installed physical memory.', [{ value: snapshot.totalMemoryBytes }]),
+    formatFamily('memory_used_bytes', 'gauge', 'Physical memory in use.', [{ value: snapshot.usedMemoryBytes }]),
+    formatFamily('memory_usage_percent', 'gauge', 'Physical memory in use, as a share of the total.', [{ value: snapshot.memoryUsage }]),
+
+    // Temperatures
+    formatFamily('temperature_celsius', 'gauge', 'Reading of each thermal sensor.', sensors
+      .map(sensor => ({ labels: { id: sensor.id, sensor: sensor.label, type: sensor.type }, value: sensor.current }))),
+
+    // Disks and volumes
+    formatFamily('disk_read_bytes_total', 'counter', 'Bytes read from each disk since boot.', perDevice('readBytes')),
+    formatFamily('disk_written_bytes_total', 'counter', 'Bytes written to each disk since boot.', perDevice('writeBytes')),
+    formatFamily('disk_reads_completed_total', 'counter', 'Read operations completed on each disk since boot.', perDevice('readsCompleted')),
+    formatFamily('disk_writes_completed_total', 'counter', 'Write operations completed on each disk since boot.', perDevice('writesCompleted')),
+    formatFamily('disk_read_bytes_per_second', 'gauge', 'Current read rate of each disk.', perDevice('readBytesPerSec')),
+    formatFamily('disk_write_bytes_per_second', 'gauge', 'Current write rate of each disk.', perDevice('writeBytesPerSec')),
+    formatFamily('disk_busy_percent', 'gauge', 'Share of time each disk had requests in flight.', perDevice('busyPercent')),
+    formatFamily('disk_queue_depth', 'gauge', 'Average number of queued requests on each disk.', perDevice('queueDepth')),
+    formatFamily('filesystem_size_bytes', 'gauge', 'Size of each mounted volume.', perVolume('totalGB')),
+    formatFamily('filesystem_free_bytes', 'gauge', 'Free space on each mounted volume.', perVolume('freeGB')),
+
+    // Network
+    formatFamily('network_receive_bytes_total', 'counter', 'Bytes received on each interface since boot.', perInterface('rxBytes')),
+    formatFamily('network_transmit_bytes_total', 'counter', 'Bytes sent on each interface since boot.', perInterface('txBytes')),
+    formatFamily('network_receive_errors_total', 'counter', 'Receive errors on each interface since boot.', perInterface('rxErrors')),
+    formatFamily('network_transmit_errors_total', 'counter', 'Transmit errors on each interface since boot.', perInterface('txErrors')),
+    formatFamily('network_receive_drops_total', 'counter', 'Received packets dropped on each interface since boot.', perInterface('rxDropped')),
+    formatFamily('network_transmit_drops_total', 'counter', 'Outgoing packets dropped on each interface since boot.', perInterface('txDropped')),
+    formatFamily('network_receive_bytes_per_second', 'gauge', 'Current download rate of each interface.', perInterface('rxBytesPerSec')),
+    formatFamily('network_transmit_bytes_per_second', 'gauge', 'Current upload rate of each interface.', perInterface('txBytesPerSec')),
+
+    // GPUs
+    formatFamily('gpu_utilization_percent', 'gauge', 'Utilization of each GPU.', perGpu('utilization')),
+    formatFamily('gpu_memory_used_bytes', 'gauge', 'Video memory in use on each GPU.', perGpu('memoryUsedMB', mb)),
+    formatFamily('gpu_memory_total_bytes', 'gauge', 'Video memory on each GPU.', perGpu('memoryTotalMB', mb)),
+    formatFamily('gpu_temperature_celsius', 'gauge', 'Temperature of each GPU.', perGpu('temperature')),
+    formatFamily('gpu_power_watts', 'gauge', 'Power draw of each GPU.', perGpu('powerDrawW')),
+
+    // Collector plugins
+    formatFamily('plugin_value', 'gauge', 'Latest value of each collector plugin metric.', plugins
+      .flatMap(plugin => plugin.metrics.map(metric => ({ labels: { plugin: plugin.id, metric: metric.id, unit: metric.unit }, value: metric.value }))))
+  ];
+
+  return families.flat().join('\n') + '\n';
+}
+
+// Function to check a request's Host header: an IP address, localhost, or this machine's own name
+function isAllowedHost(hostHeader) {
+  if (!hostHeader) return false;
+  let hostname;
+  try {
+    hostname = new URL(`http://${hostHeader}`).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  const bare = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(bare)) return true;
+  const machine = os.hostname().toLowerCase();
+  return ['localhost', machine, `${machine}.local`, String(config.host).toLowerCase()].includes(hostname);
+}
+
+// Function to answer one HTTP request; the body is built before any header is sent, so a failed snapshot
+// can still be answered with a 500
+async function handleRequest(request, response) {
+  const pathname = new URL(request.url, 'http://localhost').pathname;
+
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    response.writeHead(405, { Allow: 'GET, HEAD' });
+    response.end();
+    return;
+  }
+
+  let status = 200;
+  let contentType = 'text/plain; charset=utf-8';
+  let body;
+  try {
+    if (pathname === '/metrics') {
+      contentType = 'text/plain; version=0.0.4; charset=utf-8';
+      body = formatPrometheus(await getSnapshot());
+    } else if (pathname === '/api/snapshot' && !isAllowedHost(request.headers.host)) {
+      status = 403;
+      body = 'Forbidden: address this server by IP address, localhost or its host name\n';
+    } else if (pathname === '/api/snapshot') {
+      contentType = 'application/json; charset=utf-8';
+      body = JSON.stringify(await getSnapshot());
+    } else {
+      status = 404;
+      body = 'Not found. Try /metrics or /api/snapshot\n';
+    }
+  } catch (error) {
+    console.error('Error serving metrics:', error.message);
+    status = 500;
+    contentType = 'text/plain; charset=utf-8';
+    body = `Error collecting metrics: ${error.message}\n`;
+  }
+
+  response.writeHead(status, { 'Content-Type': contentType });
+  response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+// Function to stop the server if it is running
+function stopServer() {
+  if (!server) return Promise.resolve();
+
+  const closing = server;
+  server = null;
+  return new Promise(resolve => closing.close(() => resolve()));
+}
+
+// Function to (re)start or stop the server to match the current config
+async function applyServerConfig() {
+  await stopServer();
+  serverError = null;
+  if (!config.enabled) return;
+
+  const candidate = http.createServer(handleRequest);
+  try {
+    await new Promise((resolve, reject) => {
+      candidate.once('error', reject);
+      candidate.listen(config.port, config.host, resolve);
+    });
+    candidate.on('error', error => console.error('Metrics server error:', error.message));
+    server = candidate;
+  } catch (error) {
+    serverError = error.code === 'EADDRINUSE' ? `Port ${config.port} is already in use` :
+      error.code === 'EADDRNOTAVAIL' ? `${config.host} is not an address of this machine` : error.message;
+    console.error('Error starting metrics server:', serverError);
+  }
+}
+
+// Function to set where snapshots come from; `snapshotProvider` returns (a promise of) the get-system-info payload
+function openMetricsServer(snapshotProvider) {
+  getSnapshot = snapshotProvider;
+}
+
+// Function to apply a validated config ({ enabled, host, port }); restarts the server only when it changed
+async function configureMetricsServer(candidate) {
+  const changed = ['enabled', 'host', 'port'].some(key => candidate[key] !== config[key]);
+  config = { enabled: candidate.enabled, host: candidate.host, port: candidate.port };
+  if (changed || (config.enabled && !server)) await applyServerConfig();
+  return getServerStatus();
+}
+
+// Function to report the config plus whether the server is actually listening
+function getServerStatus() {
+  const host = config.host.includes(':') ? `[${config.host}]` : config.host;
+  return {
+    ...config,
+    running: Boolean(server),
+    error: serverError,
+    url: server ? `http://${host}:${config.port}` : null
+  };
+}
+
+// Function to stop the server when the app quits
+function closeMetricsServer() {
+  return stopServer();
+}
+
+module.exports = {
+  openMetricsServer,
+  configureMetricsServer,
+  getServerStatus,
+  closeMetricsServer,
+  formatPrometheus,
+  isAllowedHost
+};
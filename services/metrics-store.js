@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// On-disk time-series store for every metric the app collects.
+// Samples are appended as NDJSON lines ({ t, m: { metricId: value } }) to one file per UTC day and tier:
+//   raw-YYYY-MM-DD.ndjson    every sample, kept for a day
+//   minute-YYYY-MM-DD.ndjson 1-minute averages, kept for a month
+
+const RETENTION_MS = {
+  raw: 24 * 60 * 60 * 1000,
+  minute: 31 * 24 * 60 * 60 * 1000
+};
+
+// Ranges up to this length are answered from raw samples, longer ones from minute averages
+const RAW_QUERY_LIMIT_MS = 60 * 60 * 1000;
+
+// Raw samples also kept in memory so short ranges do not have to touch the disk
+const RECENT_WINDOW_MS = 60 * 60 * 1000;
+
+let storeDirectory = null;
+let recentSamples = [];
+let currentMinute = null;
+let lastPruneDay = null;
+
+// Metric id -> { label, unit }, refreshed from every recorded snapshot
+const metricInfo = {};
+
+// Function to get the UTC day a timestamp falls on (used in file names)
+function getDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Function to build the path of a tier file for a given day
+function getTierFile(tier, day) {
+  return path.join(storeDirectory, `${tier}-${day}.ndjson`);
+}
+
+// Function to add one metric to a flat sample, skipping values that are not available
+function addMetric(metrics, id, label, unit, value) {
+  if (typeof value !== 'number' || !isFinite(value)) return;
+  metrics[id] = Math.round(value * 100) / 100;
+  metricInfo[id] = { label, unit };
+}
+
+// Function to flatten a get-system-info snapshot into { metricId: number }
+function snapshotToMetrics(snapshot) {
+  const metrics = {};
+
+  addMetric(metrics, 'cpu.usage', 'CPU usage', '%', snapshot.cpuUsage);
+  if (snapshot.cpuStats) {
+    const breakdown = snapshot.cpuStats.breakdown || {};
+    addMetric(metrics, 'cpu.user', 'CPU user time', '%', breakdown.user);
+    addMetric(metrics, 'cpu.system', 'CPU system time', '%', breakdown.system);
+    addMetric(metrics, 'cpu.iowait', 'CPU I/O wait', '%', breakdown.iowait);
+    snapshot.cpuStats.cores.forEach(core => {
+      addMetric(metrics, `cpu.core.${core.index}.usage`, `Core ${core.index} usage`, '%', core.usage);
+      addMetric(metrics, `cpu.core.${core.index}.frequency`, `Core ${core.index} clock`, 'MHz', core.frequencyMHz);
+    });
+  }
+
+  addMetric(metrics, 'memory.usage', 'Memory usage', '%', snapshot.memoryUsage);
+  addMetric(metrics, 'memory.used', 'Memory used', 'GB', parseFloat(snapshot.usedMemory));
+
+  if (snapshot.temperatures) {
+    addMetric(metrics, 'temperature.cpu', 'CPU temperature', '°C', snapshot.temperatures.cpuTemperature);
+    addMetric(metrics, 'temperature.gpu', 'GPU temperature', '°C', snapshot.temperatures.gpuTemperature);
+  }
+
+  (snapshot.gpus || []).forEach(gpu => {
+    addMetric(metrics, `gpu.${gpu.index}.utilization`, `${gpu.name} utilization`, '%', gpu.utilization);
+    addMetric(metrics, `gpu.${gpu.index}.memoryUsed`, `${gpu.name} VRAM used`, 'MB', gpu.memoryUsedMB);
+    addMetric(metrics, `gpu.${gpu.index}.temperature`, `${gpu.name} temperature`, '°C', gpu.temperature);
+    addMetric(metrics, `gpu.${gpu.index}.power`, `${gpu.name} power`, 'W', gpu.powerDrawW);
+  });
+
+  if (snapshot.power && snapshot.power.available) {
+    addMetric(metrics, 'battery.percent', 'Battery charge', '%', snapshot.power.percent);
+    addMetric(metrics, 'battery.power', 'Battery power', 'W', snapshot.power.powerW);
+    // Only while running on the battery, so plugging in ends the low-battery alert
+    if (snapshot.power.status === 'discharging') {
+      addMetric(metrics, 'battery.discharging', 'Battery charge (unplugged)', '%', snapshot.power.percent);
+    }
+  }
+
+  if (snapshot.networkThroughput) {
+    snapshot.networkThroughput.interfaces.forEach(iface => {
+      addMetric(metrics, `network.${iface.name}.rx`, `${iface.name} download`, 'B/s', iface.rxBytesPerSec);
+      addMetric(metrics, `network.${iface.name}.tx`, `${iface.name} upload`, 'B/s', iface.txBytesPerSec);
+    });
+  }
+
+  if (snapshot.diskIO) {
+    snapshot.diskIO.devices.forEach(device => {
+      addMetric(metrics, `disk.${device.name}.read`, `${device.name} read`, 'B/s', device.readBytesPerSec);
+      addMetric(metrics, `disk.${device.name}.write`, `${device.name} write`, 'B/s', device.writeBytesPerSec);
+      addMetric(metrics, `disk.${device.name}.busy`, `${device.name} busy`, '%', device.busyPercent);
+    });
+  }
+
+  (snapshot.volumes || []).forEach(volume => {
+    addMetric(metrics, `volume.${volume.mountPoint}.usage`, `${volume.mountPoint} used`, '%', volume.usagePercentage);
+    addMetric(metrics, `volume.${volume.mountPoint}.free`, `${volume.mountPoint} free`, 'GB', volume.freeGB);
+  });
+
+  (snapshot.plugins || []).forEach(plugin => {
+    plugin.metrics.forEach(metric => {
+      addMetric(metrics, `plugin.${plugin.id}.${metric.id}`, `${plugin.name}: ${metric.label}`, metric.unit, metric.value);
+    });
+  });
+
+  return metrics;
+}
+
+// Function to append a line to a tier file; a failed write only loses that sample
+function appendSample(tier, sample) {
+  try {
+    fs.appendFileSync(getTierFile(tier, getDay(sample.t)), JSON.stringify(sample) + '\n');
+  } catch (error) {
+    console.error(`Error writing ${tier} metrics:`, error.message);
+  }
+}
+
+// Function to write the average of the minute collected so far
+function flushMinute() {
+  if (!currentMinute) return;
+
+  const averages = {};
+  Object.keys(currentMinute.sums).forEach(id => {
+    averages[id] = Math.round(currentMinute.sums[id] / currentMinute.counts[id] * 100) / 100;
+  });
+  appendSample('minute', { t: currentMinute.start, m: averages });
+  currentMinute = null;
+}
+
+// Function to delete tier files that have aged out of their retention window
+function pruneHistory(now = Date.now()) {
+  lastPruneDay = getDay(now);
+
+  let files = [];
+  try {
+    files = fs.readdirSync(storeDirectory);
+  } catch (error) {
+    return;
+  }
+
+  files.forEach(file => {
+    const match = /^(raw|minute)-(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(file);
+    if (!match) return;
+
+    // A day file can be deleted once its last millisecond is older than the retention window
+    const dayEnd = Date.parse(`${match[2]}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    if (dayEnd < now - RETENTION_MS[match[1]]) {
+      try {
+        fs.unlinkSync(path.join(storeDirectory, file));
+      } catch (error) {
+        console.error(`Error removing ${file}:`, error.message);
+      }
+    }
+  });
+}
+
+// Function to open (or create) the store in a directory, usually <userData>/metrics
+function openMetricsStore(directory) {
+  storeDirectory = directory;
+  fs.mkdirSync(storeDirectory, { recursive: true });
+  pruneHistory();
+}
+
+// Function to record one flattened sample (from snapshotToMetrics) in both tiers
+function recordMetrics(metrics, timestamp = Date.now()) {
+  if (!storeDirectory) return;
+
+  const sample = { t: timestamp, m: metrics };
+
+  appendSample('raw', sample);
+  recentSamples.push(sample);
+  while (recentSamples.length > 0 && recentSamples[0].t < timestamp - RECENT_WINDOW_MS) {
+    recentSamples.shift();
+  }
+
+  // Roll the 1-minute average over when the minute changes
+  const minuteStart = Math.floor(timestamp / 60000) * 60000;
+  if (currentMinute && currentMinute.start !== minuteStart) flushMinute();
+  if (!currentMinute) currentMinute = { start: minuteStart, sums: {}, counts: {} };
+  Object.entries(metrics).forEach(([id, value]) => {
+    currentMinute.sums[id] = (currentMinute.sums[id] || 0) + value;
+    currentMinute.counts[id] = (currentMinute.counts[id] || 0) + 1;
+  });
+
+  if (getDay(timestamp) !== lastPruneDay) pruneHistory(timestamp);
+}
+
+// Function to write the partial minute before the app exits
+function closeMetricsStore() {
+  flushMinute();
+}
+
+// Function to read every sample of a tier between two timestamps
+async function readTier(tier, from, to) {
+  const samples = [];
+
+  for (let day = Date.parse(`${getDay(from)}T00:00:00Z`); day <= to; day += 24 * 60 * 60 * 1000) {
+    const file = getTierFile(tier, getDay(day));
+    if (!fs.existsSync(file)) continue;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      try {
+        const sample = JSON.parse(line);
+        if (sample.t >= from && sample.t <= to) samples.push(sample);
+      } catch (error) {
+        // A line cut short by a crash; skip it
+      }
+    }
+  }
+
+  return samples;
+}
+
+// Function to average samples into at most maxPoints time buckets per metric
+function downsample(samples, metrics, from, to, maxPoints) {
+  const bucketMs = Math.max(1, (to - from) / maxPoints);
+  const series = {};
+
+  metrics.forEach(id => {
+    const buckets = new Map();
+    samples.forEach(sample => {
+      const value = sample.m[id];
+      if (value === undefined) return;
+
+      const bucket = Math.floor((sample.t - from) / bucketMs);
+      const entry = buckets.get(bucket) || { time: 0, sum: 0, count: 0 };
+      entry.time += sample.t;
+      entry.sum += value;
+      entry.count += 1;
+      buckets.set(bucket, entry);
+    });
+
+    series[id] = [...buckets.values()].map(entry =>
+      [Math.round(entry.time / entry.count), Math.round(entry.sum / entry.count * 100) / 100]);
+  });
+
+  return series;
+}
+
+// Function to keep every stored point of the requested metrics (exports want full resolution)
+function collectSeries(samples, metrics) {
+  return Object.fromEntries(metrics.map(id => [id, samples
+    .filter(sample => sample.m[id] !== undefined)
+    .map(sample => [sample.t, sample.m[id]])]));
+}
+
+// Function to answer a chart query: { metrics: [ids], from, to, maxPoints, fullResolution }.
+// fullResolution skips the downsampling and uses raw samples for anything still inside the raw retention.
+async function queryHistory({ metrics, from, to = Date.now(), maxPoints = 300, fullResolution = false }) {
+  const now = Date.now();
+  const useRaw = (fullResolution || to - from <= RAW_QUERY_LIMIT_MS) && from >= now - RETENTION_MS.raw;
+  let samples;
+
+  if (useRaw && recentSamples.length > 0 && recentSamples[0].t <= from) {
+    samples = recentSamples.filter(sample => sample.t >= from && sample.t <= to);
+  } else if (useRaw) {
+    samples = await readTier('raw', from, to);
+  } else {
+    samples = await readTier('minute', from, to);
+    // The minute in progress has not been written yet
+    if (currentMinute && currentMinute.start >= from && currentMinute.start <= to) {
+      samples.push({
+        t: currentMinute.start,
+        m: Object.fromEntries(Object.keys(currentMinute.sums)
+          .map(id => [id, currentMinute.sums[id] / currentMinute.counts[id]]))
+      });
+    }
+  }
+
+  return {
+    tier: useRaw ? 'raw' : 'minute',
+    from,
+    to,
+    series: fullResolution ? collectSeries(samples, metrics) : downsample(samples, metrics, from, to, maxPoints)
+  };
+}
+
+// Function to list the metrics seen since the app started, with their labels and units
+function listMetrics() {
+  return Object.entries(metricInfo).map(([id, info]) => ({ id, ...info }));
+}
+
+// Function to get the label and unit of one metric ({ label: id, unit: '' } if it has not been seen)
+function getMetricInfo(id) {
+  return metricInfo[id] || { label: id, unit: '' };
+}
+
+module.exports = {
+  openMetricsStore,
+  closeMetricsStore,
+  recordMetrics,
+  queryHistory,
+  listMetrics,
+  getMetricInfo,
+  snapshotToMetrics,
+  pruneHistory
+};
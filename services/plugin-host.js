@@ -0,0 +1,38 @@
+const { parentPort, workerData } = require('worker_threads');
+
+// Worker that runs one collector plugin (see services/plugins.js), so a slow, crashing or
+// blocking plugin cannot stall the main process.
+//   -> { type: 'manifest', manifest } or { type: 'manifest', error } once the plugin has loaded
+//   <- { type: 'collect', requestId }
+//   -> { type: 'result', requestId, values } or { type: 'result', requestId, error }
+
+// Function to load the plugin and describe it; everything but collect() is plain data
+function loadPlugin(file) {
+  const plugin = require(file);
+  if (!plugin || typeof plugin.collect !== 'function') {
+    throw new Error('Plugin must export an async collect() function');
+  }
+
+  const { id, name, intervalMs, metrics } = plugin;
+  return { plugin, manifest: { id, name, intervalMs, metrics } };
+}
+
+let plugin = null;
+try {
+  const loaded = loadPlugin(workerData.file);
+  plugin = loaded.plugin;
+  parentPort.postMessage({ type: 'manifest', manifest: JSON.parse(JSON.stringify(loaded.manifest)) });
+} catch (error) {
+  parentPort.postMessage({ type: 'manifest', error: error.message });
+}
+
+parentPort.on('message', async (message) => {
+  if (!plugin || message.type !== 'collect') return;
+
+  try {
+    const values = await plugin.collect();
+    parentPort.postMessage({ type: 'result', requestId: message.requestId, values: JSON.parse(JSON.stringify(values || {})) });
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', requestId: message.requestId, error: error.message || String(error) });
+  }
+});
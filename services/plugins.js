@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { addTask, removeTask } = require('./scheduler');
+
+// Collector plugins: extra metrics from .js files (or folders with an index.js) in <userData>/plugins.
+// A plugin module exports
+//   {
+//     id: 'docker', name: 'Docker', intervalMs: 5000,
+//     metrics: [{ id: 'containers.running', label: 'Running containers', unit: '', max: 50, warning: 30, critical: 45 }],
+//     async collect() { return { 'containers.running': 12 }; }
+//   }
+// `max` scales the card's sparkline (the history's own peak when omitted). `warning`/`critical` colour the value;
+// when critical is below warning, lower values are worse (free slots, health scores).
+// Each plugin runs in its own worker thread (services/plugin-host.js) and is polled by the scheduler. A crashed or
+// hung worker is restarted on the next poll. Values appear in snapshots as plugin.<plugin id>.<metric id>, so
+// history, alert rules and exports see them like any built-in metric.
+
+const PLUGIN_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const METRIC_ID_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/i;
+const DEFAULT_INTERVAL_MS = 5000;
+const MIN_INTERVAL_MS = 1000;
+const LOAD_TIMEOUT_MS = 5000;
+const COLLECT_TIMEOUT_MS = 10000;
+const HISTORY_POINTS = 60;
+
+let pluginDirectory = null;
+let plugins = [];
+let nextRequestId = 1;
+
+// Function to check an optional number in a manifest
+function optionalNumber(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'number' || !isFinite(value)) throw new Error(`${name} must be a number`);
+  return value;
+}
+
+// Function to validate what a plugin declared; returns the normalised manifest or throws
+function validateManifest(manifest) {
+  if (typeof manifest.id !== 'string' || !PLUGIN_ID_PATTERN.test(manifest.id)) {
+    throw new Error('Plugin id must be letters, digits, "-" or "_"');
+  }
+
+  const intervalMs = manifest.intervalMs === undefined ? DEFAULT_INTERVAL_MS : manifest.intervalMs;
+  if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS) {
+    throw new Error(`intervalMs must be a whole number of at least ${MIN_INTERVAL_MS}`);
+  }
+
+  if (!Array.isArray(manifest.metrics) || manifest.metrics.length === 0) {
+    throw new Error('Plugin must declare at least one metric');
+  }
+  const seen = new Set();
+  const metrics = manifest.metrics.map((metric, index) => {
+    if (!metric || typeof metric.id !== 'string' || !METRIC_ID_PATTERN.test(metric.id)) {
+      throw new Error(`Metric ${index + 1} needs an id of letters, digits, ".", "-" or "_"`);
+    }
+    if (seen.has(metric.id)) throw new Error(`Metric ${metric.id} is declared twice`);
+    seen.add(metric.id);
+
+    return {
+      id: metric.id,
+      label: typeof metric.label === 'string' && metric.label.trim() ? metric.label.trim() : metric.id,
+      unit: typeof metric.unit === 'string' ? metric.unit : '',
+      max: optionalNumber(metric.max, `${metric.id} max`),
+      warning: optionalNumber(metric.warning, `${metric.id} warning`),
+      critical: optionalNumber(metric.critical, `${metric.id} critical`)
+    };
+  });
+
+  return {
+    id: manifest.id,
+    name: typeof manifest.name === 'string' && manifest.name.trim() ? manifest.name.trim() : manifest.id,
+    intervalMs,
+    metrics
+  };
+}
+
+// Function to rate a value against a metric's declared thresholds
+function getMetricLevel(metric, value) {
+  if (value === null) return 'normal';
+  const lowerIsWorse = metric.warning !== null && metric.critical !== null && metric.critical < metric.warning;
+  const breaches = limit => limit !== null && (lowerIsWorse ? value <= limit : value >= limit);
+  if (breaches(metric.critical)) return 'critical';
+  if (breaches(metric.warning)) return 'warning';
+  return 'normal';
+}
+
+// Function to mark a plugin's worker as gone and fail whatever was waiting on it
+function failWorker(plugin, message) {
+  if (plugin.worker) plugin.worker.terminate().catch(() => {});
+  plugin.worker = null;
+  plugin.pending.forEach(({ reject, timer }) => {
+    clearTimeout(timer);
+    reject(new Error(message));
+  });
+  plugin.pending.clear();
+}
+
+// Function to start a plugin's worker; resolves to the manifest it declared
+function startWorker(plugin) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'plugin-host.js'), {
+      workerData: { file: plugin.file },
+      resourceLimits: { maxOldGenerationSizeMb: 128 }
+    });
+    plugin.worker = worker;
+
+    const loadTimer = setTimeout(() => {
+      failWorker(plugin, 'Plugin did not load in time');
+      reject(new Error(`Plugin did not load within ${LOAD_TIMEOUT_MS / 1000} s`));
+    }, LOAD_TIMEOUT_MS);
+
+    worker.on('message', (message) => {
+      if (message.type === 'manifest') {
+        clearTimeout(loadTimer);
+        if (message.error) {
+          failWorker(plugin, message.error);
+          reject(new Error(message.error));
+        } else {
+          resolve(message.manifest);
+        }
+      } else if (message.type === 'result' && plugin.pending.has(message.requestId)) {
+        const { resolve: answer, reject: fail, timer } = plugin.pending.get(message.requestId);
+        plugin.pending.delete(message.requestId);
+        clearTimeout(timer);
+        if (message.error) fail(new Error(message.error)); else answer(message.values);
+      }
+    });
+
+    // Uncaught errors end the worker; both cases leave it to be restarted on the next poll
+    worker.on('error', (error) => {
+      clearTimeout(loadTimer);
+      if (plugin.worker !== worker) return;
+      failWorker(plugin, `Plugin crashed: ${error.message}`);
+      reject(error);
+    });
+    worker.on('exit', (code) => {
+      clearTimeout(loadTimer);
+      if (plugin.worker !== worker) return;
+      failWorker(plugin, `Plugin exited with code ${code}`);
+      reject(new Error(`Plugin exited with code ${code}`));
+    });
+  });
+}
+
+// Function to ask a plugin's worker for one set of values, restarting the worker if it has gone
+async function requestValues(plugin) {
+  if (!plugin.worker) await startWorker(plugin);
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    const timer = setTimeout(() => {
+      // A plugin that stops answering is probably stuck in a loop; start afresh next time
+      plugin.pending.delete(requestId);
+      failWorker(plugin, 'Plugin stopped responding');
+      reject(new Error(`collect() did not finish within ${COLLECT_TIMEOUT_MS / 1000} s`));
+    }, COLLECT_TIMEOUT_MS);
+    plugin.pending.set(requestId, { resolve, reject, timer });
+    plugin.worker.postMessage({ type: 'collect', requestId });
+  });
+}
+
+// Function to poll one plugin (its scheduler task); failures are kept on the plugin rather than thrown
+async function pollPlugin(plugin) {
+  try {
+    const values = await requestValues(plugin);
+    plugin.metrics.forEach(metric => {
+      const value = values[metric.id];
+      const reading = typeof value === 'number' && isFinite(value) ? value : null;
+      plugin.values[metric.id] = reading;
+
+      const history = plugin.history[metric.id] || (plugin.history[metric.id] = []);
+      history.push(reading !== null ? reading : 0);
+      if (history.length > HISTORY_POINTS) history.shift();
+    });
+    plugin.updatedAt = Date.now();
+    plugin.error = null;
+  } catch (error) {
+    if (plugin.closed) return null;
+    if (plugin.error !== error.message) console.error(`Plugin ${plugin.id}:`, error.message);
+    plugin.error = error.message;
+  }
+  return null;
+}
+
+// Function to find the plugins in the plugins directory (.js files and folders Node can require) as { name, file }
+function listPluginFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && (entry.isDirectory() || entry.name.endsWith('.js')))
+    .map(entry => {
+      try {
+        return { name: path.basename(entry.name, '.js'), file: require.resolve(path.join(directory, entry.name)) };
+      } catch (error) {
+        return null; // A folder without an index.js or package.json "main"
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Function to load every plugin in a directory (created if missing) and start polling them
+async function openPlugins(directory) {
+  pluginDirectory = directory;
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+  } catch (error) {
+    console.error('Error creating plugins directory:', error.message);
+    return getPluginSnapshot();
+  }
+
+  const loaded = await Promise.all(listPluginFiles(directory).map(async ({ name, file }) => {
+    // Until the manifest has loaded the plugin is known by its file or folder name
+    const plugin = {
+      file,
+      source: name,
+      id: name,
+      name: null,
+      intervalMs: null,
+      metrics: [],
+      values: {},
+      history: {},
+      updatedAt: null,
+      error: null,
+      worker: null,
+      pending: new Map()
+    };
+    try {
+      Object.assign(plugin, validateManifest(await startWorker(plugin)));
+    } catch (error) {
+      failWorker(plugin, error.message);
+      plugin.error = error.message;
+      console.error(`Error loading plugin ${name}:`, error.message);
+    }
+    return plugin;
+  }));
+
+  // Ids must be unique; a later duplicate is refused rather than silently merged
+  const ids = new Set();
+  loaded.forEach(plugin => {
+    if (plugin.error) return;
+    if (ids.has(plugin.id)) {
+      failWorker(plugin, 'duplicate id');
+      plugin.metrics = [];
+      plugin.error = `Another plugin already uses the id "${plugin.id}"`;
+      return;
+    }
+    ids.add(plugin.id);
+    addTask(`plugin:${plugin.id}`, plugin.intervalMs, () => pollPlugin(plugin));
+  });
+
+  plugins = loaded;
+  return getPluginSnapshot();
+}
+
+// Function to stop every plugin worker and its polling
+async function closePlugins() {
+  const closing = plugins;
+  plugins = [];
+  closing.forEach(plugin => {
+    plugin.closed = true;
+    removeTask(`plugin:${plugin.id}`);
+    failWorker(plugin, 'Plugins closed');
+  });
+}
+
+// Function to unload and load the plugins again (after adding, removing or editing one)
+async function reloadPlugins() {
+  await closePlugins();
+  return openPlugins(pluginDirectory);
+}
+
+// Function to describe every plugin with its latest values, levels and history for snapshots
+function getPluginSnapshot() {
+  return plugins.map(plugin => ({
+    id: plugin.id,
+    name: plugin.name || plugin.id,
+    source: plugin.source,
+    intervalMs: plugin.intervalMs,
+    updatedAt: plugin.updatedAt,
+    error: plugin.error,
+    metrics: plugin.metrics.map(metric => {
+      const value = plugin.values[metric.id] !== undefined ? plugin.values[metric.id] : null;
+      return {
+        id: metric.id,
+        label: metric.label,
+        unit: metric.unit,
+        max: metric.max,
+        value,
+        level: getMetricLevel(metric, value),
+        history: [...(plugin.history[metric.id] || [])]
+      };
+    })
+  }));
+}
+
+// Function to get the folder plugins are loaded from
+function getPluginDirectory() {
+  return pluginDirectory;
+}
+
+module.exports = {
+  openPlugins,
+  closePlugins,
+  reloadPlugins,
+  getPluginSnapshot,
+  getPluginDirectory,
+  validateManifest
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Remote agents the Hosts view watches, kept in <userData>/hosts.json as { version, hosts }.
+// A host is { id, name, address, port, token }; the dashboard connects to ws://<address>:<port>/agent itself.
+
+const HOST_NAME_MAX_LENGTH = 40;
+
+let hostsFile = null;
+let hosts = [];
+
+// Function to fill in the optional fields of a host and check the rest
+function normalizeHost(host) {
+  if (!host || typeof host !== 'object') throw new Error('Every host must be an object');
+
+  const address = typeof host.address === 'string' ? host.address.trim().replace(/^\[(.*)\]$/, '$1') : '';
+  if (!address || /[\s/]/.test(address)) throw new Error('Every host needs an address (a name or IP, without ws:// or a path)');
+  if (!Number.isInteger(host.port) || host.port < 1 || host.port > 65535) {
+    throw new Error(`Host ${address}: port must be between 1 and 65535`);
+  }
+  if (typeof host.token !== 'string' || !host.token.trim()) throw new Error(`Host ${address}: the agent's token is required`);
+
+  const name = typeof host.name === 'string' && host.name.trim() ? host.name.trim() : address;
+  if (name.length > HOST_NAME_MAX_LENGTH) throw new Error(`Host ${address}: name must be at most ${HOST_NAME_MAX_LENGTH} characters`);
+
+  return {
+    id: typeof host.id === 'string' && host.id ? host.id : crypto.randomUUID(),
+    name,
+    address,
+    port: host.port,
+    token: host.token.trim()
+  };
+}
+
+// Function to validate a full host list (throws on the first bad host or duplicate)
+function validateHosts(candidates) {
+  if (!Array.isArray(candidates)) throw new Error('Hosts must be a list');
+
+  const normalized = candidates.map(normalizeHost);
+  const ids = new Set();
+  const endpoints = new Set();
+  normalized.forEach(host => {
+    const endpoint = `${host.address.toLowerCase()}:${host.port}`;
+    if (ids.has(host.id)) throw new Error(`Duplicate host id: ${host.id}`);
+    if (endpoints.has(endpoint)) throw new Error(`${host.address}:${host.port} is already in the list`);
+    ids.add(host.id);
+    endpoints.add(endpoint);
+  });
+  return normalized;
+}
+
+// Function to open the hosts file in a directory, usually userData; a missing or invalid file means no hosts
+function openRemoteHosts(directory) {
+  hostsFile = path.join(directory, 'hosts.json');
+  try {
+    hosts = validateHosts(JSON.parse(fs.readFileSync(hostsFile, 'utf8')).hosts);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading remote hosts:', error.message);
+    hosts = [];
+  }
+}
+
+// Function to get a copy of the saved hosts
+function getRemoteHosts() {
+  return hosts.map(host => ({ ...host }));
+}
+
+// Function to replace the host list (validated first) and save it
+function saveRemoteHosts(candidates) {
+  const validated = validateHosts(candidates);
+  fs.writeFileSync(hostsFile, JSON.stringify({ version: 1, hosts: validated }, null, 2));
+  hosts = validated;
+  return getRemoteHosts();
+}
+
+module.exports = {
+  openRemoteHosts,
+  getRemoteHosts,
+  saveRemoteHosts
+};
@@ -0,0 +1,107 @@
+// Background sampling for the main process: each task runs on its own cadence, off the IPC request path,
+// and keeps its latest result for whoever builds the next snapshot.
+// A task with a null interval runs once (static hardware). Runs of one task never overlap: the next run is
+// scheduled when the current one finishes, and runTask() during a run shares that run's promise.
+
+const tasks = new Map();
+let running = false;
+
+// Function to register a task; `run` receives the previous result and returns (a promise of) the new one
+// (tasks added while the scheduler runs start straight away)
+function addTask(name, intervalMs, run) {
+  const task = { name, intervalMs, run, result: null, updatedAt: 0, startedAt: 0, error: null, pending: null, timer: null };
+  tasks.set(name, task);
+  if (running && intervalMs !== null) scheduleTask(task);
+}
+
+// Function to drop a task; a run in progress finishes but is not rescheduled
+function removeTask(name) {
+  const task = tasks.get(name);
+  if (!task) return;
+  clearTimeout(task.timer);
+  task.intervalMs = null;
+  tasks.delete(name);
+}
+
+// Function to queue the next run of a task, keeping its cadence from when the last run started
+function scheduleTask(task) {
+  clearTimeout(task.timer);
+  task.timer = null;
+  if (!running || task.intervalMs === null || task.pending) return;
+
+  const delay = Math.max(0, task.startedAt + task.intervalMs - Date.now());
+  task.timer = setTimeout(() => runTask(task.name), delay);
+}
+
+// Function to run a task now (or join the run in progress); resolves to its latest result
+function runTask(name) {
+  const task = tasks.get(name);
+  if (!task) return Promise.reject(new Error(`Unknown task: ${name}`));
+  if (task.pending) return task.pending;
+
+  clearTimeout(task.timer);
+  task.startedAt = Date.now();
+  task.pending = (async () => {
+    try {
+      task.result = await task.run(task.result);
+      task.updatedAt = Date.now();
+      task.error = null;
+    } catch (error) {
+      // Keep the previous result; a failed probe should not blank the dashboard
+      task.error = error.message;
+      console.error(`Error in ${name} task:`, error.message);
+    } finally {
+      task.pending = null;
+      scheduleTask(task);
+    }
+    return task.result;
+  })();
+  return task.pending;
+}
+
+// Function to get the latest result of a task (null until it has run)
+function getTaskResult(name) {
+  const task = tasks.get(name);
+  return task ? task.result : null;
+}
+
+// Function to change how often a task runs; takes effect from its next run
+function setTaskInterval(name, intervalMs) {
+  const task = tasks.get(name);
+  if (!task || task.intervalMs === intervalMs) return;
+  task.intervalMs = intervalMs;
+  scheduleTask(task);
+}
+
+// Function to start every task; one-off tasks that already ran are not repeated
+function startScheduler() {
+  if (running) return;
+  running = true;
+  tasks.forEach(task => {
+    // Periodic tasks that are overdue (or never ran) start straight away
+    if (task.intervalMs !== null) {
+      scheduleTask(task);
+    } else if (task.updatedAt === 0 && !task.pending) {
+      runTask(task.name);
+    }
+  });
+}
+
+// Function to stop scheduling runs (a run in progress still finishes and keeps its result)
+function stopScheduler() {
+  running = false;
+  tasks.forEach(task => {
+    clearTimeout(task.timer);
+    task.timer = null;
+  });
+}
+
+module.exports = {
+  addTask,
+  removeTask,
+  runTask,
+  getTaskResult,
+  setTaskInterval,
+  startScheduler,
+  stopScheduler
+};
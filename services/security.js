@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { addTask, runTask } = require('./scheduler');
+
+// Security providers behind the Security card and the sidebar's Health line. Each adapter module exports
+//   { id, name, platforms, scanTypes: [{ id, label, needsPath }], detect(), readLastScan(install),
+//     startScan({ install, type, target, onProgress }), launch(install) (optional) }
+// detect() resolves to null when the product is missing, or { version, warnings, details, ... } with anything
+// the adapter needs later. startScan() resolves with a scan result once the scan has finished:
+//   { time, type, result, scanned, threats, quarantined, detections: [{ name, path }] }
+// and may call onProgress({ scanned, threats, current }) while it runs. The last result of every scan run
+// from here is kept in <userData>/security.json, for products (ClamAV) that keep no scan log of their own.
+
+const ADAPTERS = [require('./malwarebytes'), require('./defender'), require('./clamav')];
+
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// Scans older than this turn the Health line yellow
+const SCAN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let securityFile = null;
+let storedScans = {};
+let selectedProvider = 'auto';
+let installs = {};
+let lastScans = {};
+let checkedAt = null;
+let scan = null;
+
+// Function to list the adapters that can run on this platform
+function getAdapters() {
+  return ADAPTERS.filter(adapter => adapter.platforms.includes(process.platform));
+}
+
+// Function to pick the provider in use: the chosen one, or with 'auto' the first one installed
+function getActiveAdapter() {
+  if (selectedProvider !== 'auto') return ADAPTERS.find(adapter => adapter.id === selectedProvider) || null;
+  return getAdapters().find(adapter => installs[adapter.id]) || null;
+}
+
+// Function to keep the newer of two scan results
+function newerScan(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return b.time > a.time ? b : a;
+}
+
+// Function to detect every provider and read its last scan (scheduler task; also run after a scan)
+async function refreshSecurity() {
+  await Promise.all(getAdapters().map(async adapter => {
+    try {
+      const install = await adapter.detect();
+      installs[adapter.id] = install;
+      lastScans[adapter.id] = newerScan(install ? await adapter.readLastScan(install) : null, storedScans[adapter.id]);
+    } catch (error) {
+      console.error(`Error checking ${adapter.name}:`, error.message);
+      installs[adapter.id] = null;
+    }
+  }));
+  checkedAt = Date.now();
+  return getSecurityStatus();
+}
+
+// Function to save the result of a scan run from here
+function storeScan(providerId, result) {
+  storedScans[providerId] = result;
+  if (!securityFile) return;
+  try {
+    fs.writeFileSync(securityFile, JSON.stringify({ version: 1, scans: storedScans }, null, 2));
+  } catch (error) {
+    console.error('Error saving the last scan:', error.message);
+  }
+}
+
+// Function to rate the active provider's state for the Health line: { status, summary, details }
+function rateSecurity(provider, lastScan, running, now = Date.now()) {
+  if (!provider) return { status: 'unknown', summary: 'No security scanner found', details: ['Install Malwarebytes, ClamAV or turn on Microsoft Defender'] };
+  if (!provider.installed) return { status: 'unknown', summary: `${provider.name} not found`, details: [] };
+
+  const details = [...provider.warnings];
+  if (lastScan) {
+    details.push(`Last scan: ${lastScan.type || 'scan'} on ${new Date(lastScan.time).toLocaleString()} (${lastScan.result || 'finished'})`);
+    details.push(...lastScan.detections.map(detection => `${detection.name || 'Threat'}${detection.path ? `: ${detection.path}` : ''}`));
+  }
+
+  if (lastScan && lastScan.threats > 0) {
+    return { status: 'critical', summary: `${lastScan.threats} threat${lastScan.threats === 1 ? '' : 's'} in last scan`, details };
+  }
+  if (running) return { status: lastScan ? 'ok' : 'unknown', summary: 'Scanning...', details };
+  if (!lastScan) return { status: 'warning', summary: 'Never scanned', details };
+  if (now - lastScan.time > SCAN_MAX_AGE_MS) {
+    return { status: 'warning', summary: `Last scanned ${Math.floor((now - lastScan.time) / 86400000)} days ago`, details };
+  }
+  if (provider.warnings.length > 0) return { status: 'warning', summary: provider.warnings[0], details };
+  return { status: 'ok', summary: 'Recently scanned, no threats', details };
+}
+
+// Function to start a scan with the active provider; the scan runs on in the background
+async function startSecurityScan({ type, target } = {}) {
+  if (scan && scan.status === 'running') throw new Error('A scan is already running');
+  if (!checkedAt) await refreshSecurity();
+
+  const adapter = getActiveAdapter();
+  if (!adapter || !installs[adapter.id]) throw new Error(adapter ? `${adapter.name} is not installed` : 'No security scanner found');
+  const scanType = adapter.scanTypes.find(candidate => candidate.id === type);
+  if (!scanType) throw new Error(`${adapter.name} has no scan type ${type}`);
+
+  let scanTarget = null;
+  if (scanType.needsPath) {
+    if (typeof target !== 'string' || !target.trim()) throw new Error('Choose a file or folder to scan');
+    scanTarget = path.resolve(target.trim());
+    if (!fs.existsSync(scanTarget)) throw new Error(`${scanTarget} does not exist`);
+  }
+
+  const started = {
+    provider: adapter.id,
+    type,
+    target: scanTarget,
+    status: 'running',
+    message: `${scanType.label} running${scanTarget ? ` on ${scanTarget}` : ''}`,
+    startedAt: Date.now(),
+    finishedAt: null,
+    progress: null,
+    result: null
+  };
+  scan = started;
+
+  adapter.startScan({
+    install: installs[adapter.id],
+    type,
+    target: scanTarget,
+    onProgress: progress => {
+      started.progress = progress;
+    }
+  }).then(result => {
+    lastScans[adapter.id] = result;
+    storeScan(adapter.id, result);
+    const threats = result.threats === null ? 'threat count unknown' : `${result.threats} threat${result.threats === 1 ? '' : 's'} found`;
+    scan = { ...started, status: 'completed', message: `${scanType.label} finished: ${threats}`, finishedAt: Date.now(), result };
+  }).catch(error => {
+    scan = { ...started, status: 'failed', message: error.message, finishedAt: Date.now() };
+  });
+
+  return getSecurityStatus();
+}
+
+// Function to open the active provider's own window
+async function launchSecurityApp() {
+  if (!checkedAt) await refreshSecurity();
+  const adapter = getActiveAdapter();
+  if (!adapter || !installs[adapter.id]) throw new Error(adapter ? `${adapter.name} is not installed` : 'No security scanner found');
+  if (!adapter.launch) throw new Error(`${adapter.name} has no window to open`);
+  await adapter.launch(installs[adapter.id]);
+  return `${adapter.name} opened`;
+}
+
+// Function to describe one provider for the card
+function describeProvider(adapter) {
+  const install = installs[adapter.id] || null;
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    installed: Boolean(install),
+    version: install ? install.version : null,
+    warnings: install ? install.warnings : [],
+    details: install ? install.details : [],
+    scanTypes: adapter.scanTypes,
+    canLaunch: Boolean(adapter.launch)
+  };
+}
+
+// Function to report every provider, the active one's last scan, the scan in progress and the Health rating
+function getSecurityStatus() {
+  const active = getActiveAdapter();
+  const providers = getAdapters().map(describeProvider);
+  const provider = active ? describeProvider(active) : null;
+  const lastScan = active ? lastScans[active.id] || null : null;
+  const currentScan = scan ? { ...scan, elapsedMs: (scan.finishedAt || Date.now()) - scan.startedAt } : null;
+  const running = Boolean(currentScan && currentScan.status === 'running');
+
+  return {
+    selected: selectedProvider,
+    provider,
+    providers,
+    lastScan,
+    scan: currentScan,
+    rating: { ...rateSecurity(provider, lastScan, running), checkedAt },
+    checkedAt
+  };
+}
+
+// Function to apply the security setting ({ provider: 'auto' or an adapter id })
+function configureSecurity(candidate) {
+  selectedProvider = candidate.provider;
+}
+
+// Function to load the stored scans from a directory, usually userData, and start checking the providers
+function openSecurity(directory) {
+  securityFile = path.join(directory, 'security.json');
+  try {
+    storedScans = JSON.parse(fs.readFileSync(securityFile, 'utf8')).scans || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading the last scans:', error.message);
+    storedScans = {};
+  }
+
+  addTask('security', REFRESH_INTERVAL_MS, refreshSecurity);
+  return runTask('security');
+}
+
+module.exports = {
+  openSecurity,
+  configureSecurity,
+  refreshSecurity,
+  getSecurityStatus,
+  startSecurityScan,
+  launchSecurityApp,
+  rateSecurity
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+// User preferences, kept in <userData>/settings.json as { version, ...settings }.
+// SETTINGS_SCHEMA describes every setting; leaves have a type, a default and optional limits.
+// Files written by older versions are brought up to date by MIGRATIONS, keyed by the version they upgrade from.
+// Alert thresholds are not duplicated here: they stay in the alert rules (services/alerts.js).
+
+const SETTINGS_VERSION = 1;
+
+const CARD_IDS = [
+  'cpu', 'memory', 'storage', 'gpu', 'network', 'security', 'hardware', 'health', 'battery', 'plugins', 'hosts', 'history', 'alerts', 'processes'
+];
+
+const SETTINGS_SCHEMA = {
+  displayName: { type: 'string', default: '', maxLength: 20 },
+  refreshIntervalMs: { type: 'integer', default: 2000, min: 500, max: 60000 },
+  units: {
+    size: { type: 'enum', default: 'GiB', values: ['GB', 'GiB'] },
+    temperature: { type: 'enum', default: 'C', values: ['C', 'F'] }
+  },
+  cards: Object.fromEntries(CARD_IDS.map(id => [id, { type: 'boolean', default: true }])),
+  startOnLogin: { type: 'boolean', default: false },
+  window: {
+    rememberBounds: { type: 'boolean', default: true },
+    alwaysOnTop: { type: 'boolean', default: false },
+    startMinimized: { type: 'boolean', default: false },
+    closeToTray: { type: 'boolean', default: false },
+    bounds: { type: 'bounds', default: null }
+  },
+  metricsServer: {
+    enabled: { type: 'boolean', default: false },
+    host: { type: 'string', default: '127.0.0.1', minLength: 1 },
+    port: { type: 'integer', default: 9464, min: 1, max: 65535 }
+  },
+  agent: {
+    enabled: { type: 'boolean', default: false },
+    host: { type: 'string', default: '0.0.0.0', minLength: 1 },
+    port: { type: 'integer', default: 9475, min: 1, max: 65535 },
+    token: { type: 'string', default: '', maxLength: 128 }
+  },
+  security: {
+    provider: { type: 'enum', default: 'auto', values: ['auto', 'malwarebytes', 'defender', 'clamav'] }
+  },
+  // What the dashboard cards show when there is more than one to choose from ('auto' and '' pick for you)
+  selections: {
+    networkInterface: { type: 'string', default: 'auto', maxLength: 256 },
+    primaryVolume: { type: 'string', default: '', maxLength: 4096 },
+    diskDevice: { type: 'string', default: 'auto', maxLength: 256 },
+    gpuDevice: { type: 'integer', default: 0, min: 0, max: 63 },
+    historyMetric: { type: 'string', default: 'cpu.usage', minLength: 1, maxLength: 256 },
+    historyRange: { type: 'enum', default: 3600000, values: [60000, 3600000, 86400000, 604800000] }
+  }
+};
+
+// Upgrades from each old version to the next one; each returns the upgraded object
+const MIGRATIONS = {
+  // Before the settings file existed the metrics endpoint kept its own file
+  0: (data, directory) => {
+    const legacyFile = path.join(directory, 'metrics-server.json');
+    try {
+      data.metricsServer = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      fs.unlinkSync(legacyFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Error migrating metrics endpoint settings:', error.message);
+    }
+    return data;
+  }
+};
+
+let settingsFile = null;
+let settings = null;
+
+// Function to tell whether a schema node is a single setting rather than a group
+function isLeaf(node) {
+  return typeof node.type === 'string';
+}
+
+// Function to build the default settings from the schema
+function getDefaults(schema = SETTINGS_SCHEMA) {
+  return Object.fromEntries(Object.entries(schema).map(([key, node]) =>
+    [key, isLeaf(node) ? node.default : getDefaults(node)]));
+}
+
+// Function to check one value against its schema entry; returns an error message or null
+function checkValue(node, value) {
+  switch (node.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      if (value < node.min || value > node.max) return `must be between ${node.min} and ${node.max}`;
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return 'must be text';
+      if (node.minLength && value.trim().length < node.minLength) return 'is required';
+      if (node.maxLength && value.length > node.maxLength) return `must be at most ${node.maxLength} characters`;
+      return null;
+    case 'enum':
+      return node.values.includes(value) ? null : `must be one of ${node.values.join(', ')}`;
+    case 'bounds':
+      if (value === null) return null;
+      return value && ['x', 'y', 'width', 'height'].every(key => Number.isInteger(value[key])) && value.width > 0 && value.height > 0 ?
+        null : 'must be null or { x, y, width, height }';
+    default:
+      return `has unknown type ${node.type}`;
+  }
+}
+
+// Function to merge candidate values over a base, following the schema. With `strict` the first bad value
+// throws; otherwise bad or missing values keep the base value. Keys not in the schema are dropped.
+function mergeSettings(base, candidate, strict, schema = SETTINGS_SCHEMA, prefix = '') {
+  const source = candidate && typeof candidate === 'object' ? candidate : {};
+
+  return Object.fromEntries(Object.entries(schema).map(([key, node]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (!isLeaf(node)) return [key, mergeSettings(base[key], source[key], strict, node, name)];
+    if (source[key] === undefined) return [key, base[key]];
+
+    const value = typeof source[key] === 'string' && node.type === 'string' ? source[key].trim() : source[key];
+    const problem = checkValue(node, value);
+    if (!problem) return [key, value];
+    if (strict) throw new Error(`Setting ${name} ${problem}`);
+    console.error(`Ignoring invalid setting ${name} (${problem})`);
+    return [key, base[key]];
+  }));
+}
+
+// Function to write the current settings to disk
+function writeSettings() {
+  fs.writeFileSync(settingsFile, JSON.stringify({ version: SETTINGS_VERSION, ...settings }, null, 2));
+}
+
+// Function to load (and if needed migrate) the settings file in a directory, usually userData
+function openSettings(directory) {
+  settingsFile = path.join(directory, 'settings.json');
+
+  let data = {};
+  let version = 0;
+  try {
+    data = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+    version = Number.isInteger(data.version) ? data.version : 0;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading settings, using defaults:', error.message);
+  }
+
+  const migrated = version < SETTINGS_VERSION;
+  for (let from = version; from < SETTINGS_VERSION; from++) {
+    data = MIGRATIONS[from](data, directory);
+  }
+
+  // Values a newer version wrote, or that were edited by hand into something invalid, fall back to defaults
+  settings = mergeSettings(getDefaults(), data, false);
+  if (migrated) {
+    try {
+      writeSettings();
+    } catch (error) {
+      console.error('Error saving migrated settings:', error.message);
+    }
+  }
+  return getSettings();
+}
+
+// Function to get a copy of the current settings
+function getSettings() {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+// Function to apply a partial update ({ units: { temperature: 'F' } }); throws on the first invalid value
+function updateSettings(patch) {
+  settings = mergeSettings(settings, patch, true);
+  writeSettings();
+  return getSettings();
+}
+
+module.exports = {
+  SETTINGS_VERSION,
+  SETTINGS_SCHEMA,
+  CARD_IDS,
+  openSettings,
+  getSettings,
+  updateSettings
+};
@@ -0,0 +1,141 @@
+const { Tray, Menu, nativeImage } = require('electron');
+
+// System tray icon showing live CPU and memory usage.
+// The icon itself is two bars (CPU in blue, memory in green) redrawn from every snapshot;
+// the tooltip and the context menu carry the numbers.
+
+const ICON_SIZE = 16;
+const CPU_COLOR = [0x60, 0xa5, 0xfa];
+const MEMORY_COLOR = [0x34, 0xd3, 0x99];
+const TRACK_COLOR = [0x3a, 0x3a, 0x3a];
+// Windows cuts tray tooltips off at 127 characters; the context menu has room for everything
+const MAX_TOOLTIP_LENGTH = 127;
+
+let tray = null;
+let handlers = null;
+let lastSnapshot = null;
+let paused = false;
+let units = { size: 'GiB', temperature: 'C' };
+
+// Function to format a Celsius reading in the unit chosen in Settings
+function formatTemperature(celsius) {
+  return units.temperature === 'F' ? `${Math.round(celsius * 9 / 5 + 32)}°F` : `${Math.round(celsius)}°C`;
+}
+
+// Function to format a size reported in 1024-based gigabytes in the unit chosen in Settings
+function formatSize(gigabytes) {
+  const value = parseFloat(gigabytes);
+  return units.size === 'GiB' ? `${value.toFixed(1)} GiB` : `${(value * (1024 ** 3) / 1e9).toFixed(1)} GB`;
+}
+
+// Function to draw the two usage bars as a 16x16 BGRA bitmap
+function createUsageIcon(cpuUsage, memoryUsage) {
+  const bitmap = Buffer.alloc(ICON_SIZE * ICON_SIZE * 4);
+  const bars = [
+    { left: 1, usage: cpuUsage, color: CPU_COLOR },
+    { left: 9, usage: memoryUsage, color: MEMORY_COLOR }
+  ];
+
+  bars.forEach(({ left, usage, color }) => {
+    const filled = Math.round(Math.max(0, Math.min(100, usage || 0)) / 100 * ICON_SIZE);
+    for (let y = 0; y < ICON_SIZE; y++) {
+      const [red, green, blue] = y >= ICON_SIZE - filled ? color : TRACK_COLOR;
+      for (let x = left; x < left + 6; x++) {
+        const offset = (y * ICON_SIZE + x) * 4;
+        bitmap[offset] = blue;
+        bitmap[offset + 1] = green;
+        bitmap[offset + 2] = red;
+        bitmap[offset + 3] = 0xff;
+      }
+    }
+  });
+
+  return nativeImage.createFromBitmap(bitmap, { width: ICON_SIZE, height: ICON_SIZE });
+}
+
+// Function to describe the latest snapshot in one line per reading
+function describeSnapshot(snapshot) {
+  if (!snapshot) return ['Waiting for the first reading...'];
+
+  const lines = [
+    `CPU: ${Math.round(snapshot.cpuUsage)}%`,
+    `Memory: ${Math.round(snapshot.memoryUsage)}% (${formatSize(snapshot.usedMemory)} of ${formatSize(snapshot.totalMemory)})`
+  ];
+  if (snapshot.cpuTemperature !== null && snapshot.cpuTemperature !== undefined) {
+    lines.push(`CPU temperature: ${formatTemperature(snapshot.cpuTemperature)}`);
+  }
+  if (snapshot.storageUsage !== null && snapshot.storageUsage !== undefined) {
+    lines.push(`Storage (${snapshot.systemVolume}): ${Math.round(snapshot.storageUsage)}% used`);
+  }
+  return lines;
+}
+
+// Function to fit the tooltip in MAX_TOOLTIP_LENGTH, dropping the readings that do not fit whole
+function buildTooltip(stats) {
+  const title = `System Monitor${paused ? ' (paused)' : ''}`;
+  return stats.reduce((text, line) => {
+    const next = `${text}\n${line}`;
+    return next.length <= MAX_TOOLTIP_LENGTH ? next : text;
+  }, title);
+}
+
+// Function to rebuild the context menu and tooltip from the current state
+function refreshTray() {
+  if (!tray) return;
+
+  const stats = describeSnapshot(lastSnapshot);
+  tray.setToolTip(buildTooltip(stats));
+  tray.setContextMenu(Menu.buildFromTemplate([
+    ...stats.map(label => ({ label, enabled: false })),
+    { type: 'separator' },
+    { label: paused ? 'Resume Monitoring' : 'Pause Monitoring', click: () => handlers.onTogglePause() },
+    { label: 'Open Dashboard', click: () => handlers.onShow() },
+    { type: 'separator' },
+    { label: 'Quit', click: () => handlers.onQuit() }
+  ]));
+}
+
+// Function to create the tray icon; handlers are { onShow, onTogglePause, onQuit }
+function createTray(trayHandlers) {
+  handlers = trayHandlers;
+  try {
+    tray = new Tray(createUsageIcon(0, 0));
+  } catch (error) {
+    // Some Linux desktops have no tray; the app works without it
+    console.error('Error creating tray icon:', error.message);
+    tray = null;
+    return;
+  }
+
+  tray.on('click', () => handlers.onShow());
+  refreshTray();
+}
+
+// Function to show a new snapshot in the icon, tooltip and menu, using the units from Settings
+function updateTray(snapshot, displayUnits) {
+  lastSnapshot = snapshot;
+  units = displayUnits;
+  if (!tray) return;
+
+  tray.setImage(createUsageIcon(snapshot.cpuUsage, snapshot.memoryUsage));
+  refreshTray();
+}
+
+// Function to reflect whether monitoring is paused
+function setTrayPaused(isPaused) {
+  paused = isPaused;
+  refreshTray();
+}
+
+// Function to remove the icon when the app quits
+function destroyTray() {
+  if (tray) tray.destroy();
+  tray = null;
+}
+
+module.exports = {
+  createTray,
+  updateTray,
+  setTrayPaused,
+  destroyTray
+};
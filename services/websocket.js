@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Minimal server side of the WebSocket protocol (RFC 6455) for the remote agent: text messages, ping/pong
+// and the closing handshake. Browsers and Node's WebSocket client can connect; no extensions are negotiated.
+// A connection is an EventEmitter with send(text), ping(), close(code, reason) and terminate(), emitting
+// 'message' (text), 'pong' and 'close' (code, reason).
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+// Function to check a close code a peer may send (RFC 6455 7.4): the defined protocol codes, minus the ones
+// reserved for reporting locally (1005, 1006, 1015), plus the 3000-4999 range for libraries and applications
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+}
+
+// Function to build one unmasked frame (servers never mask)
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Function to read one frame from the start of a buffer; returns null until the whole frame has arrived
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const longLength = buffer.readBigUInt64BE(2);
+    length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) return { fin, opcode, masked, tooLarge: true };
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, masked, payload, size: offset + length };
+}
+
+// Function to complete the opening handshake for an HTTP 'upgrade' request; returns the connection,
+// or null after answering 400 when the request is not a valid WebSocket handshake
+function acceptWebSocket(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  const connection = new EventEmitter();
+  connection.remoteAddress = socket.remoteAddress;
+  let pending = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  const finish = (code, reason) => {
+    if (closed) return;
+    closed = true;
+    connection.emit('close', code, reason);
+  };
+
+  connection.send = (text) => {
+    if (!closed && socket.writable) socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+  };
+  connection.ping = () => {
+    if (!closed && socket.writable) socket.write(encodeFrame(OPCODES.ping));
+  };
+  connection.close = (code = 1000, reason = '') => {
+    if (closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    if (socket.writable) socket.end(encodeFrame(OPCODES.close, payload));
+    finish(code, reason);
+  };
+  connection.terminate = () => {
+    socket.destroy();
+    finish(1006, '');
+  };
+
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+
+    let frame;
+    while (!closed && (frame = decodeFrame(pending))) {
+      // Clients must mask every frame and may not send more than the agent ever expects
+      if (frame.tooLarge) return connection.close(1009, 'Message too large');
+      if (!frame.masked) return connection.close(1002, 'Frames from clients must be masked');
+      pending = pending.subarray(frame.size);
+
+      switch (frame.opcode) {
+        case OPCODES.text:
+        case OPCODES.binary:
+        case OPCODES.continuation: {
+          fragments.push(frame.payload);
+          if (fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+            return connection.close(1009, 'Message too large');
+          }
+          if (frame.fin) {
+            const message = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            connection.emit('message', message);
+          }
+          break;
+        }
+        case OPCODES.ping:
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+          break;
+        case OPCODES.pong:
+          connection.emit('pong');
+          break;
+        case OPCODES.close: {
+          // An empty close frame carries no code; otherwise echo the peer's code when it is one it may send
+          if (frame.payload.length === 0) {
+            connection.close(1000);
+          } else {
+            const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : null;
+            if (code !== null && isValidCloseCode(code)) connection.close(code);
+            else connection.close(1002, 'Invalid close code');
+          }
+          break;
+        }
+        default:
+          connection.close(1002, 'Unknown opcode');
+      }
+    }
+  });
+  socket.on('close', () => finish(1006, ''));
+  socket.on('error', () => socket.destroy());
+
+  return connection;
+}
+
+module.exports = {
+  acceptWebSocket,
+  encodeFrame,
+  decodeFrame,
+  isValidCloseCode
+};
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_ALERT_RULES,
+  ALERT_RULES_VERSION,
+  openAlerts,
+  saveRules,
+  getRules,
+  validateRules,
+  evaluateAlerts,
+  getThresholdLevels,
+  getActiveAlerts,
+  getAlertLog,
+  compileRules
+} = require('../services/alerts');
+
+const describeMetric = id => ({ label: id, unit: '%' });
+
+// Function to give the engine a fresh directory and a single rule
+function useRules(rules) {
+  openAlerts(fs.mkdtempSync(path.join(os.tmpdir(), 'system-monitor-alerts-')));
+  saveRules(rules);
+}
+
+// Function to feed one value per second of a metric (null leaves the metric out of the sample), collecting
+// the fired and resolved states
+function run(values, metric = 'cpu.usage', start = 0) {
+  return values.map((value, second) => {
+    const metrics = value === null ? {} : { [metric]: value };
+    return evaluateAlerts(metrics, describeMetric, start + second * 1000).map(event => event.state).join(',');
+  });
+}
+
+test('validateRules: fills in defaults and rejects bad rules', () => {
+  const [rule] = validateRules([{ id: 'a', name: 'A', metric: 'cpu.usage', operator: '>', threshold: 50 }]);
+  assert.deepEqual([rule.durationSec, rule.hysteresis, rule.cooldownSec, rule.severity, rule.enabled],
+    [0, 0, 0, 'warning', true]);
+  assert.throws(() => validateRules([{ id: 'a', name: 'A', metric: 'cpu.usage', operator: '=', threshold: 50 }]));
+  assert.throws(() => validateRules([{ id: 'a', name: 'A', metric: 'cpu.usage', operator: '>', threshold: 'high' }]));
+  assert.equal(validateRules(DEFAULT_ALERT_RULES).length, DEFAULT_ALERT_RULES.length);
+});
+
+test('duration: the condition must hold before the alert fires', () => {
+  useRules([{ id: 'cpu', name: 'CPU', metric: 'cpu.usage', operator: '>', threshold: 90, durationSec: 3, action: 'log' }]);
+  assert.deepEqual(run([95, 95, 80, 95, 95, 95, 95]), ['', '', '', '', '', '', 'fired']);
+});
+
+test('hysteresis: the alert clears only once the value is back past the band', () => {
+  useRules([{ id: 'cpu', name: 'CPU', metric: 'cpu.usage', operator: '>', threshold: 90, hysteresis: 10, action: 'log' }]);
+  assert.deepEqual(run([95, 85, 81, 92, 80, 95]), ['fired', '', '', '', 'resolved', 'fired']);
+  assert.deepEqual(getActiveAlerts(), [{ ruleId: 'cpu', ruleName: 'CPU', severity: 'warning', metric: 'cpu.usage' }]);
+});
+
+test('hysteresis: works downwards for < rules', () => {
+  useRules([{ id: 'free', name: 'Free', metric: 'volume.*.free', operator: '<', threshold: 10, hysteresis: 2, action: 'log' }]);
+  assert.deepEqual(run([9, 11, 12, 9], 'volume.C.free'), ['fired', '', 'resolved', 'fired']);
+});
+
+test('cooldown: a repeat within the cooldown is not reported, nor is its clearing', () => {
+  useRules([{ id: 'cpu', name: 'CPU', metric: 'cpu.usage', operator: '>', threshold: 90, cooldownSec: 5, action: 'notify' }]);
+  assert.deepEqual(run([95, 50, 95, 50, 50, 50, 95]), ['fired', 'resolved', '', '', '', '', 'fired']);
+
+  const fired = getAlertLog().filter(entry => entry.state === 'fired');
+  assert.equal(fired.length, 2);
+  assert.equal(fired[0].notify, true);
+});
+
+test('display-only rules colour the cards but never fire', () => {
+  useRules([
+    { id: 'warn', name: 'Warn', metric: 'cpu.usage', operator: '>', threshold: 60, severity: 'warning', action: 'display' },
+    { id: 'crit', name: 'Crit', metric: 'cpu.usage', operator: '>', threshold: 80, severity: 'critical', action: 'display' }
+  ]);
+  assert.deepEqual(run([95]), ['']);
+  assert.deepEqual(getThresholdLevels({ 'cpu.usage': 70 }), { 'cpu.usage': 'warning' });
+  assert.deepEqual(getThresholdLevels({ 'cpu.usage': 95 }), { 'cpu.usage': 'critical' });
+  assert.deepEqual(getThresholdLevels({ 'cpu.usage': 95 }, compileRules([])), {});
+});
+
+test('wildcards: each matching metric has its own state', () => {
+  useRules([{ id: 'gpu', name: 'GPU', metric: 'gpu.*.utilization', operator: '>', threshold: 90, action: 'log' }]);
+  const events = evaluateAlerts({ 'gpu.0.utilization': 95, 'gpu.1.utilization': 20, 'cpu.usage': 99 }, describeMetric, 0);
+  assert.deepEqual(events.map(event => event.metric), ['gpu.0.utilization']);
+});
+
+test('a metric that disappears ends its alert and keeps its cooldown', () => {
+  useRules([{ id: 'gpu', name: 'GPU', metric: 'gpu.*.temperature', operator: '>', threshold: 85, cooldownSec: 10, action: 'log' }]);
+  assert.deepEqual(run([90, null, 90], 'gpu.1.temperature'), ['fired', 'resolved', '']);
+  assert.equal(getAlertLog()[0].message, 'gpu.1.temperature is no longer reported');
+  assert.deepEqual(run([90], 'gpu.1.temperature', 2000), ['']);
+  assert.equal(getActiveAlerts().length, 1);
+
+  // A pending condition is dropped too, so the duration starts over
+  useRules([{ id: 'cpu', name: 'CPU', metric: 'cpu.usage', operator: '>', threshold: 90, durationSec: 2, action: 'log' }]);
+  assert.deepEqual(run([95, 95, null, 95, 95, 95]), ['', '', '', '', '', 'fired']);
+  run([null], 'cpu.usage', 6000);
+  assert.deepEqual(getActiveAlerts(), []);
+});
+
+test('saveRules: stores the rules without their matchers and restarts every condition', () => {
+  useRules([{ id: 'cpu', name: 'CPU', metric: 'cpu.usage', operator: '>', threshold: 90, action: 'log' }]);
+  run([95]);
+  assert.equal(getActiveAlerts().length, 1);
+
+  saveRules(getRules());
+  assert.deepEqual(getActiveAlerts(), []);
+  assert.equal('matches' in getRules()[0], false);
+});
+
+test('migration 1: adds the battery rules to a saved rule list and keeps the rest as saved', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'system-monitor-alerts-'));
+  const savedRules = DEFAULT_ALERT_RULES.filter(rule => !rule.id.startsWith('battery-') && rule.id !== 'cpu-pegged')
+    .map(rule => (rule.id === 'cpu-high' ? { ...rule, threshold: 95 } : rule));
+  fs.writeFileSync(path.join(directory, 'alerts.json'), JSON.stringify({ version: 1, rules: savedRules }));
+
+  openAlerts(directory);
+  const ids = getRules().map(rule => rule.id);
+  assert.deepEqual(ids.slice(-3), ['battery-moderate', 'battery-high', 'battery-low']);
+  assert.equal(ids.includes('cpu-pegged'), false);
+  assert.equal(getRules().find(rule => rule.id === 'cpu-high').threshold, 95);
+
+  const written = JSON.parse(fs.readFileSync(path.join(directory, 'alerts.json'), 'utf8'));
+  assert.equal(written.version, ALERT_RULES_VERSION);
+  assert.deepEqual(written.rules.map(rule => rule.id), ids);
+
+  // Deleting a shipped rule after the migration sticks
+  saveRules(getRules().filter(rule => rule.id !== 'battery-low'));
+  openAlerts(directory);
+  assert.equal(getRules().some(rule => rule.id === 'battery-low'), false);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, parseCliArgs, parseDuration, pickFields, runHeadless } = require('../services/cli');
+const { openAlerts } = require('../services/alerts');
+
+// A busy but healthy machine: above the 60%/80% card colours, below every notifying rule
+const BUSY_SNAPSHOT = { cpuUsage: 85, memoryUsage: 70, usedMemory: '11.2', temperatures: { cpuTemperature: 70 } };
+
+// Function to run the headless mode over fixed snapshots, capturing stdout, stderr and the exit status
+async function runWith(argv, snapshots) {
+  const output = { stdout: '', stderr: '' };
+  let calls = 0;
+  const collect = async () => snapshots[Math.min(calls++, snapshots.length - 1)];
+  output.code = await runHeadless(parseCliArgs(argv), collect, text => { output.stdout += text; }, text => { output.stderr += text; });
+  return output;
+}
+
+test.before(() => {
+  // No alerts.json in a fresh directory, so the shipped rules apply
+  openAlerts(fs.mkdtempSync(path.join(os.tmpdir(), 'system-monitor-cli-')));
+});
+
+test('parseCliArgs: flags, separate and inline values, repeated thresholds', () => {
+  const options = parseCliArgs(['--headless', '--json', '--watch=2s', '--count', '5', '--fields', 'cpuUsage, memoryUsage,',
+    '--threshold', 'cpu.usage>90', '--threshold=volume.*.free < 10']);
+
+  assert.equal(options.headless, true);
+  assert.equal(options.json, true);
+  assert.equal(options.watchMs, 2000);
+  assert.equal(options.count, 5);
+  assert.deepEqual(options.fields, ['cpuUsage', 'memoryUsage']);
+  assert.deepEqual(options.thresholds.map(rule => [rule.metric, rule.operator, rule.threshold, rule.severity]), [
+    ['cpu.usage', '>', 90, 'critical'],
+    ['volume.*.free', '<', 10, 'critical']
+  ]);
+});
+
+test('parseCliArgs: ignores the arguments Electron and Chromium add', () => {
+  const options = parseCliArgs(['/usr/lib/electron/electron', '.', '--no-sandbox', '--headless']);
+  assert.equal(options.headless, true);
+  assert.equal(options.agent, false);
+});
+
+test('parseCliArgs: agent options', () => {
+  const options = parseCliArgs(['--agent', '--bind', '0.0.0.0', '--port=9500', '--token', 'secret']);
+  assert.deepEqual([options.agent, options.bind, options.port, options.token], [true, '0.0.0.0', 9500, 'secret']);
+});
+
+test('parseCliArgs: rejects bad values', () => {
+  assert.throws(() => parseCliArgs(['--watch']), /--watch needs a value/);
+  assert.throws(() => parseCliArgs(['--count', '0']), /Invalid count/);
+  assert.throws(() => parseCliArgs(['--port', '70000']), /Invalid port/);
+  assert.throws(() => parseCliArgs(['--threshold', 'cpu.usage=90']), /Invalid threshold/);
+});
+
+test('parseDuration: units and the lower limit', () => {
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('1.5s'), 1500);
+  assert.equal(parseDuration('2'), 2000);
+  assert.equal(parseDuration('1m'), 60000);
+  assert.throws(() => parseDuration('50ms'), /at least 100ms/);
+  assert.throws(() => parseDuration('soon'), /Invalid interval/);
+});
+
+test('pickFields: dotted paths, missing fields as null', () => {
+  assert.deepEqual(pickFields({ cpuUsage: 12, temperatures: { cpuTemperature: 55 } }, ['cpuUsage', 'temperatures.cpuTemperature', 'gpu.name']), {
+    cpuUsage: 12,
+    'temperatures.cpuTemperature': 55,
+    'gpu.name': null
+  });
+});
+
+test('runHeadless: --help prints usage and exits 0', async () => {
+  const { code, stdout } = await runWith(['--headless', '--help'], []);
+  assert.equal(code, EXIT_CODES.ok);
+  assert.match(stdout, /^Usage: system-monitor --headless/);
+});
+
+test('runHeadless: without --threshold the display-only card levels do not fail the run', async () => {
+  const { code, stdout, stderr } = await runWith(['--headless'], [BUSY_SNAPSHOT]);
+  assert.equal(code, EXIT_CODES.ok);
+  assert.match(stdout, /cpuUsage\s+85/);
+  assert.equal(stderr, '');
+});
+
+test('runHeadless: without --threshold a notifying rule sets the exit status', async () => {
+  const { code, stderr } = await runWith(['--headless'], [{ ...BUSY_SNAPSHOT, memoryUsage: 97 }]);
+  assert.equal(code, EXIT_CODES.critical);
+  assert.match(stderr, /^CRITICAL: memory\.usage=97/);
+});
+
+test('runHeadless: --threshold replaces the saved rules', async () => {
+  const { code, stdout } = await runWith(['--headless', '--json', '--threshold', 'cpu.usage>80', '--fields', 'cpuUsage'], [BUSY_SNAPSHOT]);
+  assert.equal(code, EXIT_CODES.critical);
+  const line = JSON.parse(stdout);
+  assert.equal(line.status, 'critical');
+  assert.equal(line.cpuUsage, 85);
+});
+
+test('runHeadless: a failed collection exits 3', async () => {
+  const failing = async () => {
+    throw new Error('probe failed');
+  };
+  let stderr = '';
+  const code = await runHeadless(parseCliArgs(['--headless']), failing, () => {}, text => { stderr += text; });
+  assert.equal(code, EXIT_CODES.error);
+  assert.match(stderr, /probe failed/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildExport, toCsv, parseExport } = require('../services/export');
+
+const SNAPSHOT = {
+  cpuUsage: 12.5,
+  hostname: 'build-box, "lab"',
+  gpu: null,
+  volumes: [
+    { mountPoint: '/', label: '', usagePercentage: 18.04, readOnly: false },
+    { mountPoint: '/mnt/share', label: 'Team share', usagePercentage: null, readOnly: true }
+  ],
+  gpuDevices: [],
+  alerts: { levels: {}, active: [] },
+  plugins: [{ id: 'docker', values: { 'containers.running': 3, 'v1.2\\beta': 1 } }],
+  byIndex: { 0: 'first', 12: 'twelfth' }
+};
+
+// Function to build an export of two metrics with a gap in one of them
+function createExport() {
+  return buildExport({
+    history: {
+      from: 1700000000000,
+      to: 1700000003000,
+      tier: 'raw',
+      series: {
+        'cpu.usage': [[1700000000000, 10], [1700000001000, 12.5], [1700000003000, 99.99]],
+        'volume./.usage': [[1700000000000, 18.04], [1700000002000, 18.05]]
+      }
+    },
+    metricInfo: id => (id === 'cpu.usage' ? { label: 'CPU usage', unit: '%' } : { label: '/ used, "root"', unit: '%' }),
+    snapshot: SNAPSHOT,
+    hostname: 'build-box',
+    exportedAt: 1700000004000
+  });
+}
+
+test('CSV round trip: series, metadata and the snapshot come back unchanged', () => {
+  const exportData = createExport();
+  assert.deepEqual(parseExport(toCsv(exportData)), exportData);
+});
+
+test('JSON round trip', () => {
+  const exportData = createExport();
+  assert.deepEqual(parseExport(JSON.stringify(exportData, null, 2)), exportData);
+});
+
+test('CSV: empty cells for metrics without a sample at that time', () => {
+  const rows = toCsv(createExport()).split('\n').filter(line => /^\d/.test(line));
+  assert.equal(rows.length, 4);
+  assert.match(rows[2], /^1700000002000,[^,]+,,18\.05$/);
+});
+
+test('parseExport: derives a missing range from a day of raw samples', () => {
+  const samples = Array.from({ length: 86400 * 3 }, (value, second) => [1700000000000 + second * 1000, second % 100]);
+  const exportData = { ...createExport(), range: null, series: { 'cpu.usage': samples } };
+
+  assert.deepEqual(parseExport(JSON.stringify(exportData)).range, { from: 1700000000000, to: 1700000000000 + (86400 * 3 - 1) * 1000 });
+});
+
+test('parseExport: rejects other files and newer versions', () => {
+  assert.throws(() => parseExport('{"format":"something-else","series":{},"metrics":[]}'), /Not a System Monitor export/);
+  assert.throws(() => parseExport('time,value\n1,2\n'), /Not a System Monitor CSV export/);
+  assert.throws(() => parseExport(JSON.stringify({ ...createExport(), version: 99 })), /newer than this app supports/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseNvidiaSmiCsv, parseRocmSmiJson, parseDpmClock } = require('../collectors/gpu');
+
+// Function to read a captured tool output from test/fixtures
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('nvidia-smi: one device per GPU, names with commas kept whole', () => {
+  const devices = parseNvidiaSmiCsv(fixture('nvidia-smi-multi-gpu.csv'));
+
+  assert.equal(devices.length, 2);
+  assert.deepEqual(devices[0], {
+    index: 0,
+    name: 'NVIDIA GeForce RTX 3080',
+    vendor: 'NVIDIA',
+    source: 'nvidia-smi',
+    utilization: 37,
+    memoryUsedMB: 2345,
+    memoryTotalMB: 10240,
+    temperature: 61,
+    coreClockMHz: 1905,
+    memoryClockMHz: 9501,
+    powerDrawW: 231.47,
+    fanSpeedPercent: 54
+  });
+  assert.equal(devices[1].index, 1);
+  assert.equal(devices[1].name, 'NVIDIA RTX A4000, Laptop GPU');
+  assert.equal(devices[1].utilization, 0);
+  assert.equal(devices[1].memoryTotalMB, 16376);
+});
+
+test('nvidia-smi: [N/A] and [Not Supported] fields read as null', () => {
+  const [laptop, datacenter] = parseNvidiaSmiCsv(fixture('nvidia-smi-not-available.csv'));
+
+  assert.equal(laptop.utilization, 3);
+  assert.equal(laptop.powerDrawW, null);
+  assert.equal(laptop.fanSpeedPercent, null);
+  assert.equal(datacenter.utilization, null);
+  assert.equal(datacenter.memoryUsedMB, null);
+  assert.equal(datacenter.temperature, null);
+  assert.equal(datacenter.memoryTotalMB, 15360);
+  assert.equal(datacenter.powerDrawW, 27.21);
+});
+
+test('nvidia-smi: malformed or truncated lines are skipped', () => {
+  const output = [
+    'NVIDIA-SMI has failed because it couldn\'t communicate with the NVIDIA driver.',
+    '0, NVIDIA GeForce RTX 3080, 37, 2345',
+    '',
+    fixture('nvidia-smi-multi-gpu.csv').split('\n')[0]
+  ].join('\n');
+
+  const devices = parseNvidiaSmiCsv(output);
+  assert.equal(devices.length, 1);
+  assert.equal(devices[0].name, 'NVIDIA GeForce RTX 3080');
+  assert.deepEqual(parseNvidiaSmiCsv(''), []);
+});
+
+test('rocm-smi: one device per card, ignoring the system section', () => {
+  const [first, second, ...rest] = parseRocmSmiJson(fixture('rocm-smi-multi-gpu.json'));
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(first, {
+    index: 0,
+    name: 'Navi 21 [Radeon RX 6800/6800 XT / 6900 XT]',
+    vendor: 'AMD',
+    source: 'rocm-smi',
+    utilization: 98,
+    memoryUsedMB: 6144,
+    memoryTotalMB: 16368,
+    temperature: 44,
+    coreClockMHz: 2321,
+    memoryClockMHz: 1000,
+    powerDrawW: 187,
+    fanSpeedPercent: 25
+  });
+
+  // No card series, no edge sensor, no mclk and a fan without a reading
+  assert.equal(second.index, 1);
+  assert.equal(second.name, '0x740f');
+  assert.equal(second.temperature, 39);
+  assert.equal(second.memoryClockMHz, null);
+  assert.equal(second.fanSpeedPercent, null);
+  assert.equal(second.powerDrawW, 42);
+});
+
+test('rocm-smi: malformed output throws for the caller to catch', () => {
+  assert.throws(() => parseRocmSmiJson('WARNING: No AMD GPUs specified'), SyntaxError);
+  assert.deepEqual(parseRocmSmiJson('{"system": {}}'), []);
+});
+
+test('amdgpu pp_dpm clocks: the active level is the starred line', () => {
+  assert.equal(parseDpmClock('0: 500Mhz\n1: 800Mhz *\n2: 2321Mhz\n'), 800);
+  assert.equal(parseDpmClock('0: 500Mhz\n1: 800Mhz\n'), null);
+  assert.equal(parseDpmClock(''), null);
+});
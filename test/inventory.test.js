@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildInventory, compareInventories } = require('../services/inventory');
+
+// Function to describe a workstation the way the hardware task and the backend's inventory details report it;
+// `change` edits the copy before it is built
+function createMachine(change = () => {}) {
+  const machine = {
+    hardware: {
+      cpu: { name: 'AMD Ryzen 7 5800X', manufacturer: 'AuthenticAMD', cores: 8, logicalProcessors: 16, maxClockSpeed: '4.85 GHz', l2Cache: '4 MB', l3Cache: '32 MB' },
+      memory: [
+        { bankLabel: 'DIMM_A1', capacity: '16 GB', memoryType: 'DDR4', speed: '3200 MHz', manufacturer: 'Kingston', partNumber: 'KF432C16BB/16', serialNumber: '2F1A7C01' },
+        { bankLabel: 'DIMM_B1', capacity: '16 GB', memoryType: 'DDR4', speed: '3200 MHz', manufacturer: 'Kingston', partNumber: 'KF432C16BB/16', serialNumber: '2F1A7C02' }
+      ],
+      motherboard: { manufacturer: 'ASUSTeK COMPUTER INC.', product: 'ROG STRIX B550-F GAMING' }
+    },
+    gpus: [{ index: 0, name: 'NVIDIA GeForce RTX 3080', vendor: 'NVIDIA', memoryTotalMB: 10240 }],
+    details: {
+      system: { manufacturer: 'System manufacturer', model: 'System Product Name', serialNumber: 'SN-4471' },
+      os: { name: 'Ubuntu 24.04.1 LTS', version: '24.04', build: '6.8.0-45-generic' },
+      bios: { vendor: 'American Megatrends Inc.', version: '3002', date: '2023-02-03' },
+      disks: [
+        { name: 'nvme0n1', model: 'Samsung SSD 980 PRO 1TB', serialNumber: 'S5GXNF0R123456', sizeGB: 931.5, interface: 'NVMe', mediaType: 'SSD' },
+        { name: 'sda', model: 'WDC WD40EFRX-68N32N0', serialNumber: 'WD-WCC7K1234567', sizeGB: 3726, interface: 'SATA', mediaType: 'HDD' }
+      ],
+      networkAdapters: [
+        { name: 'enp5s0', description: 'Intel I225-V', macAddress: '24:4b:fe:01:02:03', type: 'Ethernet' },
+        { name: 'wlp4s0', description: 'Intel Wi-Fi 6 AX200', macAddress: 'a4:c3:f0:0a:0b:0c', type: 'Wi-Fi' }
+      ]
+    }
+  };
+  change(machine);
+  return buildInventory(machine, 1700000000000);
+}
+
+// Function to summarise a comparison as component keys and changed properties
+function summarize({ added, removed, changed }) {
+  return {
+    added: added.map(component => component.key),
+    removed: removed.map(component => component.key),
+    changed: changed.map(({ component, changes }) => [component.key, changes.map(change => `${change.property}: ${change.before} -> ${change.after}`)])
+  };
+}
+
+test('buildInventory: one component per part, keyed by serial number or MAC address', () => {
+  const inventory = createMachine();
+  const keys = inventory.components.map(component => component.key);
+
+  assert.deepEqual(keys, [
+    'system', 'os', 'cpu', 'memory:2F1A7C01', 'memory:2F1A7C02', 'motherboard', 'bios',
+    'disk:S5GXNF0R123456', 'disk:WD-WCC7K1234567', 'gpu:NVIDIA GeForce RTX 3080', 'nic:24:4b:fe:01:02:03', 'nic:a4:c3:f0:0a:0b:0c'
+  ]);
+  const disk = inventory.components.find(component => component.key === 'disk:WD-WCC7K1234567');
+  assert.deepEqual([disk.category, disk.name, disk.location, disk.properties.Size], ['Disks', 'WDC WD40EFRX-68N32N0', 'sda', '3726 GB']);
+  assert.equal(inventory.takenAt, 1700000000000);
+});
+
+test('buildInventory: unreadable values become null, parts with nothing readable are left out', () => {
+  const inventory = createMachine(machine => {
+    machine.details.system = { manufacturer: 'Unknown', model: '', serialNumber: null };
+    machine.hardware.memory = machine.hardware.memory.map(stick => ({ ...stick, serialNumber: 'Unknown', manufacturer: 'Unknown', partNumber: '' }));
+  });
+
+  assert.equal(inventory.components.some(component => component.key === 'system'), false);
+  const memory = inventory.components.filter(component => component.category === 'Memory');
+  assert.deepEqual(memory.map(component => [component.key, component.name, component.properties['Serial number']]), [
+    ['memory:DIMM_A1', '16 GB DDR4', null],
+    ['memory:DIMM_B1', '16 GB DDR4', null]
+  ]);
+});
+
+test('buildInventory: identical parts without serial numbers get distinct keys', () => {
+  const inventory = createMachine(machine => {
+    machine.gpus = [machine.gpus[0], { ...machine.gpus[0], index: 1 }];
+  });
+  assert.deepEqual(inventory.components.filter(component => component.category === 'GPUs').map(component => component.key),
+    ['gpu:NVIDIA GeForce RTX 3080', 'gpu:NVIDIA GeForce RTX 3080#2']);
+});
+
+test('compareInventories: nothing changed', () => {
+  assert.deepEqual(summarize(compareInventories(createMachine(), createMachine())), { added: [], removed: [], changed: [] });
+});
+
+test('compareInventories: a disk on another port or device name is the same disk', () => {
+  const moved = createMachine(machine => {
+    machine.details.disks.reverse();
+    machine.details.disks[0].name = 'sdb';
+    machine.details.networkAdapters[0].name = 'eth0';
+  });
+  assert.deepEqual(summarize(compareInventories(createMachine(), moved)), { added: [], removed: [], changed: [] });
+});
+
+test('compareInventories: a value one side could not read is not a change', () => {
+  const asUser = createMachine(machine => {
+    machine.details.system.serialNumber = null;
+    machine.details.disks[1].interface = 'Unknown';
+  });
+  assert.deepEqual(summarize(compareInventories(createMachine(), asUser)), { added: [], removed: [], changed: [] });
+  assert.deepEqual(summarize(compareInventories(asUser, createMachine())), { added: [], removed: [], changed: [] });
+});
+
+test('compareInventories: added, removed and changed components', () => {
+  const upgraded = createMachine(machine => {
+    machine.details.disks[1] = { name: 'sda', model: 'WDC WD80EFZZ-68BTXN0', serialNumber: 'WD-CA0H1234', sizeGB: 7452, interface: 'SATA', mediaType: 'HDD' };
+    machine.details.networkAdapters.pop();
+    machine.details.bios.version = '3202';
+    machine.details.bios.date = '2024-01-10';
+    machine.hardware.memory.push({ ...machine.hardware.memory[0], bankLabel: 'DIMM_A2', serialNumber: '2F1A7C03' });
+  });
+
+  assert.deepEqual(summarize(compareInventories(createMachine(), upgraded)), {
+    added: ['memory:2F1A7C03', 'disk:WD-CA0H1234'],
+    removed: ['disk:WD-WCC7K1234567', 'nic:a4:c3:f0:0a:0b:0c'],
+    changed: [['bios', ['Version: 3002 -> 3202', 'Date: 2023-02-03 -> 2024-01-10']]]
+  });
+});
@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const malwarebytes = require('../services/malwarebytes');
+
+const { parseRegQuery, findMalwarebytesEntry, parseScanReport, setMalwarebytesProvider } = malwarebytes;
+
+const INSTALL = { version: '4.6.8.311', directory: 'C:\\Program Files\\Malwarebytes\\Anti-Malware' };
+const POLL_MS = 5000;
+const TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+// Function to read a captured output or report from test/fixtures
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// Function to build a stand-in for a spawned mbam.exe that reports it started on the next tick
+function createFakeChild() {
+  const child = new EventEmitter();
+  child.unref = () => {};
+  process.nextTick(() => child.emit('spawn'));
+  return child;
+}
+
+// Function to build a fake provider; `reports` is the live list readScanReports() returns
+function createFakeProvider({ install = INSTALL, reports = [] } = {}) {
+  const provider = {
+    reports,
+    scans: [],
+    child: null,
+    async findInstall() {
+      return install;
+    },
+    async readScanReports() {
+      return provider.reports;
+    },
+    startScan(found, type) {
+      provider.scans.push({ found, type });
+      provider.child = createFakeChild();
+      return provider.child;
+    },
+    launch() {
+      return createFakeChild();
+    }
+  };
+  return provider;
+}
+
+// Function to let pending promise callbacks (the poll's report reads) run
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Function to wait until the scan's child has been spawned and its start time taken
+async function waitForScanStart() {
+  await flush();
+  await flush();
+}
+
+test.afterEach(() => {
+  setMalwarebytesProvider(null);
+});
+
+test('parseRegQuery: one entry per key with its values, CRLF output included', () => {
+  const entries = parseRegQuery(fixture('reg-query-uninstall.txt'));
+
+  assert.equal(entries.length, 3);
+  assert.match(entries[1].key, /\{35065F43-4BB2-439A-BFF7-0F1014F2E0CD\}_is1$/);
+  assert.equal(entries[1].values.DisplayName, 'Malwarebytes version 4.6.8.311');
+  assert.equal(entries[1].values['Inno Setup: Setup Version'], '6.2.2');
+  assert.equal(entries[1].values.EstimatedSize, '0x6b1c2');
+  assert.deepEqual(parseRegQuery(''), []);
+});
+
+test('findMalwarebytesEntry: picks the scanner over other Malwarebytes products', () => {
+  assert.deepEqual(findMalwarebytesEntry(parseRegQuery(fixture('reg-query-uninstall.txt'))), INSTALL);
+});
+
+test('findMalwarebytesEntry: falls back to the icon path and the version in the name', () => {
+  const output = [
+    'HKEY_LOCAL_MACHINE\\SOFTWARE\\WOW6432Node\\Microsoft\\Windows\\CurrentVersion\\Uninstall\\Malwarebytes Anti-Malware_is1',
+    '    DisplayName    REG_SZ    Malwarebytes Anti-Malware version 3.5.1.2522',
+    '    InstallLocation    REG_SZ',
+    '    DisplayIcon    REG_SZ    "C:\\Program Files\\Malwarebytes\\Anti-Malware\\mbam.exe",0'
+  ].join('\r\n');
+
+  assert.deepEqual(findMalwarebytesEntry(parseRegQuery(output)), { version: '3.5.1.2522', directory: INSTALL.directory });
+});
+
+test('findMalwarebytesEntry: null when only other products are installed', () => {
+  const entries = parseRegQuery(fixture('reg-query-uninstall.txt')).filter(entry => !/_is1$/.test(entry.key));
+  assert.equal(findMalwarebytesEntry(entries), null);
+  assert.equal(findMalwarebytesEntry([]), null);
+});
+
+test('parseScanReport: reads nested fields and the detections list', () => {
+  const result = parseScanReport(JSON.parse(fixture('malwarebytes-scan-report.json')), 0);
+
+  assert.deepEqual(result, {
+    time: Date.parse('2025-03-14T09:15:41Z'),
+    type: 'Threat Scan',
+    result: 'Completed',
+    scanned: 312544,
+    threats: 2,
+    quarantined: 1,
+    detections: [
+      { name: 'PUP.Optional.Conduit', path: 'C:\\Users\\alex\\Downloads\\setup_conduit.exe' },
+      { name: 'Adware.Elex', path: 'C:\\ProgramData\\Elex\\updater.dll' }
+    ]
+  });
+});
+
+test('parseScanReport: counts the detections list and falls back to the file time', () => {
+  const result = parseScanReport({ type: 'Hyper Scan', detections: [{ name: 'Trojan.Agent' }, 'garbage'] }, 1234);
+
+  assert.equal(result.time, 1234);
+  assert.equal(result.type, 'Hyper Scan');
+  assert.equal(result.threats, 2);
+  assert.equal(result.scanned, null);
+  assert.deepEqual(result.detections, [{ name: 'Trojan.Agent', path: null }]);
+});
+
+test('detect and readLastScan go through the provider', async () => {
+  const report = JSON.parse(fixture('malwarebytes-scan-report.json'));
+  setMalwarebytesProvider(createFakeProvider({
+    reports: [
+      { file: 'old.json', modifiedAt: 0, report: { scanEndTime: '2024-01-01T00:00:00Z' } },
+      { file: 'new.json', modifiedAt: 0, report }
+    ]
+  }));
+
+  const found = await malwarebytes.detect();
+  assert.equal(found.directory, INSTALL.directory);
+  assert.deepEqual(found.details, [`Installed in ${INSTALL.directory}`]);
+  assert.equal((await malwarebytes.readLastScan()).time, Date.parse('2025-03-14T09:15:41Z'));
+
+  setMalwarebytesProvider(createFakeProvider({ install: null }));
+  assert.equal(await malwarebytes.detect(), null);
+  assert.equal(await malwarebytes.readLastScan(), null);
+});
+
+test('startScan resolves once a report newer than the scan start appears', async t => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-03-14T09:00:00Z') });
+  const provider = createFakeProvider({
+    reports: [{ file: 'earlier.json', modifiedAt: 0, report: { scanEndTime: '2025-03-14T08:00:00Z' } }]
+  });
+  setMalwarebytesProvider(provider);
+
+  const scan = malwarebytes.startScan({ install: INSTALL, type: 'quick' });
+  await waitForScanStart();
+  assert.deepEqual(provider.scans, [{ found: INSTALL, type: 'quick' }]);
+
+  // mbam.exe handing the scan to its service and exiting cleanly does not end the wait
+  provider.child.emit('exit', 0);
+  t.mock.timers.tick(POLL_MS);
+  await flush();
+
+  provider.reports = [...provider.reports, { file: 'scan.json', modifiedAt: 0, report: { scanEndTime: '2025-03-14T09:05:00Z', objectsScanned: 10 } }];
+  t.mock.timers.tick(POLL_MS);
+
+  const result = await scan;
+  assert.equal(result.time, Date.parse('2025-03-14T09:05:00Z'));
+  assert.equal(result.scanned, 10);
+});
+
+test('startScan rejects when mbam.exe exits with an error', async t => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const provider = createFakeProvider();
+  setMalwarebytesProvider(provider);
+
+  const scan = malwarebytes.startScan({ install: INSTALL, type: 'full' });
+  await waitForScanStart();
+  provider.child.emit('exit', 2);
+
+  await assert.rejects(scan, /exited with code 2/);
+});
+
+test('startScan gives up when no report arrives within 6 hours', async t => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  setMalwarebytesProvider(createFakeProvider());
+
+  const scan = malwarebytes.startScan({ install: INSTALL, type: 'threat' });
+  await waitForScanStart();
+  t.mock.timers.tick(TIMEOUT_MS + POLL_MS);
+
+  await assert.rejects(scan, /did not report back within 6 hours/);
+});
+
+test('startScan rejects when mbam.exe cannot be started', async () => {
+  setMalwarebytesProvider({
+    ...createFakeProvider(),
+    startScan() {
+      const child = new EventEmitter();
+      process.nextTick(() => child.emit('error', new Error('spawn mbam.exe ENOENT')));
+      return child;
+    }
+  });
+
+  await assert.rejects(malwarebytes.startScan({ install: INSTALL, type: 'quick' }), /ENOENT/);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SETTINGS_VERSION, CARD_IDS, openSettings, getSettings, updateSettings } = require('../services/settings');
+
+// Function to make an empty directory standing in for userData
+function createUserData() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'system-monitor-settings-'));
+}
+
+// Function to read back what was written to settings.json
+function readSettingsFile(directory) {
+  return JSON.parse(fs.readFileSync(path.join(directory, 'settings.json'), 'utf8'));
+}
+
+test('openSettings: defaults when there is no file, written at the current version', () => {
+  const directory = createUserData();
+  const settings = openSettings(directory);
+
+  assert.equal(settings.refreshIntervalMs, 2000);
+  assert.deepEqual(settings.units, { size: 'GiB', temperature: 'C' });
+  assert.deepEqual(Object.keys(settings.cards), CARD_IDS);
+  assert.equal(settings.window.bounds, null);
+  assert.deepEqual(settings.metricsServer, { enabled: false, host: '127.0.0.1', port: 9464 });
+  assert.deepEqual(settings.selections, {
+    networkInterface: 'auto', primaryVolume: '', diskDevice: 'auto', gpuDevice: 0, historyMetric: 'cpu.usage', historyRange: 3600000
+  });
+  assert.equal(readSettingsFile(directory).version, SETTINGS_VERSION);
+});
+
+test('migration 0: moves metrics-server.json into the settings file', () => {
+  const directory = createUserData();
+  fs.writeFileSync(path.join(directory, 'metrics-server.json'), JSON.stringify({ enabled: true, host: '0.0.0.0', port: 9100 }));
+
+  const settings = openSettings(directory);
+  assert.deepEqual(settings.metricsServer, { enabled: true, host: '0.0.0.0', port: 9100 });
+  assert.equal(fs.existsSync(path.join(directory, 'metrics-server.json')), false);
+
+  const written = readSettingsFile(directory);
+  assert.equal(written.version, SETTINGS_VERSION);
+  assert.equal(written.metricsServer.port, 9100);
+});
+
+test('migration 0: a file without a version keeps its values', () => {
+  const directory = createUserData();
+  fs.writeFileSync(path.join(directory, 'settings.json'), JSON.stringify({ units: { temperature: 'F' } }));
+
+  assert.equal(openSettings(directory).units.temperature, 'F');
+  assert.equal(readSettingsFile(directory).version, SETTINGS_VERSION);
+});
+
+test('openSettings: invalid, unknown and unreadable values fall back to the defaults', t => {
+  t.mock.method(console, 'error', () => {});
+  const directory = createUserData();
+  fs.writeFileSync(path.join(directory, 'settings.json'), JSON.stringify({
+    version: SETTINGS_VERSION,
+    refreshIntervalMs: 10,
+    units: { size: 'TB', temperature: 'F' },
+    cards: { gpu: false, network: 'no' },
+    window: { bounds: { x: 10, y: 10, width: 0, height: 600 } },
+    displayName: '  Workstation  ',
+    removedSetting: true
+  }));
+
+  const settings = openSettings(directory);
+  assert.equal(settings.refreshIntervalMs, 2000);
+  assert.deepEqual(settings.units, { size: 'GiB', temperature: 'F' });
+  assert.equal(settings.cards.gpu, false);
+  assert.equal(settings.cards.network, true);
+  assert.equal(settings.window.bounds, null);
+  assert.equal(settings.displayName, 'Workstation');
+  assert.equal('removedSetting' in settings, false);
+
+  fs.writeFileSync(path.join(directory, 'settings.json'), '{ not json');
+  assert.equal(openSettings(directory).units.temperature, 'C');
+});
+
+test('updateSettings: merges a partial update and writes it', () => {
+  const directory = createUserData();
+  openSettings(directory);
+
+  const settings = updateSettings({ units: { temperature: 'F' }, window: { bounds: { x: 0, y: 0, width: 800, height: 600 } } });
+  assert.deepEqual(settings.units, { size: 'GiB', temperature: 'F' });
+  assert.deepEqual(settings.window.bounds, { x: 0, y: 0, width: 800, height: 600 });
+  assert.equal(settings.window.rememberBounds, true);
+  assert.deepEqual(readSettingsFile(directory).units, settings.units);
+});
+
+test('updateSettings: the first invalid value throws and nothing changes', () => {
+  const directory = createUserData();
+  openSettings(directory);
+
+  assert.throws(() => updateSettings({ units: { temperature: 'F' }, agent: { port: 70000 } }),
+    /^Error: Setting agent\.port must be between 1 and 65535$/);
+  assert.throws(() => updateSettings({ metricsServer: { host: '   ' } }), /Setting metricsServer\.host is required/);
+  assert.equal(getSettings().units.temperature, 'C');
+  assert.equal(readSettingsFile(directory).units.temperature, 'C');
+});
+
+test('updateSettings: card selections are saved one at a time and checked like the rest', () => {
+  const directory = createUserData();
+  openSettings(directory);
+
+  updateSettings({ selections: { networkInterface: 'wlp4s0' } });
+  const settings = updateSettings({ selections: { historyRange: 86400000, gpuDevice: 1 } });
+  assert.deepEqual([settings.selections.networkInterface, settings.selections.historyRange, settings.selections.gpuDevice],
+    ['wlp4s0', 86400000, 1]);
+  assert.deepEqual(readSettingsFile(directory).selections, settings.selections);
+
+  assert.throws(() => updateSettings({ selections: { historyRange: 1234 } }), /Setting selections\.historyRange must be one of/);
+  assert.throws(() => updateSettings({ selections: { historyMetric: '' } }), /Setting selections\.historyMetric/);
+  assert.equal(getSettings().selections.historyRange, 86400000);
+});
+
+test('getSettings: returns a copy', () => {
+  openSettings(createUserData());
+  getSettings().cards.cpu = false;
+  assert.equal(getSettings().cards.cpu, true);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createVolume, statVolume, statsToBytes } = require('../collectors/storage');
+
+const GB = 1024 ** 3;
+
+test('createVolume: sizes in GB and usage relative to the space users can fill', () => {
+  const volume = createVolume({ mountPoint: '/', totalBytes: 100 * GB, freeBytes: 40 * GB, usedBytes: 50 * GB });
+  assert.deepEqual([volume.totalGB, volume.usedGB, volume.freeGB, volume.usagePercentage], [100, 50, 40, 55.56]);
+});
+
+test('createVolume: a volume without byte counts keeps its fields and reports null sizes', () => {
+  const volume = createVolume({ mountPoint: '/mnt/share', fsType: 'nfs4', ...statsToBytes(null) });
+  assert.equal(volume.fsType, 'nfs4');
+  assert.deepEqual([volume.totalGB, volume.usedGB, volume.freeGB, volume.usagePercentage], [null, null, null, null]);
+});
+
+test('statVolume: reads a mounted filesystem', async () => {
+  const stats = await statVolume('/');
+  assert.ok(stats.blocks > 0);
+  assert.ok(statsToBytes(stats).totalBytes > 0);
+});
+
+test('statVolume: gives up on a share that does not answer, and does not ask it twice', async t => {
+  const statfs = t.mock.method(fs.promises, 'statfs', () => new Promise(() => {}));
+
+  assert.equal(await statVolume('/mnt/hung', 20), null);
+  assert.equal(await statVolume('/mnt/hung', 20), null);
+  assert.equal(statfs.mock.callCount(), 1);
+});
+
+test('statVolume: rejects for a mount point that cannot be read', async () => {
+  await assert.rejects(statVolume('/no/such/mount/point'), { code: 'ENOENT' });
+});
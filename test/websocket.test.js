@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { acceptWebSocket, encodeFrame, decodeFrame, isValidCloseCode } = require('../services/websocket');
+
+// Sample handshake from RFC 6455 section 1.3
+const HANDSHAKE_HEADERS = {
+  upgrade: 'websocket',
+  'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+  'sec-websocket-version': '13'
+};
+const MASK = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+
+// Function to build a masked frame the way a client sends it
+function clientFrame(opcode, payload = Buffer.alloc(0), fin = true) {
+  const frame = encodeFrame(opcode, payload);
+  frame[0] = (fin ? 0x80 : 0) | opcode;
+  const headerLength = frame.length - payload.length;
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ MASK[i % 4]));
+  frame[1] |= 0x80;
+  return Buffer.concat([frame.subarray(0, headerLength), MASK, masked]);
+}
+
+// Function to build a close frame payload
+function closePayload(code, reason = '') {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return payload;
+}
+
+// Function to stand in for the upgraded TCP socket, recording what the server writes
+function createFakeSocket() {
+  const socket = new EventEmitter();
+  socket.writable = true;
+  socket.remoteAddress = '192.168.1.20';
+  socket.written = [];
+  socket.ended = false;
+  socket.write = data => socket.written.push(Buffer.from(data));
+  socket.end = data => {
+    if (data) socket.written.push(Buffer.from(data));
+    socket.ended = true;
+    socket.writable = false;
+  };
+  socket.setNoDelay = () => {};
+  socket.destroy = () => {
+    socket.writable = false;
+  };
+  return socket;
+}
+
+// Function to open a connection on a fake socket; the handshake response is dropped from `written`
+function openConnection() {
+  const socket = createFakeSocket();
+  const connection = acceptWebSocket({ headers: HANDSHAKE_HEADERS }, socket);
+  socket.handshake = socket.written.shift().toString();
+  return { socket, connection };
+}
+
+test('encodeFrame / decodeFrame: round trip for each length encoding', () => {
+  [0, 125, 126, 65535, 65536].forEach(length => {
+    const payload = Buffer.alloc(length, 0x61);
+    const frame = encodeFrame(0x1, payload);
+    const decoded = decodeFrame(frame);
+    assert.equal(frame[1], length < 126 ? length : length < 65536 ? 126 : 127);
+    assert.equal(decoded.fin, true);
+    assert.equal(decoded.opcode, 0x1);
+    assert.equal(decoded.masked, false);
+    assert.equal(decoded.size, frame.length);
+    assert.ok(decoded.payload.equals(payload));
+  });
+});
+
+test('decodeFrame: unmasks client frames and waits for partial ones', () => {
+  const frame = clientFrame(0x1, Buffer.from('Hello'));
+  assert.equal(decodeFrame(frame.subarray(0, 1)), null);
+  assert.equal(decodeFrame(frame.subarray(0, frame.length - 1)), null);
+
+  const decoded = decodeFrame(frame);
+  assert.equal(decoded.masked, true);
+  assert.equal(decoded.payload.toString(), 'Hello');
+});
+
+test('decodeFrame: flags frames over the size limit without waiting for them', () => {
+  const header = Buffer.alloc(10);
+  header[0] = 0x81;
+  header[1] = 0x80 | 127;
+  header.writeBigUInt64BE(BigInt(2 * 1024 * 1024), 2);
+  assert.equal(decodeFrame(header).tooLarge, true);
+});
+
+test('acceptWebSocket: answers the RFC 6455 sample handshake', () => {
+  const { socket, connection } = openConnection();
+  assert.ok(connection);
+  assert.match(socket.handshake, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+  assert.match(socket.handshake, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/);
+});
+
+test('acceptWebSocket: rejects a plain HTTP request', () => {
+  const socket = createFakeSocket();
+  assert.equal(acceptWebSocket({ headers: { upgrade: 'h2c' } }, socket), null);
+  assert.match(socket.written[0].toString(), /^HTTP\/1\.1 400 Bad Request/);
+  assert.equal(socket.ended, true);
+});
+
+test('messages: reassembles fragments split across TCP chunks', () => {
+  const { socket, connection } = openConnection();
+  const messages = [];
+  connection.on('message', message => messages.push(message));
+
+  const data = Buffer.concat([clientFrame(0x1, Buffer.from('{"type":'), false), clientFrame(0x0, Buffer.from('"hello"}'))]);
+  socket.emit('data', data.subarray(0, 5));
+  socket.emit('data', data.subarray(5));
+  assert.deepEqual(messages, ['{"type":"hello"}']);
+});
+
+test('messages: sends unmasked text and answers pings', () => {
+  const { socket, connection } = openConnection();
+  connection.send('snapshot');
+  socket.emit('data', clientFrame(0x9, Buffer.from('beat')));
+
+  const [text, pong] = socket.written.map(decodeFrame);
+  assert.deepEqual([text.opcode, text.masked, text.payload.toString()], [0x1, false, 'snapshot']);
+  assert.deepEqual([pong.opcode, pong.payload.toString()], [0xA, 'beat']);
+});
+
+test('protocol errors close the connection with 1002', () => {
+  const { socket, connection } = openConnection();
+  let closed = null;
+  connection.on('close', code => { closed = code; });
+
+  socket.emit('data', encodeFrame(0x1, Buffer.from('not masked')));
+  const reply = decodeFrame(socket.written[0]);
+  assert.equal(reply.opcode, 0x8);
+  assert.equal(reply.payload.readUInt16BE(0), 1002);
+  assert.equal(closed, 1002);
+});
+
+test('isValidCloseCode: codes a peer may send', () => {
+  [1000, 1001, 1002, 1003, 1007, 1008, 1009, 1010, 1011, 3000, 4999].forEach(code => assert.equal(isValidCloseCode(code), true, code));
+  [0, 999, 1004, 1005, 1006, 1015, 1016, 2999, 5000].forEach(code => assert.equal(isValidCloseCode(code), false, code));
+});
+
+test('closing handshake: echoes a valid code, 1000 for an empty frame, 1002 for a reserved or invalid one', () => {
+  [
+    [closePayload(1001, 'going away'), 1001],
+    [closePayload(4000), 4000],
+    [Buffer.alloc(0), 1000],
+    [closePayload(1005), 1002],
+    [closePayload(1006), 1002],
+    [closePayload(1015), 1002],
+    [closePayload(999), 1002],
+    [Buffer.from([0x03]), 1002]
+  ].forEach(([payload, expected]) => {
+    const { socket, connection } = openConnection();
+    let closed = null;
+    connection.on('close', code => { closed = code; });
+
+    socket.emit('data', clientFrame(0x8, payload));
+    const reply = decodeFrame(socket.written[0]);
+    assert.equal(reply.opcode, 0x8);
+    assert.equal(reply.payload.readUInt16BE(0), expected);
+    assert.equal(closed, expected);
+    assert.equal(socket.ended, true);
+  });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseNetshWlanInterfaces, toNetworkAdapters } = require('../collectors/windows');
+
+test('netsh wlan: SSID, signal and radio type per interface', () => {
+  const output = fs.readFileSync(path.join(__dirname, 'fixtures', 'netsh-wlan-show-interfaces.txt'), 'utf8');
+
+  // BSSID and Profile lines must not overwrite the SSID, which may itself contain a colon
+  assert.deepEqual(parseNetshWlanInterfaces(output), {
+    'Wi-Fi': { state: 'connected', ssid: 'Office: 5 GHz', radioType: '802.11ax', signal: 92 }
+  });
+});
+
+test('netsh wlan: a disconnected interface and no WLAN service', () => {
+  const output = 'There is 1 interface on the system:\r\n\r\n    Name                   : Wi-Fi 2\r\n    State                  : disconnected\r\n';
+  assert.deepEqual(parseNetshWlanInterfaces(output), {
+    'Wi-Fi 2': { state: 'disconnected', ssid: null, radioType: null, signal: null }
+  });
+  assert.deepEqual(parseNetshWlanInterfaces('The Wireless AutoConfig Service (wlansvc) is not running.\r\n'), {});
+});
+
+test('Get-NetAdapter entries become adapter records', () => {
+  assert.deepEqual(toNetworkAdapters([
+    { name: 'Ethernet', macAddress: '00-1A-2B-3C-4D-5E', status: 'Up', mediaType: '802.3', physical: true, speedBps: 1000000000 },
+    { name: 'Wi-Fi', macAddress: 'A0-B1-C2-D3-E4-F5', status: 'Disconnected', mediaType: 'Native 802.11', physical: true, speedBps: 0 },
+    { name: 'vEthernet (WSL)', macAddress: null, status: 'Disabled', mediaType: 'Unspecified', physical: false, speedBps: 10000000000 }
+  ]), [
+    { name: 'Ethernet', macAddress: '00:1a:2b:3c:4d:5e', state: 'up', wireless: false, physical: true, speedMbps: 1000 },
+    { name: 'Wi-Fi', macAddress: 'a0:b1:c2:d3:e4:f5', state: 'down', wireless: true, physical: true, speedMbps: null },
+    { name: 'vEthernet (WSL)', macAddress: 'Unknown', state: 'disabled', wireless: false, physical: false, speedMbps: 10000 }
+  ]);
+});